@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in auth server
+ *
+ * Checks the keypad PIN for the 'local' auth provider (src/utils/auth.js) so
+ * development doesn't need a real identity provider, and the PIN stays out of
+ * the client bundle.
+ *
+ * Usage:
+ *   AUTH_PIN=48213 npm run auth:local -- [--port 4001] [--ttl 3600] [--user operator]
+ *
+ * Without AUTH_PIN (or --pin) a random PIN is generated and printed. Tokens
+ * are HS256 JWTs signed with a key made at startup, so restarting the server
+ * signs everyone out.
+ *
+ * Endpoints, all under /auth:
+ *   POST /pin      { pin }  -> 200 { token, expiresIn, user }, 401 wrong PIN, 429 locked out
+ *   GET  /session  Bearer   -> 200 { user, expiresAt }, 401 invalid or expired
+ *   POST /logout   Bearer   -> 204, revoking the token
+ */
+import { createServer } from 'node:http';
+import { createHmac, randomBytes, randomInt, randomUUID, timingSafeEqual } from 'node:crypto';
+import { parseArgs } from 'node:util';
+
+const DEFAULT_PORT = 4001;
+const DEFAULT_TTL = 3600; // Seconds a token lasts
+const DEFAULT_PIN_LENGTH = 5;
+const MAX_FAILURES = 5; // Wrong PINs allowed before a lockout
+const LOCKOUT_SECONDS = 30;
+const MAX_BODY_BYTES = 1024;
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string', default: String(DEFAULT_PORT) },
+    pin: { type: 'string' },
+    ttl: { type: 'string', default: String(DEFAULT_TTL) },
+    user: { type: 'string', default: 'operator' },
+  },
+});
+
+const randomPin = () => Array.from({ length: DEFAULT_PIN_LENGTH }, () => randomInt(10)).join('');
+const pin = args.pin ?? process.env.AUTH_PIN ?? randomPin();
+const port = parseInt(args.port, 10);
+const ttl = parseInt(args.ttl, 10);
+if (!/^\d+$/.test(pin)) throw new Error('The PIN must be digits only');
+if (!Number.isInteger(port) || !Number.isInteger(ttl) || ttl <= 0) throw new Error('--port and --ttl must be whole numbers');
+
+const signingKey = randomBytes(32);
+const revoked = new Set(); // Token ids signed out before they expired
+const failures = new Map(); // Remote address -> { count, lockedUntil }
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+const sign = (data) => createHmac('sha256', signingKey).update(data).digest('base64url');
+
+const issueToken = () => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const claims = base64url(JSON.stringify({ sub: args.user, iat: now, exp: now + ttl, jti: randomUUID() }));
+  return `${header}.${claims}.${sign(`${header}.${claims}`)}`;
+};
+
+// Claims of a token this server issued and hasn't revoked, or null
+const verifyToken = (token) => {
+  const [header, claims, signature] = (token ?? '').split('.');
+  if (!header || !claims || !signature) return null;
+  const expected = Buffer.from(sign(`${header}.${claims}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+  const payload = JSON.parse(Buffer.from(claims, 'base64url').toString());
+  if (payload.exp * 1000 <= Date.now() || revoked.has(payload.jti)) return null;
+  return payload;
+};
+
+const pinMatches = (candidate) => {
+  const expected = Buffer.from(pin);
+  const given = Buffer.from(String(candidate ?? ''));
+  return expected.length === given.length && timingSafeEqual(expected, given);
+};
+
+const send = (response, status, body) => {
+  response.writeHead(status, body ? { 'Content-Type': 'application/json' } : {});
+  response.end(body ? JSON.stringify(body) : undefined);
+};
+
+const readJson = (request) => new Promise((resolve, reject) => {
+  let data = '';
+  request.on('data', (chunk) => {
+    data += chunk;
+    if (data.length > MAX_BODY_BYTES) reject(new Error('body too large'));
+  });
+  request.on('end', () => {
+    try {
+      resolve(JSON.parse(data || '{}'));
+    } catch (error) {
+      reject(error);
+    }
+  });
+  request.on('error', reject);
+});
+
+const bearerToken = (request) => /^Bearer (.+)$/.exec(request.headers.authorization ?? '')?.[1];
+
+const handlePin = async (request, response) => {
+  const client = request.socket.remoteAddress;
+  const record = failures.get(client) ?? { count: 0, lockedUntil: 0 };
+  if (record.lockedUntil > Date.now()) {
+    send(response, 429, { error: 'locked_out', retryAfter: Math.ceil((record.lockedUntil - Date.now()) / 1000) });
+    return;
+  }
+
+  const body = await readJson(request).catch(() => null);
+  if (!body || !pinMatches(body.pin)) {
+    record.count++;
+    if (record.count >= MAX_FAILURES) {
+      record.count = 0;
+      record.lockedUntil = Date.now() + LOCKOUT_SECONDS * 1000;
+    }
+    failures.set(client, record);
+    send(response, 401, { error: 'invalid_pin' });
+    return;
+  }
+
+  failures.delete(client);
+  send(response, 200, { token: issueToken(), expiresIn: ttl, user: args.user });
+};
+
+const server = createServer((request, response) => {
+  // The dev server runs on another port, so allow cross-origin calls
+  response.setHeader('Access-Control-Allow-Origin', '*');
+  response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  if (request.method === 'OPTIONS') {
+    send(response, 204);
+    return;
+  }
+
+  const route = `${request.method} ${new URL(request.url, 'http://localhost').pathname}`;
+  if (route === 'POST /auth/pin') {
+    handlePin(request, response).catch((error) => {
+      console.error(error);
+      send(response, 500, { error: 'server_error' });
+    });
+  } else if (route === 'GET /auth/session') {
+    const claims = verifyToken(bearerToken(request));
+    if (claims) send(response, 200, { user: claims.sub, expiresAt: claims.exp * 1000 });
+    else send(response, 401, { error: 'invalid_token' });
+  } else if (route === 'POST /auth/logout') {
+    const claims = verifyToken(bearerToken(request));
+    if (claims) revoked.add(claims.jti);
+    send(response, 204);
+  } else {
+    send(response, 404, { error: 'not_found' });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Auth stand-in listening on http://localhost:${port}/auth`);
+  if (!args.pin && !process.env.AUTH_PIN) console.log(`Generated PIN: ${pin}`);
+});
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Grass biome mask bake
+ *
+ * Derives the colour-coded mask that public/grass-biomes.json points at from
+ * the map artwork: lift lines are whatever differs between the map with lifts
+ * and the same map without them. Pistes only come from a painted layer passed
+ * with --pistes; nothing in the artwork says where they are.
+ *
+ * Usage:
+ *   npm run bake:biome-mask -- --lifts base-map-lifts.png --base base-map.png \
+ *     [--pistes pistes.png] [--bounds -100,-100,100,100] [--size 512] \
+ *     [--lift-width 1] [--out public/grass-biome-mask.png]
+ *
+ * All images must cover the grass bounds with the top row at maxY (world
+ * minZ), as the heightmap does. --lift-width is world units either side of a
+ * line. In the piste layer, opaque light pixels mark piste and anything dark
+ * or transparent doesn't.
+ *
+ * - Lift lines: red (255, 0, 0), the `liftLine` region
+ * - Pistes: white (255, 255, 255), the `piste` region; none without --pistes
+ * - Everything else: black, so only the elevation regions apply
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { PNG } from 'pngjs';
+
+const DEFAULT_BOUNDS = '-100,-100,100,100';
+const DEFAULT_SIZE = 512;
+const LINE_THRESHOLD = 60; // Summed RGB difference that counts as lift artwork
+const PISTE_THRESHOLD = 384; // Summed RGB of a painted piste pixel
+const OPAQUE_ALPHA = 128;
+
+const { values: args } = parseArgs({
+  options: {
+    lifts: { type: 'string', default: 'base-map-lifts.png' },
+    base: { type: 'string', default: 'base-map.png' },
+    pistes: { type: 'string' },
+    bounds: { type: 'string', default: DEFAULT_BOUNDS },
+    size: { type: 'string', default: String(DEFAULT_SIZE) },
+    'lift-width': { type: 'string', default: '1' },
+    out: { type: 'string', default: 'public/grass-biome-mask.png' },
+  },
+});
+
+const [minX, minY, maxX, maxY] = args.bounds.split(',').map(Number);
+const size = parseInt(args.size, 10);
+const liftWidth = Number(args['lift-width']);
+if (![minX, minY, maxX, maxY].every(Number.isFinite) || maxX <= minX || maxY <= minY) {
+  throw new Error('--bounds must be minX,minY,maxX,maxY');
+}
+if (!Number.isInteger(size) || size <= 0) throw new Error('--size must be a whole number');
+if (!(liftWidth >= 0)) throw new Error('--lift-width must not be negative');
+
+const lifts = PNG.sync.read(await readFile(args.lifts));
+const base = PNG.sync.read(await readFile(args.base));
+if (lifts.width !== base.width || lifts.height !== base.height) {
+  throw new Error(`${args.lifts} and ${args.base} must be the same size`);
+}
+
+// Mark output pixels that any lift artwork pixel falls in
+const isLift = new Uint8Array(size * size);
+for (let y = 0; y < lifts.height; y++) {
+  for (let x = 0; x < lifts.width; x++) {
+    const i = (y * lifts.width + x) * 4;
+    const difference = Math.abs(lifts.data[i] - base.data[i])
+      + Math.abs(lifts.data[i + 1] - base.data[i + 1])
+      + Math.abs(lifts.data[i + 2] - base.data[i + 2]);
+    if (difference <= LINE_THRESHOLD) continue;
+    const column = Math.min(Math.floor((x / lifts.width) * size), size - 1);
+    const row = Math.min(Math.floor((y / lifts.height) * size), size - 1);
+    isLift[row * size + column] = 1;
+  }
+}
+
+// Two-pass chamfer distance (in pixels) to the nearest lift pixel
+const distance = new Float32Array(size * size).fill(Infinity);
+isLift.forEach((lift, i) => { if (lift) distance[i] = 0; });
+const relax = (i, column, row, dx, dy, cost) => {
+  const x = column + dx;
+  const y = row + dy;
+  if (x < 0 || y < 0 || x >= size || y >= size) return;
+  distance[i] = Math.min(distance[i], distance[y * size + x] + cost);
+};
+for (let row = 0; row < size; row++) {
+  for (let column = 0; column < size; column++) {
+    const i = row * size + column;
+    relax(i, column, row, -1, 0, 1);
+    relax(i, column, row, 0, -1, 1);
+    relax(i, column, row, -1, -1, Math.SQRT2);
+    relax(i, column, row, 1, -1, Math.SQRT2);
+  }
+}
+for (let row = size - 1; row >= 0; row--) {
+  for (let column = size - 1; column >= 0; column--) {
+    const i = row * size + column;
+    relax(i, column, row, 1, 0, 1);
+    relax(i, column, row, 0, 1, 1);
+    relax(i, column, row, 1, 1, Math.SQRT2);
+    relax(i, column, row, -1, 1, Math.SQRT2);
+  }
+}
+
+// Painted pistes, sampled at each output pixel's centre
+const isPiste = new Uint8Array(size * size);
+if (args.pistes) {
+  const { width, height, data } = PNG.sync.read(await readFile(args.pistes));
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      const x = Math.floor(((column + 0.5) / size) * width);
+      const y = Math.floor(((row + 0.5) / size) * height);
+      const i = (y * width + x) * 4;
+      if (data[i + 3] >= OPAQUE_ALPHA && data[i] + data[i + 1] + data[i + 2] >= PISTE_THRESHOLD) {
+        isPiste[row * size + column] = 1;
+      }
+    }
+  }
+}
+
+const unitsPerPixel = Math.max((maxX - minX) / size, (maxY - minY) / size);
+const mask = new PNG({ width: size, height: size });
+let liftPixels = 0;
+let pistePixels = 0;
+for (let i = 0; i < size * size; i++) {
+  const units = distance[i] * unitsPerPixel;
+  const value = units <= liftWidth ? [255, 0, 0] : isPiste[i] ? [255, 255, 255] : [0, 0, 0];
+  if (units <= liftWidth) liftPixels++;
+  else if (isPiste[i]) pistePixels++;
+  mask.data.set([...value, 255], i * 4);
+}
+
+await writeFile(args.out, PNG.sync.write(mask));
+const percent = (count) => ((count / (size * size)) * 100).toFixed(1);
+console.log(`Wrote ${args.out}: ${size}x${size}, lift lines ${percent(liftPixels)}%, pistes ${percent(pistePixels)}%`);
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * Offline grass bake
+ *
+ * Scatters grass blades over a heightmap and writes them in the packed grass
+ * instance format that PlaneInstancerWithColor streams.
+ *
+ * Usage:
+ *   npm run bake:grass -- --heightmap public/terrain/IMG_0220_heightmap_ultraclean_nolines_text.png \
+ *     --color public/terrain/final-color-no-lifts.png [--mask density.png] \
+ *     [--count 400000] [--seed 1] [--bbox -100,-100,0,100,100,9.2] \
+ *     [--tile-size 25] [--quantize] [--shapes 4] [--out public/grass]
+ *
+ * Positions are written in the terrain's local space (x/y across the map,
+ * z up), matching the Z-up data the instancer already rotates into place.
+ *
+ * - Heightmap: luminance 0-1 maps onto the bbox z range (8 or 16 bit PNGs)
+ * - Colour map: RGB sampled per blade, stored 0-1
+ * - Density mask (optional): luminance is the acceptance probability, so
+ *   black areas (pistes, lift lines) get no grass
+ *
+ * Each blade gets a random shape index below --shapes, which should match the
+ * number of layers in public/blade-shapes.json.
+ *
+ * Without --tile-size a single `instances.grass.bin` is written; with it the
+ * blades are split into per-tile files plus a `manifest.json`.
+ */
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { PNG } from 'pngjs';
+import { createRandom } from '../src/utils/random.js';
+import { encodeGrassInstances } from '../src/utils/grassInstanceFormat.js';
+import { createTileGrid, partitionByTile, tileKey } from '../src/utils/grassTiles.js';
+
+// Matches the bbox the terrain GLB and instance_data.png were exported with
+const DEFAULT_BBOX = '-100,-100,0,100,100,9.2';
+const DEFAULT_COUNT = 400000;
+const DEFAULT_SHAPE_COUNT = 4;
+const MAX_ATTEMPTS_PER_BLADE = 20; // Give up on very sparse masks instead of spinning forever
+
+// Blade variation ranges
+const SCALE_MIN = 0.7;
+const SCALE_MAX = 1.3;
+const BLADE_TILT = Math.PI / 2; // Stand the XY plane blade upright in Z-up space
+
+const { values: args } = parseArgs({
+  options: {
+    heightmap: { type: 'string' },
+    color: { type: 'string' },
+    mask: { type: 'string' },
+    out: { type: 'string', default: 'public/grass' },
+    count: { type: 'string', default: String(DEFAULT_COUNT) },
+    seed: { type: 'string', default: '1' },
+    bbox: { type: 'string', default: DEFAULT_BBOX },
+    'tile-size': { type: 'string' },
+    quantize: { type: 'boolean', default: false },
+    shapes: { type: 'string', default: String(DEFAULT_SHAPE_COUNT) },
+  },
+});
+
+const fail = (message) => {
+  console.error(`bake-grass: ${message}`);
+  process.exit(1);
+};
+
+/**
+ * Load a PNG as a bilinear sampler over normalised UVs
+ */
+const loadImage = async (file) => {
+  const png = PNG.sync.read(await readFile(file), { skipRescale: true });
+  const maxValue = png.depth === 16 ? 65535 : 255;
+  const { width, height, data } = png;
+
+  const texel = (x, y, channel) => data[(y * width + x) * 4 + channel] / maxValue;
+
+  // Bilinear sample of one channel; v runs top to bottom like the image rows
+  const sample = (u, v, channel) => {
+    const fx = Math.min(Math.max(u * (width - 1), 0), width - 1);
+    const fy = Math.min(Math.max(v * (height - 1), 0), height - 1);
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const x1 = Math.min(x0 + 1, width - 1);
+    const y1 = Math.min(y0 + 1, height - 1);
+    const tx = fx - x0;
+    const ty = fy - y0;
+    const top = texel(x0, y0, channel) * (1 - tx) + texel(x1, y0, channel) * tx;
+    const bottom = texel(x0, y1, channel) * (1 - tx) + texel(x1, y1, channel) * tx;
+    return top * (1 - ty) + bottom * ty;
+  };
+
+  const luminance = (u, v) => 0.2126 * sample(u, v, 0) + 0.7152 * sample(u, v, 1) + 0.0722 * sample(u, v, 2);
+
+  return { width, height, sample, luminance };
+};
+
+const parseNumberList = (text, length, name) => {
+  const numbers = text.split(',').map(Number);
+  if (numbers.length !== length || numbers.some((n) => !Number.isFinite(n))) {
+    fail(`--${name} expects ${length} comma-separated numbers, got "${text}"`);
+  }
+  return numbers;
+};
+
+const main = async () => {
+  if (!args.heightmap) fail('--heightmap is required');
+  if (!args.color) fail('--color is required');
+
+  const count = Number.parseInt(args.count, 10);
+  if (!(count > 0)) fail(`--count must be a positive integer, got "${args.count}"`);
+
+  const shapeCount = Number.parseInt(args.shapes, 10);
+  if (!(shapeCount > 0 && shapeCount <= 256)) fail(`--shapes must be between 1 and 256, got "${args.shapes}"`);
+
+  const [minX, minY, minZ, maxX, maxY, maxZ] = parseNumberList(args.bbox, 6, 'bbox');
+  const tileSize = args['tile-size'] ? Number(args['tile-size']) : null;
+  if (tileSize !== null && !(tileSize > 0)) fail(`--tile-size must be positive, got "${args['tile-size']}"`);
+
+  const [heightmap, colorMap, mask] = await Promise.all([
+    loadImage(args.heightmap),
+    loadImage(args.color),
+    args.mask ? loadImage(args.mask) : null,
+  ]);
+
+  const random = createRandom(args.seed);
+  const positions = new Float32Array(count * 3);
+  const rotations = new Float32Array(count * 3);
+  const scales = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  const textureIndices = new Uint8Array(count);
+
+  let placed = 0;
+  let attempts = 0;
+  const maxAttempts = count * MAX_ATTEMPTS_PER_BLADE;
+
+  while (placed < count && attempts < maxAttempts) {
+    attempts++;
+    const u = random();
+    const v = random();
+
+    // Rejection sample against the density mask
+    if (mask && random() >= mask.luminance(u, v)) continue;
+
+    const i3 = placed * 3;
+    positions[i3] = minX + u * (maxX - minX);
+    positions[i3 + 1] = maxY - v * (maxY - minY); // Image rows run top to bottom
+    positions[i3 + 2] = minZ + heightmap.luminance(u, v) * (maxZ - minZ);
+
+    rotations[i3] = BLADE_TILT;
+    rotations[i3 + 1] = 0;
+    rotations[i3 + 2] = random() * Math.PI * 2;
+
+    const scale = SCALE_MIN + random() * (SCALE_MAX - SCALE_MIN);
+    scales[i3] = scale;
+    scales[i3 + 1] = scale * (0.85 + random() * 0.3);
+    scales[i3 + 2] = scale;
+
+    colors[i3] = colorMap.sample(u, v, 0);
+    colors[i3 + 1] = colorMap.sample(u, v, 1);
+    colors[i3 + 2] = colorMap.sample(u, v, 2);
+
+    textureIndices[placed] = Math.floor(random() * shapeCount);
+    placed++;
+  }
+
+  if (placed < count) {
+    console.warn(`bake-grass: mask too sparse, placed ${placed} of ${count} blades`);
+  }
+
+  const instances = {
+    positions: positions.subarray(0, placed * 3),
+    rotations: rotations.subarray(0, placed * 3),
+    scales: scales.subarray(0, placed * 3),
+    colors: colors.subarray(0, placed * 3),
+    textureIndices: textureIndices.subarray(0, placed),
+  };
+  const types = args.quantize
+    ? { positions: 'uint16', rotations: 'int16', scales: 'uint16', colors: 'uint8' }
+    : {};
+
+  await mkdir(args.out, { recursive: true });
+
+  if (!tileSize) {
+    const file = path.join(args.out, 'instances.grass.bin');
+    await writeFile(file, Buffer.from(encodeGrassInstances(instances, types)));
+    console.log(`bake-grass: wrote ${placed} blades to ${file} (seed ${args.seed})`);
+    return;
+  }
+
+  // Tiled output: one file per non-empty tile plus a manifest
+  const bounds = { minX, minY, maxX, maxY };
+  const grid = createTileGrid(bounds, tileSize);
+  const tiles = [];
+  await mkdir(path.join(args.out, 'tiles'), { recursive: true });
+
+  for (const [key, indices] of partitionByTile(instances.positions, grid)) {
+    const subset = {};
+    for (const [name, values] of Object.entries(instances)) {
+      const components = values.length / placed;
+      const out = new values.constructor(indices.length * components);
+      indices.forEach((source, n) => {
+        for (let c = 0; c < components; c++) out[n * components + c] = values[source * components + c];
+      });
+      subset[name] = out;
+    }
+
+    const [col, row] = key.split('_').map(Number);
+    const url = `tiles/${tileKey(col, row)}.grass.bin`;
+    await writeFile(path.join(args.out, url), Buffer.from(encodeGrassInstances(subset, types)));
+    tiles.push({ col, row, url, count: indices.length });
+  }
+
+  const manifest = { tileSize, bounds, seed: args.seed, tiles };
+  await writeFile(path.join(args.out, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`bake-grass: wrote ${placed} blades in ${tiles.length} tiles to ${args.out} (seed ${args.seed})`);
+};
+
+main().catch((error) => fail(error.message));
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Lift tower bake
+ *
+ * Places lift towers along the lift lines in the map artwork and writes them
+ * as physics obstacles for the sphere (see src/utils/obstacles.js). Lift lines
+ * are whatever differs between the map with lifts and the same map without
+ * them, as for the biome mask.
+ *
+ * Usage:
+ *   npm run bake:lift-towers -- --lifts base-map-lifts.png --base base-map.png \
+ *     [--bounds -100,-100,100,100] [--spacing 10] [--radius 0.4] [--height 6] \
+ *     [--out public/lift-towers.json]
+ *
+ * Bounds are world X/Z; the images' top row is at minZ, as the heightmap's is.
+ *
+ * The artwork doesn't mark individual towers, so they're spread along each
+ * line no closer than --spacing world units, starting from its stations.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { PNG } from 'pngjs';
+
+const DEFAULT_BOUNDS = '-100,-100,100,100';
+const LINE_THRESHOLD = 60; // Summed RGB difference that counts as lift artwork
+const PRECISION = 100; // Positions are written to centimetres
+
+const { values: args } = parseArgs({
+  options: {
+    lifts: { type: 'string', default: 'base-map-lifts.png' },
+    base: { type: 'string', default: 'base-map.png' },
+    bounds: { type: 'string', default: DEFAULT_BOUNDS },
+    spacing: { type: 'string', default: '10' },
+    radius: { type: 'string', default: '0.4' },
+    height: { type: 'string', default: '6' },
+    out: { type: 'string', default: 'public/lift-towers.json' },
+  },
+});
+
+const [minX, minZ, maxX, maxZ] = args.bounds.split(',').map(Number);
+const spacing = Number(args.spacing);
+const radius = Number(args.radius);
+const height = Number(args.height);
+if (![minX, minZ, maxX, maxZ].every(Number.isFinite) || maxX <= minX || maxZ <= minZ) {
+  throw new Error('--bounds must be minX,minZ,maxX,maxZ');
+}
+if (!(spacing > 0) || !(radius > 0) || !(height > 0)) throw new Error('--spacing, --radius and --height must be positive');
+
+const lifts = PNG.sync.read(await readFile(args.lifts));
+const base = PNG.sync.read(await readFile(args.base));
+if (lifts.width !== base.width || lifts.height !== base.height) {
+  throw new Error(`${args.lifts} and ${args.base} must be the same size`);
+}
+const { width, height: rows } = lifts;
+
+const isLift = (x, y) => {
+  const i = (y * width + x) * 4;
+  return Math.abs(lifts.data[i] - base.data[i])
+    + Math.abs(lifts.data[i + 1] - base.data[i + 1])
+    + Math.abs(lifts.data[i + 2] - base.data[i + 2]) > LINE_THRESHOLD;
+};
+
+// Line ends (stations) first, then the rest of the line pixels, so spacing
+// counts from the stations
+const ends = [];
+const others = [];
+for (let y = 0; y < rows; y++) {
+  for (let x = 0; x < width; x++) {
+    if (!isLift(x, y)) continue;
+    let neighbours = 0;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if ((dx || dy) && nx >= 0 && ny >= 0 && nx < width && ny < rows && isLift(nx, ny)) neighbours++;
+      }
+    }
+    // A thin line's pixel sees line both ways; an end only one way
+    (neighbours <= 4 ? ends : others).push([x, y]);
+  }
+}
+
+const toWorld = ([x, y]) => [
+  minX + ((x + 0.5) / width) * (maxX - minX),
+  minZ + ((y + 0.5) / rows) * (maxZ - minZ),
+];
+
+const towers = [];
+[...ends, ...others].map(toWorld).forEach(([x, z]) => {
+  if (towers.some(([tx, tz]) => Math.hypot(tx - x, tz - z) < spacing)) return;
+  towers.push([x, z]);
+});
+
+const round = (value) => Math.round(value * PRECISION) / PRECISION;
+const obstacles = towers.map(([x, z]) => ({ position: [round(x), round(z)], radius, height }));
+// One tower per line keeps diffs of a re-bake readable
+await writeFile(args.out, `{\n  "obstacles": [\n${obstacles.map((o) => `    ${JSON.stringify(o)}`).join(',\n')}\n  ]\n}\n`);
+console.log(`Wrote ${args.out}: ${obstacles.length} towers`);
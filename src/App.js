@@ -4,17 +4,31 @@ import * as THREE from 'three';
 import { KeyboardControls } from '@react-three/drei';
 import { Canvas } from '@react-three/fiber';
 import AuthScreen from './components/AuthScreen';
+import { useAuth } from './components/AuthProvider';
+import { getGrassLodPresetForPerformance } from './utils/grassLod';
+import { getAppSeed } from './utils/random';
+import { DEFAULT_GRASS_SETTINGS } from './utils/grassSettings';
+import { getAppTerrain } from './utils/heightfield';
+import WindField, { WEATHER_PRESETS, getAppWeather } from './utils/windField';
+import { getAppInputMode, nextInputMode } from './utils/driveInput';
+import { getAppCameraMode, nextCameraMode } from './utils/cameraRig';
+import sessionRecorder from './utils/sessionRecorder';
 
 // Lazy load components for code splitting and faster initial load
 const Model = React.lazy(() => import('./components/Curve-base'));
 const Hdri = React.lazy(() => import('./components/Hdri'));
-// const Controls = React.lazy(() => import('./components/Controls')); // Disabled - MovingSphere controls camera
 const AmbientParticles = React.lazy(() => import('./components/AmbientParticles'));
 const PerformanceMonitor = React.lazy(() => import('./components/PerformanceMonitor'));
 const SwarmControl = React.lazy(() => import('./components/SwarmControl'));
 const ParticleControls = React.lazy(() => import('./components/ParticleControls'));
 const PostProcessing = React.lazy(() => import('./components/PostProcessing'));
 const RibbonControls = React.lazy(() => import('./components/RibbonControls'));
+const WindControls = React.lazy(() => import('./components/WindControls'));
+const GrassControls = React.lazy(() => import('./components/GrassControls'));
+const TouchJoystick = React.lazy(() => import('./components/TouchJoystick'));
+const FlythroughControls = React.lazy(() => import('./components/FlythroughControls'));
+const SessionControls = React.lazy(() => import('./components/SessionControls'));
+const SignOutControl = React.lazy(() => import('./components/SignOutControl'));
 
 
 // Pre-computed constants for performance
@@ -26,6 +40,10 @@ const KEYBOARD_MAP = [
   { name: 'shiftKeyPressed', keys: ['ShiftLeft', 'ShiftRight'] },
   { name: 'spaceKeyPressed', keys: ['Space'] },
   { name: 'controlsTogglePressed', keys: ['KeyC'] },
+  { name: 'shadingTogglePressed', keys: ['KeyL'] },
+  { name: 'physicsTogglePressed', keys: ['KeyP'] },
+  { name: 'inputTogglePressed', keys: ['KeyI'] },
+  { name: 'cameraTogglePressed', keys: ['KeyV'] },
 ];
 
 const CAMERA_CONFIG = { position: [4, 4, 4], fov: 60 };
@@ -37,9 +55,25 @@ const GL_CONFIG = {
   depth: true
 };
 
+// Scene seed (?seed= or REACT_APP_SEED) so every reload scatters identically
+const SCENE_SEED = getAppSeed();
+
+// Terrain source (?terrain=heightfield or REACT_APP_TERRAIN builds it from the heightmap)
+const TERRAIN = getAppTerrain();
+
 // Optimized fog object (created once)
 const FOG = new THREE.FogExp2("#228B22", 0.05);
 
+// Shared wind (?weather= picks the starting preset); grass, particles and ribbons all read it
+const INITIAL_WEATHER = getAppWeather();
+const WIND = new WindField(INITIAL_WEATHER);
+const WIND_ADJUST_TIME = 0.5; // Seconds to blend slider changes in
+
+const getWindSettings = (weather) => ({
+  direction: WEATHER_PRESETS[weather].direction,
+  strength: WEATHER_PRESETS[weather].strength
+});
+
 // Memoized loading fallback
 const LoadingFallback = memo(() => (
   <mesh>
@@ -61,13 +95,17 @@ const getParticleConfig = (performanceLevel = 'GOOD') => {
 };
 
 function App() {
-  const [isAuthed, setIsAuthed] = React.useState(false);
+  const auth = useAuth();
   const [performanceLevel, setPerformanceLevel] = React.useState('GOOD');
   const [swarmMode, setSwarmMode] = React.useState('normal'); // 'normal', 'swarm', 'returning'
   const [isSwarmButtonDisabled, setIsSwarmButtonDisabled] = React.useState(false);
   const [spherePosition, setSpherePosition] = React.useState(null);
   const [showControls, setShowControls] = React.useState(false);
   const [ribbonMode, setRibbonMode] = React.useState('both'); // 'off', 'basic', 'speed', 'both'
+  const [shadingMode, setShadingMode] = React.useState('unlit'); // 'unlit', 'lit' (L key)
+  const [physicsMode, setPhysicsMode] = React.useState(false); // Rapier-driven sphere
+  const [inputMode, setInputMode] = React.useState(getAppInputMode); // 'pointer', 'drive', 'joystick', 'navigate'
+  const [cameraMode, setCameraMode] = React.useState(getAppCameraMode); // 'chase', 'orbit', 'map', 'free', 'flythrough'
   const [particleControls, setParticleControls] = React.useState({
     speed: 0.8,
     chaos: 1.5,
@@ -76,6 +114,9 @@ function App() {
     complexity: 1.0,
     pulse: 0.4
   });
+  const [grassSettings, setGrassSettings] = React.useState(DEFAULT_GRASS_SETTINGS);
+  const [weather, setWeather] = React.useState(INITIAL_WEATHER);
+  const [windSettings, setWindSettings] = React.useState(() => getWindSettings(INITIAL_WEATHER));
   
   // Handle performance changes and adjust settings automatically
   const handlePerformanceChange = React.useCallback((level, fps) => {
@@ -114,12 +155,59 @@ function App() {
     setRibbonMode(newMode);
   }, []);
 
+  // Handle grass tunable changes (applied to the grass uniforms live)
+  const handleGrassSettingsChange = React.useCallback((newSettings) => {
+    setGrassSettings(newSettings);
+  }, []);
+
+  // Playing a flythrough takes over the camera
+  const handleFlythroughPlay = React.useCallback(() => {
+    setCameraMode('flythrough');
+  }, []);
+
+  // Blend to a weather preset; the sliders jump to its values
+  const handleWeatherChange = React.useCallback((newWeather) => {
+    setWeather(newWeather);
+    setWindSettings(getWindSettings(newWeather));
+    WIND.setPreset(newWeather);
+  }, []);
+
+  // Fine-tune direction and strength on top of the current preset
+  const handleWindSettingsChange = React.useCallback((newSettings) => {
+    setWindSettings(newSettings);
+    WIND.set(newSettings, WIND_ADJUST_TIME);
+  }, []);
+
   // Handle return transition complete
   const handleReturnComplete = React.useCallback(() => {
     setSwarmMode('normal');
     setIsSwarmButtonDisabled(false);
   }, []);
 
+  // Record scene-affecting mode changes into a session recording (no-op otherwise)
+  React.useEffect(() => {
+    sessionRecorder.recordAppEvent('swarmMode', swarmMode);
+  }, [swarmMode]);
+
+  React.useEffect(() => {
+    sessionRecorder.recordAppEvent('ribbonMode', ribbonMode);
+  }, [ribbonMode]);
+
+  // Apply them again when a session replays. The return to 'normal' after a
+  // swarm comes from the particles themselves, so only the starting state
+  // replays it.
+  React.useEffect(() => sessionRecorder.subscribe((event) => {
+    if (event.type !== 'app') return;
+    if (event.name === 'ribbonMode') {
+      setRibbonMode(event.value);
+    } else if (event.name === 'swarmMode' && (event.value !== 'normal' || event.step === 0)) {
+      setSwarmMode(event.value);
+      setIsSwarmButtonDisabled(event.value === 'returning');
+    }
+  }), []);
+
+  const sessionAppState = useMemo(() => ({ swarmMode, ribbonMode }), [swarmMode, ribbonMode]);
+
   // Add keyboard event listener for spacebar and controls toggle
   React.useEffect(() => {
     const handleKeyPress = (event) => {
@@ -139,6 +227,26 @@ function App() {
         event.stopPropagation();
         setShowControls(prev => !prev); // Toggle controls with 'C' key
       }
+      if (event.code === 'KeyL' && !event.repeat) {
+        event.preventDefault();
+        event.stopPropagation();
+        setShadingMode(prev => (prev === 'lit' ? 'unlit' : 'lit')); // Toggle lit/unlit grass with 'L' key
+      }
+      if (event.code === 'KeyP' && !event.repeat) {
+        event.preventDefault();
+        event.stopPropagation();
+        setPhysicsMode(prev => !prev); // Toggle Rapier physics for the sphere with 'P' key
+      }
+      if (event.code === 'KeyI' && !event.repeat) {
+        event.preventDefault();
+        event.stopPropagation();
+        setInputMode(nextInputMode); // Cycle pointer-follow/keyboard+gamepad/on-screen joystick/piste routing with 'I' key
+      }
+      if (event.code === 'KeyV' && !event.repeat) {
+        event.preventDefault();
+        event.stopPropagation();
+        setCameraMode(nextCameraMode); // Cycle camera rig modes with 'V' key
+      }
     };
 
     // Try both keydown and keyup events
@@ -160,16 +268,25 @@ function App() {
 
   // Memoized particle config based on performance
   const particleConfig = useMemo(() => getParticleConfig(performanceLevel), [performanceLevel]);
-
-  if (!isAuthed) {
-    return <AuthScreen onAuth={() => setIsAuthed(true)} />;
-  }
+  const grassLodPreset = getGrassLodPresetForPerformance(performanceLevel);
 
   // Memoized render components to prevent unnecessary re-renders
   const sceneComponents = useMemo(() => (
     <Suspense fallback={<LoadingFallback />}>
       <Hdri />
-      <Model onSphereMove={handleSphereMove} ribbonMode={ribbonMode} />
+      <Model
+        onSphereMove={handleSphereMove}
+        ribbonMode={ribbonMode}
+        lodPreset={grassLodPreset}
+        shadingMode={shadingMode}
+        terrain={TERRAIN}
+        physics={physicsMode}
+        inputMode={inputMode}
+        cameraMode={cameraMode}
+        settings={grassSettings}
+        wind={WIND}
+        seed={SCENE_SEED}
+      />
       {/* <Sparkles /> */}
       <AmbientParticles 
         {...particleConfig} 
@@ -177,21 +294,36 @@ function App() {
         swarmMode={swarmMode}
         controls={particleControls}
         onReturnComplete={handleReturnComplete}
+        wind={WIND}
+        seed={SCENE_SEED}
       />
-      {/* <Controls /> - Disabled: MovingSphere now controls camera */}
       <primitive object={FOG} attach="fog" />
       <PostProcessing />
     </Suspense>
   ), [
     particleConfig,
+    grassLodPreset,
     spherePosition,
     swarmMode,
     particleControls,
     handleSphereMove,
     ribbonMode,
+    shadingMode,
+    physicsMode,
+    inputMode,
+    cameraMode,
+    grassSettings,
     handleReturnComplete
   ]);
 
+  // After every hook, so signing in doesn't change the hook count
+  if (auth.status === 'checking') {
+    return <div className="auth-screen" />; // Stored session being validated
+  }
+  if (!auth.isAuthed) {
+    return <AuthScreen />;
+  }
+
   return (
     <div className="App">
       <KeyboardControls map={KEYBOARD_MAP}>
@@ -210,6 +342,9 @@ function App() {
       <Suspense fallback={null}>
         <SwarmControl swarmMode={swarmMode} onModeChange={cycleSwarmMode} disabled={isSwarmButtonDisabled} />
       </Suspense>
+      <Suspense fallback={null}>
+        <SignOutControl user={auth.session?.user} onSignOut={auth.signOut} />
+      </Suspense>
       <Suspense fallback={null}>
         <ParticleControls 
           controls={particleControls}
@@ -224,6 +359,38 @@ function App() {
           isVisible={true}
         />
       </Suspense>
+      <Suspense fallback={null}>
+        <WindControls
+          weather={weather}
+          settings={windSettings}
+          onWeatherChange={handleWeatherChange}
+          onSettingsChange={handleWindSettingsChange}
+          isVisible={showControls}
+        />
+      </Suspense>
+      <Suspense fallback={null}>
+        <GrassControls
+          settings={grassSettings}
+          onSettingsChange={handleGrassSettingsChange}
+          isVisible={showControls}
+        />
+      </Suspense>
+      <Suspense fallback={null}>
+        <FlythroughControls
+          onPlay={handleFlythroughPlay}
+          isVisible={showControls}
+        />
+      </Suspense>
+      <Suspense fallback={null}>
+        <SessionControls
+          seed={SCENE_SEED}
+          appState={sessionAppState}
+          isVisible={showControls}
+        />
+      </Suspense>
+      <Suspense fallback={null}>
+        <TouchJoystick isVisible={inputMode === 'joystick'} />
+      </Suspense>
     </div>
   );
 }
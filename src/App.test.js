@@ -1,8 +1,65 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
+import { AuthProvider } from './components/AuthProvider';
+import { AuthError, clearAuthSession, saveAuthSession } from './utils/auth';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Provider that accepts any stored session without a server
+const stubProvider = {
+  name: 'stub',
+  label: 'Test gate',
+  pinLength: 5,
+  signIn: async () => ({ provider: 'stub', token: 't', expiresAt: Date.now() + 3600000 }),
+  validate: async (session) => session,
+  signOut: async () => {},
+};
+
+beforeAll(() => {
+  // jsdom has no ResizeObserver; the canvas only needs it to measure itself
+  window.ResizeObserver ??= class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+});
+
+afterEach(() => clearAuthSession());
+
+test('asks for the passcode without a session', async () => {
+  render(<AuthProvider provider={stubProvider}><App /></AuthProvider>);
+  expect(await screen.findByText('Terrain Access')).toBeInTheDocument();
+  expect(screen.getByText('Test gate')).toBeInTheDocument();
+});
+
+test('renders the scene controls for a signed-in session', async () => {
+  saveAuthSession({ provider: 'stub', token: 't', user: 'operator', expiresAt: Date.now() + 3600000 });
+  render(<AuthProvider provider={stubProvider}><App /></AuthProvider>);
+  expect(await screen.findByText('Swarm: OFF')).toBeInTheDocument();
+  expect(screen.queryByText('Terrain Access')).not.toBeInTheDocument();
+});
+
+test('signs out back to the passcode screen', async () => {
+  saveAuthSession({ provider: 'stub', token: 't', user: 'operator', expiresAt: Date.now() + 3600000 });
+  const signOut = jest.fn(async () => {});
+  render(<AuthProvider provider={{ ...stubProvider, signOut }}><App /></AuthProvider>);
+
+  expect(await screen.findByText('operator')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Sign out'));
+  expect(await screen.findByText('Terrain Access')).toBeInTheDocument();
+  expect(signOut).toHaveBeenCalledWith(expect.objectContaining({ token: 't' }));
+});
+
+test('tells a lockout apart from a wrong passcode', async () => {
+  const signIn = jest.fn()
+    .mockRejectedValueOnce(new AuthError('invalid PIN', 'stub', { rejected: true }))
+    .mockRejectedValueOnce(new AuthError('too many attempts', 'stub', { lockedOut: true }));
+  render(<AuthProvider provider={{ ...stubProvider, signIn }}><App /></AuthProvider>);
+  const input = await screen.findByLabelText('Passcode');
+
+  fireEvent.change(input, { target: { value: '12345' } });
+  fireEvent.click(screen.getByText('Authorize'));
+  expect(await screen.findByText('Invalid code. Try again.')).toBeInTheDocument();
+
+  fireEvent.change(input, { target: { value: '12345' } });
+  fireEvent.click(screen.getByText('Authorize'));
+  expect(await screen.findByText('Too many attempts, try again shortly')).toBeInTheDocument();
 });
@@ -1,59 +1,42 @@
-import { useLoader, useFrame } from '@react-three/fiber'
 import * as THREE from 'three'
-import { useEffect, useMemo, useRef } from 'react'
+import { useEffect, useState, useRef } from 'react'
+import { loadPointCloudImage } from './utils/pointCloudImage'
 
-export default function InstancesFromImage({ pngUrl }) {
-  const meshRef = useRef()
-  const texture = useLoader(THREE.TextureLoader, pngUrl)
- 
-
-  const instancePositions = useMemo(() => {
-    if (!texture.image) return []
+const PUBLIC_URL = process.env.PUBLIC_URL || ''
 
-    const width = 639;
-    const height = 639;
-    const canvas = document.createElement('canvas')
-    canvas.width = width
-    canvas.height = height
-    const ctx = canvas.getContext('2d')
-    ctx.drawImage(texture.image, 0, 0)
-    const pixels = ctx.getImageData(0, 0, width, height).data
-
-    const positions = []
-    const min_bbox = [-99.99952, -99.99994, 0.0]
-    const max_bbox = [99.99974, 99.99867, 9.200001]
-    const min = new THREE.Vector3(...min_bbox)
-    const max = new THREE.Vector3(...max_bbox)
-    const size = new THREE.Vector3().subVectors(max, min)
+/**
+ * Debug view of a PNG-encoded point cloud: one box per decoded instance
+ *
+ * @param {string} metadataUrl - Sidecar JSON describing the images, size and bbox
+ */
+export default function InstancesFromImage({ metadataUrl = `${PUBLIC_URL}/instance_data.json` }) {
+  const meshRef = useRef()
+  const [instances, setInstances] = useState(null)
 
-    for (let i = 0; i < pixels.length; i += 4) {
-      const r = pixels[i] / 255
-      const g = pixels[i+1] / 255
-      const b = pixels[i+2] / 255
-      // Decode normalized 0-1 to world-space
-      const pos = new THREE.Vector3(
-        r * size.x + min.x,
-        g * size.y + min.y,
-        b * size.z + min.z
-      )
-      positions.push(pos)
-    }
-    return positions
-  }, [texture.image])
+  useEffect(() => {
+    let mounted = true
+    loadPointCloudImage(metadataUrl).then((decoded) => {
+      if (mounted) setInstances(decoded)
+    }).catch(console.error)
+    return () => { mounted = false }
+  }, [metadataUrl])
 
   useEffect(() => {
-    if (!meshRef.current || instancePositions.length === 0) return
+    if (!meshRef.current || !instances) return
     const dummy = new THREE.Object3D()
-    instancePositions.forEach((pos, i) => {
-      dummy.position.copy(pos)
+    const { positions, count } = instances
+    for (let i = 0; i < count; i++) {
+      dummy.position.fromArray(positions, i * 3)
       dummy.updateMatrix()
       meshRef.current.setMatrixAt(i, dummy.matrix)
-    })
+    }
     meshRef.current.instanceMatrix.needsUpdate = true
-  }, [instancePositions])
+  }, [instances])
+
+  if (!instances) return null
 
   return (
-    <instancedMesh ref={meshRef} args={[null, null, instancePositions.length]}>
+    <instancedMesh ref={meshRef} args={[null, null, instances.count]}>
       <boxGeometry args={[0.1, 0.1, 0.1]} />
       <meshStandardMaterial color="orange" />
     </instancedMesh>
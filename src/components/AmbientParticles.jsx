@@ -1,6 +1,8 @@
 import React, { useRef, useMemo, useCallback } from 'react';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
+import { createRandom } from '../utils/random';
+import { dampFactor } from '../utils/damping';
 
 // Create texture once outside component to avoid recreation
 const createCircleTexture = () => {
@@ -31,7 +33,18 @@ const createCircleTexture = () => {
 
 const circleTexture = createCircleTexture();
 
-const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'normal', controls = null, onReturnComplete = null }) => {
+const CONTAINER_SIZE = 200; // Particles wrap around inside this cube so wind never empties the scene
+const WIND_DRIFT = 1.2; // Particle speed per unit of wind
+const SWARM_HALF_LIFE = 0.23; // Seconds for a swarming particle to close half the gap to its orbit
+const RETURN_HALF_LIFE = 0.57; // Seconds to close half the gap back to its drift
+const WIND_GRID = 32; // Wind is sampled on a WIND_GRID^2 grid per frame, not per particle
+const tempWind = new THREE.Vector2();
+const windGrid = new Float32Array(WIND_GRID * WIND_GRID * 2);
+
+// Wrap a coordinate into [-half, half)
+const wrap = (value, half) => ((((value + half) % (half * 2)) + half * 2) % (half * 2)) - half;
+
+const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'normal', controls = null, onReturnComplete = null, seed = 0, wind = null, swarmHalfLife = SWARM_HALF_LIFE, returnHalfLife = RETURN_HALF_LIFE }) => {
   const pointsRef = useRef();
   const geometryRef = useRef();
   const materialRef = useRef();
@@ -51,7 +64,8 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
   // Optimized data generation with reduced allocations
   const particleData = useMemo(() => {
     const count = 20000; // Back to original 200k particles
-    const containerSize = 200; // 50x50x50 container as originally requested
+    const containerSize = CONTAINER_SIZE;
+    const random = createRandom(`${seed}:particles`);
     
     // Use single buffer for all data to improve cache locality
     const positions = new Float32Array(count * 3);
@@ -60,15 +74,16 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
     const animationOffsets = new Float32Array(count * 3);
     const swarmOffsets = new Float32Array(count * 3); // For orbit randomization
     const orbitRadii = new Float32Array(count); // Individual orbit radius for each particle
+    const windOffsets = new Float32Array(count * 2); // Accumulated wind drift in XZ
     
     // Batch process for better performance
     for (let i = 0; i < count; i++) {
       const i3 = i * 3;
       
       // Generate once, use multiple times
-      const x = (Math.random() - 0.5) * containerSize;
-      const y = (Math.random() - 0.5) * containerSize * 0.5;
-      const z = (Math.random() - 0.5) * containerSize;
+      const x = (random() - 0.5) * containerSize;
+      const y = (random() - 0.5) * containerSize * 0.5;
+      const z = (random() - 0.5) * containerSize;
       
       // Set positions (current and initial)
       positions[i3] = initialPositions[i3] = x;
@@ -76,17 +91,17 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
       positions[i3 + 2] = initialPositions[i3 + 2] = z;
       
       // Pre-calculate animation offsets
-      animationOffsets[i3] = Math.random() * 6.283185307179586; // 2 * PI
-      animationOffsets[i3 + 1] = Math.random() * 6.283185307179586;
-      animationOffsets[i3 + 2] = Math.random() * 6.283185307179586;
+      animationOffsets[i3] = random() * 6.283185307179586; // 2 * PI
+      animationOffsets[i3 + 1] = random() * 6.283185307179586;
+      animationOffsets[i3 + 2] = random() * 6.283185307179586;
       
       // Swarm mode offsets for chaotic spherical orbital movement
-      swarmOffsets[i3] = Math.random() * 6.283185307179586; // Phase offset X
-      swarmOffsets[i3 + 1] = Math.random() * 6.283185307179586; // Phase offset Y  
-      swarmOffsets[i3 + 2] = Math.random() * 6.283185307179586; // Phase offset Z
+      swarmOffsets[i3] = random() * 6.283185307179586; // Phase offset X
+      swarmOffsets[i3 + 1] = random() * 6.283185307179586; // Phase offset Y  
+      swarmOffsets[i3 + 2] = random() * 6.283185307179586; // Phase offset Z
       
       // Random orbit radius around 2.0 units with more variation (0.5 to 4.0 range)
-      orbitRadii[i] = 0.5 + Math.random() * 3.5;
+      orbitRadii[i] = 0.5 + random() * 3.5;
       
       // Optimized color generation vec3(0.702,0.922,0.949)
       colors[i3] = 0.702;
@@ -94,17 +109,47 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
       colors[i3 + 2] = 0.949;
     }
     
-    return { positions, colors, initialPositions, animationOffsets, swarmOffsets, orbitRadii, count };
-  }, []);
+    return { positions, colors, initialPositions, animationOffsets, swarmOffsets, orbitRadii, windOffsets, count };
+  }, [seed]);
 
   // Animation loop with swarm behavior, reverse swarm, and normal movement
-  const animationCallback = useCallback((state) => {
+  const animationCallback = useCallback((state, delta) => {
     if (!pointsRef.current) return;
     
     const time = state.clock.elapsedTime;
     const positionAttribute = pointsRef.current.geometry.attributes.position;
     const positions = positionAttribute.array;
-    const { initialPositions, animationOffsets, swarmOffsets, orbitRadii, count } = particleData;
+    const { initialPositions, animationOffsets, swarmOffsets, orbitRadii, windOffsets, count } = particleData;
+    const halfContainer = CONTAINER_SIZE / 2;
+
+    // Drift every particle's home position with the shared wind, wrapping
+    // around the container (skipped while swarming, particles follow the sphere)
+    if (wind && swarmMode !== 'swarm') {
+      wind.advanceTo(time);
+
+      const cellSize = CONTAINER_SIZE / WIND_GRID;
+      for (let gz = 0; gz < WIND_GRID; gz++) {
+        for (let gx = 0; gx < WIND_GRID; gx++) {
+          wind.sample(-halfContainer + (gx + 0.5) * cellSize, -halfContainer + (gz + 0.5) * cellSize, tempWind);
+          const g2 = (gz * WIND_GRID + gx) * 2;
+          windGrid[g2] = tempWind.x;
+          windGrid[g2 + 1] = tempWind.y;
+        }
+      }
+
+      const step = Math.min(delta, 0.1) * WIND_DRIFT;
+      for (let i = 0; i < count; i++) {
+        const i2 = i * 2;
+        const i3 = i * 3;
+        const x = initialPositions[i3] + windOffsets[i2];
+        const z = initialPositions[i3 + 2] + windOffsets[i2 + 1];
+        const gx = Math.min(WIND_GRID - 1, Math.max(0, Math.floor((x + halfContainer) / cellSize)));
+        const gz = Math.min(WIND_GRID - 1, Math.max(0, Math.floor((z + halfContainer) / cellSize)));
+        const g2 = (gz * WIND_GRID + gx) * 2;
+        windOffsets[i2] = wrap(x + windGrid[g2] * step, halfContainer) - initialPositions[i3];
+        windOffsets[i2 + 1] = wrap(z + windGrid[g2 + 1] * step, halfContainer) - initialPositions[i3 + 2];
+      }
+    }
     const { movementRadius, speed, speedY, speedZ } = animationConstants;
     
     // Check if mode changed and start transition timer
@@ -127,6 +172,7 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
     if (swarmMode === 'swarm' && spherePosition) {
       // Swarm mode: particles orbit around the sphere's current position
       const swarmSpeed = controls?.speed || 0.8; // Speed of orbital movement (controllable)
+      const lerpSpeed = dampFactor(swarmHalfLife, delta); // Same pace at any frame rate
       
       for (let i = 0; i < count; i++) {
         const i3 = i * 3;
@@ -150,16 +196,13 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
         const targetY = spherePosition.y + Math.sin(angle2) * radius * 0.5;
         const targetZ = spherePosition.z + Math.sin(angle1) * radius;
         
-        // Smooth movement towards target with proper interpolation
-        const lerpSpeed = 0.05; // Fixed lerp speed for smooth movement
-        
         positions[i3] = currentX + (targetX - currentX) * lerpSpeed;
         positions[i3 + 1] = currentY + (targetY - currentY) * lerpSpeed;
         positions[i3 + 2] = currentZ + (targetZ - currentZ) * lerpSpeed;
       }
     } else if (swarmMode === 'returning') {
       // Returning mode: particles transition back to their original positions
-      const returnSpeed = 0.02; // Faster return speed for testing (was 0.0008875)
+      const returnSpeed = dampFactor(returnHalfLife, delta);
       const returnDuration = 3.0; // Shorter duration for testing (was 67.28)
       const timeSinceReturn = time - returnTransitionStart.current;
       const returnProgress = Math.min(timeSinceReturn / returnDuration, 1.0);
@@ -179,10 +222,10 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
         const currentY = positions[i3 + 1];
         const currentZ = positions[i3 + 2];
         
-        // Get original positions with normal movement
-        const baseX = initialPositions[i3];
+        // Get original positions (plus wind drift) with normal movement
+        const baseX = initialPositions[i3] + windOffsets[i * 2];
         const baseY = initialPositions[i3 + 1];
-        const baseZ = initialPositions[i3 + 2];
+        const baseZ = initialPositions[i3 + 2] + windOffsets[i * 2 + 1];
         
         // Calculate normal movement offsets
         const offsetX = Math.sin(timeSpeed + animationOffsets[i3]) * movementRadius;
@@ -207,10 +250,10 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
       for (let i = 0; i < count; i++) {
         const i3 = i * 3;
         
-        // Get initial positions
-        const baseX = initialPositions[i3];
+        // Get initial positions, carried along by the wind
+        const baseX = initialPositions[i3] + windOffsets[i * 2];
         const baseY = initialPositions[i3 + 1];
-        const baseZ = initialPositions[i3 + 2];
+        const baseZ = initialPositions[i3 + 2] + windOffsets[i * 2 + 1];
         
         // Calculate smooth movement offsets using sine waves
         const offsetX = Math.sin(timeSpeed + animationOffsets[i3]) * movementRadius;
@@ -260,7 +303,7 @@ const AmbientParticles = React.memo(({ spherePosition = null, swarmMode = 'norma
     }
     
     positionAttribute.needsUpdate = true;
-  }, [particleData, animationConstants, swarmMode, spherePosition, controls, onReturnComplete]);
+  }, [particleData, animationConstants, swarmMode, spherePosition, controls, onReturnComplete, wind, swarmHalfLife, returnHalfLife]);
 
   useFrame(animationCallback);
 
@@ -0,0 +1,115 @@
+import React from 'react';
+import {
+  clearAuthSession,
+  createAppAuthProvider,
+  loadAuthSession,
+  saveAuthSession
+} from '../utils/auth';
+
+const GRANTED_DELAY = 450; // ms the "Access granted" message shows before the scene
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout's limit
+
+const AuthContext = React.createContext(null);
+
+/**
+ * AuthProvider Component
+ *
+ * Holds the app's authentication state for a provider from utils/auth.
+ *
+ * Features:
+ * - Validates a stored session on load, so a reload doesn't ask for the PIN
+ *   again while the token is good
+ * - `signIn(pin)` and `signOut()` through the provider; sessions persist in
+ *   sessionStorage
+ * - Re-validates when the token expires (the OIDC provider refreshes it
+ *   there) and signs out when that fails
+ * - Status: 'checking', 'signedOut', 'granted' (briefly, after a correct
+ *   PIN) and 'signedIn'
+ */
+export const AuthProvider = ({ provider: providedProvider = null, children }) => {
+  const provider = React.useMemo(() => providedProvider ?? createAppAuthProvider(), [providedProvider]);
+  const [session, setSession] = React.useState(null);
+  const [status, setStatus] = React.useState('checking');
+
+  const endSession = React.useCallback(() => {
+    clearAuthSession();
+    setSession(null);
+    setStatus('signedOut');
+  }, []);
+
+  // Check a stored session, or the current one once it expires
+  const revalidate = React.useCallback(async (current) => {
+    try {
+      const valid = current && current.provider === provider.name ? await provider.validate(current) : null;
+      if (!valid) {
+        endSession();
+        return;
+      }
+      saveAuthSession(valid);
+      setSession(valid);
+      setStatus('signedIn');
+    } catch (error) {
+      console.warn('Could not validate the auth session:', error);
+      endSession();
+    }
+  }, [provider, endSession]);
+
+  React.useEffect(() => {
+    setStatus('checking');
+    revalidate(loadAuthSession());
+  }, [revalidate]);
+
+  React.useEffect(() => {
+    if (status !== 'signedIn' || !session) return undefined;
+    const delay = Math.min(Math.max(session.expiresAt - Date.now(), 0), MAX_TIMER_DELAY);
+    const timeout = window.setTimeout(() => revalidate(session), delay);
+    return () => window.clearTimeout(timeout);
+  }, [status, session, revalidate]);
+
+  React.useEffect(() => {
+    if (status !== 'granted') return undefined;
+    const timeout = window.setTimeout(() => setStatus('signedIn'), GRANTED_DELAY);
+    return () => window.clearTimeout(timeout);
+  }, [status]);
+
+  const signIn = React.useCallback(async (pin) => {
+    const signedIn = await provider.signIn(pin);
+    saveAuthSession(signedIn);
+    setSession(signedIn);
+    setStatus('granted');
+    return signedIn;
+  }, [provider]);
+
+  const signOut = React.useCallback(async () => {
+    const current = session;
+    endSession();
+    if (!current) return;
+    try {
+      await provider.signOut(current);
+    } catch (error) {
+      console.warn('Sign-out did not reach the auth server:', error);
+    }
+  }, [provider, session, endSession]);
+
+  const value = React.useMemo(() => ({
+    status,
+    session,
+    provider,
+    isAuthed: status === 'signedIn',
+    signIn,
+    signOut,
+  }), [status, session, provider, signIn, signOut]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+/**
+ * Authentication state from the nearest AuthProvider
+ */
+export const useAuth = () => {
+  const auth = React.useContext(AuthContext);
+  if (!auth) throw new Error('useAuth must be used inside an <AuthProvider>');
+  return auth;
+};
+
+export default AuthProvider;
@@ -1,42 +1,62 @@
 import React from 'react';
+import { useAuth } from './AuthProvider';
 
-const ACCESS_CODE = '11234';
-const MAX_LEN = ACCESS_CODE.length;
-
-const AuthScreen = ({ onAuth }) => {
+/**
+ * AuthScreen Component
+ *
+ * Keypad gate in front of the scene. The PIN is checked by the auth provider
+ * (see AuthProvider and utils/auth); nothing about it lives in the bundle.
+ *
+ * Features:
+ * - Typed or keypad entry, digits only, as long as the provider's PIN
+ * - Distinguishes a wrong PIN, a lockout after too many and an unreachable
+ *   auth server
+ * - Shows "Access granted" while the provider hands over to the scene
+ */
+const AuthScreen = () => {
+  const auth = useAuth();
+  const { pinLength } = auth.provider;
   const [code, setCode] = React.useState('');
-  const [status, setStatus] = React.useState('idle');
+  const [status, setStatus] = React.useState(auth.status === 'granted' ? 'success' : 'idle');
+  const [message, setMessage] = React.useState(null);
 
   const handleChange = (event) => {
-    const digitsOnly = event.target.value.replace(/[^0-9]/g, '').slice(0, MAX_LEN);
+    if (status === 'success' || status === 'checking') return;
+    const digitsOnly = event.target.value.replace(/[^0-9]/g, '').slice(0, pinLength);
     setCode(digitsOnly);
     if (status !== 'idle') {
       setStatus('idle');
     }
   };
 
-  const handleSubmit = (event) => {
+  const handleSubmit = async (event) => {
     event.preventDefault();
-    if (code === ACCESS_CODE) {
+    if (code.length < pinLength || status === 'checking' || status === 'success') return;
+    setStatus('checking');
+    try {
+      await auth.signIn(code);
       setStatus('success');
-      window.setTimeout(() => {
-        onAuth?.();
-      }, 450);
-    } else {
+    } catch (error) {
+      // A wrong PIN or a lockout is the user's to fix or wait out; anything
+      // else is the server's
+      if (error.lockedOut) setMessage('Too many attempts, try again shortly');
+      else setMessage(error.rejected ? null : 'Auth server unavailable. Try again shortly.');
+      if (!error.rejected && !error.lockedOut) console.warn('Sign-in failed:', error);
       setStatus('error');
+      setCode('');
     }
   };
 
   const handleKeyPress = (digit) => {
-    if (code.length >= MAX_LEN || status === 'success') return;
-    setCode((prev) => `${prev}${digit}`.slice(0, MAX_LEN));
+    if (code.length >= pinLength || status === 'success' || status === 'checking') return;
+    setCode((prev) => `${prev}${digit}`.slice(0, pinLength));
     if (status !== 'idle') {
       setStatus('idle');
     }
   };
 
   const handleBackspace = () => {
-    if (!code.length || status === 'success') return;
+    if (!code.length || status === 'success' || status === 'checking') return;
     setCode((prev) => prev.slice(0, -1));
     if (status !== 'idle') {
       setStatus('idle');
@@ -44,7 +64,7 @@ const AuthScreen = ({ onAuth }) => {
   };
 
   const handleClear = () => {
-    if (status === 'success') return;
+    if (status === 'success' || status === 'checking') return;
     setCode('');
     setStatus('idle');
   };
@@ -58,7 +78,7 @@ const AuthScreen = ({ onAuth }) => {
             <h1>Terrain Access</h1>
             <p>
               Authenticate to unlock live ridge telemetry, lift controls, and route
-              overlays. Secure gate requires the five-digit passcode.
+              overlays. Secure gate requires the {pinLength}-digit passcode.
             </p>
             <div className="auth-meta">
               <div>
@@ -70,8 +90,8 @@ const AuthScreen = ({ onAuth }) => {
                 <strong>Operator</strong>
               </div>
               <div>
-                <span>Hint</span>
-                <strong>11234</strong>
+                <span>Gate</span>
+                <strong>{auth.provider.label}</strong>
               </div>
             </div>
           </section>
@@ -85,20 +105,21 @@ const AuthScreen = ({ onAuth }) => {
                   inputMode="numeric"
                   autoComplete="one-time-code"
                   autoFocus
-                  placeholder="Enter 5 digits"
+                  placeholder={`Enter ${pinLength} digits`}
                   value={code}
                   onChange={handleChange}
-                  maxLength={MAX_LEN}
+                  maxLength={pinLength}
                 />
                 <button type="button" className="auth-clear" onClick={handleClear}>
                   Clear
                 </button>
               </div>
               <div className="auth-status" role="status" aria-live="polite">
-                {status === 'error' && 'Invalid code. Try again.'}
+                {status === 'checking' && 'Verifying...'}
+                {status === 'error' && (message || 'Invalid code. Try again.')}
                 {status === 'success' && 'Access granted. Syncing...'}
               </div>
-              <button className="auth-submit" type="submit" disabled={code.length < MAX_LEN}>
+              <button className="auth-submit" type="submit" disabled={code.length < pinLength || status === 'checking'}>
                 Authorize
               </button>
             </form>
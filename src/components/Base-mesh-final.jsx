@@ -3,31 +3,47 @@ Auto-generated by: https://github.com/pmndrs/gltfjsx
 Command: npx gltfjsx@6.5.3 base-mesh-final.glb 
 */
 
-import React, { useMemo } from 'react'
+import React, { useEffect, useMemo } from 'react'
 import * as THREE from 'three'
 import { useGLTF } from '@react-three/drei'
+import { bakeHeightGrid } from '../utils/heightfield'
+import terrainHeight from '../utils/terrainHeight'
 
 const PUBLIC_URL = process.env.PUBLIC_URL || ''
 
-export function Model({ onPointerMove, ...props }) {
+export function Model({ onPointerMove, onPointerDown, shadingMode = 'unlit', ...props }) {
   const { nodes, materials } = useGLTF(`${PUBLIC_URL}/final-base-1.1.glb`)
+  const lit = shadingMode === 'lit'
 
-  // Create MeshBasicMaterial that keeps any textures from the original material
-  const basicMaterial = useMemo(() => {
+  // Unlit keeps the flat MeshBasicMaterial look; lit shades the ground with
+  // the sun and lets it cast and receive terrain shadows. Both keep any
+  // textures from the original material.
+  const groundMaterial = useMemo(() => {
     const original = materials.grassGround_01
-    return new THREE.MeshBasicMaterial({
+    const parameters = {
       map: original?.map ?? null,
       color: original?.color ?? new THREE.Color(1, 1, 1),
       side: THREE.DoubleSide
-    })
-  }, [materials])
+    }
+    return lit ? new THREE.MeshLambertMaterial(parameters) : new THREE.MeshBasicMaterial(parameters)
+  }, [materials, lit])
+
+  useEffect(() => () => groundMaterial.dispose(), [groundMaterial])
+
+  // Bake the ground into a height grid once and register it, so height
+  // queries are lookups instead of raycasts against this mesh
+  const heightGrid = useMemo(() => bakeHeightGrid(nodes.Ground.geometry), [nodes])
+  useEffect(() => terrainHeight.register(heightGrid), [heightGrid])
 
   return (
     <group {...props} dispose={null}>
       <mesh 
         geometry={nodes.Ground.geometry} 
-        material={basicMaterial}
+        material={groundMaterial}
+        castShadow={lit}
+        receiveShadow={lit}
         onPointerMove={onPointerMove}
+        onPointerDown={onPointerDown}
       />
     </group>
   )
@@ -0,0 +1,69 @@
+import { useEffect } from "react";
+import { useKeyboardControls } from "@react-three/drei";
+import { useFrame, useThree } from "@react-three/fiber";
+import cameraRig from "../utils/cameraRig";
+import { readKeyboardDrive } from "../utils/driveInput";
+
+const MOUSE_SENSITIVITY = 0.002; // Radians of free-fly look per pixel
+
+/**
+ * CameraRig Component
+ *
+ * Drives the shared camera rig (utils/cameraRig) every frame. Render it after
+ * MovingSphere so the sphere has moved before the camera follows it.
+ *
+ * Features:
+ * - Modes: chase, orbit, map (top-down), free and flythrough, blending
+ *   smoothly when `mode` changes
+ * - Keeps the camera and its sight line above the terrain in every mode
+ * - Free-fly: click to lock the pointer and look around, WASD/arrows to fly
+ *   along the view, shift to go faster
+ * - Chase camera banks into turns unless `banking` is off
+ */
+const CameraRig = ({ mode = "chase", banking = true }) => {
+  const { camera, gl } = useThree();
+  const [, getKeys] = useKeyboardControls();
+
+  useEffect(() => {
+    cameraRig.setMode(mode);
+  }, [mode]);
+
+  useEffect(() => {
+    cameraRig.banking = banking;
+  }, [banking]);
+
+  // Pointer-lock mouse look, only while flying free
+  useEffect(() => {
+    if (mode !== "free") return undefined;
+    const canvas = gl.domElement;
+
+    const handleMouseMove = (event) => {
+      if (document.pointerLockElement !== canvas) return;
+      cameraRig.look(event.movementX * MOUSE_SENSITIVITY, event.movementY * MOUSE_SENSITIVITY);
+    };
+
+    const handleClick = () => {
+      if (document.pointerLockElement !== canvas) canvas.requestPointerLock?.();
+    };
+
+    canvas.addEventListener("mousemove", handleMouseMove);
+    canvas.addEventListener("click", handleClick);
+
+    return () => {
+      canvas.removeEventListener("mousemove", handleMouseMove);
+      canvas.removeEventListener("click", handleClick);
+      if (document.pointerLockElement === canvas) document.exitPointerLock();
+      cameraRig.setFreeMove({ x: 0, y: 0, boost: false });
+    };
+  }, [mode, gl]);
+
+  useFrame((state, delta) => {
+    if (mode === "free") cameraRig.setFreeMove(readKeyboardDrive(getKeys()));
+    cameraRig.update(camera, delta);
+  });
+
+  // No visual component needed - this is just a controller
+  return null;
+};
+
+export default CameraRig;
@@ -2,21 +2,49 @@ import React, { useRef, useEffect, useState, useMemo, useCallback } from "react"
 import * as THREE from "three";
 import { useLoader, useFrame } from "@react-three/fiber";
 import { Model } from "./Base-mesh-final";
+import HeightfieldTerrain from "./HeightfieldTerrain";
 import MovingSphere from "./MovingSphere";
+import CameraRig from "./CameraRig";
+import GrassTile from "./GrassTile";
+import GrassGroundTint from "./GrassGroundTint";
+import SunLight from "./SunLight";
+import {
+  tileKey,
+  createTileGrid,
+  partitionByTile,
+  tilesWithinRadius,
+  distanceToTile,
+  worldToGrassLocal,
+} from "../utils/grassTiles";
+import { DEFAULT_GRASS_LOD_PRESET, getGrassLodPreset, resolveStreamRadii, resolveTileLod } from "../utils/grassLod";
+import { decodeGrassInstances, GrassInstanceFormatError } from "../utils/grassInstanceFormat";
+import { createRandom } from "../utils/random";
+import { loadPointCloudImage } from "../utils/pointCloudImage";
+import { BladeShapeLoader } from "../utils/bladeShapes";
+import { loadGrassBiomes } from "../utils/grassBiomes";
+import { loadObstacles } from "../utils/obstacles";
+import TrampleMap from "../utils/trampleMap";
+import WindField, { WIND_SHADER } from "../utils/windField";
+import { DEFAULT_GRASS_SETTINGS } from "../utils/grassSettings";
+import terrainHeight from "../utils/terrainHeight";
+import { createNavGrid, pisteTestFromBiomes } from "../utils/navigation";
 
 const PUBLIC_URL = process.env.PUBLIC_URL || "";
 
 // Performance-optimized constants
-const NEEDS_NORMALIZE = false;
-const TEXTURE_COUNT = 4;
-const REDUCED_INSTANCE_COUNT = 400000; // Balanced for good coverage and performance
+const MAX_TILE_INSTANCES = 60000; // Per-tile budget, sampled evenly when a tile holds more
 
-// Wave optimization constants - tuned for performance
-const DEFAULT_WAVE_STRENGTH = 0.03; // Reduced for better performance
-const DEFAULT_WAVE_SPEED = 1.2; // Slightly reduced
-const DEFAULT_WAVE_SCALE = 1.8; // Optimized scale
+// Tile streaming constants (local terrain units)
+const DEFAULT_TILE_SIZE = 25; // Terrain is ~200 units across, so an 8x8 grid
+const MAX_CONCURRENT_TILE_LOADS = 4;
+const STREAM_CHECK_FREQUENCY = 15; // Re-evaluate resident tiles every N frames
+const TILE_RETRY_DELAY = 2000; // ms before a failed tile is requested again, doubled per failure
+const MAX_TILE_RETRY_DELAY = 60000;
 
+const DEFAULT_WIND_BEND = 0.5; // Blade tip lean per unit of wind
 const UPDATE_FREQUENCY = 2; // Update every N frames
+const MIN_STAMP_DISTANCE = 0.02; // Sphere movement below this isn't stamped into the trample map
+const BLADE_CARD_SIZE = DEFAULT_GRASS_SETTINGS.planeSize; // Geometry size; settings.planeSize scales it in the shader
 
 /**
  * Heavily optimized noise functions for wavy effect
@@ -84,141 +112,541 @@ const NOISE_SHADER = `
   }
 `;
 
+// Lit shading defaults
+const DEFAULT_TRANSLUCENCY = 0.6; // Strength of sunlight glowing through back-lit blades
+const DEFAULT_ROOT_OCCLUSION = 0.45; // Light left at blade roots (1 = no occlusion)
+const DEFAULT_NORMAL_UP_BLEND = 0.6; // Bend blade normals towards up so the field shades as one surface
+
+const LIT_GRASS_UNIFORMS = `
+  uniform float translucency;
+  uniform float rootOcclusion;
+  uniform float normalUpBlend;
+`;
+
+/**
+ * Stylised lighting for the lit grass mode (MeshLambertMaterial)
+ *
+ * - Blade normals lean towards world up so thin cards light like a lawn
+ *   rather than flickering with every blade's facing
+ * - Back-lit blades pick up translucent sun colour when looking into the sun
+ * - Blade roots are darkened as cheap ambient occlusion
+ */
+const injectLitGrassShading = (fragmentShader) => fragmentShader
+  .replace(
+    "#include <normal_fragment_maps>",
+    `
+      #include <normal_fragment_maps>
+      vec3 upView = normalize((viewMatrix * vec4(0.0, 1.0, 0.0, 0.0)).xyz);
+      normal = normalize(mix(normal, upView, normalUpBlend));
+    `
+  )
+  .replace(
+    "#include <lights_fragment_end>",
+    `
+      #include <lights_fragment_end>
+
+      #if NUM_DIR_LIGHTS > 0
+        vec3 toCamera = normalize(vViewPosition);
+        float backLit = pow(saturate(dot(-toCamera, directionalLights[0].direction)), 4.0);
+        reflectedLight.directDiffuse += diffuseColor.rgb * directionalLights[0].color * backLit * translucency;
+      #endif
+
+      float rootAo = mix(rootOcclusion, 1.0, smoothstep(0.0, 0.45, vUv.y));
+      reflectedLight.indirectDiffuse *= rootAo;
+      reflectedLight.directDiffuse *= mix(1.0, rootAo, 0.5);
+    `
+  );
+
+// Fetch and validate a packed grass instance file, failing loudly on HTTP errors
+const fetchGrassInstances = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new GrassInstanceFormatError(`HTTP ${response.status}`, url);
+  }
+  return decodeGrassInstances(await response.arrayBuffer(), url);
+};
+
+// Load the optional tile manifest; resolves null when there isn't one
+const fetchTileManifest = async (manifestUrl) => {
+  if (!manifestUrl) return null;
+  try {
+    const response = await fetch(manifestUrl);
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (error) {
+    // Dev servers answer unknown paths with index.html, which isn't JSON
+    return null;
+  }
+};
+
+// Resolve a tile file path relative to the manifest location
+const resolveTileUrl = (manifestUrl, path) =>
+  new URL(path, new URL(manifestUrl, window.location.href)).toString();
+
+/**
+ * Build the GPU-ready data for one tile
+ *
+ * @param {string} key - Tile key
+ * @param {object} source - Decoded grass instance file (see grassInstanceFormat)
+ * @param {Uint32Array|null} indices - Source instance indices in this tile, or null for all
+ * @param {object} options
+ * @param {number} options.maxCount - Per-tile instance budget
+ * @param {string|number} options.seed - Scene seed; each tile derives its own
+ *   stream so the result doesn't depend on the order tiles stream in
+ * @param {number} options.shapeCount - Number of blade shape layers to pick from
+ * @param {object|null} options.biomes - Region classifier from grassBiomes, or null
+ */
+const buildTileInstances = (key, source, indices, { maxCount, seed, shapeCount, biomes }) => {
+  const random = createRandom(`${seed}:grass:${key}`);
+  const { positions, rotations, scales, colors, textureIndices } = source;
+
+  // Classify every blade and drop the ones its region thins out
+  let candidates = indices;
+  let candidateRegions = null;
+  if (biomes) {
+    const total = indices ? indices.length : Math.floor(positions.length / 3);
+    const kept = new Uint32Array(total);
+    candidateRegions = [];
+    for (let n = 0; n < total; n++) {
+      const sourceIndex = indices ? indices[n] : n;
+      const s3 = sourceIndex * 3;
+      const region = biomes.classify(positions[s3], positions[s3 + 1], positions[s3 + 2]);
+      if (region.density < 1 && random() >= region.density) continue;
+      kept[candidateRegions.length] = sourceIndex;
+      candidateRegions.push(region);
+    }
+    candidates = kept.subarray(0, candidateRegions.length);
+  }
+
+  const available = candidates ? candidates.length : Math.floor(positions.length / 3);
+  const count = Math.min(available, maxCount);
+
+  // If the tile holds more blades than the budget, sample evenly instead of truncating
+  const useSmartSampling = available > count;
+
+  const matrices = new Float32Array(count * 16);
+  const instColors = new Float32Array(count * 3);
+  const texIdxArr = new Float32Array(count);
+  const tmpObject = new THREE.Object3D();
+
+  // Shuffle the output slots so any prefix of the tile is an even spatial
+  // subset - LOD thinning just draws fewer instances
+  const slots = new Uint32Array(count);
+  for (let i = 0; i < count; i++) slots[i] = i;
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const tmp = slots[i];
+    slots[i] = slots[j];
+    slots[j] = tmp;
+  }
+
+  for (let n = 0; n < count; n++) {
+    const sample = useSmartSampling ? Math.floor((n / count) * available) : n;
+    const sourceIndex = candidates ? candidates[sample] : sample;
+    const region = candidateRegions ? candidateRegions[sample] : null;
+    const sourceI3 = sourceIndex * 3;
+    const i = slots[n];
+    const i3 = i * 3;
+
+    // Transform data with better variation for natural look
+    tmpObject.position.set(
+      positions[sourceI3],
+      positions[sourceI3 + 1],
+      positions[sourceI3 + 2]
+    );
+    tmpObject.rotation.set(
+      rotations[sourceI3] + 0.5 * random(),
+      rotations[sourceI3 + 1] * random(),
+      rotations[sourceI3 + 2] - 1 + 0.5 * random()
+    );
+    // Blade height is the plane's local Y; regions can stretch or squash it
+    const heightScale = region ? region.height[0] + random() * (region.height[1] - region.height[0]) : 1;
+    tmpObject.scale.set(
+      scales[sourceI3] * (0.8 + random() * 0.4),
+      scales[sourceI3 + 1] * (0.9 + random() * 0.2) * heightScale,
+      scales[sourceI3 + 2] * (0.8 + random() * 0.4)
+    );
+    tmpObject.updateMatrix();
+    tmpObject.matrix.toArray(matrices, i * 16);
+
+    // Color data with slight variation for natural look
+    let r = colors[sourceI3];
+    let g = colors[sourceI3 + 1];
+    let b = colors[sourceI3 + 2];
+
+    // Blend towards the region tint
+    if (region?.tint) {
+      const t = region.tintStrength;
+      r += (region.tint[0] - r) * t;
+      g += (region.tint[1] - g) * t;
+      b += (region.tint[2] - b) * t;
+    }
+
+    // Add subtle color variation for more natural grass
+    const colorVar = 0.1;
+    r = Math.max(0, Math.min(1, r + (random() - 0.5) * colorVar));
+    g = Math.max(0, Math.min(1, g + (random() - 0.5) * colorVar));
+    b = Math.max(0, Math.min(1, b + (random() - 0.5) * colorVar));
+
+    instColors[i3] = r;
+    instColors[i3 + 1] = g;
+    instColors[i3 + 2] = b;
+
+    // Region blade sets win, then baked shapes; otherwise pick one at random
+    if (region?.shapes) {
+      texIdxArr[i] = Math.min(region.shapes[Math.floor(random() * region.shapes.length)], shapeCount - 1);
+    } else {
+      texIdxArr[i] = textureIndices
+        ? Math.min(textureIndices[sourceIndex], shapeCount - 1)
+        : Math.floor(random() * shapeCount);
+    }
+  }
+
+  return { key, count, matrices, colors: instColors, textureIndices: texIdxArr };
+};
+
+/**
+ * Build the tile index for a streamed map described by a manifest
+ *
+ * Manifest shape:
+ *   { tileSize, bounds: { minX, minY, maxX, maxY },
+ *     tiles: [{ col, row, url, count }] }
+ * Each tile `url` is a packed grass instance file relative to the manifest;
+ * `count` is optional and, when present, must match the file header.
+ */
+const createManifestTileIndex = (manifest, manifestUrl, tileOptions) => {
+  const grid = createTileGrid(manifest.bounds, manifest.tileSize);
+  const tiles = new Map();
+
+  manifest.tiles.forEach((entry) => {
+    const key = tileKey(entry.col, entry.row);
+    tiles.set(key, {
+      key,
+      col: entry.col,
+      row: entry.row,
+      load: async () => {
+        const url = resolveTileUrl(manifestUrl, entry.url);
+        const source = await fetchGrassInstances(url);
+        if (entry.count !== undefined && entry.count !== source.count) {
+          throw new GrassInstanceFormatError(
+            `manifest lists ${entry.count} instances for tile ${key} but the file holds ${source.count}`,
+            url
+          );
+        }
+        return buildTileInstances(key, source, null, tileOptions);
+      },
+    });
+  });
+
+  return { grid, tiles };
+};
+
+/**
+ * Build the tile index for instances that are already fully in memory
+ * (a single, unsplit instance file or a PNG-encoded point cloud)
+ *
+ * The source is bucketed into tiles once; only the per-tile GPU data is
+ * streamed in and out.
+ */
+const createSourceTileIndex = (source, tileSize, tileOptions) => {
+  const { positions, bounds } = source;
+
+  const grid = createTileGrid({
+    minX: bounds.min[0],
+    minY: bounds.min[1],
+    maxX: bounds.max[0],
+    maxY: bounds.max[1],
+  }, tileSize);
+  const tiles = new Map();
+
+  partitionByTile(positions, grid).forEach((indices, key) => {
+    const [col, row] = key.split("_").map(Number);
+    tiles.set(key, {
+      key,
+      col,
+      row,
+      load: async () => buildTileInstances(key, source, indices, tileOptions),
+    });
+  });
+
+  return { grid, tiles };
+};
+
+/**
+ * PlaneInstancerWithColor Component
+ *
+ * Features:
+ * - Grass split into a spatial grid of tiles, each its own frustum-culled InstancedMesh
+ * - Tiles stream in around the camera and are released once it moves away;
+ *   empty tiles are remembered and failed ones retried with a backoff
+ * - Distance-based LOD per tile: full blades near the camera, thinned wider
+ *   cards at mid range, sparse impostor cards and then a grass-coloured
+ *   ground tint out to the streaming edge (see grassLod presets and
+ *   GrassGroundTint). LOD, streaming and GPU culling all measure across the
+ *   ground from the camera, and the streaming radii follow the LOD preset
+ * - Streams per-tile files from a manifest when one is published, otherwise
+ *   buckets a single packed instance file (or a PNG point cloud) in memory
+ * - Shared bending/trail shader across every tile; blade shapes come from a
+ *   texture array listed in a manifest, so any number of shapes can be used
+ * - Blades lean with the global wind field shared with particles and ribbons
+ * - Trails live in a GPU trample map that actors paint into and that decays
+ *   over time, so paths are unbounded at constant per-vertex cost. The sphere
+ *   stamps it here; pass a shared map as `trample` and other actors can too
+ * - Optional GPU frustum/distance culling and compaction per tile (WebGL2)
+ * - Switchable shading: the flat unlit look, or lit with a sun, blade
+ *   translucency, terrain shadows and root occlusion
+ * - Biome regions (mask image + elevation) pick blade sets, tint, height and
+ *   density per blade (see grassBiomes)
+ * - Wave, bend, trail and blade size tunables (see grassSettings) are pushed
+ *   to the uniforms every frame, so they can be edited live
+ * - Ground is either the exported GLB or a terrain built at runtime from the
+ *   heightmap (`terrain` prop, see HeightfieldTerrain)
+ * - In navigate input mode, builds the sphere's navigation grid from the
+ *   active ground's slopes and the biomes' piste regions (see navigation)
+ */
 export default function PlaneInstancerWithColor({
-  posBin = `${PUBLIC_URL}/positions.bin`,
-  rotBin = `${PUBLIC_URL}/rotations.bin`,
-  sclBin = `${PUBLIC_URL}/scales.bin`,
-  colorBin = `${PUBLIC_URL}/colors.bin`,
-  instanceCount = undefined,
-  planeSize = 2.2, // Increased size for better grass coverage
+  manifestUrl = `${PUBLIC_URL}/grass/manifest.json`,
+  instanceUrl = `${PUBLIC_URL}/grass/instances.grass.bin`,
+  pointCloudUrl = null, // Sidecar JSON of a PNG-encoded point cloud, used instead of the files above
+  bladeShapesUrl = `${PUBLIC_URL}/blade-shapes.json`, // Manifest listing the blade alpha maps
+  biomesUrl = `${PUBLIC_URL}/grass-biomes.json`, // Region rules for blade sets, tint, height and density; null for uniform grass
+  tileSize = DEFAULT_TILE_SIZE, // Only used for a single instance file; manifests carry their own
+  loadRadius = null, // Tiles closer than this to the camera are streamed in; null derives it from the LOD preset
+  unloadRadius = null, // Tiles further than this are released; null derives it from the LOD preset
+  maxTileInstances = MAX_TILE_INSTANCES,
+  lodPreset = DEFAULT_GRASS_LOD_PRESET, // Preset name from GRASS_LOD_PRESETS or a custom preset object
+  cameraMode = 'chase', // See utils/cameraRig CAMERA_MODES
+  inputMode = 'pointer', // 'pointer' follows the cursor, 'drive'/'joystick' steer with keyboard/gamepad/touch stick, 'navigate' routes to clicks
+  physics = false, // Rapier rigid-body sphere (see SpherePhysics)
+  obstaclesUrl = `${PUBLIC_URL}/lift-towers.json`, // Physics obstacles such as lift towers (see utils/obstacles); null for none
+  terrain = 'glb', // 'glb' for the exported mesh, 'heightfield' to build it from the heightmap at runtime
+  settings = DEFAULT_GRASS_SETTINGS, // Live tunables from grassSettings; changes never recompile the material
+  shadingMode = 'unlit', // 'lit' for sun, translucency, terrain shadows and root AO; 'unlit' for the flat look
   castShadow = false,
-  receiveShadow = false,
+  receiveShadow = shadingMode === 'lit', // Lit grass picks up terrain shadows unless told otherwise
   onSphereMove = null, // Callback for sphere movement
   ribbonMode = 'both', // Ribbon effect mode
+  seed = 0, // Scene seed for blade jitter, colour variation and shapes
+  gpuCulling = true, // Cull and compact instances on the GPU (WebGL2), CPU tile culling otherwise
+  wind = null, // Shared WindField; grass makes its own when not given one
+  trample = null, // Shared TrampleMap other actors stamp into; grass makes its own when not given one
 }) {
-  const meshRef = useRef();
   const shaderRef = useRef();
-  const [transforms, setTransforms] = useState(null);
-  const [instanceColorArray, setInstanceColorArray] = useState(null);
-  const [textureIndexArray, setTextureIndexArray] = useState(null);
-
-  // Load textures with memoized array to prevent unnecessary re-renders
-  const textures = useMemo(() => [
-    `${PUBLIC_URL}/alpha-map.png`,
-    `${PUBLIC_URL}/alpha-map1.png`, 
-    `${PUBLIC_URL}/alpha-map2.png`,
-    `${PUBLIC_URL}/alpha-map3.png`
-  ], []);
-  
-  const [alphaMap, alphaMap1, alphaMap2, alphaMap3] = useLoader(THREE.TextureLoader, textures);
+  const [tileIndex, setTileIndex] = useState(null);
+
+  // Resident tiles live in a ref so the frame loop can read them; the version
+  // counter only exists to re-render when the set changes
+  const residentTilesRef = useRef(new Map());
+  const pendingTilesRef = useRef(new Set());
+  // Tiles that loaded with no blades are never asked for again; failed ones
+  // back off (key -> { failures, retryAt })
+  const emptyTilesRef = useRef(new Set());
+  const failedTilesRef = useRef(new Map());
+  const tileLodsRef = useRef(new Map());
+  const [, setResidentVersion] = useState(0);
+
+  const lod = useMemo(() => getGrassLodPreset(lodPreset), [lodPreset]);
+  const lit = shadingMode === 'lit';
+  const Terrain = terrain === 'heightfield' ? HeightfieldTerrain : Model;
+
+  // World-space trample map the sphere paints its path into. Other actors
+  // only call `stamp()` on a shared one; the grass advances it every frame.
+  const trampleMap = useMemo(() => trample ?? new TrampleMap(), [trample]);
+  useEffect(() => () => {
+    if (!trample) trampleMap.dispose();
+  }, [trample, trampleMap]);
+
+  // Latest tunables for the frame loop and the material's initial uniforms
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
+
+  // Shared wind from the app, or a private default field when rendered alone
+  const windField = useMemo(() => wind ?? new WindField(), [wind]);
+
+  // Blade alphas as one texture array; each instance picks a layer by aTextureIndex
+  const bladeShapes = useLoader(BladeShapeLoader, bladeShapesUrl);
   const normalMap = useLoader(THREE.TextureLoader, `${PUBLIC_URL}/normal-map.png`);
 
-  // Memoized fetch function to avoid recreation
-  const fetchBinaryData = useCallback(async () => {
-    const [posBuf, rotBuf, sclBuf, colBuf] = await Promise.all([
-      fetch(posBin).then((r) => r.arrayBuffer()),
-      fetch(rotBin).then((r) => r.arrayBuffer()),
-      fetch(sclBin).then((r) => r.arrayBuffer()),
-      fetch(colorBin).then((r) => r.arrayBuffer()),
-    ]);
-
-    const positions = new Float32Array(posBuf);
-    const rotations = new Float32Array(rotBuf);
-    const scales = new Float32Array(sclBuf);
-    const colors = new Float32Array(colBuf);
-
-    const inferredCount = Math.floor(positions.length / 3);
-    // Smart instance limiting - ensure good coverage while maintaining performance
-    let maxCount = Math.min(inferredCount, REDUCED_INSTANCE_COUNT);
-    
-    // If we have a lot of data, use sampling instead of just truncating
-    const useSmartSampling = inferredCount > REDUCED_INSTANCE_COUNT;
-    const count = instanceCount ? Math.min(instanceCount, maxCount) : maxCount;
-    
-    // Pre-allocate arrays for better performance
-    const instColors = new Float32Array(count * 3);
-    const texIdxArr = new Float32Array(count);
-    const transformArray = new Array(count);
-
-    // Smart sampling for even grass distribution
-    for (let i = 0; i < count; i++) {
-      // Use smart sampling if we have more data than our limit
-      let sourceIndex = i;
-      if (useSmartSampling) {
-        // Distribute sampling evenly across the entire dataset
-        sourceIndex = Math.floor((i / count) * inferredCount);
-      }
-      
-      const sourceI3 = sourceIndex * 3;
-      const i3 = i * 3;
-      
-      // Transform data with better variation for natural look
-      transformArray[i] = {
-        position: [
-          positions[sourceI3] ?? 0, 
-          positions[sourceI3 + 1] ?? 0, 
-          positions[sourceI3 + 2] ?? 0
-        ],
-        rotation: [
-          rotations[i3] + 0.5 * Math.random(), 
-          rotations[i3 + 1] * Math.random(), 
-          rotations[i3 + 2] - 1 + 0.5 * Math.random()
-        ],
-        scale: [
-          (scales[sourceI3] ?? 1) * (0.8 + Math.random() * 0.4), 
-          (scales[sourceI3 + 1] ?? 1) * (0.9 + Math.random() * 0.2), 
-          (scales[sourceI3 + 2] ?? 1) * (0.8 + Math.random() * 0.4)
-        ],
-      };
-
-      // Color data with slight variation for natural look
-      let r = (colors[sourceI3] ?? 0);
-      let g = (colors[sourceI3 + 1] ?? 0);
-      let b = (colors[sourceI3 + 2] ?? 0);
-      
-      if (NEEDS_NORMALIZE) {
-        r /= 255;
-        g /= 255;
-        b /= 255;
-      }
-      
-      // Add subtle color variation for more natural grass
-      const colorVar = 0.1;
-      r = Math.max(0, Math.min(1, r + (Math.random() - 0.5) * colorVar));
-      g = Math.max(0, Math.min(1, g + (Math.random() - 0.5) * colorVar));
-      b = Math.max(0, Math.min(1, b + (Math.random() - 0.5) * colorVar));
-      
-      instColors[i3] = r;
-      instColors[i3 + 1] = g;
-      instColors[i3 + 2] = b;
+  // Biome regions for the grass tiles and the navigation grid's pistes;
+  // undefined while loading, null for uniform grass
+  const [biomes, setBiomes] = useState(undefined);
+  useEffect(() => {
+    let mounted = true;
+    setBiomes(undefined);
 
-      texIdxArr[i] = Math.floor(Math.random() * TEXTURE_COUNT);
-    }
+    // A broken biome config shouldn't take the grass down with it
+    const load = biomesUrl
+      ? loadGrassBiomes(biomesUrl).catch((error) => {
+        console.warn('Grass biomes unavailable, using uniform grass:', error);
+        return null;
+      })
+      : Promise.resolve(null);
+    load.then((loaded) => {
+      if (mounted) setBiomes(loaded);
+    });
 
-    return { transformArray, instColors, texIdxArr };
-  }, [posBin, rotBin, sclBin, colorBin, instanceCount]);
+    return () => { mounted = false; };
+  }, [biomesUrl]);
 
-  // Load transform/color data
+  // Lift towers and the like for the physics sphere to bounce off
+  const [obstacles, setObstacles] = useState([]);
   useEffect(() => {
     let mounted = true;
-    
-    fetchBinaryData().then(({ transformArray, instColors, texIdxArr }) => {
+    setObstacles([]);
+    if (!obstaclesUrl) return undefined;
+
+    loadObstacles(obstaclesUrl).then((loaded) => {
+      if (mounted) setObstacles(loaded);
+    }).catch((error) => {
+      console.warn('Physics obstacles unavailable:', error);
+    });
+
+    return () => { mounted = false; };
+  }, [obstaclesUrl]);
+
+  // Navigation grid over whichever ground is active, only built when routing
+  const [ground, setGround] = useState(terrainHeight.active);
+  useEffect(() => {
+    setGround(terrainHeight.active);
+    return terrainHeight.subscribe(setGround);
+  }, []);
+  const navGrid = useMemo(() => {
+    if (inputMode !== 'navigate' || !ground) return null;
+    const isPiste = biomes ? pisteTestFromBiomes(biomes, (x, z) => ground.getHeightAt(x, z)) : null;
+    return createNavGrid(ground, { isPiste });
+  }, [inputMode, ground, biomes]);
+
+  // Build the tile index: an explicit point cloud wins, then a manifest,
+  // then a single instance file
+  useEffect(() => {
+    if (biomes === undefined) return undefined;
+    let mounted = true;
+
+    const createTileIndex = async () => {
+      const tileOptions = { maxCount: maxTileInstances, seed, shapeCount: bladeShapes.count, biomes };
+
+      if (pointCloudUrl) {
+        const source = await loadPointCloudImage(pointCloudUrl);
+        return createSourceTileIndex(source, tileSize, tileOptions);
+      }
+
+      const manifest = await fetchTileManifest(manifestUrl);
+      if (manifest) {
+        return createManifestTileIndex(manifest, manifestUrl, tileOptions);
+      }
+
+      const source = await fetchGrassInstances(instanceUrl);
+      return createSourceTileIndex(source, tileSize, tileOptions);
+    };
+
+    createTileIndex().then((index) => {
       if (!mounted) return;
-      
-      setTransforms(transformArray);
-      setInstanceColorArray(instColors);
-      setTextureIndexArray(texIdxArr);
+
+      residentTilesRef.current = new Map();
+      pendingTilesRef.current = new Set();
+      emptyTilesRef.current = new Set();
+      failedTilesRef.current = new Map();
+      tileLodsRef.current = new Map();
+      setTileIndex(index);
     }).catch(console.error);
 
     return () => { mounted = false; };
-  }, [fetchBinaryData]);
+  }, [manifestUrl, instanceUrl, pointCloudUrl, biomes, tileSize, maxTileInstances, seed, bladeShapes.count]);
+
+  // Stream tiles in and out around the camera
+  const updateStreaming = useCallback((cameraPosition) => {
+    if (!tileIndex) return;
+
+    const { grid, tiles } = tileIndex;
+    const radii = resolveStreamRadii(lod, grid.tileSize);
+    const load = loadRadius ?? radii.loadRadius;
+    const unload = unloadRadius ?? Math.max(radii.unloadRadius, load);
+    const [x, y] = worldToGrassLocal(cameraPosition);
+    const resident = residentTilesRef.current;
+    const pending = pendingTilesRef.current;
+    const empty = emptyTilesRef.current;
+    const failed = failedTilesRef.current;
+    const now = Date.now();
+    const tileLods = tileLodsRef.current;
+    let changed = false;
+
+    // Release tiles that fell outside the unload radius (hysteresis avoids thrashing),
+    // and refresh the LOD of the ones that stay
+    resident.forEach((tile, key) => {
+      const { col, row } = tiles.get(key);
+      const distance = distanceToTile(grid, col, row, x, y);
+      if (distance > unload) {
+        resident.delete(key);
+        tileLods.delete(key);
+        changed = true;
+        return;
+      }
+
+      const next = resolveTileLod(lod, distance);
+      const current = tileLods.get(key);
+      if (!current || current.level !== next.level || current.density !== next.density || current.tint !== next.tint) {
+        tileLods.set(key, next);
+        changed = true;
+      }
+    });
+
+    // Request the nearest missing tiles first
+    const wanted = tilesWithinRadius(grid, x, y, load)
+      .filter((key) => tiles.has(key) && !resident.has(key) && !pending.has(key) && !empty.has(key)
+        && !(failed.get(key)?.retryAt > now))
+      .map((key) => tiles.get(key))
+      .sort((a, b) => distanceToTile(grid, a.col, a.row, x, y) - distanceToTile(grid, b.col, b.row, x, y));
+
+    for (const tile of wanted) {
+      if (pending.size >= MAX_CONCURRENT_TILE_LOADS) break;
 
-  // Memoized geometry
-  const geometry = useMemo(() => new THREE.PlaneGeometry(planeSize, planeSize), [planeSize]);
+      pending.add(tile.key);
+      tile.load().then((data) => {
+        // Ignore loads that finish after the index was replaced
+        if (pendingTilesRef.current !== pending) return;
+        pending.delete(tile.key);
+        failed.delete(tile.key);
+        if (data.count === 0) {
+          empty.add(tile.key);
+          return;
+        }
+        tileLods.set(tile.key, resolveTileLod(lod, distanceToTile(grid, tile.col, tile.row, x, y)));
+        resident.set(tile.key, data);
+        setResidentVersion((v) => v + 1);
+      }).catch((error) => {
+        if (pendingTilesRef.current !== pending) return;
+        pending.delete(tile.key);
+        const failures = (failed.get(tile.key)?.failures ?? 0) + 1;
+        const delay = Math.min(TILE_RETRY_DELAY * 2 ** (failures - 1), MAX_TILE_RETRY_DELAY);
+        failed.set(tile.key, { failures, retryAt: Date.now() + delay });
+        console.error(`Grass tile ${tile.key} failed to load (attempt ${failures}), retrying in ${delay / 1000}s:`, error);
+      });
+    }
+
+    if (changed) {
+      setResidentVersion((v) => v + 1);
+    }
+  }, [tileIndex, loadRadius, unloadRadius, lod]);
+
+  // Memoized blade geometry per LOD level (mid/far levels are widened cards)
+  const lodGeometries = useMemo(() => lod.levels.map(({ widthScale = 1, heightScale = 1 }) =>
+    new THREE.PlaneGeometry(BLADE_CARD_SIZE * widthScale, BLADE_CARD_SIZE * heightScale)
+  ), [lod]);
+
+  useEffect(() => () => lodGeometries.forEach((geo) => geo.dispose()), [lodGeometries]);
+
+  // GPU culling bounds: the largest card's half-diagonal plus room for bending,
+  // and nothing past the furthest LOD band
+  const bladeRadius = useMemo(() => Math.max(...lod.levels.map(({ widthScale = 1, heightScale = 1 }) =>
+    settings.planeSize * Math.hypot(widthScale, heightScale) * 0.5
+  )) + 0.5, [lod, settings.planeSize]);
+  const gpuCullDistance = lod.levels[lod.levels.length - 1].maxDistance;
 
   // Memoized material with optimized shader
   const material = useMemo(() => {
-    const mat = new THREE.MeshBasicMaterial({
+    // Unlit keeps the original flat look; lit goes through the scene lights
+    const GrassMaterial = lit ? THREE.MeshLambertMaterial : THREE.MeshBasicMaterial;
+    const mat = new GrassMaterial({
       side: THREE.DoubleSide,
       vertexColors: true,
       transparent: false,
@@ -231,30 +659,37 @@ export default function PlaneInstancerWithColor({
             shaderRef.current = shader;
 
       // Add uniforms efficiently with wave parameters and grass bending
+      const tunables = settingsRef.current;
       Object.assign(shader.uniforms, {
-        alphaMap: { value: alphaMap },
-        alphaMap1: { value: alphaMap1 },
-        alphaMap2: { value: alphaMap2 },
-        alphaMap3: { value: alphaMap3 },
+        bladeShapes: { value: bladeShapes.texture },
         time: { value: 0 },
         cameraPos: { value: new THREE.Vector3() },
         spherePos: { value: new THREE.Vector3() },
-        waveStrength: { value: DEFAULT_WAVE_STRENGTH },
-        waveSpeed: { value: DEFAULT_WAVE_SPEED },
-        waveScale: { value: DEFAULT_WAVE_SCALE },
-        bendRadius: { value: 4.0 },
-        bendStrength: { value: .6 },
+        waveStrength: { value: tunables.waveStrength },
+        waveSpeed: { value: tunables.waveSpeed },
+        waveScale: { value: tunables.waveScale },
+        bendRadius: { value: tunables.bendRadius },
+        bendStrength: { value: tunables.bendStrength },
+        bladeScale: { value: tunables.planeSize / BLADE_CARD_SIZE },
         // Trail system uniforms
-        trailPositions: { value: new Float32Array(60) }, // 20 positions * 3 components
-        trailTimes: { value: new Float32Array(20) }, // Time when each trail point was created
-        trailCount: { value: 0 },
+        trampleMap: { value: trampleMap.texture },
+        trampleBounds: { value: trampleMap.bounds }, // minX, minZ, 1 / worldSize
+        trailRecoveryTime: { value: tunables.trailRecoveryTime },
         currentTime: { value: 0.0 },
-        trailRecoveryTime: { value: 3.0 }, // Time for grass to fully recover
         // Smooth animation uniforms
-        bendingSpeed: { value: .90 }, // How fast grass transitions to bend positions
-        deltaTime: { value: 0.00096 } // Frame delta time for smooth interpolation
+        bendingSpeed: { value: tunables.bendingSpeed }, // Trampled grass leans into the trail over 1 / bendingSpeed seconds
+        deltaTime: { value: 0.00096 }, // Frame delta time for smooth interpolation
+        // Global wind (shared uniform objects, updated by the wind field)
+        ...windField.uniforms,
+        windBend: { value: DEFAULT_WIND_BEND },
+        // Lit mode only
+        translucency: { value: DEFAULT_TRANSLUCENCY },
+        rootOcclusion: { value: DEFAULT_ROOT_OCCLUSION },
+        normalUpBlend: { value: DEFAULT_NORMAL_UP_BLEND },
       });
 
+      const fragmentShader = lit ? injectLitGrassShading(shader.fragmentShader) : shader.fragmentShader;
+
       shader.vertexShader = `
   attribute float aTextureIndex;
   varying float vTextureIndex;
@@ -264,25 +699,28 @@ export default function PlaneInstancerWithColor({
   uniform vec3 spherePos;
   uniform float bendRadius;
   uniform float bendStrength;
+  uniform float bladeScale;
   // Trail system uniforms
-  uniform float trailPositions[60]; // Array of vec3 positions flattened
-  uniform float trailTimes[20];
-  uniform float trailCount;
-  uniform float currentTime;
+  uniform sampler2D trampleMap;
+  uniform vec3 trampleBounds;
   uniform float trailRecoveryTime;
+  uniform float currentTime;
   uniform float bendingSpeed;
   uniform float deltaTime;
+  uniform float windBend;
+  ${WIND_SHADER}
 
   ${shader.vertexShader.replace(
     "#include <begin_vertex>",
     `
       #include <begin_vertex>
+      transformed *= bladeScale;
 
       vTextureIndex = aTextureIndex;
       vUv = uv;
 
       vec3 sPos = spherePos;
-      vec3 gPos = (modelMatrix * instanceMatrix * vec4(position, 1.0)).xyz;
+      vec3 gPos = (modelMatrix * instanceMatrix * vec4(transformed, 1.0)).xyz;
 
       // Calculate TARGET bending (what the grass wants to bend to)
       vec2 targetBend = vec2(0.0);
@@ -305,52 +743,37 @@ export default function PlaneInstancerWithColor({
         targetIntensity = max(targetIntensity, influence);
       }
 
-      // Trail positions effect (decaying over time)
-      for (int i = 0; i < 20; i++) {
-        if (float(i) >= trailCount) break;
-        
-        // Get trail position (flattened array: x,y,z,x,y,z,...)
-        int baseIndex = i * 3;
-        vec3 trailPos = vec3(
-          trailPositions[baseIndex], 
-          trailPositions[baseIndex + 1], 
-          trailPositions[baseIndex + 2]
-        );
-        
-        // Calculate time-based decay with natural grass recovery easing
-        float age = currentTime - trailTimes[i];
-        float normalizedAge = clamp(age / trailRecoveryTime, 0.0, 1.0);
-        // Elastic ease-out: grass springs back naturally then settles
-        float decay = 1.0 - (normalizedAge * normalizedAge * normalizedAge * (normalizedAge * (normalizedAge * 6.0 - 15.0) + 10.0));
-        
+      // Trample map: every path the sphere (or any other actor) painted,
+      // sampled once at the blade root so the whole blade leans together
+      vec2 rootXZ = (modelMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xz;
+      vec2 trampleUv = (rootXZ - trampleBounds.xy) * trampleBounds.z;
+      if (all(greaterThanEqual(trampleUv, vec2(0.0))) && all(lessThanEqual(trampleUv, vec2(1.0)))) {
+        vec3 trample = texture2D(trampleMap, trampleUv).rgb;
+
+        // Strength decays linearly in the map; ease it so grass springs
+        // back naturally then settles
+        float strength = trample.b;
+        float decay = strength * strength * strength * (strength * (strength * 6.0 - 15.0) + 10.0);
+
         if (decay > 0.0) {
-          float trailDistance = distance(gPos, trailPos);
-          if (trailDistance < bendRadius) {
-            // Direction away from trail position
-            vec2 trailToGrass = gPos.xz - trailPos.xz;
-            vec2 trailBendDir = normalize(trailToGrass);
-            
-            // Smooth trail influence with distance-based easing
-            float normalizedTrailDistance = trailDistance / bendRadius;
-            float distanceInfluence = 1.0 - normalizedTrailDistance;
-            
-            // Apply smooth easing for trail bending transitions
-            distanceInfluence = distanceInfluence * distanceInfluence * (3.0 - 2.0 * distanceInfluence);
-            
-            // Combine with time decay and apply smoothstep
-            float trailInfluence = distanceInfluence * decay * 0.6;
-            trailInfluence = smoothstep(0.0, 1.0, trailInfluence);
-            
-            targetBend += trailBendDir * trailInfluence;
-            targetIntensity = max(targetIntensity, trailInfluence);
-          }
+          // Seconds since the sphere left, from how far the strength has
+          // decayed; blades lean over into the trail at bendingSpeed while
+          // the sphere's own push fades, then recover with the decay
+          float trailAge = (1.0 - strength) * trailRecoveryTime;
+          float bendIn = smoothstep(0.0, 1.0, trailAge * bendingSpeed);
+          float trailInfluence = smoothstep(0.0, 1.0, decay * 0.6) * bendIn;
+          float directionLength = length(trample.rg);
+          vec2 trailBendDir = directionLength > 0.0 ? trample.rg / directionLength : vec2(0.0);
+
+          targetBend += trailBendDir * trailInfluence;
+          targetIntensity = max(targetIntensity, trailInfluence);
         }
       }
 
       // Apply smooth progressive bending transitions
       if (targetIntensity > 0.0) {
         // Apply bending only to upper parts (based on vertex height)
-        float heightFactor = clamp(position.y, 0.0, 1.0);
+        float heightFactor = clamp(transformed.y, 0.0, 1.0);
 
         // Create progressive bending animation
         // Simulate grass gradually responding to force over time
@@ -386,15 +809,22 @@ export default function PlaneInstancerWithColor({
         // Calculate final bend with progressive animation
         vec2 finalBend = targetBend * bendStrength * heightFactor * finalAnimation;
         
-        // Add subtle wind effect for natural movement
-        float windEffect = sin(currentTime * 1.2 + gPos.x * 0.2 + gPos.z * 0.3) * 0.015;
-        finalBend *= (1.0 + windEffect);
-        
         // Apply the progressively animated bending
         transformed.x += finalBend.x;
         transformed.z += finalBend.y;
       }
     `
+  ).replace(
+    "#include <project_vertex>",
+    `
+      #include <project_vertex>
+
+      // Global wind leans the blade downwind in world space, most at the tip,
+      // dipping it slightly so it doesn't stretch
+      vec2 windLean = windAt(rootXZ) * windBend * uv.y * uv.y;
+      mvPosition.xyz += (viewMatrix * vec4(windLean.x, -0.25 * dot(windLean, windLean), windLean.y, 0.0)).xyz;
+      gl_Position = projectionMatrix * mvPosition;
+    `
   )}
 `;
 
@@ -402,6 +832,7 @@ export default function PlaneInstancerWithColor({
       // Optimized fragment shader with wave controls and performance uniforms
       shader.fragmentShader = `
         uniform float time;
+        uniform float windStrength;
         uniform vec3 cameraPos;
         uniform float waveStrength;
         uniform float waveSpeed;
@@ -410,17 +841,15 @@ export default function PlaneInstancerWithColor({
         varying vec2 vUv;
         varying vec3 vPos;
 
-        uniform sampler2D alphaMap;
-        uniform sampler2D alphaMap1;
-        uniform sampler2D alphaMap2;
-        uniform sampler2D alphaMap3;
+        uniform sampler2DArray bladeShapes;
+        ${lit ? LIT_GRASS_UNIFORMS : ''}
 
         ${NOISE_SHADER}
 
-        ${shader.fragmentShader.replace(
+        ${fragmentShader.replace(
           "#include <map_fragment>",
           `
-            // Optimized texture sampling with single branch
+            // Blade shape layer, no branching over samplers
             float idx = floor(vTextureIndex + 0.5);
             
             // Ultra-optimized wavy effect
@@ -428,26 +857,15 @@ export default function PlaneInstancerWithColor({
             float timeWave = time * waveSpeed;
             vec2 scaledPos = vPos.xz * waveScale;
             
-            // Simplified wave calculation with consistent strength across all grass
+            // Simplified wave calculation, flutter grows with the global wind
             vec2 waveOffset = vec2(
               turbulence(scaledPos, timeWave) * waveStrength,
               sin(vPos.x * 4.0 + timeWave * 1.5) * (waveStrength * 0.5)
-            );
+            ) * (0.5 + windStrength);
             
             vec2 wavyUv = vUv + waveOffset;
             
-            vec4 color;
-            if (idx < 0.5) {
-              color = texture2D(alphaMap, wavyUv);
-            } else if (idx < 1.5) {
-              color = texture2D(alphaMap1, wavyUv);
-            } else if (idx < 2.5) {
-              color = texture2D(alphaMap2, wavyUv);
-            } else {
-              color = texture2D(alphaMap3, wavyUv);
-            }
-            
-            diffuseColor.a = color.r;
+            diffuseColor.a = texture(bladeShapes, vec3(wavyUv, idx)).r;
           `
         )}
       `;
@@ -456,21 +874,17 @@ export default function PlaneInstancerWithColor({
     };
 
     return mat;
-  }, [alphaMap, alphaMap1, alphaMap2, alphaMap3, normalMap]);
+  }, [bladeShapes, normalMap, lit, trampleMap, windField]);
 
-  // Trail system state
-  const trailPositions = useRef(new Float32Array(60)); // 20 positions * 3 components
-  const trailTimes = useRef(new Float32Array(20));
-  const trailIndex = useRef(0);
-  const lastRecordedPosition = useRef(new THREE.Vector3());
-  const minTrailDistance = useRef(0.5); // Minimum distance to record new trail point
+  // Trail system state: the sphere stamps the segment it moved along each frame
+  const lastStampPosition = useRef(null);
 
   // Simplified frame loop
   const frameCounter = useRef(0);
   const lastFrameTime = useRef(0);
   const spherePosRef = useRef(new THREE.Vector3(0, 1.2, 0)); // Initialize with default sphere starting position
   
-  useFrame(({ clock, camera }) => {
+  useFrame(({ clock, camera, gl }) => {
     const shader = shaderRef.current;
     if (!shader?.uniforms) return;
     
@@ -478,6 +892,21 @@ export default function PlaneInstancerWithColor({
     const deltaTime = currentTime - lastFrameTime.current;
     lastFrameTime.current = currentTime;
     
+    // Live tunables; plain uniform writes, so nothing recompiles
+    const tunables = settingsRef.current;
+    shader.uniforms.waveStrength.value = tunables.waveStrength;
+    shader.uniforms.waveSpeed.value = tunables.waveSpeed;
+    shader.uniforms.waveScale.value = tunables.waveScale;
+    shader.uniforms.bendRadius.value = tunables.bendRadius;
+    shader.uniforms.bendStrength.value = tunables.bendStrength;
+    shader.uniforms.bendingSpeed.value = tunables.bendingSpeed;
+    shader.uniforms.trailRecoveryTime.value = tunables.trailRecoveryTime;
+    shader.uniforms.bladeScale.value = tunables.planeSize / BLADE_CARD_SIZE;
+    trampleMap.recoveryTime = tunables.trailRecoveryTime;
+
+    // Advance the shared wind (no-op if another consumer already did this frame)
+    windField.advanceTo(currentTime);
+
     // Update time animation
     frameCounter.current++;
     if (frameCounter.current % UPDATE_FREQUENCY === 0) {
@@ -488,33 +917,17 @@ export default function PlaneInstancerWithColor({
     shader.uniforms.cameraPos.value.copy(camera.position);
     shader.uniforms.spherePos.value.copy(spherePosRef.current);
     
-    // Trail recording: Record sphere position if it moved enough
+    // Trail recording: stamp the path since last frame into the trample map
     const currentPos = spherePosRef.current;
-    const distance = currentPos.distanceTo(lastRecordedPosition.current);
-    
-    if (distance > minTrailDistance.current) {
-      // Record new trail point
-      const index = trailIndex.current % 20; // Circular buffer
-      const baseIndex = index * 3;
-      
-      // Store position
-      trailPositions.current[baseIndex] = currentPos.x;
-      trailPositions.current[baseIndex + 1] = currentPos.y;
-      trailPositions.current[baseIndex + 2] = currentPos.z;
-      
-      // Store time
-      trailTimes.current[index] = currentTime;
-      
-      // Update trail uniforms
-      shader.uniforms.trailPositions.value = trailPositions.current;
-      shader.uniforms.trailTimes.value = trailTimes.current;
-      shader.uniforms.trailCount.value = Math.min(trailIndex.current + 1, 20);
-      
-      // Update references
-      lastRecordedPosition.current.copy(currentPos);
-      trailIndex.current++;
+    if (!lastStampPosition.current) {
+      lastStampPosition.current = currentPos.clone();
+    } else if (currentPos.distanceToSquared(lastStampPosition.current) > MIN_STAMP_DISTANCE * MIN_STAMP_DISTANCE) {
+      trampleMap.stamp(lastStampPosition.current, currentPos, shader.uniforms.bendRadius.value);
+      lastStampPosition.current.copy(currentPos);
     }
-    
+    trampleMap.update(gl, Math.min(deltaTime, 0.1), currentPos);
+    shader.uniforms.trampleMap.value = trampleMap.texture;
+
     // Always update current time for trail decay and delta time for smooth interpolation
     shader.uniforms.currentTime.value = currentTime;
     shader.uniforms.deltaTime.value = Math.min(deltaTime, 0.033); // Cap at ~30fps for stability
@@ -522,36 +935,14 @@ export default function PlaneInstancerWithColor({
     // Trail system running (no logging for performance)
   });
 
-  // Optimized instance data setup with early returns
-  useEffect(() => {
-    const inst = meshRef.current;
-    if (!inst || !transforms || !instanceColorArray || !textureIndexArray) return;
-
-    // Batch matrix updates for better performance
-    const tmpObject = new THREE.Object3D();
-    
-    transforms.forEach((t, i) => {
-      tmpObject.position.fromArray(t.position);
-      tmpObject.rotation.fromArray(t.rotation);
-      tmpObject.scale.fromArray(t.scale);
-      tmpObject.updateMatrix();
-      inst.setMatrixAt(i, tmpObject.matrix);
-    });
-
-    // Single update call
-    inst.instanceMatrix.needsUpdate = true;
-    
-    // Set attributes efficiently
-    const geometry = inst.geometry;
-    geometry.setAttribute("color", new THREE.InstancedBufferAttribute(instanceColorArray, 3));
-    geometry.setAttribute("aTextureIndex", new THREE.InstancedBufferAttribute(textureIndexArray, 1));
-  }, [transforms, instanceColorArray, textureIndexArray]);
-
-  // Memoized count calculation
-  const safeCount = useMemo(() => 
-    transforms ? transforms.length : (instanceCount || 0), 
-    [transforms, instanceCount]
-  );
+  // Tile streaming runs independently of the shader so the first tiles load
+  // before the material has compiled
+  const streamFrameCounter = useRef(0);
+  useFrame(({ camera }) => {
+    if (streamFrameCounter.current++ % STREAM_CHECK_FREQUENCY === 0) {
+      updateStreaming(camera.position);
+    }
+  });
 
   // Memoized group rotation/position
   const groupProps = useMemo(() => ({
@@ -570,6 +961,13 @@ export default function PlaneInstancerWithColor({
     }
   }, []);
 
+  // Touch presses on the ground (tap-to-go)
+  const handleBaseMeshPointerDown = useCallback((event) => {
+    if (movingSphereRef.current?.handlePointerDown) {
+      movingSphereRef.current.handlePointerDown(event);
+    }
+  }, []);
+
   // Handle sphere movement updates
   const handleSphereMove = useCallback((newPosition) => {
     // Update sphere position for grass bending (no logging for performance)
@@ -583,21 +981,61 @@ export default function PlaneInstancerWithColor({
 
   return (
     <>
-      <Model onPointerMove={handleBaseMeshPointerMove} />
+      {lit && <SunLight />}
+      <Terrain
+        onPointerMove={handleBaseMeshPointerMove}
+        onPointerDown={handleBaseMeshPointerDown}
+        shadingMode={shadingMode}
+      />
       <MovingSphere 
         ref={movingSphereRef}
         onSphereMove={handleSphereMove}
         ribbonMode={ribbonMode}
+        seed={seed}
+        wind={windField}
+        physics={physics}
+        obstacles={obstacles}
+        inputMode={inputMode}
+        navGrid={navGrid}
       />
+      <CameraRig mode={cameraMode} />
       <axesHelper />
+      {tileIndex && Array.from(residentTilesRef.current.values()).map((tile) => {
+        const tileLod = tileLodsRef.current.get(tile.key);
+        const { col, row } = tileIndex.tiles.get(tile.key);
+        if (!tileLod || tileLod.tint <= 0) return null;
+        return (
+          <GrassGroundTint
+            key={tile.key}
+            tile={tile}
+            grid={tileIndex.grid}
+            col={col}
+            row={row}
+            ground={ground}
+            opacity={tileLod.tint * lod.groundTint.opacity}
+            lit={lit}
+          />
+        );
+      })}
       <group {...groupProps}>
-        <instancedMesh
-          ref={meshRef}
-          args={[geometry, material, safeCount]}
-          castShadow={castShadow}
-          receiveShadow={receiveShadow}
-          frustumCulled={false}
-        />
+        {Array.from(residentTilesRef.current.values()).map((tile) => {
+          const tileLod = tileLodsRef.current.get(tile.key);
+          if (!tileLod || tileLod.density <= 0) return null;
+          return (
+            <GrassTile
+              key={tile.key}
+              tile={tile}
+              geometry={lodGeometries[Math.min(tileLod.level, lodGeometries.length - 1)]}
+              density={tileLod.density}
+              material={material}
+              castShadow={castShadow}
+              receiveShadow={receiveShadow}
+              gpuCulling={gpuCulling}
+              cullDistance={gpuCullDistance}
+              bladeRadius={bladeRadius}
+            />
+          );
+        })}
       </group>
 
     </>
@@ -0,0 +1,257 @@
+import React from 'react';
+import cameraRig from '../utils/cameraRig';
+import {
+  DEFAULT_EASING,
+  DEFAULT_FLYTHROUGH,
+  FLYTHROUGH_EASINGS,
+  captureKeyframe,
+  createFlythroughPath,
+  deleteFlythrough,
+  loadFlythroughs,
+  parseFlythrough,
+  saveFlythrough,
+  serializeFlythrough
+} from '../utils/flythrough';
+import './ParticleControls.css';
+import './GrassControls.css';
+import './FlythroughControls.css';
+
+const TIME_POLL_INTERVAL = 100; // ms between scrub bar updates
+const DEFAULT_SEGMENT_SECONDS = 4;
+
+/**
+ * FlythroughControls Component
+ *
+ * Authoring and playback panel for camera flythroughs (utils/flythrough),
+ * played by the shared camera rig.
+ *
+ * Features:
+ * - Capture keyframes from the current view (button or 'K'), each a set
+ *   number of seconds after the last, with an easing for the next segment
+ * - Play/pause, scrub and loop; playing switches the camera to flythrough
+ * - Optionally drive the sphere along the same path
+ * - Save/load/delete by name in localStorage, export and import JSON files
+ */
+const FlythroughControls = ({ onPlay, isVisible = true }) => {
+  const [script, setScript] = React.useState(DEFAULT_FLYTHROUGH);
+  const [segmentSeconds, setSegmentSeconds] = React.useState(DEFAULT_SEGMENT_SECONDS);
+  const [easing, setEasing] = React.useState(DEFAULT_EASING);
+  const [time, setTime] = React.useState(0);
+  const [paused, setPaused] = React.useState(cameraRig.playback.paused);
+  const [driveSphere, setDriveSphere] = React.useState(cameraRig.playback.driveSubject);
+  const [saved, setSaved] = React.useState(() => loadFlythroughs());
+  const [selected, setSelected] = React.useState('');
+  const [error, setError] = React.useState(null);
+  const fileInputRef = React.useRef();
+
+  const playable = script.keyframes.length >= 2;
+  const duration = playable ? parseFlythrough(script).duration : 0;
+
+  // Hand every playable edit to the rig, keeping the playback position
+  React.useEffect(() => {
+    if (!playable) return;
+    try {
+      cameraRig.setFlythrough(createFlythroughPath(script), { restart: false });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [script, playable]);
+
+  React.useEffect(() => {
+    if (!isVisible) return undefined;
+    const interval = setInterval(() => setTime(cameraRig.playback.time), TIME_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [isVisible]);
+
+  const addKeyframe = React.useCallback(() => {
+    setScript((current) => {
+      const { keyframes } = current;
+      const last = keyframes[keyframes.length - 1];
+      const keyframe = captureKeyframe(cameraRig.output, last ? last.time + segmentSeconds : 0, easing);
+      // A captured loop gets its closing segment recomputed
+      return { ...current, duration: undefined, keyframes: [...keyframes, keyframe] };
+    });
+  }, [segmentSeconds, easing]);
+
+  // 'K' captures a keyframe, so it works while the free-fly camera holds the pointer
+  React.useEffect(() => {
+    if (!isVisible) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.code !== 'KeyK' || event.repeat) return;
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(document.activeElement?.tagName)) return;
+      addKeyframe();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isVisible, addKeyframe]);
+
+  const handleRemoveLast = () => {
+    setScript((current) => ({ ...current, duration: undefined, keyframes: current.keyframes.slice(0, -1) }));
+  };
+
+  const handleNew = () => {
+    setScript({ name: '', loop: false, keyframes: [] });
+    setSelected('');
+  };
+
+  const handlePlayPause = () => {
+    if (paused) {
+      cameraRig.play();
+      onPlay?.();
+    } else {
+      cameraRig.pause();
+    }
+    setPaused(cameraRig.playback.paused);
+  };
+
+  const handleScrub = (value) => {
+    cameraRig.seek(parseFloat(value));
+    setTime(cameraRig.playback.time);
+  };
+
+  const handleDriveSphere = (enabled) => {
+    cameraRig.setDriveSubject(enabled);
+    setDriveSphere(enabled);
+  };
+
+  const handleSave = () => {
+    if (!script.name.trim() || !playable) return;
+    setSaved(saveFlythrough(script));
+    setSelected(script.name.trim());
+  };
+
+  const handleLoad = () => {
+    if (!saved[selected]) return;
+    try {
+      setScript(parseFlythrough(saved[selected], selected));
+      cameraRig.seek(0);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!saved[selected]) return;
+    setSaved(deleteFlythrough(selected));
+    setSelected('');
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([serializeFlythrough(script)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${script.name.trim() || 'flythrough'}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      setScript(parseFlythrough(JSON.parse(await file.text()), file.name));
+      cameraRig.seek(0);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!isVisible) return null;
+
+  return (
+    <div className="particle-controls flythrough-controls">
+      <h3>Flythrough</h3>
+
+      <div className="control-group">
+        <label>Keyframes: {script.keyframes.length}</label>
+        <div className="grass-preset-row">
+          <button onClick={addKeyframe}>Add view (K)</button>
+          <button onClick={handleRemoveLast} disabled={!script.keyframes.length}>Remove last</button>
+          <button onClick={handleNew}>New</button>
+        </div>
+        <div className="grass-preset-row">
+          <input
+            type="number"
+            min="0.5"
+            step="0.5"
+            value={segmentSeconds}
+            onChange={(e) => setSegmentSeconds(Math.max(0.5, parseFloat(e.target.value) || DEFAULT_SEGMENT_SECONDS))}
+            title="Seconds after the previous keyframe"
+          />
+          <select value={easing} onChange={(e) => setEasing(e.target.value)} title="Easing into the next keyframe">
+            {Object.keys(FLYTHROUGH_EASINGS).map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="control-group">
+        <label>Playback</label>
+        <div className="slider-container">
+          <input
+            type="range"
+            min={0}
+            max={duration}
+            step={0.1}
+            value={Math.min(time, duration)}
+            onChange={(e) => handleScrub(e.target.value)}
+            className="slider"
+            disabled={!playable}
+          />
+          <span className="value">{time.toFixed(1)}s</span>
+        </div>
+        <div className="grass-preset-row">
+          <button onClick={handlePlayPause} disabled={!playable}>{paused ? 'Play' : 'Pause'}</button>
+          <label className="flythrough-toggle">
+            <input
+              type="checkbox"
+              checked={script.loop}
+              onChange={(e) => setScript((current) => ({ ...current, duration: undefined, loop: e.target.checked }))}
+            />
+            Loop
+          </label>
+          <label className="flythrough-toggle">
+            <input type="checkbox" checked={driveSphere} onChange={(e) => handleDriveSphere(e.target.checked)} />
+            Drive sphere
+          </label>
+        </div>
+      </div>
+
+      <div className="control-group grass-presets">
+        <label>Saved tours</label>
+        <div className="grass-preset-row">
+          <input
+            type="text"
+            placeholder="Tour name"
+            value={script.name}
+            onChange={(e) => setScript((current) => ({ ...current, name: e.target.value }))}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          />
+          <button onClick={handleSave} disabled={!script.name.trim() || !playable}>Save</button>
+        </div>
+        <div className="grass-preset-row">
+          <select value={selected} onChange={(e) => setSelected(e.target.value)}>
+            <option value="">Saved tours…</option>
+            {Object.keys(saved).map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <button onClick={handleLoad} disabled={!selected}>Load</button>
+          <button onClick={handleDelete} disabled={!selected}>Delete</button>
+        </div>
+        <div className="grass-preset-row">
+          <button onClick={handleExport} disabled={!playable}>Export JSON</button>
+          <button onClick={() => fileInputRef.current.click()}>Import JSON</button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} hidden />
+        </div>
+        {error && <p className="flythrough-error">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default FlythroughControls;
@@ -0,0 +1,106 @@
+import React from 'react';
+import {
+  DEFAULT_GRASS_SETTINGS,
+  GRASS_SETTING_FIELDS,
+  deleteGrassPreset,
+  loadGrassPresets,
+  sanitizeGrassSettings,
+  saveGrassPreset
+} from '../utils/grassSettings';
+import './ParticleControls.css';
+import './GrassControls.css';
+
+// Enough decimals to show the slider's step
+const formatValue = (value, step) => value.toFixed(Math.max(0, -Math.floor(Math.log10(step))));
+
+const GrassControls = ({ 
+  settings, 
+  onSettingsChange, 
+  isVisible = true 
+}) => {
+  const [presets, setPresets] = React.useState(() => loadGrassPresets());
+  const [presetName, setPresetName] = React.useState('');
+  const [selectedPreset, setSelectedPreset] = React.useState('');
+
+  const handleSliderChange = (key, value) => {
+    onSettingsChange({
+      ...settings,
+      [key]: parseFloat(value)
+    });
+  };
+
+  const handleSave = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    setPresets(saveGrassPreset(name, settings));
+    setSelectedPreset(name);
+    setPresetName('');
+  };
+
+  const handleLoad = () => {
+    if (presets[selectedPreset]) {
+      onSettingsChange(sanitizeGrassSettings(presets[selectedPreset]));
+    }
+  };
+
+  const handleDelete = () => {
+    if (!presets[selectedPreset]) return;
+    setPresets(deleteGrassPreset(selectedPreset));
+    setSelectedPreset('');
+  };
+
+  if (!isVisible) return null;
+
+  return (
+    <div className="particle-controls grass-controls">
+      <h3>Grass Controls</h3>
+
+      {GRASS_SETTING_FIELDS.map(({ key, label, min, max, step }) => (
+        <div className="control-group" key={key}>
+          <label>{label}</label>
+          <div className="slider-container">
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={settings[key]}
+              onChange={(e) => handleSliderChange(key, e.target.value)}
+              className="slider"
+            />
+            <span className="value">{formatValue(settings[key], step)}</span>
+          </div>
+        </div>
+      ))}
+
+      <div className="control-group grass-presets">
+        <label>Presets</label>
+        <div className="grass-preset-row">
+          <input
+            type="text"
+            placeholder="Preset name"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          />
+          <button onClick={handleSave} disabled={!presetName.trim()}>Save</button>
+        </div>
+        <div className="grass-preset-row">
+          <select value={selectedPreset} onChange={(e) => setSelectedPreset(e.target.value)}>
+            <option value="">Saved presets…</option>
+            {Object.keys(presets).map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <button onClick={handleLoad} disabled={!selectedPreset}>Load</button>
+          <button onClick={handleDelete} disabled={!selectedPreset}>Delete</button>
+        </div>
+        <button className="grass-reset" onClick={() => onSettingsChange({ ...DEFAULT_GRASS_SETTINGS })}>
+          Reset to defaults
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GrassControls;
@@ -0,0 +1,81 @@
+import React, { useEffect, useMemo } from "react";
+import * as THREE from "three";
+import { createGroundTint } from "../utils/grassGroundTint";
+import { tileBounds } from "../utils/grassTiles";
+
+const GROUND_LIFT = 0.15; // Keeps the tint out of the terrain between samples
+
+/**
+ * GrassGroundTint Component
+ *
+ * The far LOD layer of one grass tile: a grid draped on the terrain in the
+ * grass colour, drawn where blades have thinned out (see grassLod
+ * `groundTint`).
+ *
+ * Features:
+ * - Per-vertex colour and coverage from the tile's blades (utils/grassGroundTint),
+ *   so pistes and other cleared ground stay bare
+ * - Draped through the active ground's `getHeightAt`, in world space
+ * - Lit or unlit to match the grass material
+ * - `opacity` fades it in as the blades fade out; never writes depth
+ */
+const GrassGroundTint = React.memo(({ tile, grid, col: tileCol, row: tileRow, ground, opacity = 1, lit = false }) => {
+  const geometry = useMemo(() => {
+    if (!ground) return null;
+    const bounds = tileBounds(grid, tileCol, tileRow);
+    const { resolution, colors } = createGroundTint(tile, bounds);
+    const side = resolution + 1;
+    const positions = new Float32Array(side * side * 3);
+    const indices = [];
+    for (let row = 0; row < side; row++) {
+      for (let col = 0; col < side; col++) {
+        // Grass-local XY to world XZ (the grass group is rotated -90° about X)
+        const x = bounds.minX + (col / resolution) * (bounds.maxX - bounds.minX);
+        const z = -(bounds.minY + (row / resolution) * (bounds.maxY - bounds.minY));
+        const v3 = (row * side + col) * 3;
+        positions[v3] = x;
+        positions[v3 + 1] = ground.getHeightAt(x, z) + GROUND_LIFT;
+        positions[v3 + 2] = z;
+        if (row < resolution && col < resolution) {
+          const v = row * side + col;
+          indices.push(v, v + 1, v + side, v + 1, v + side + 1, v + side);
+        }
+      }
+    }
+
+    const built = new THREE.BufferGeometry();
+    built.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    built.setAttribute("color", new THREE.BufferAttribute(colors, 4));
+    built.setIndex(indices);
+    built.computeVertexNormals();
+    built.computeBoundingSphere();
+    return built;
+  }, [tile, grid, tileCol, tileRow, ground]);
+
+  useEffect(() => () => geometry?.dispose(), [geometry]);
+
+  const material = useMemo(() => {
+    const TintMaterial = lit ? THREE.MeshLambertMaterial : THREE.MeshBasicMaterial;
+    return new TintMaterial({
+      vertexColors: true,
+      transparent: true,
+      depthWrite: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+    });
+  }, [lit]);
+
+  useEffect(() => () => material.dispose(), [material]);
+
+  useEffect(() => {
+    material.opacity = opacity;
+  }, [material, opacity]);
+
+  if (!geometry) return null;
+
+  return <mesh name={`grass-tint-${tile.key}`} geometry={geometry} material={material} receiveShadow={lit} />;
+});
+
+GrassGroundTint.displayName = 'GrassGroundTint';
+
+export default GrassGroundTint;
@@ -0,0 +1,140 @@
+import React, { useRef, useEffect, useMemo, useState } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import GpuGrassCuller from "../utils/gpuGrassCuller";
+
+// Extra bounding-sphere radius so bent blades near the edge aren't culled early
+const BOUNDS_MARGIN = 1.0;
+
+// The GPU visible count arrives a frame or two late; draw a little past it so
+// blades turning into view don't pop in
+const GPU_CULL_HEADROOM = 0.1;
+const GPU_CULL_MIN_HEADROOM = 64;
+
+const frustum = new THREE.Frustum();
+const projectionView = new THREE.Matrix4();
+const worldSphere = new THREE.Sphere();
+
+/**
+ * GrassTile Component
+ *
+ * One spatial tile of the grass field rendered as its own InstancedMesh.
+ *
+ * Features:
+ * - Owns a clone of the shared blade geometry so per-instance attributes
+ *   (colour, texture index) don't collide between tiles
+ * - Shares the grass material (and therefore the bending/trail uniforms)
+ * - Computes a real bounding sphere so three.js frustum-culls the tile
+ * - Draws only a `density` fraction of its (pre-shuffled) instances for LOD thinning
+ * - Optional WebGL2 GPU culling: instances are frustum/distance culled and
+ *   compacted on the GPU each frame (see GpuGrassCuller), falling back to the
+ *   CPU tile culling above when WebGL2 isn't available. Tiles outside the
+ *   frustum skip the GPU pass entirely
+ * - Disposes its geometry (and GPU culler) when streamed out
+ */
+const GrassTile = React.memo(({
+  tile,
+  geometry,
+  material,
+  density = 1,
+  castShadow = false,
+  receiveShadow = false,
+  gpuCulling = false,
+  cullDistance = Infinity, // Horizontal camera distance beyond which the GPU path drops blades
+  bladeRadius = 1, // Bounding radius of an unscaled blade for the GPU frustum test
+}) => {
+  const meshRef = useRef();
+  const gl = useThree((state) => state.gl);
+
+  // Created in an effect so its GL buffers are always paired with a dispose,
+  // even when a render is thrown away (e.g. StrictMode's double render)
+  const [culler, setCuller] = useState(null);
+  useEffect(() => {
+    if (!gpuCulling || !GpuGrassCuller.isSupported(gl)) return undefined;
+    let created;
+    try {
+      created = new GpuGrassCuller(gl, tile);
+    } catch (error) {
+      console.warn('GrassTile: GPU culling unavailable, using CPU culling', error);
+      return undefined;
+    }
+    setCuller(created);
+    return () => {
+      setCuller(null);
+      created.dispose();
+    };
+  }, [gpuCulling, gl, tile]);
+
+  // Per-tile geometry with instanced attributes attached up front. With GPU
+  // culling the compacted buffers replace the mesh's own instance attributes.
+  const tileGeometry = useMemo(() => {
+    const geo = geometry.clone();
+    if (culler) {
+      Object.entries(culler.attributes).forEach(([name, attribute]) => geo.setAttribute(name, attribute));
+    } else {
+      geo.setAttribute("color", new THREE.InstancedBufferAttribute(tile.colors, 3));
+      geo.setAttribute("aTextureIndex", new THREE.InstancedBufferAttribute(tile.textureIndices, 1));
+    }
+    return geo;
+  }, [geometry, tile, culler]);
+
+  useEffect(() => () => tileGeometry.dispose(), [tileGeometry]);
+
+  useEffect(() => {
+    const inst = meshRef.current;
+    if (!inst) return;
+
+    inst.instanceMatrix.array.set(tile.matrices);
+    inst.instanceMatrix.needsUpdate = true;
+
+    // Bounds must cover every instance, not just the currently drawn subset
+    inst.count = tile.count;
+    inst.computeBoundingSphere();
+    inst.boundingSphere.radius += BOUNDS_MARGIN;
+  }, [tile, tileGeometry]);
+
+  useEffect(() => {
+    if (!meshRef.current || culler) return;
+    meshRef.current.count = Math.min(tile.count, Math.ceil(tile.count * density));
+  }, [tile, tileGeometry, density, culler]);
+
+  useFrame(({ camera }) => {
+    const inst = meshRef.current;
+    if (!culler || !inst?.boundingSphere) return;
+    // Disposed but not yet swapped out by a re-render: its buffers are gone
+    if (culler.disposed) {
+      inst.visible = false;
+      return;
+    }
+
+    // three.js skips drawing a tile outside the frustum; skip its cull too
+    projectionView.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    frustum.setFromProjectionMatrix(projectionView);
+    if (!frustum.intersectsSphere(worldSphere.copy(inst.boundingSphere).applyMatrix4(inst.matrixWorld))) return;
+
+    const drawCount = Math.min(tile.count, Math.ceil(tile.count * density));
+    const visible = culler.cull({
+      modelMatrix: inst.matrixWorld,
+      camera,
+      maxDistance: cullDistance,
+      bladeRadius,
+      drawCount,
+    });
+    const headroom = Math.max(GPU_CULL_MIN_HEADROOM, Math.ceil(visible * GPU_CULL_HEADROOM));
+    inst.count = Math.min(drawCount, visible + headroom);
+  });
+
+  return (
+    <instancedMesh
+      ref={meshRef}
+      name={`grass-tile-${tile.key}`}
+      args={[tileGeometry, material, tile.count]}
+      castShadow={castShadow}
+      receiveShadow={receiveShadow}
+    />
+  );
+});
+
+GrassTile.displayName = 'GrassTile';
+
+export default GrassTile;
@@ -0,0 +1,141 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useMemo, useRef, useState } from "react";
+import { useFrame, useLoader } from "@react-three/fiber";
+import * as THREE from "three";
+import {
+  TERRAIN_LOD_LEVELS,
+  TerrainLoader,
+  buildTerrainChunkGeometry,
+  resolveTerrainLod,
+} from "../utils/heightfield";
+import { createTileGrid, distanceToTile, tileKey } from "../utils/grassTiles";
+import terrainHeight from "../utils/terrainHeight";
+
+const PUBLIC_URL = process.env.PUBLIC_URL || "";
+
+const LOD_CHECK_FREQUENCY = 10; // Re-evaluate chunk resolutions every N frames
+const SKIRT_DEPTH = 1; // Hides cracks between chunks at different resolutions
+
+/**
+ * HeightfieldTerrain Component
+ *
+ * Drop-in alternative to the GLB terrain `Model`: builds the ground at runtime
+ * from a heightmap and colour map described by a terrain JSON (see
+ * utils/heightfield), so new maps don't need a Blender export.
+ *
+ * Features:
+ * - Chunked mesh (reusing the grass tile grid), each chunk frustum-culled
+ * - Per-chunk resolution by camera distance; geometries are built on demand
+ *   and cached per level
+ * - Same `shadingMode` materials and shadow behaviour as the GLB terrain
+ * - Registers its height field with the terrain height service, and
+ *   `ref.current.getHeightAt(x, z)` answers queries straight from it
+ */
+const HeightfieldTerrain = forwardRef(({
+  url = `${PUBLIC_URL}/terrain/terrain.json`,
+  onPointerMove,
+  onPointerDown,
+  shadingMode = "unlit",
+  lodLevels = TERRAIN_LOD_LEVELS,
+  ...props
+}, ref) => {
+  const { heightfield, colorMap, chunkSize } = useLoader(TerrainLoader, url);
+  const lit = shadingMode === "lit";
+
+  useImperativeHandle(ref, () => ({
+    getHeightAt: heightfield.getHeightAt,
+    heightfield,
+  }), [heightfield]);
+
+  // Answer shared ground queries while this terrain is mounted
+  useEffect(() => terrainHeight.register(heightfield), [heightfield]);
+
+  // Chunks are laid out with the grass tile helpers, world Z standing in for their Y
+  const chunks = useMemo(() => {
+    const { minX, maxX, minZ, maxZ } = heightfield.bounds;
+    const grid = createTileGrid({ minX, minY: minZ, maxX, maxY: maxZ }, chunkSize);
+    const list = [];
+    for (let row = 0; row < grid.rows; row++) {
+      for (let col = 0; col < grid.cols; col++) {
+        list.push({ key: tileKey(col, row), col, row });
+      }
+    }
+    return { grid, list };
+  }, [heightfield, chunkSize]);
+
+  // Geometries are built on first use and cached per chunk and level until
+  // the height field or LOD levels change
+  const chunkGeometries = useMemo(() => {
+    const cache = new Map();
+    const { grid } = chunks;
+    return {
+      get: (chunk, level) => {
+        const cacheKey = `${chunk.key}:${level}`;
+        if (!cache.has(cacheKey)) {
+          cache.set(cacheKey, buildTerrainChunkGeometry(heightfield, {
+            minX: grid.minX + chunk.col * grid.tileSize,
+            minZ: grid.minY + chunk.row * grid.tileSize,
+            size: grid.tileSize,
+          }, lodLevels[level].resolution, SKIRT_DEPTH));
+        }
+        return cache.get(cacheKey);
+      },
+      dispose: () => cache.forEach((geometry) => geometry.dispose()),
+    };
+  }, [heightfield, chunks, lodLevels]);
+
+  useEffect(() => () => chunkGeometries.dispose(), [chunkGeometries]);
+
+  // Chunk levels live in a ref for the frame loop; the version only re-renders on change
+  const chunkLevelsRef = useRef(new Map());
+  const [, setLevelVersion] = useState(0);
+  const frameCounter = useRef(0);
+
+  useFrame(({ camera }) => {
+    if (frameCounter.current++ % LOD_CHECK_FREQUENCY !== 0) return;
+
+    const levels = chunkLevelsRef.current;
+    let changed = false;
+    chunks.list.forEach((chunk) => {
+      const distance = distanceToTile(chunks.grid, chunk.col, chunk.row, camera.position.x, camera.position.z);
+      const level = resolveTerrainLod(distance, lodLevels);
+      if (levels.get(chunk.key) !== level) {
+        levels.set(chunk.key, level);
+        changed = true;
+      }
+    });
+
+    if (changed) setLevelVersion((v) => v + 1);
+  });
+
+  // Same material split as the GLB terrain
+  const groundMaterial = useMemo(() => {
+    const parameters = {
+      map: colorMap,
+      color: new THREE.Color(1, 1, 1),
+      side: THREE.DoubleSide,
+    };
+    return lit ? new THREE.MeshLambertMaterial(parameters) : new THREE.MeshBasicMaterial(parameters);
+  }, [colorMap, lit]);
+
+  useEffect(() => () => groundMaterial.dispose(), [groundMaterial]);
+
+  return (
+    <group {...props} dispose={null}>
+      {chunks.list.map((chunk) => (
+        <mesh
+          key={chunk.key}
+          geometry={chunkGeometries.get(chunk, chunkLevelsRef.current.get(chunk.key) ?? lodLevels.length - 1)}
+          material={groundMaterial}
+          castShadow={lit}
+          receiveShadow={lit}
+          onPointerMove={onPointerMove}
+          onPointerDown={onPointerDown}
+        />
+      ))}
+    </group>
+  );
+});
+
+HeightfieldTerrain.displayName = "HeightfieldTerrain";
+
+export default HeightfieldTerrain;
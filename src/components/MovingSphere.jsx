@@ -1,60 +1,159 @@
-import React, { useRef, useCallback, useMemo } from 'react';
+import React, { Suspense, useRef, useCallback, useEffect, useMemo, useState } from 'react';
 import * as THREE from 'three';
 import { useFrame, useThree } from '@react-three/fiber';
+import { useKeyboardControls } from '@react-three/drei';
 import OptimizedRibbons from './OptimizedRibbons';
+import RouteRibbon from './RouteRibbon';
+import terrainHeight from '../utils/terrainHeight';
+import { DEFAULT_MAX_CLIMB_GRADIENT, gradientAlong, slopeSpeedFactor } from '../utils/slopeMotion';
+import { cameraRelativeDirection, combineDriveInput, readGamepadDrive, readKeyboardDrive, touchStick } from '../utils/driveInput';
+import { TouchTracker } from '../utils/touchGestures';
+import cameraRig from '../utils/cameraRig';
+import sessionRecorder, { FixedStepper } from '../utils/sessionRecorder';
+import { dampFactor } from '../utils/damping';
+import { createRoute, findPath } from '../utils/navigation';
 
-// Constants for smooth movement and camera behavior
-const SPHERE_MOVE_SPEED = 0.01; // How fast sphere moves to target
-const CAMERA_FOLLOW_SPEED = 0.01; // How fast camera follows sphere
-const CAMERA_DISTANCE = 5.0; // Distance camera stays behind sphere
-const CAMERA_HEIGHT_OFFSET = 1.2; // Height offset above surface
+// Rapier only downloads once physics mode is switched on
+const SpherePhysics = React.lazy(() => import('./SpherePhysics'));
+
+// Constants for smooth movement
+const SPHERE_MOVE_HALF_LIFE = 1.15; // Seconds to cover half the distance to the target
 const SPHERE_HEIGHT_OFFSET = 1.2; // Height of sphere above surface (changed to 1.2 as requested)
+const SPHERE_RADIUS = 0.9;
+const SLOPE_PROBE_DISTANCE = 0.75; // Half the span the slope ahead is measured over
+const MIN_NORMAL_Y = 0.5; // Caps the lift on very steep ground
+const DRIVE_LOOKAHEAD = 10; // Drive mode steers a target this far ahead of the sphere
+const DRIVE_BOOST = 1.8; // Lookahead (and so speed) multiplier while boosting
+const ORBIT_PER_PIXEL = 0.008; // Radians of camera orbit per pixel of two-finger drag
+const FLYTHROUGH_LEAD = 2; // Seconds ahead of the camera the sphere rides a flythrough
+const ROUTE_PREVIEW_TIME = 0.75; // Seconds a new route is shown before the sphere sets off
+const ROUTE_LOOKAHEAD = 5; // How far along the route the target runs ahead (sets the pace)
+const ROUTE_ARRIVE_DISTANCE = 0.5; // Route is done once this close to its end
 
 // Reusable vectors to avoid object creation in render loop
-const tempVector = new THREE.Vector3();
-const cameraTargetPosition = new THREE.Vector3();
-const lookAtTarget = new THREE.Vector3();
-const raycaster = new THREE.Raycaster();
-const rayDirection = new THREE.Vector3(0, -1, 0);
+const moveStep = new THREE.Vector3();
+const groundNormal = new THREE.Vector3(0, 1, 0);
+const rollAxis = new THREE.Vector3();
+const rollRotation = new THREE.Quaternion();
+const cameraForward = new THREE.Vector3();
+const driveDirection = new THREE.Vector3();
+const NO_INPUT = { x: 0, y: 0, boost: false };
+
+const getGamepads = () => (
+  typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : []
+);
 
 /**
  * MovingSphere Component
  * 
  * Features:
  * - Sphere that moves to raycasted positions on base mesh
- * - Smooth interpolation to target positions
- * - Camera follows behind sphere in XZ plane
- * - Camera maintains fixed height offset above surface
- * - Responds to onPointerMove events from base mesh
+ * - Rides the ground via the shared terrain height service (no per-frame raycasts)
+ * - Eases towards the target, covering half the distance every
+ *   `moveHalfLife` seconds, slowed uphill and sped up
+ *   downhill; slopes steeper than `maxClimbGradient` can't be climbed
+ * - Sits on the terrain along its normal and rolls in the direction of travel
+ * - Optional Rapier physics mode: the sphere becomes a rigid body pushed
+ *   towards the pointer, rolling down slopes and bouncing off obstacles
+ * - Publishes itself as the camera rig's subject and tells the chase camera
+ *   which side to trail on (the rig itself is driven by CameraRig)
+ * - Input modes: 'pointer' follows onPointerMove events from the base mesh,
+ *   'drive' steers with WASD/arrows (shift to boost) or a gamepad's left
+ *   stick (right trigger / A to boost), relative to the camera, and
+ *   'joystick' adds the on-screen TouchJoystick to those, and 'navigate'
+ *   plans a route to a clicked or tapped point over `navGrid`, keeping to
+ *   pistes and off cliffs, draws it on the ground and then follows it
+ * - Touch: tap the ground to go there and drag to steer (pointer mode);
+ *   two fingers orbit the camera rig and pinch to zoom (all modes)
+ * - Can ride a playing flythrough, running along its path ahead of the camera
+ * - Simulates in fixed steps (drawn interpolated between them) so sessions
+ *   record and replay identically on any machine; see utils/sessionRecorder
  */
-const MovingSphere = React.forwardRef(({ onSphereMove, ribbonMode = 'both' }, ref) => {
+const MovingSphere = React.forwardRef(({
+  onSphereMove,
+  ribbonMode = 'both',
+  seed = 0,
+  wind = null,
+  maxClimbGradient = DEFAULT_MAX_CLIMB_GRADIENT, // Rise over run; steeper ground blocks the sphere
+  moveHalfLife = SPHERE_MOVE_HALF_LIFE, // Seconds; lower is snappier
+  physics = false, // Rapier rigid body instead of kinematic movement
+  obstacles = [], // Lift towers etc. for physics mode, see SpherePhysics
+  inputMode = 'pointer', // 'pointer', 'drive' (keyboard/gamepad), 'joystick' (drive + on-screen stick) or 'navigate'
+  navGrid = null // From utils/navigation createNavGrid; without one 'navigate' goes straight to the click
+}, ref) => {
   const sphereRef = useRef();
-  const { camera, scene } = useThree();
+  const { camera, gl, clock } = useThree();
+  const [, getKeys] = useKeyboardControls();
+  const isDrivingRef = useRef(false);
+  const touchesRef = useRef(new TouchTracker());
   
   // State for target positions
   const sphereTargetRef = useRef(new THREE.Vector3(0, SPHERE_HEIGHT_OFFSET, 0)); // Start at 1.2 height
-  const cameraOffsetRef = useRef(new THREE.Vector3(-CAMERA_DISTANCE, 0, 0));
   const isInitializedRef = useRef(false);
-  const baseMeshRef = useRef(null);
   const movementVectorRef = useRef(new THREE.Vector3(0, 0, 1)); // Default forward direction
+  const stepperRef = useRef(new FixedStepper());
+  // Fixed-step state; the mesh is drawn between `previous` and `position`
+  const simRef = useRef({ position: new THREE.Vector3(), previous: new THREE.Vector3() });
+  // Route being followed in navigate mode; the state copy redraws the ribbon
+  const routeRef = useRef(null);
+  const routeProgressRef = useRef(0); // Distance covered along the route
+  const [route, setRoute] = useState(null);
   
-  // Initialize sphere and camera positions
+  // Initialize sphere position; the camera rig places the camera behind it
   const initializePositions = useCallback(() => {
     if (!isInitializedRef.current && sphereRef.current) {
       sphereRef.current.position.copy(sphereTargetRef.current);
-      
-      // Set initial camera position behind sphere
-      cameraTargetPosition.copy(sphereTargetRef.current);
-      cameraTargetPosition.add(cameraOffsetRef.current);
-      cameraTargetPosition.y += CAMERA_HEIGHT_OFFSET;
-      camera.position.copy(cameraTargetPosition);
-      
+      simRef.current.position.copy(sphereTargetRef.current);
+      simRef.current.previous.copy(sphereTargetRef.current);
+      cameraRig.subject.position.copy(sphereTargetRef.current);
       isInitializedRef.current = true;
     }
-  }, [camera]);
+  }, []);
+
+  // Two-finger orbit and pinch zoom. Listened for on the canvas itself since
+  // gestures shouldn't need to start over the ground.
+  useEffect(() => {
+    const canvas = gl.domElement;
+    const touches = touchesRef.current;
+    const previousTouchAction = canvas.style.touchAction;
+    canvas.style.touchAction = 'none'; // Keep the browser from scrolling/zooming the page
+
+    const handleDown = (event) => {
+      if (event.pointerType !== 'touch') return;
+      touches.down(event);
+      // A second finger means a camera gesture: stop where the first tap sent us
+      if (touches.count === 2 && sphereRef.current) {
+        sphereTargetRef.current.copy(sphereRef.current.position);
+      }
+    };
+    const handleMove = (event) => {
+      if (event.pointerType !== 'touch') return;
+      const gesture = touches.move(event);
+      if (!gesture) return;
+      cameraRig.orbit(-gesture.panX * ORBIT_PER_PIXEL);
+      cameraRig.zoomBy(gesture.scale);
+    };
+    const handleUp = (event) => {
+      if (event.pointerType === 'touch') touches.up(event);
+    };
+
+    canvas.addEventListener('pointerdown', handleDown);
+    canvas.addEventListener('pointermove', handleMove);
+    canvas.addEventListener('pointerup', handleUp);
+    canvas.addEventListener('pointercancel', handleUp);
+    return () => {
+      canvas.style.touchAction = previousTouchAction;
+      canvas.removeEventListener('pointerdown', handleDown);
+      canvas.removeEventListener('pointermove', handleMove);
+      canvas.removeEventListener('pointerup', handleUp);
+      canvas.removeEventListener('pointercancel', handleUp);
+    };
+  }, [gl]);
 
   // Handle pointer move events from base mesh
   const handlePointerMove = useCallback((event) => {
+    if (inputMode !== 'pointer' || cameraRig.drivesSubject || sessionRecorder.isReplaying) return;
+    if (touchesRef.current.count > 1) return; // Camera gesture, not steering
     if (!event.intersections || event.intersections.length === 0) return;
     
     const intersection = event.intersections[0];
@@ -63,28 +162,122 @@ const MovingSphere = React.forwardRef(({ onSphereMove, ribbonMode = 'both' }, re
     // Update sphere target position - set X and Z coordinates
     sphereTargetRef.current.x = hitPoint.x;
     sphereTargetRef.current.z = hitPoint.z;
-    // Set initial target Y - it will be refined by raycast in the frame loop
+    // Set initial target Y - it will be refined from the terrain height in the frame loop
     // Use the hit point Y plus offset as a good starting estimate
     sphereTargetRef.current.y = hitPoint.y + SPHERE_HEIGHT_OFFSET;
     
-    // Calculate direction from intersection point to current camera position
-    // This helps maintain camera behind sphere relative to movement direction
-    tempVector.subVectors(camera.position, hitPoint).normalize();
-    tempVector.y = 0; // Keep in XZ plane
-    tempVector.multiplyScalar(CAMERA_DISTANCE);
-    
-    // Update camera offset to stay behind sphere
-    cameraOffsetRef.current.copy(tempVector);
+    // Keep the chase camera on the side of the target it's viewing from
+    cameraRig.setChaseDirection(camera.position.x - hitPoint.x, camera.position.z - hitPoint.z);
     
     // Don't notify parent here - wait until sphere actually moves in useFrame
     // This prevents grass bending at cursor position instead of sphere position
-  }, [camera]);
+  }, [camera, inputMode]);
+
+  const clearRoute = useCallback(() => {
+    routeRef.current = null;
+    setRoute(null);
+  }, []);
+
+  // Route from the sphere to `point`, held still while the ribbon unrolls
+  const planRoute = useCallback((point) => {
+    const from = simRef.current.position;
+    const points = navGrid
+      ? findPath(navGrid, from, point)
+      : [{ x: from.x, z: from.z }, { x: point.x, z: point.z }];
+    if (!points) return; // No walkable way there
 
-  // Expose the pointer move handler to parent components
+    const planned = createRoute(points);
+    routeRef.current = { route: planned, startsAt: clock.elapsedTime + ROUTE_PREVIEW_TIME };
+    routeProgressRef.current = 0;
+    sphereTargetRef.current.copy(from);
+    setRoute(planned);
+  }, [navGrid, clock]);
+
+  useEffect(() => {
+    if (inputMode !== 'navigate') clearRoute();
+  }, [inputMode, clearRoute]);
+
+  // Tap-to-go: touches have no hover, so a press on the ground sets the
+  // target; dragging then steers through handlePointerMove. In navigate
+  // mode any click or tap plans a route there instead.
+  const handlePointerDown = useCallback((event) => {
+    if (inputMode === 'navigate') {
+      if (event.button > 0 || cameraRig.drivesSubject || sessionRecorder.isReplaying) return;
+      if (touchesRef.current.count > 1 || !event.intersections?.length) return;
+      planRoute(event.intersections[0].point);
+      return;
+    }
+    if (event.pointerType === 'mouse') return;
+    handlePointerMove(event);
+  }, [handlePointerMove, inputMode, planRoute]);
+
+  // Expose the pointer handlers to parent components
   React.useImperativeHandle(ref, () => ({
-    handlePointerMove
+    handlePointerMove,
+    handlePointerDown
   }));
 
+  // One fixed step of movement: towards the target, shaped by the terrain
+  const stepSphere = useCallback((position, timestep) => {
+    const follow = dampFactor(moveHalfLife, timestep);
+    // Step towards the target as before, then scale the step by the slope
+    // ahead: slower uphill, faster downhill, blocked past the max gradient
+    moveStep.set(sphereTargetRef.current.x - position.x, 0, sphereTargetRef.current.z - position.z);
+    const remaining = moveStep.length();
+    if (physics) {
+      // SpherePhysics drives the body and copies its pose onto the mesh
+      if (remaining > 0.1) {
+        movementVectorRef.current.set(moveStep.x / remaining, 0, moveStep.z / remaining);
+      }
+      return;
+    }
+
+    if (remaining > 1e-4) {
+      moveStep.multiplyScalar(follow);
+      const dirX = (sphereTargetRef.current.x - position.x) / remaining;
+      const dirZ = (sphereTargetRef.current.z - position.z) / remaining;
+
+      if (terrainHeight.hasGround) {
+        const gradient = gradientAlong(
+          (x, z) => terrainHeight.getHeightAt(x, z),
+          position.x, position.z, dirX, dirZ, SLOPE_PROBE_DISTANCE
+        );
+        moveStep.multiplyScalar(slopeSpeedFactor(gradient, maxClimbGradient));
+      }
+
+      // Track movement direction for rolling and camera banking
+      if (remaining > 0.1) {
+        movementVectorRef.current.set(dirX, 0, dirZ);
+      }
+    } else {
+      moveStep.set(0, 0, 0);
+    }
+
+    position.x += moveStep.x;
+    position.z += moveStep.z;
+
+    // Rest on the ground along its normal, so the sphere hugs slopes and
+    // crests instead of hovering a fixed height above the point below it
+    if (terrainHeight.hasGround) {
+      const groundHeight = Math.max(0, terrainHeight.getHeightAt(position.x, position.z));
+      terrainHeight.getNormalAt(position.x, position.z, groundNormal);
+      position.y = groundHeight + SPHERE_HEIGHT_OFFSET / Math.max(groundNormal.y, MIN_NORMAL_Y);
+    } else {
+      // No ground registered yet: ease towards the pointer's estimate
+      groundNormal.set(0, 1, 0);
+      position.y = THREE.MathUtils.lerp(position.y, sphereTargetRef.current.y, follow);
+    }
+
+    // Roll in the direction of travel: distance over radius, about the axis
+    // lying in the ground plane perpendicular to the motion
+    const travelled = moveStep.length();
+    if (travelled > 0) {
+      rollAxis.crossVectors(groundNormal, moveStep).normalize();
+      rollRotation.setFromAxisAngle(rollAxis, travelled / SPHERE_RADIUS);
+      sphereRef.current.quaternion.premultiply(rollRotation);
+    }
+  }, [physics, maxClimbGradient, moveHalfLife]);
+
   // Animation loop for smooth movement
   useFrame((state, delta) => {
     if (!sphereRef.current || !isInitializedRef.current) {
@@ -92,123 +285,91 @@ const MovingSphere = React.forwardRef(({ onSphereMove, ribbonMode = 'both' }, re
       return;
     }
 
-    // Find base mesh if not cached - look for the Ground mesh specifically
-    if (!baseMeshRef.current && scene) {
-      const groundByName = scene.getObjectByName('Ground');
-      if (groundByName?.isMesh) {
-        baseMeshRef.current = groundByName;
-        return;
+    const sim = simRef.current;
+    const position = sim.position;
+    if (physics) {
+      // The rigid body owns the pose; steps only steer it
+      position.copy(sphereRef.current.position);
+      sim.previous.copy(position);
+    }
+
+    // A flythrough or the drive inputs set the target directly, so slopes
+    // and physics treat it exactly like a pointer target. Replays bring
+    // their own targets.
+    if (sessionRecorder.isReplaying) {
+      // Inputs are ignored until the replay ends
+      if (routeRef.current) clearRoute();
+    } else if (cameraRig.drivesSubject) {
+      // Ride the flythrough: its path projected onto the ground
+      cameraRig.sampleFlythrough(FLYTHROUGH_LEAD, sphereTargetRef.current);
+      sphereTargetRef.current.y = position.y;
+    } else if (inputMode === 'navigate') {
+      // Chase a point a little further along the route than the sphere has got
+      const active = routeRef.current;
+      if (active && state.clock.elapsedTime >= active.startsAt) {
+        const planned = active.route;
+        const progress = Math.max(
+          routeProgressRef.current,
+          planned.project(position.x, position.z, planned.segmentAt(routeProgressRef.current))
+        );
+        routeProgressRef.current = progress;
+        planned.pointAt(progress + ROUTE_LOOKAHEAD, sphereTargetRef.current);
+        sphereTargetRef.current.y = position.y;
+        cameraRig.setChaseDirection(position.x - sphereTargetRef.current.x, position.z - sphereTargetRef.current.z);
+        // The target already sits on the end, so the sphere settles there
+        if (progress >= planned.length - ROUTE_ARRIVE_DISTANCE) clearRoute();
       }
+    } else if (inputMode !== 'pointer') {
+      // Drive mode: keys and gamepad steer a target just ahead of the
+      // sphere. Free-fly camera takes the keys while it's active.
+      const input = combineDriveInput(
+        cameraRig.mode === 'free' ? NO_INPUT : readKeyboardDrive(getKeys()),
+        readGamepadDrive(getGamepads()),
+        inputMode === 'joystick' ? touchStick.read() : NO_INPUT
+      );
+      if (input.x !== 0 || input.y !== 0) {
+        camera.getWorldDirection(cameraForward);
+        cameraRelativeDirection(input, cameraForward, driveDirection);
+        const lookahead = DRIVE_LOOKAHEAD * (input.boost ? DRIVE_BOOST : 1);
+        sphereTargetRef.current.set(
+          position.x + driveDirection.x * lookahead,
+          position.y,
+          position.z + driveDirection.z * lookahead
+        );
 
-      scene.traverse((child) => {
-        if (child.isMesh && child.geometry && child.geometry.type === 'BufferGeometry' && child.geometry.attributes) {
-          // Check if geometry has position attributes (required for raycasting)
-          if (!child.geometry.attributes.position) return;
-          
-          // Look for the first non-grass, non-instanced mesh which should be our ground
-          // Also make sure it's not a ribbon or particle system
-          const childName = child.name || '';
-          const isNotGrass = !childName.includes('grass');
-          const isNotInstanced = !childName.includes('instance');
-          const isNotRibbon = !childName.includes('ribbon') && !childName.includes('trail');
-          const isNotParticle = !childName.includes('particle') && !childName.includes('point');
-          
-          if (isNotGrass && isNotInstanced && isNotRibbon && isNotParticle) {
-            // Found base mesh (no logging for performance)
-            baseMeshRef.current = child;
-            return; // Stop searching once we find it
-          }
+        // Swing the camera round behind the sphere while heading forwards
+        if (input.y > 0) {
+          cameraRig.setChaseDirection(-driveDirection.x, -driveDirection.z);
         }
-      });
+        isDrivingRef.current = true;
+      } else if (isDrivingRef.current) {
+        // Released: stop where we are rather than coasting to the lookahead
+        sphereTargetRef.current.copy(position);
+        isDrivingRef.current = false;
+      }
     }
 
-    // Calculate the next XZ position for the sphere
-    const nextX = THREE.MathUtils.lerp(
-      sphereRef.current.position.x, 
-      sphereTargetRef.current.x, 
-      SPHERE_MOVE_SPEED
-    );
-    const nextZ = THREE.MathUtils.lerp(
-      sphereRef.current.position.z, 
-      sphereTargetRef.current.z, 
-      SPHERE_MOVE_SPEED
-    );
-
-    // First, update sphere XZ position
-    sphereRef.current.position.x = nextX;
-    sphereRef.current.position.z = nextZ;
-
-    // Track movement direction for ribbons/camera behavior
-    const currentPos = sphereRef.current.position.clone();
-    const targetPos = sphereTargetRef.current.clone();
-    const frontVector = new THREE.Vector3().subVectors(targetPos, currentPos);
-    if (frontVector.length() < 0.1) {
-      frontVector.copy(movementVectorRef.current);
-    } else {
-      frontVector.normalize();
-      movementVectorRef.current.copy(frontVector);
+    stepperRef.current.advance(delta, (timestep) => {
+      sessionRecorder.step(sphereTargetRef.current, position, sphereRef.current.quaternion);
+      sim.previous.copy(position);
+      stepSphere(position, timestep);
+    });
+    if (!physics) {
+      sphereRef.current.position.lerpVectors(sim.previous, position, stepperRef.current.alpha);
     }
-    
-    // Calculate target sphere Y position based on ground at sphere location
-    let targetSphereY = SPHERE_HEIGHT_OFFSET; // Default fallback
-    
-    if (baseMeshRef.current && baseMeshRef.current.geometry && baseMeshRef.current.geometry.attributes) {
-      // Additional safety check for geometry attributes
-      if (baseMeshRef.current.geometry.attributes.position) {
-        try {
-          // Raycast from sphere's current XZ position to find ground height
-          const sphereRayStart = new THREE.Vector3(sphereRef.current.position.x, 200, sphereRef.current.position.z);
-          raycaster.set(sphereRayStart, rayDirection);
-          const sphereIntersects = raycaster.intersectObject(baseMeshRef.current, true);
-          
-          if (sphereIntersects.length > 0) {
-            const groundHeight = Math.max(0, sphereIntersects[0].point.y);
-            targetSphereY = groundHeight + SPHERE_HEIGHT_OFFSET;
-          } else {
-            // Fallback: smooth interpolation to target if raycast fails
-            targetSphereY = THREE.MathUtils.lerp(
-              sphereRef.current.position.y,
-              sphereTargetRef.current.y,
-              SPHERE_MOVE_SPEED
-            );
-          }
-        } catch (error) {
-          // Silently handle raycast errors and use fallback
-          targetSphereY = THREE.MathUtils.lerp(
-            sphereRef.current.position.y,
-            sphereTargetRef.current.y,
-            SPHERE_MOVE_SPEED
-          );
-        }
-      }
-    }
-    
-    // Set sphere Y position directly to maintain precise 1.2 unit offset
-    sphereRef.current.position.y = Math.max(1.2, targetSphereY);
-    
+
     // Notify parent of the sphere's current actual position every frame
     if (onSphereMove) {
       onSphereMove(sphereRef.current.position.clone());
     }
 
-    // Calculate camera target position
-    cameraTargetPosition.copy(sphereRef.current.position);
-    cameraTargetPosition.add(cameraOffsetRef.current);
-    cameraTargetPosition.y = sphereRef.current.position.y + CAMERA_HEIGHT_OFFSET;
-
-    // Smooth camera movement
-    camera.position.lerp(cameraTargetPosition, CAMERA_FOLLOW_SPEED);
-
-    // Make camera look at sphere
-    lookAtTarget.copy(sphereRef.current.position);
-    lookAtTarget.y += 0.5; // Look slightly above sphere center
-    camera.lookAt(lookAtTarget);
-
-    // No floating animation - maintain exact 1.2 height above ground
+    // Hand the sphere to the camera rig, which runs after this frame callback
+    cameraRig.subject.position.copy(sphereRef.current.position);
+    cameraRig.subject.direction.copy(movementVectorRef.current);
   });
 
   // Memoized sphere geometry and material for performance
-  const sphereGeometry = useMemo(() => new THREE.SphereGeometry(0.9, 16, 12), []);
+  const sphereGeometry = useMemo(() => new THREE.SphereGeometry(SPHERE_RADIUS, 16, 12), []);
   const sphereMaterial = useMemo(() => new THREE.MeshStandardMaterial({
     color: '#fff',
     metalness: 1.0,
@@ -230,7 +391,20 @@ const MovingSphere = React.forwardRef(({ onSphereMove, ribbonMode = 'both' }, re
         sphereRef={sphereRef}
         enabled={ribbonMode !== 'off'}
         mode={ribbonMode}
+        seed={seed}
+        wind={wind}
       />
+      <RouteRibbon route={route} progressRef={routeProgressRef} revealTime={ROUTE_PREVIEW_TIME} />
+      {physics && (
+        <Suspense fallback={null}>
+          <SpherePhysics
+            meshRef={sphereRef}
+            targetRef={sphereTargetRef}
+            radius={SPHERE_RADIUS}
+            obstacles={obstacles}
+          />
+        </Suspense>
+      )}
     </group>
   );
 });
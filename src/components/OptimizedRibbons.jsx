@@ -1,6 +1,7 @@
 import React, { useRef, useMemo, useEffect, useCallback } from 'react';
 import * as THREE from 'three';
 import { useFrame } from '@react-three/fiber';
+import { createRandom } from '../utils/random';
 
 // Performance-optimized constants
 const RIBBON_COUNT = 4; // Four corner ribbons: top-right, top-left, bottom-left, bottom-right
@@ -9,13 +10,15 @@ const RIBBON_WIDTH = 0.25;
 const SPAWN_DISTANCE = 0.8; // Balanced distance from sphere center
 const TRAIL_LIFETIME = 3500; // Increased for longer ribbons
 const MOVEMENT_THRESHOLD = 0.03; // Increased to reduce updates
-const UPDATE_FREQUENCY = 3; // Update every 3rd frame for 60fps target
+const UPDATE_INTERVAL = 0.05; // Seconds between geometry rebuilds while the trail is unchanged
+const WIND_BEND = 0.35; // Sideways drift per second of ribbon age per unit of wind
 
 // Pre-allocated objects to avoid garbage collection
 const tempVector3 = new THREE.Vector3();
 const tempVector3_2 = new THREE.Vector3();
 const tempVector3_3 = new THREE.Vector3();
 const tempColor = new THREE.Color();
+const tempWind = new THREE.Vector2();
 
 /**
  * Heavily Optimized Ribbon System
@@ -23,12 +26,14 @@ const tempColor = new THREE.Color();
  * Performance optimizations:
  * - Single ribbon system replaces 3 separate ones
  * - Geometry pooling prevents constant create/dispose cycles
- * - Frame-rate aware updates (every 3rd frame)
+ * - Time-based geometry refresh (every UPDATE_INTERVAL seconds), the same
+ *   on any display
  * - Pre-allocated objects reduce garbage collection
  * - Simplified geometry creation
  * - Removed expensive operations like computeVertexNormals()
+ * - Older trail points drift with the shared wind field so ribbons bend downwind
  */
-const OptimizedRibbons = ({ sphereRef, enabled = true, mode = 'both' }) => {
+const OptimizedRibbons = ({ sphereRef, enabled = true, mode = 'both', seed = 0, wind = null }) => {
   const groupRef = useRef();
   const ribbonMeshes = useRef([]);
   const ribbonGeometries = useRef([]);
@@ -37,7 +42,7 @@ const OptimizedRibbons = ({ sphereRef, enabled = true, mode = 'both' }) => {
   const trailHistory = useRef([]);
   const lastPosition = useRef(new THREE.Vector3());
   const lastVelocity = useRef(new THREE.Vector3());
-  const frameCounter = useRef(0);
+  const sinceUpdate = useRef(0);
   
   // Pre-allocated geometry buffers for performance (updated for longer ribbons)
   const geometryBuffers = useRef({
@@ -48,12 +53,13 @@ const OptimizedRibbons = ({ sphereRef, enabled = true, mode = 'both' }) => {
 
   // Optimized ribbon materials - created once and reused
   const ribbonMaterials = useMemo(() => {
+    const random = createRandom(`${seed}:ribbons`);
     const materials = [];
     for (let i = 0; i < RIBBON_COUNT; i++) {
       // Off-white color with subtle variations
       const offWhiteColor = new THREE.Color(0.95, 0.93, 0.88); // Warm off-white
-      // Add very subtle color variation per ribbon
-      const variation = (i / RIBBON_COUNT) * 0.05;
+      // Add very subtle, seeded color variation per ribbon
+      const variation = random() * 0.05;
       offWhiteColor.r += variation * 0.02;
       offWhiteColor.g += variation * 0.01;
       offWhiteColor.b -= variation * 0.01;
@@ -69,7 +75,7 @@ const OptimizedRibbons = ({ sphereRef, enabled = true, mode = 'both' }) => {
       }));
     }
     return materials;
-  }, []);
+  }, [seed]);
 
   // Create ribbon spawn angles with balanced positioning around the back of the sphere
   const spawnAngles = useMemo(() => {
@@ -179,6 +185,14 @@ const OptimizedRibbons = ({ sphereRef, enabled = true, mode = 'both' }) => {
     }
   }, [spawnAngles]);
 
+  // Offset a ribbon point by the wind at it, scaled by how long it has existed
+  const applyWindDrift = useCallback((point, ageMs) => {
+    wind.sample(point.x, point.z, tempWind);
+    const drift = (ageMs / 1000) * WIND_BEND;
+    point.x += tempWind.x * drift;
+    point.z += tempWind.y * drift;
+  }, [wind]);
+
   // Highly optimized geometry update
   const updateRibbonGeometry = useCallback((ribbonIndex) => {
     const trail = trailHistory.current;
@@ -228,6 +242,12 @@ const OptimizedRibbons = ({ sphereRef, enabled = true, mode = 'both' }) => {
       const nextSpawnOffset = calculateSpawnOffset(nextPoint.velocity, ribbonIndex);
       tempVector3_2.copy(nextPoint.position).add(nextSpawnOffset);
 
+      // Blow older points downwind
+      if (wind) {
+        applyWindDrift(tempVector3, age);
+        applyWindDrift(tempVector3_2, currentTime - nextPoint.timestamp);
+      }
+
       // Calculate direction and width vector efficiently
       tempVector3_3.subVectors(tempVector3_2, tempVector3).normalize();
       
@@ -298,7 +318,7 @@ const OptimizedRibbons = ({ sphereRef, enabled = true, mode = 'both' }) => {
       // No geometry to draw
       geometry.setDrawRange(0, 0);
     }
-  }, [calculateSpawnOffset, ribbonMaterials]);
+  }, [calculateSpawnOffset, ribbonMaterials, wind, applyWindDrift]);
 
   // Initialize trail (will be done in useFrame now)
   const isInitialized = useRef(false);
@@ -307,6 +327,7 @@ const OptimizedRibbons = ({ sphereRef, enabled = true, mode = 'both' }) => {
   useFrame((state, delta) => {
     if (!enabled || !sphereRef?.current || mode === 'off') return;
 
+    wind?.advanceTo(state.clock.elapsedTime);
     const currentSpherePosition = sphereRef.current.position;
     
     // Debug: Check if ribbons are being disabled due to height
@@ -332,13 +353,14 @@ const OptimizedRibbons = ({ sphereRef, enabled = true, mode = 'both' }) => {
       return;
     }
 
-    frameCounter.current++;
+    sinceUpdate.current += delta;
     
     // Update trail history every frame for smooth movement tracking
     const trailUpdated = updateTrailHistory(currentSpherePosition, delta);
     
     // Update geometries less frequently for performance
-    if (frameCounter.current % UPDATE_FREQUENCY === 0 || trailUpdated) {
+    if (sinceUpdate.current >= UPDATE_INTERVAL || trailUpdated) {
+      sinceUpdate.current = 0;
       // Clean old trail points
       const currentTime = performance.now();
       trailHistory.current = trailHistory.current.filter(point => 
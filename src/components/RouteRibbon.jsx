@@ -0,0 +1,106 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { useFrame } from '@react-three/fiber';
+import terrainHeight from '../utils/terrainHeight';
+
+const RIBBON_WIDTH = 0.6;
+const SAMPLE_SPACING = 0.5; // World units between cross-sections along the route
+const GROUND_LIFT = 0.12; // Keeps the ribbon out of the terrain between samples
+const RIBBON_COLOR = '#7fd4ff';
+
+const tempPoint = new THREE.Vector3();
+const tempAhead = new THREE.Vector3();
+const tempBehind = new THREE.Vector3();
+
+/**
+ * RouteRibbon Component
+ *
+ * Draws a planned route (utils/navigation `createRoute`) as a flat ribbon
+ * lying on the terrain.
+ *
+ * Features:
+ * - Draped over the ground through the terrain height service
+ * - Unrolls from the start over `revealTime` seconds when a new route
+ *   arrives, so the plan is visible before the sphere sets off
+ * - Trims itself behind the sphere using `progressRef` (distance travelled
+ *   along the route)
+ */
+const RouteRibbon = ({ route, progressRef, revealTime = 0.75 }) => {
+  const revealRef = useRef(0);
+
+  const geometry = useMemo(() => {
+    if (!route || route.length <= 0) return null;
+
+    const sections = Math.max(1, Math.ceil(route.length / SAMPLE_SPACING));
+    const positions = new Float32Array((sections + 1) * 2 * 3);
+    const indices = [];
+    for (let i = 0; i <= sections; i++) {
+      const distance = (i / sections) * route.length;
+      route.pointAt(distance, tempPoint);
+      // Direction from a point just behind to one just ahead, so corners mitre
+      route.pointAt(distance + SAMPLE_SPACING * 0.5, tempAhead);
+      route.pointAt(distance - SAMPLE_SPACING * 0.5, tempBehind);
+      const dx = tempAhead.x - tempBehind.x;
+      const dz = tempAhead.z - tempBehind.z;
+      const length = Math.hypot(dx, dz) || 1;
+      const sideX = (-dz / length) * RIBBON_WIDTH * 0.5;
+      const sideZ = (dx / length) * RIBBON_WIDTH * 0.5;
+
+      const i6 = i * 6;
+      for (let side = 0; side < 2; side++) {
+        const sign = side === 0 ? 1 : -1;
+        const x = tempPoint.x + sideX * sign;
+        const z = tempPoint.z + sideZ * sign;
+        positions[i6 + side * 3] = x;
+        positions[i6 + side * 3 + 1] = terrainHeight.getHeightAt(x, z) + GROUND_LIFT;
+        positions[i6 + side * 3 + 2] = z;
+      }
+      if (i < sections) {
+        const v = i * 2;
+        indices.push(v, v + 2, v + 1, v + 1, v + 2, v + 3);
+      }
+    }
+
+    const built = new THREE.BufferGeometry();
+    built.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    built.setIndex(indices);
+    built.computeBoundingSphere();
+    built.userData.sections = sections;
+    return built;
+  }, [route]);
+
+  useEffect(() => {
+    revealRef.current = 0;
+    return () => geometry?.dispose();
+  }, [geometry]);
+
+  const material = useMemo(() => new THREE.MeshBasicMaterial({
+    color: RIBBON_COLOR,
+    transparent: true,
+    opacity: 0.75,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+    polygonOffset: true,
+    polygonOffsetFactor: -2,
+  }), []);
+
+  useEffect(() => () => material.dispose(), [material]);
+
+  useFrame((state, delta) => {
+    if (!geometry) return;
+    revealRef.current += delta;
+
+    // Show the sections between the sphere and how far the reveal has got
+    const { sections } = geometry.userData;
+    const revealed = revealTime > 0 ? Math.min(revealRef.current / revealTime, 1) : 1;
+    const end = Math.ceil(sections * revealed);
+    const start = Math.min(Math.floor(((progressRef?.current ?? 0) / route.length) * sections), end);
+    geometry.setDrawRange(start * 6, (end - start) * 6);
+  });
+
+  if (!geometry) return null;
+
+  return <mesh geometry={geometry} material={material} frustumCulled={false} renderOrder={1} />;
+};
+
+export default RouteRibbon;
@@ -0,0 +1,117 @@
+import React from 'react';
+import sessionRecorder from '../utils/sessionRecorder';
+import './ParticleControls.css';
+import './GrassControls.css';
+import './SessionControls.css';
+
+const PROGRESS_POLL_INTERVAL = 200; // ms between replay progress updates
+
+const sessionFileName = () => `session-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+
+/**
+ * SessionControls Component
+ *
+ * Record the sphere's run and replay it step for step (utils/sessionRecorder).
+ *
+ * Features:
+ * - Record/stop, replaying the last take straight away
+ * - Save takes as compact JSON files and load them back for replay
+ * - Shows replay progress and warns when a file was recorded with a
+ *   different scene seed (particles and grass would differ)
+ */
+const SessionControls = ({ seed, appState, isVisible = true }) => {
+  const [state, setState] = React.useState(sessionRecorder.state);
+  const [lastSession, setLastSession] = React.useState(null);
+  const [progress, setProgress] = React.useState(0);
+  const [message, setMessage] = React.useState(null);
+  const fileInputRef = React.useRef();
+
+  React.useEffect(() => sessionRecorder.subscribe((event) => {
+    if (event.type === 'state') setState(event.state);
+  }), []);
+
+  React.useEffect(() => {
+    if (state !== 'replaying') return undefined;
+    const interval = setInterval(() => setProgress(sessionRecorder.progress), PROGRESS_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [state]);
+
+  const replay = (session, source) => {
+    try {
+      sessionRecorder.startReplay(session, source);
+      setProgress(0);
+      setMessage(session.seed !== seed
+        ? `Recorded with seed ${session.seed}; open with ?seed=${session.seed} for the same scene`
+        : null);
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const handleRecord = () => {
+    if (state === 'recording') {
+      setLastSession(sessionRecorder.stopRecording());
+    } else {
+      sessionRecorder.startRecording({ seed, appState });
+      setMessage(null);
+    }
+  };
+
+  const handleSave = () => {
+    const blob = new Blob([JSON.stringify(lastSession)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = sessionFileName();
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleLoad = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const session = JSON.parse(await file.text());
+      setLastSession(session);
+      replay(session, file.name);
+    } catch (err) {
+      setMessage(`${file.name}: ${err.message}`);
+    }
+  };
+
+  if (!isVisible) return null;
+
+  return (
+    <div className="particle-controls session-controls">
+      <h3>Session</h3>
+      <div className="control-group grass-presets">
+        <div className="grass-preset-row">
+          <button onClick={handleRecord} disabled={state === 'replaying'}>
+            {state === 'recording' ? 'Stop' : 'Record'}
+          </button>
+          {state === 'replaying' ? (
+            <button onClick={() => sessionRecorder.stopReplay()}>Stop replay</button>
+          ) : (
+            <button onClick={() => replay(lastSession)} disabled={!lastSession || state === 'recording'}>
+              Replay
+            </button>
+          )}
+        </div>
+        <div className="grass-preset-row">
+          <button onClick={handleSave} disabled={!lastSession}>Save file</button>
+          <button onClick={() => fileInputRef.current.click()} disabled={state === 'recording'}>Load file</button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleLoad} hidden />
+        </div>
+        <p className="session-status">
+          {state === 'recording' && 'Recording…'}
+          {state === 'replaying' && `Replaying ${Math.round(progress * 100)}%`}
+          {state === 'idle' && (lastSession ? `Last take: ${(lastSession.steps * lastSession.timestep).toFixed(1)}s` : 'No take yet')}
+        </p>
+        {message && <p className="session-message">{message}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default SessionControls;
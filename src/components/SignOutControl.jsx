@@ -0,0 +1,42 @@
+import React from 'react';
+import './SignOutControl.css';
+
+/**
+ * SignOutControl Component
+ *
+ * Always-on button that ends the auth session (AuthProvider `signOut`), so a
+ * shared lift-station tablet can be handed back to the keypad without a
+ * keyboard.
+ *
+ * Features:
+ * - Shows who is signed in, when the session names a user
+ * - Disabled while the sign-out is in flight
+ */
+const SignOutControl = ({ user = null, onSignOut }) => {
+  const [signingOut, setSigningOut] = React.useState(false);
+
+  const handleClick = async () => {
+    setSigningOut(true);
+    try {
+      await onSignOut();
+    } finally {
+      setSigningOut(false);
+    }
+  };
+
+  return (
+    <div className="sign-out-control">
+      <button
+        className="sign-out-button"
+        onClick={handleClick}
+        disabled={signingOut}
+        title="End this session and return to the keypad"
+      >
+        Sign out
+      </button>
+      {user && <div className="sign-out-user">{user}</div>}
+    </div>
+  );
+};
+
+export default SignOutControl;
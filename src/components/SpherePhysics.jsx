@@ -0,0 +1,125 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useFrame } from "@react-three/fiber";
+import { BallCollider, CylinderCollider, HeightfieldCollider, Physics, RigidBody } from "@react-three/rapier";
+import * as THREE from "three";
+import { heightfieldColliderArgs } from "../utils/heightfield";
+import terrainHeight from "../utils/terrainHeight";
+
+const DRIVE_STIFFNESS = 6; // Force per unit of distance to the pointer target
+const MAX_DRIVE_FORCE = 30; // Cap so far targets don't fling the sphere
+const RESPAWN_DEPTH = -50; // Below this the sphere is dropped back onto the target
+
+const driveForce = new THREE.Vector3();
+let groundColliderId = 0;
+
+/**
+ * Ground collider built from whatever ground the terrain height service has
+ * registered, rebuilt when the terrain is swapped
+ */
+const GroundCollider = () => {
+  const [ground, setGround] = useState(() => terrainHeight.active);
+  useEffect(() => terrainHeight.subscribe(setGround), []);
+
+  // Fresh id per build so a swapped terrain remounts the body instead of patching it
+  const collider = useMemo(() => (
+    ground ? { ...heightfieldColliderArgs(ground), id: ++groundColliderId } : null
+  ), [ground]);
+  if (!collider) return null;
+
+  return (
+    <RigidBody key={collider.id} type="fixed" colliders={false}>
+      <HeightfieldCollider
+        args={collider.args}
+        position={collider.position}
+        friction={1}
+        restitution={0.3}
+      />
+    </RigidBody>
+  );
+};
+
+/**
+ * SpherePhysics Component
+ *
+ * Rapier world for MovingSphere's physics mode. Loaded lazily so the physics
+ * engine only downloads when the mode is switched on.
+ *
+ * Features:
+ * - Ball rigid body on a heightfield collider of the registered ground, so it
+ *   rolls down slopes and bounces on landing
+ * - Driven by a spring force towards the pointer target instead of being
+ *   placed directly
+ * - Optional fixed cylinders for lift towers and other obstacles
+ * - Copies the body's pose onto MovingSphere's mesh every frame, so ribbons,
+ *   grass bending and the camera keep reading the mesh as before
+ */
+const SpherePhysics = ({
+  meshRef,
+  targetRef,
+  radius = 0.9,
+  obstacles = [], // [{ position: [x, z], radius, height }] standing on the ground
+  debug = false,
+}) => {
+  const bodyRef = useRef();
+
+  // Start wherever the sphere was when physics was switched on
+  const initialPosition = useMemo(() => (
+    meshRef.current ? meshRef.current.position.toArray() : [0, radius * 2, 0]
+  ), [meshRef, radius]);
+
+  useFrame(() => {
+    const body = bodyRef.current;
+    const mesh = meshRef.current;
+    if (!body || !mesh) return;
+
+    const position = body.translation();
+
+    if (position.y < RESPAWN_DEPTH) {
+      const target = targetRef.current;
+      body.setTranslation({ x: target.x, y: terrainHeight.getHeightAt(target.x, target.z) + radius * 3, z: target.z }, true);
+      body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+      return;
+    }
+
+    // Spring towards the target in the ground plane; gravity does the rest
+    driveForce.set(targetRef.current.x - position.x, 0, targetRef.current.z - position.z)
+      .multiplyScalar(DRIVE_STIFFNESS)
+      .clampLength(0, MAX_DRIVE_FORCE);
+    body.resetForces(true);
+    body.addForce(driveForce, true);
+
+    mesh.position.set(position.x, position.y, position.z);
+    const rotation = body.rotation();
+    mesh.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+  });
+
+  return (
+    <Physics gravity={[0, -9.81, 0]} debug={debug}>
+      <GroundCollider />
+      {obstacles.length > 0 && (
+        <RigidBody type="fixed" colliders={false}>
+          {obstacles.map(({ position: [x, z], radius: towerRadius = 0.5, height = 8 }, i) => (
+            <CylinderCollider
+              key={i}
+              args={[height / 2, towerRadius]}
+              position={[x, terrainHeight.getHeightAt(x, z) + height / 2, z]}
+              restitution={0.6}
+            />
+          ))}
+        </RigidBody>
+      )}
+      <RigidBody
+        ref={bodyRef}
+        colliders={false}
+        position={initialPosition}
+        linearDamping={0.4}
+        angularDamping={0.6}
+        ccd
+      >
+        <BallCollider args={[radius]} restitution={0.5} friction={1} />
+      </RigidBody>
+    </Physics>
+  );
+};
+
+export default SpherePhysics;
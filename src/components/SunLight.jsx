@@ -0,0 +1,72 @@
+import React, { useMemo, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import * as THREE from "three";
+
+const DEFAULT_SUN_DIRECTION = [0.45, 0.8, 0.35]; // Towards the sun, late-morning angle
+const SUN_DISTANCE = 60; // Light sits this far from its target along the sun direction
+
+/**
+ * SunLight Component
+ *
+ * Directional sun plus sky/ground fill for the lit shading mode.
+ *
+ * Features:
+ * - Shadow camera follows the camera so terrain shadows stay sharp near the
+ *   player instead of stretching one map over the whole map
+ * - The target moves in shadow-texel-sized steps to cut shimmering edges
+ *   while moving
+ */
+const SunLight = ({
+  direction = DEFAULT_SUN_DIRECTION,
+  color = "#fff1d6",
+  intensity = 2.4,
+  skyColor = "#cfe6ff",
+  groundColor = "#3d5a2a",
+  ambientIntensity = 0.9,
+  shadowMapSize = 2048,
+  shadowExtent = 40, // Half-size of the shadowed square around the camera
+  shadowBias = -0.0005,
+}) => {
+  const lightRef = useRef();
+  const target = useMemo(() => new THREE.Object3D(), []);
+  const sunDirection = useMemo(() => new THREE.Vector3(...direction).normalize(), [direction]);
+  const texelSize = (shadowExtent * 2) / shadowMapSize;
+
+  useFrame(({ camera }) => {
+    const light = lightRef.current;
+    if (!light) return;
+
+    target.position.set(
+      Math.round(camera.position.x / texelSize) * texelSize,
+      0,
+      Math.round(camera.position.z / texelSize) * texelSize
+    );
+    target.updateMatrixWorld();
+    light.position.copy(target.position).addScaledVector(sunDirection, SUN_DISTANCE);
+  });
+
+  return (
+    <>
+      <hemisphereLight args={[skyColor, groundColor, ambientIntensity]} />
+      <directionalLight
+        ref={lightRef}
+        color={color}
+        intensity={intensity}
+        target={target}
+        castShadow
+        shadow-mapSize={[shadowMapSize, shadowMapSize]}
+        shadow-bias={shadowBias}
+        shadow-normalBias={0.02}
+        shadow-camera-left={-shadowExtent}
+        shadow-camera-right={shadowExtent}
+        shadow-camera-top={shadowExtent}
+        shadow-camera-bottom={-shadowExtent}
+        shadow-camera-near={1}
+        shadow-camera-far={SUN_DISTANCE * 2}
+      />
+      <primitive object={target} />
+    </>
+  );
+};
+
+export default SunLight;
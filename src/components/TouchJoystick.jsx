@@ -0,0 +1,93 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { stickFromDrag, touchStick } from '../utils/driveInput';
+import './TouchJoystick.css';
+
+const KNOB_TRAVEL = 50; // Pixels from centre for full deflection
+
+/**
+ * TouchJoystick Component
+ *
+ * On-screen stick for steering the sphere on touch screens (the 'joystick'
+ * input mode). Writes into the shared `touchStick`, which MovingSphere reads
+ * alongside keyboard and gamepad input.
+ *
+ * Features:
+ * - Drag the knob to steer relative to the camera; release to stop
+ * - Hold the boost button to speed up
+ * - Pointer capture keeps the drag alive when the finger leaves the pad
+ */
+const TouchJoystick = ({ isVisible = true }) => {
+  const [knob, setKnob] = useState({ x: 0, y: 0 });
+  const [boosting, setBoosting] = useState(false);
+  const padRef = useRef();
+  const activePointerRef = useRef(null);
+
+  // Never leave the sphere driving after the stick is hidden
+  useEffect(() => () => touchStick.release(), []);
+
+  const updateFromEvent = useCallback((event) => {
+    const rect = padRef.current.getBoundingClientRect();
+    const { x, y } = stickFromDrag(
+      event.clientX - (rect.left + rect.width / 2),
+      event.clientY - (rect.top + rect.height / 2),
+      KNOB_TRAVEL
+    );
+    touchStick.set(x, y);
+    setKnob({ x: x * KNOB_TRAVEL, y: -y * KNOB_TRAVEL });
+  }, []);
+
+  const handlePointerDown = (event) => {
+    if (activePointerRef.current !== null) return;
+    activePointerRef.current = event.pointerId;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    updateFromEvent(event);
+  };
+
+  const handlePointerMove = (event) => {
+    if (event.pointerId !== activePointerRef.current) return;
+    updateFromEvent(event);
+  };
+
+  const handlePointerUp = (event) => {
+    if (event.pointerId !== activePointerRef.current) return;
+    activePointerRef.current = null;
+    touchStick.set(0, 0);
+    setKnob({ x: 0, y: 0 });
+  };
+
+  const setBoost = (value) => {
+    touchStick.boost = value;
+    setBoosting(value);
+  };
+
+  if (!isVisible) return null;
+
+  return (
+    <div className="touch-joystick">
+      <div
+        ref={padRef}
+        className="touch-joystick-pad"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <div
+          className="touch-joystick-knob"
+          style={{ transform: `translate(${knob.x}px, ${knob.y}px)` }}
+        />
+      </div>
+      <button
+        className={`touch-joystick-boost ${boosting ? 'active' : ''}`}
+        onPointerDown={() => setBoost(true)}
+        onPointerUp={() => setBoost(false)}
+        onPointerCancel={() => setBoost(false)}
+        onPointerLeave={() => setBoost(false)}
+      >
+        Boost
+      </button>
+    </div>
+  );
+};
+
+export default TouchJoystick;
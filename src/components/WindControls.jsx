@@ -0,0 +1,76 @@
+import React from 'react';
+import { WEATHER_PRESETS } from '../utils/windField';
+import './WindControls.css';
+
+const WEATHER_LABELS = {
+  calm: 'Calm',
+  breeze: 'Breeze',
+  gusty: 'Gusty',
+  storm: 'Storm'
+};
+
+const WindControls = ({ 
+  weather, 
+  settings, 
+  onWeatherChange, 
+  onSettingsChange, 
+  isVisible = true 
+}) => {
+  const handleSliderChange = (key, value) => {
+    onSettingsChange({
+      ...settings,
+      [key]: parseFloat(value)
+    });
+  };
+
+  if (!isVisible) return null;
+
+  return (
+    <div className="wind-controls">
+      <h3>Weather</h3>
+      <div className="wind-preset-buttons">
+        {Object.keys(WEATHER_PRESETS).map(name => (
+          <button
+            key={name}
+            className={`wind-preset-btn ${weather === name ? 'active' : ''}`}
+            onClick={() => onWeatherChange(name)}
+          >
+            {WEATHER_LABELS[name] || name}
+          </button>
+        ))}
+      </div>
+
+      <div className="wind-control-group">
+        <label>Direction</label>
+        <div className="wind-slider-container">
+          <input
+            type="range"
+            min="0"
+            max="360"
+            step="5"
+            value={settings.direction}
+            onChange={(e) => handleSliderChange('direction', e.target.value)}
+          />
+          <span className="wind-value">{Math.round(settings.direction)}°</span>
+        </div>
+      </div>
+
+      <div className="wind-control-group">
+        <label>Strength</label>
+        <div className="wind-slider-container">
+          <input
+            type="range"
+            min="0"
+            max="2"
+            step="0.05"
+            value={settings.strength}
+            onChange={(e) => handleSliderChange('strength', e.target.value)}
+          />
+          <span className="wind-value">{settings.strength.toFixed(2)}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WindControls;
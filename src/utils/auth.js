@@ -0,0 +1,299 @@
+/**
+ * Pluggable authentication for the access gate
+ *
+ * The keypad PIN is checked by a server, never by the client bundle. A
+ * provider turns a PIN into a session and checks a stored session is still
+ * good:
+ *
+ *   {
+ *     name: 'local',
+ *     label: 'Local gate',           // Shown on the auth screen
+ *     pinLength: 5,
+ *     signIn(pin) -> Promise<session>,      // AuthError with `rejected` for a wrong PIN,
+ *                                           //   `lockedOut` after too many
+ *     validate(session) -> Promise<session|null>,  // null once it's no longer valid
+ *     signOut(session) -> Promise<void>,
+ *   }
+ *
+ * Sessions are plain JSON kept in sessionStorage:
+ *
+ *   { "provider": "local", "token": "<JWT>", "expiresAt": 1700000000000,
+ *     "user": "operator", "refreshToken": "..." }   // refreshToken: OIDC only
+ *
+ * - local: the stand-in server in scripts/auth-server.mjs (`npm run auth:local`)
+ * - oidc: an OpenID Connect provider's token endpoint. The PIN is the
+ *   password of a shared operator account (resource owner password grant), so
+ *   the keypad stays the login UI; the client needs direct grants enabled.
+ *   This is a stand-in for kiosks that only have the keypad: OAuth 2.1 drops
+ *   the password grant and many providers disable it, and a shared account
+ *   can't tell operators apart. Anywhere a browser login page is acceptable,
+ *   an authorization-code flow with PKCE should replace it.
+ *
+ * Tokens are not signature-checked here: the server that issued them is asked
+ * instead (the session endpoint or OIDC userinfo) every time a stored session
+ * is validated, so an edited session never gets past the gate. An OIDC issuer
+ * without a userinfo endpoint is refused rather than trusted on its expiry.
+ */
+
+export const AUTH_PROVIDERS = ['local', 'oidc'];
+const STORAGE_KEY = 'authSession';
+const DEFAULT_PIN_LENGTH = 5;
+const DEFAULT_LOCAL_AUTH_URL = 'http://localhost:4001/auth';
+const DEFAULT_OIDC_USERNAME = 'operator';
+const DEFAULT_OIDC_SCOPE = 'openid profile offline_access';
+const EXPIRY_SKEW = 30 * 1000; // Treat tokens this close to expiry as expired (ms)
+
+export class AuthError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [source] - Provider or URL for the message prefix
+   * @param {{ rejected?: boolean, lockedOut?: boolean }} [options] - `rejected`
+   *   when the server refused the credentials, as opposed to being unreachable
+   *   or broken; `lockedOut` when it won't check any more for now
+   */
+  constructor(message, source, { rejected = false, lockedOut = false } = {}) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'AuthError';
+    this.rejected = rejected;
+    this.lockedOut = lockedOut;
+  }
+}
+
+/**
+ * Which provider to use: REACT_APP_AUTH_PROVIDER when it names one, otherwise
+ * 'local'. Deliberately not a URL parameter.
+ */
+export const getAppAuthProvider = () => {
+  const name = process.env.REACT_APP_AUTH_PROVIDER;
+  return AUTH_PROVIDERS.includes(name) ? name : AUTH_PROVIDERS[0];
+};
+
+/**
+ * Claims of a JWT, without verifying it
+ *
+ * @returns {object|null} null when `token` isn't a JWT
+ */
+export const decodeJwt = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+  try {
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+    const json = decodeURIComponent(Array.from(atob(base64), (c) => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+    const claims = JSON.parse(json);
+    return claims && typeof claims === 'object' ? claims : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether a session has expired, or will within a few seconds
+ */
+export const isSessionExpired = (session, now = Date.now()) => (
+  !session || !Number.isFinite(session.expiresAt) || session.expiresAt - EXPIRY_SKEW <= now
+);
+
+/**
+ * Session from a token response, taking the expiry and user from the JWT
+ * claims when the response doesn't say
+ */
+const createSession = (provider, token, { expiresIn, user, ...extra } = {}, now = Date.now()) => {
+  const claims = decodeJwt(token) ?? {};
+  const expiresAt = Number.isFinite(expiresIn) ? now + expiresIn * 1000
+    : Number.isFinite(claims.exp) ? claims.exp * 1000
+      : NaN;
+  if (!Number.isFinite(expiresAt)) throw new AuthError('token has no expiry', provider);
+  return { provider, token, expiresAt, user: user ?? claims.preferred_username ?? claims.sub ?? null, ...extra };
+};
+
+/**
+ * The stored session, or null when there is none or it's unreadable
+ */
+export const loadAuthSession = (storage = window.sessionStorage) => {
+  try {
+    const session = JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+    return session && typeof session.token === 'string' ? session : null;
+  } catch (error) {
+    console.warn('Ignoring unreadable auth session:', error);
+    return null;
+  }
+};
+
+export const saveAuthSession = (session, storage = window.sessionStorage) => {
+  storage.setItem(STORAGE_KEY, JSON.stringify(session));
+  return session;
+};
+
+export const clearAuthSession = (storage = window.sessionStorage) => {
+  storage.removeItem(STORAGE_KEY);
+};
+
+// fetch that turns network failures and non-JSON replies into AuthErrors
+const requestJson = async (fetchImpl, url, options, source) => {
+  let response;
+  try {
+    response = await fetchImpl(url, options);
+  } catch (error) {
+    throw new AuthError(`can't reach ${url} (${error.message})`, source);
+  }
+  const body = response.status === 204 ? null : await response.json().catch(() => null);
+  return { response, body };
+};
+
+const bearer = (session) => ({ Authorization: `Bearer ${session.token}` });
+
+/**
+ * Provider for the local stand-in server (scripts/auth-server.mjs), or any
+ * server with the same three endpoints:
+ *
+ *   POST {url}/pin      { pin }  -> 200 { token, expiresIn }, 401 wrong PIN, 429 locked out
+ *   GET  {url}/session  Bearer   -> 200 { user }, 401 when no longer valid
+ *   POST {url}/logout   Bearer   -> 204
+ */
+export const createLocalAuthProvider = ({
+  url = DEFAULT_LOCAL_AUTH_URL,
+  pinLength = DEFAULT_PIN_LENGTH,
+  fetch: fetchImpl = (...args) => window.fetch(...args),
+} = {}) => ({
+  name: 'local',
+  label: 'Local gate',
+  pinLength,
+
+  async signIn(pin) {
+    const { response, body } = await requestJson(fetchImpl, `${url}/pin`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pin }),
+    }, 'local');
+    if (response.status === 401) throw new AuthError('invalid PIN', 'local', { rejected: true });
+    if (response.status === 429) throw new AuthError('too many attempts, try again shortly', 'local', { lockedOut: true });
+    if (!response.ok || typeof body?.token !== 'string') throw new AuthError(`sign-in failed (HTTP ${response.status})`, 'local');
+    return createSession('local', body.token, { expiresIn: body.expiresIn, user: body.user });
+  },
+
+  async validate(session) {
+    if (isSessionExpired(session)) return null;
+    const { response } = await requestJson(fetchImpl, `${url}/session`, { headers: bearer(session) }, 'local');
+    if (response.status === 401 || response.status === 403) return null;
+    if (!response.ok) throw new AuthError(`session check failed (HTTP ${response.status})`, 'local');
+    return session;
+  },
+
+  async signOut(session) {
+    await requestJson(fetchImpl, `${url}/logout`, { method: 'POST', headers: bearer(session) }, 'local');
+  },
+});
+
+/**
+ * Provider for an OpenID Connect issuer; endpoints come from its discovery
+ * document
+ *
+ * Signs in with the deprecated password grant against one shared account
+ * (see the top of this file), so treat it as a stand-in: the issuer must
+ * still allow direct grants, and every session is the same user.
+ */
+export const createOidcAuthProvider = ({
+  issuer,
+  clientId,
+  username = DEFAULT_OIDC_USERNAME,
+  scope = DEFAULT_OIDC_SCOPE,
+  pinLength = DEFAULT_PIN_LENGTH,
+  fetch: fetchImpl = (...args) => window.fetch(...args),
+} = {}) => {
+  if (!issuer || !clientId) throw new AuthError('an issuer and client id are required', 'oidc');
+  let discovery = null;
+
+  const endpoints = async () => {
+    if (!discovery) {
+      discovery = requestJson(fetchImpl, `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`, {}, 'oidc')
+        .then(({ response, body }) => {
+          if (!response.ok || !body?.token_endpoint) throw new AuthError('discovery document has no token endpoint', 'oidc');
+          // Sessions are only ever checked against userinfo (see the top of this file)
+          if (!body.userinfo_endpoint) throw new AuthError('discovery document has no userinfo endpoint to check sessions with', 'oidc');
+          return body;
+        })
+        .catch((error) => {
+          discovery = null; // Try again next time
+          throw error;
+        });
+    }
+    return discovery;
+  };
+
+  const requestToken = async (params) => {
+    const { token_endpoint: tokenEndpoint } = await endpoints();
+    const { response, body } = await requestJson(fetchImpl, tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ client_id: clientId, ...params }).toString(),
+    }, 'oidc');
+    // invalid_grant: wrong PIN, or a refresh token that has been revoked
+    if (body?.error === 'invalid_grant' || response.status === 401) {
+      throw new AuthError(body?.error_description || 'credentials rejected', 'oidc', { rejected: true });
+    }
+    if (!response.ok || typeof body?.access_token !== 'string') throw new AuthError(`token request failed (HTTP ${response.status})`, 'oidc');
+
+    const identity = decodeJwt(body.id_token) ?? {};
+    return createSession('oidc', body.access_token, {
+      expiresIn: body.expires_in,
+      user: identity.preferred_username ?? identity.name ?? identity.sub,
+      refreshToken: body.refresh_token ?? params.refresh_token ?? null,
+    });
+  };
+
+  return {
+    name: 'oidc',
+    label: 'Resort SSO',
+    pinLength,
+
+    signIn(pin) {
+      return requestToken({ grant_type: 'password', username, password: pin, scope });
+    },
+
+    async validate(session) {
+      let current = session;
+      if (isSessionExpired(current)) {
+        if (!current?.refreshToken) return null;
+        try {
+          current = await requestToken({ grant_type: 'refresh_token', refresh_token: current.refreshToken });
+        } catch (error) {
+          if (error.rejected) return null;
+          throw error;
+        }
+      }
+
+      const { userinfo_endpoint: userinfoEndpoint } = await endpoints();
+      const { response } = await requestJson(fetchImpl, userinfoEndpoint, { headers: bearer(current) }, 'oidc');
+      if (response.status === 401 || response.status === 403) return null;
+      if (!response.ok) throw new AuthError(`userinfo failed (HTTP ${response.status})`, 'oidc');
+      return current;
+    },
+
+    async signOut(session) {
+      const { revocation_endpoint: revocationEndpoint } = await endpoints();
+      if (!revocationEndpoint) return;
+      const token = session.refreshToken ?? session.token;
+      await requestJson(fetchImpl, revocationEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ client_id: clientId, token }).toString(),
+      }, 'oidc');
+    },
+  };
+};
+
+/**
+ * The provider configured through REACT_APP_AUTH_* environment variables
+ */
+export const createAppAuthProvider = () => {
+  const pinLength = parseInt(process.env.REACT_APP_AUTH_PIN_LENGTH, 10) || DEFAULT_PIN_LENGTH;
+  if (getAppAuthProvider() === 'oidc') {
+    return createOidcAuthProvider({
+      issuer: process.env.REACT_APP_OIDC_ISSUER,
+      clientId: process.env.REACT_APP_OIDC_CLIENT_ID,
+      username: process.env.REACT_APP_OIDC_USERNAME || DEFAULT_OIDC_USERNAME,
+      pinLength,
+    });
+  }
+  return createLocalAuthProvider({ url: process.env.REACT_APP_AUTH_URL || DEFAULT_LOCAL_AUTH_URL, pinLength });
+};
@@ -0,0 +1,136 @@
+import {
+  AuthError,
+  clearAuthSession,
+  createLocalAuthProvider,
+  createOidcAuthProvider,
+  decodeJwt,
+  getAppAuthProvider,
+  isSessionExpired,
+  loadAuthSession,
+  saveAuthSession,
+} from './auth';
+
+const jwt = (claims) => `e30.${btoa(JSON.stringify(claims)).replace(/=+$/, '')}.sig`;
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+// fetch stand-in answering from a table of 'METHOD url' -> [status, body]
+const fakeFetch = (routes) => {
+  const calls = [];
+  const fetch = async (url, { method = 'GET', headers = {}, body } = {}) => {
+    calls.push({ url, method, headers, body });
+    const [status, json] = routes[`${method} ${url}`] ?? [404, { error: 'not_found' }];
+    return { status, ok: status >= 200 && status < 300, json: async () => json };
+  };
+  return { fetch, calls };
+};
+
+test('decodes JWT claims and spots expired sessions', () => {
+  expect(decodeJwt(jwt({ sub: 'operator', exp: 10 }))).toEqual({ sub: 'operator', exp: 10 });
+  expect(decodeJwt('not-a-token')).toBeNull();
+  expect(isSessionExpired({ expiresAt: Date.now() + 60000 })).toBe(false);
+  expect(isSessionExpired({ expiresAt: Date.now() + 1000 })).toBe(true);
+  expect(isSessionExpired(null)).toBe(true);
+  expect(getAppAuthProvider()).toBe('local');
+});
+
+test('stores sessions and ignores unreadable ones', () => {
+  const storage = memoryStorage();
+  expect(loadAuthSession(storage)).toBeNull();
+  saveAuthSession({ provider: 'local', token: 't', expiresAt: 1 }, storage);
+  expect(loadAuthSession(storage).token).toBe('t');
+  clearAuthSession(storage);
+  expect(loadAuthSession(storage)).toBeNull();
+
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  storage.setItem('authSession', '{broken');
+  expect(loadAuthSession(storage)).toBeNull();
+  warn.mockRestore();
+});
+
+test('signs in and validates against the local stand-in server', async () => {
+  const url = 'http://auth.test/auth';
+  const token = jwt({ sub: 'operator', exp: Math.floor(Date.now() / 1000) + 3600 });
+  const { fetch, calls } = fakeFetch({
+    [`POST ${url}/pin`]: [200, { token, expiresIn: 3600, user: 'operator' }],
+    [`GET ${url}/session`]: [200, { user: 'operator' }],
+  });
+  const provider = createLocalAuthProvider({ url, fetch });
+
+  const session = await provider.signIn('48213');
+  expect(JSON.parse(calls[0].body)).toEqual({ pin: '48213' });
+  expect(session).toMatchObject({ provider: 'local', token, user: 'operator' });
+  await expect(provider.validate(session)).resolves.toBe(session);
+  expect(calls[1].headers.Authorization).toBe(`Bearer ${token}`);
+  await expect(provider.validate({ ...session, expiresAt: 0 })).resolves.toBeNull();
+});
+
+test('tells a wrong PIN apart from an unreachable server', async () => {
+  const url = 'http://auth.test/auth';
+  const { fetch } = fakeFetch({ [`POST ${url}/pin`]: [401, { error: 'invalid_pin' }] });
+  const rejected = await createLocalAuthProvider({ url, fetch }).signIn('00000').catch((error) => error);
+  expect(rejected).toBeInstanceOf(AuthError);
+  expect(rejected.rejected).toBe(true);
+
+  const { fetch: lockedFetch } = fakeFetch({ [`POST ${url}/pin`]: [429, { error: 'locked_out', retryAfter: 30 }] });
+  const lockedOut = await createLocalAuthProvider({ url, fetch: lockedFetch }).signIn('00000').catch((error) => error);
+  expect(lockedOut).toMatchObject({ lockedOut: true, rejected: false });
+
+  const offline = createLocalAuthProvider({ url, fetch: async () => { throw new Error('offline'); } });
+  const unreachable = await offline.signIn('00000').catch((error) => error);
+  expect(unreachable.rejected).toBe(false);
+  expect(unreachable.message).toMatch(/^local: can't reach/);
+});
+
+test('exchanges the PIN with an OIDC issuer and refreshes expired sessions', async () => {
+  const issuer = 'https://sso.test/realms/resort';
+  const accessToken = jwt({ sub: 'abc', exp: Math.floor(Date.now() / 1000) + 300 });
+  const { fetch, calls } = fakeFetch({
+    [`GET ${issuer}/.well-known/openid-configuration`]: [200, {
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+    }],
+    [`POST ${issuer}/token`]: [200, {
+      access_token: accessToken,
+      id_token: jwt({ sub: 'abc', preferred_username: 'operator' }),
+      expires_in: 300,
+      refresh_token: 'refresh-1',
+    }],
+    [`GET ${issuer}/userinfo`]: [200, { sub: 'abc' }],
+  });
+  const provider = createOidcAuthProvider({ issuer, clientId: 'terrain', fetch });
+
+  const session = await provider.signIn('48213');
+  const form = new URLSearchParams(calls[1].body);
+  expect(form.get('grant_type')).toBe('password');
+  expect(form.get('username')).toBe('operator');
+  expect(form.get('password')).toBe('48213');
+  expect(session).toMatchObject({ provider: 'oidc', token: accessToken, user: 'operator', refreshToken: 'refresh-1' });
+
+  const refreshed = await provider.validate({ ...session, expiresAt: 0 });
+  expect(new URLSearchParams(calls[2].body).get('grant_type')).toBe('refresh_token');
+  expect(refreshed.expiresAt).toBeGreaterThan(Date.now());
+  expect(calls[calls.length - 1].url).toBe(`${issuer}/userinfo`);
+
+  expect(() => createOidcAuthProvider({ issuer })).toThrow(AuthError);
+});
+
+test('refuses an OIDC issuer it has no way to check sessions with', async () => {
+  const issuer = 'https://sso.test/realms/resort';
+  const { fetch, calls } = fakeFetch({
+    [`GET ${issuer}/.well-known/openid-configuration`]: [200, { token_endpoint: `${issuer}/token` }],
+  });
+  const provider = createOidcAuthProvider({ issuer, clientId: 'terrain', fetch });
+  const forged = { provider: 'oidc', token: jwt({ sub: 'abc' }), expiresAt: Date.now() + 3600000 };
+
+  await expect(provider.validate(forged)).rejects.toThrow(/no userinfo endpoint/);
+  await expect(provider.signIn('48213')).rejects.toThrow(/no userinfo endpoint/);
+  expect(calls.every(({ url }) => url.endsWith('openid-configuration'))).toBe(true);
+});
@@ -0,0 +1,149 @@
+import * as THREE from 'three';
+
+/**
+ * Grass blade shapes packed into one texture array
+ *
+ * Blade alphas are listed in a manifest:
+ *
+ *   {
+ *     "size": 512,                                  // optional layer resolution, default 512
+ *     "layers": ["alpha-map.png", "alpha-map1.png"] // relative to the manifest
+ *   }
+ *
+ * Every image is resampled to `size` x `size` and its red channel becomes one
+ * layer of an R8 DataArrayTexture, so the grass shader picks a shape with a
+ * single `texture(bladeShapes, vec3(uv, layer))` instead of branching over
+ * separate samplers. three.js only targets WebGL2 now, so no atlas fallback
+ * is needed.
+ */
+
+const DEFAULT_LAYER_SIZE = 512;
+const MAX_LAYER_SIZE = 2048;
+
+/**
+ * Error for malformed blade shape manifests or images
+ */
+export class BladeShapeError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'BladeShapeError';
+  }
+}
+
+/**
+ * Validate a parsed manifest and resolve its layer size
+ *
+ * @returns {{ size: number, layers: string[] }}
+ */
+export const parseBladeShapeManifest = (manifest, source) => {
+  const layers = manifest?.layers;
+  if (!Array.isArray(layers) || layers.length === 0) {
+    throw new BladeShapeError('manifest needs a non-empty "layers" array', source);
+  }
+  if (layers.some((layer) => typeof layer !== 'string' || !layer)) {
+    throw new BladeShapeError('every layer must be an image path', source);
+  }
+
+  const size = manifest.size ?? DEFAULT_LAYER_SIZE;
+  if (!Number.isInteger(size) || size < 1 || size > MAX_LAYER_SIZE) {
+    throw new BladeShapeError(`size must be an integer between 1 and ${MAX_LAYER_SIZE}, got ${manifest.size}`, source);
+  }
+
+  return { size, layers };
+};
+
+/**
+ * Pack RGBA8 layers (already `size` x `size`) into one R8 buffer
+ *
+ * Rows are flipped so v = 0 is the bottom of the image, matching what
+ * TextureLoader's flipY gave the old per-shape samplers.
+ *
+ * @param {Uint8ClampedArray[]} layers - RGBA pixels, top row first
+ * @param {number} size
+ * @returns {Uint8Array} size * size * layers.length bytes
+ */
+export const packBladeLayers = (layers, size) => {
+  const layerBytes = size * size;
+  const packed = new Uint8Array(layerBytes * layers.length);
+
+  layers.forEach((pixels, layer) => {
+    if (pixels.length !== layerBytes * 4) {
+      throw new BladeShapeError(`layer ${layer} has ${pixels.length / 4} pixels, expected ${layerBytes}`);
+    }
+    const base = layer * layerBytes;
+    for (let y = 0; y < size; y++) {
+      const sourceRow = (size - 1 - y) * size;
+      for (let x = 0; x < size; x++) {
+        packed[base + y * size + x] = pixels[(sourceRow + x) * 4];
+      }
+    }
+  });
+
+  return packed;
+};
+
+/**
+ * Wrap packed layers in a mipmapped, linearly filtered array texture
+ */
+export const createBladeShapeTexture = (data, size, count) => {
+  const texture = new THREE.DataArrayTexture(data, size, size, count);
+  texture.format = THREE.RedFormat;
+  texture.type = THREE.UnsignedByteType;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.wrapS = THREE.ClampToEdgeWrapping;
+  texture.wrapT = THREE.ClampToEdgeWrapping;
+  texture.generateMipmaps = true;
+  texture.unpackAlignment = 1;
+  texture.needsUpdate = true;
+  return texture;
+};
+
+// Fetch an image and resample it to a size x size RGBA8 buffer
+const loadLayerPixels = async (url, size) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new BladeShapeError(`HTTP ${response.status}`, url);
+
+  const bitmap = await createImageBitmap(await response.blob(), {
+    premultiplyAlpha: 'none',
+    colorSpaceConversion: 'none',
+  });
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, size, size);
+  bitmap.close();
+
+  return ctx.getImageData(0, 0, size, size).data;
+};
+
+/**
+ * Fetch a blade shape manifest and every layer it lists
+ *
+ * @param {string} manifestUrl - Layer paths are relative to this URL
+ * @returns {Promise<{ texture: THREE.DataArrayTexture, count: number }>}
+ */
+export const loadBladeShapes = async (manifestUrl) => {
+  const response = await fetch(manifestUrl);
+  if (!response.ok) throw new BladeShapeError(`HTTP ${response.status}`, manifestUrl);
+  const { size, layers } = parseBladeShapeManifest(await response.json(), manifestUrl);
+
+  const base = new URL(manifestUrl, window.location.href);
+  const pixels = await Promise.all(layers.map((layer) => loadLayerPixels(new URL(layer, base).toString(), size)));
+
+  return {
+    texture: createBladeShapeTexture(packBladeLayers(pixels, size), size, layers.length),
+    count: layers.length,
+  };
+};
+
+/**
+ * three.js loader wrapper so blade shapes can go through r3f's `useLoader`
+ * (suspense and caching) like the other grass textures
+ */
+export class BladeShapeLoader extends THREE.Loader {
+  load(url, onLoad, onProgress, onError) {
+    loadBladeShapes(this.manager.resolveURL(url)).then(onLoad, onError);
+  }
+}
@@ -0,0 +1,24 @@
+import { parseBladeShapeManifest, packBladeLayers, BladeShapeError } from './bladeShapes';
+
+test('resolves the default layer size', () => {
+  expect(parseBladeShapeManifest({ layers: ['a.png', 'b.png'] })).toEqual({ size: 512, layers: ['a.png', 'b.png'] });
+});
+
+test('rejects manifests without layers or with a bad size', () => {
+  expect(() => parseBladeShapeManifest({ layers: [] }, 'shapes.json'))
+    .toThrow(/shapes\.json: manifest needs a non-empty "layers" array/);
+  expect(() => parseBladeShapeManifest({ layers: ['a.png'], size: 0 }))
+    .toThrow(BladeShapeError);
+});
+
+test('packs the red channel of each layer bottom row first', () => {
+  // 2x2 RGBA layers, top row first
+  const first = new Uint8ClampedArray([
+    10, 0, 0, 255, 20, 0, 0, 255,
+    30, 0, 0, 255, 40, 0, 0, 255,
+  ]);
+  const second = first.map((value, i) => (i % 4 === 0 ? value + 1 : value));
+
+  expect(Array.from(packBladeLayers([first, second], 2))).toEqual([30, 40, 10, 20, 31, 41, 11, 21]);
+  expect(() => packBladeLayers([first], 4)).toThrow(/layer 0 has 4 pixels, expected 16/);
+});
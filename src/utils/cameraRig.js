@@ -0,0 +1,405 @@
+import * as THREE from 'three';
+import terrainHeight from './terrainHeight';
+import { createFlythroughPath, DEFAULT_FLYTHROUGH } from './flythrough';
+import { damp, dampVector } from './damping';
+
+/**
+ * Camera rig manager
+ *
+ * Owns the scene camera so individual components don't each move it. The
+ * sphere publishes itself as the rig's `subject` every frame and the rig
+ * places the camera for the active mode:
+ *
+ * - chase: behind the sphere on the side it was steered from, banking into
+ *   turns (the original MovingSphere camera)
+ * - orbit: circles the sphere slowly
+ * - map: looks straight down on the sphere from high above
+ * - free: flies independently; `look` and `setFreeMove` steer it
+ * - flythrough: plays a scripted path (see utils/flythrough), with pause,
+ *   seek and optionally the sphere riding along below it
+ *
+ * Following is damped by half-lives in seconds (`halfLives`), so the camera
+ * trails the sphere the same way at any frame rate.
+ *
+ * Switching mode blends from the current view to the new one. Every mode is
+ * kept above the terrain, and the modes that look at the sphere also keep
+ * their sight line to it clear of hills.
+ */
+
+export const CAMERA_MODES = ['chase', 'orbit', 'map', 'free', 'flythrough'];
+
+/**
+ * Starting camera mode: `?camera=` in the URL or REACT_APP_CAMERA_MODE when it
+ * names a mode, otherwise 'chase'
+ */
+export const getAppCameraMode = () => {
+  const fromUrl = typeof window !== 'undefined'
+    ? new URLSearchParams(window.location.search).get('camera')
+    : null;
+  const mode = fromUrl || process.env.REACT_APP_CAMERA_MODE;
+  return CAMERA_MODES.includes(mode) ? mode : CAMERA_MODES[0];
+};
+
+export const nextCameraMode = (mode) => (
+  CAMERA_MODES[(CAMERA_MODES.indexOf(mode) + 1) % CAMERA_MODES.length]
+);
+
+// Chase
+const CHASE_DISTANCE = 5.0; // Distance camera stays behind sphere
+const CHASE_HEIGHT = 1.2; // Height above the sphere
+const LOOK_ABOVE_SUBJECT = 0.5; // Look slightly above sphere center
+const MAX_BANK = THREE.MathUtils.degToRad(12);
+const BANK_PER_TURN_RATE = 0.15; // Radians of bank per radian/second of turning
+
+// Orbit
+const ORBIT_DISTANCE = 9;
+const ORBIT_HEIGHT = 4;
+const ORBIT_SPEED = 0.25; // Radians per second
+
+// Map
+const MAP_HEIGHT = 60;
+const MAP_TILT = 0.02; // Tiny offset so "straight down" still has a defined up
+
+// Free-fly
+const FREE_SPEED = 12; // Units per second
+const FREE_BOOST = 2.5;
+const MAX_FREE_PITCH = THREE.MathUtils.degToRad(80);
+
+// Seconds for each follow to close half the distance to where it's heading
+// (the old 1%- and 5%-per-frame lerps at 60 Hz)
+export const DEFAULT_CAMERA_HALF_LIVES = {
+  chase: 1.15,
+  orbit: 0.23,
+  map: 0.23,
+  bank: 0.23, // Easing into and out of a bank
+};
+
+// Shared
+export const DEFAULT_BLEND_TIME = 1.2; // Seconds to blend between modes
+export const TERRAIN_CLEARANCE = 0.8;
+const CLEARANCE_SAMPLES = 4; // Points checked along the sight line
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 3;
+
+/**
+ * Raise `position` until it and the sight line from `lookAt` to it clear the
+ * ground by `clearance` (half that along the line)
+ *
+ * @param {THREE.Vector3} position - Camera position, adjusted in place
+ * @param {THREE.Vector3} lookAt
+ * @param {(x: number, z: number) => number} getHeightAt
+ */
+export const keepAboveTerrain = (position, lookAt, getHeightAt, clearance = TERRAIN_CLEARANCE, samples = CLEARANCE_SAMPLES) => {
+  let raise = getHeightAt(position.x, position.z) + clearance - position.y;
+  for (let i = 1; i < samples; i++) {
+    // Raising the camera lifts the line at fraction f by f times as much
+    const f = i / samples;
+    const lineY = lookAt.y + (position.y - lookAt.y) * f;
+    const ground = getHeightAt(
+      lookAt.x + (position.x - lookAt.x) * f,
+      lookAt.z + (position.z - lookAt.z) * f
+    );
+    const deficit = ground + clearance * 0.5 - lineY;
+    if (deficit > 0) raise = Math.max(raise, deficit / f);
+  }
+  if (raise > 0) position.y += raise;
+  return position;
+};
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+const desired = new THREE.Vector3();
+const forward = new THREE.Vector3();
+const scratchLookAt = new THREE.Vector3();
+
+export class CameraRig {
+  constructor() {
+    this.mode = CAMERA_MODES[0];
+    this.banking = true;
+    this.zoom = 1;
+    this.halfLives = { ...DEFAULT_CAMERA_HALF_LIVES };
+
+    // Published by the sphere each frame
+    this.subject = {
+      position: new THREE.Vector3(0, CHASE_HEIGHT, 0),
+      direction: new THREE.Vector3(0, 0, 1),
+    };
+
+    // Pose of the active mode, before blending and terrain clearance
+    this.position = new THREE.Vector3();
+    this.lookAt = new THREE.Vector3();
+    this.output = { position: new THREE.Vector3(), lookAt: new THREE.Vector3(), fov: null };
+    this.fov = null; // Flythrough FOV; other modes keep the camera's own
+    this.baseFov = null;
+
+    this.chaseDirection = new THREE.Vector3(-1, 0, 0); // Subject towards camera, XZ
+    this.orbitAngle = Math.PI;
+    this.free = { yaw: 0, pitch: 0, move: { x: 0, y: 0, boost: false } };
+    this.flythrough = createFlythroughPath(DEFAULT_FLYTHROUGH);
+    this.playback = { time: 0, paused: false, driveSubject: false };
+
+    this.heading = 0;
+    this.bank = 0;
+    this.blend = null;
+    this.entering = false;
+    this.initialized = false;
+  }
+
+  /**
+   * Switch mode, blending from the current view over `blendTime` seconds
+   */
+  setMode(mode, blendTime = DEFAULT_BLEND_TIME) {
+    if (!CAMERA_MODES.includes(mode)) throw new Error(`Unknown camera mode "${mode}"`);
+    if (mode === this.mode) return;
+    this.mode = mode;
+    this.blendTime = blendTime;
+    this.entering = true;
+  }
+
+  /**
+   * Override follow half-lives, in seconds (see DEFAULT_CAMERA_HALF_LIVES)
+   */
+  setHalfLives(halfLives) {
+    this.halfLives = { ...this.halfLives, ...halfLives };
+  }
+
+  /**
+   * Which side of the subject the chase camera trails on
+   */
+  setChaseDirection(x, z) {
+    const length = Math.hypot(x, z);
+    if (length > 1e-6) this.chaseDirection.set(x / length, 0, z / length);
+  }
+
+  /**
+   * Swing the camera round the subject (or turn, when flying free)
+   *
+   * @param {number} angle - Radians about +Y
+   */
+  orbit(angle) {
+    this.chaseDirection.applyAxisAngle(THREE.Object3D.DEFAULT_UP, angle);
+    this.orbitAngle -= angle;
+    this.free.yaw += angle;
+  }
+
+  /**
+   * Pinch zoom: scales > 1 bring the camera closer
+   */
+  zoomBy(scale) {
+    if (scale > 0) this.zoom = THREE.MathUtils.clamp(this.zoom / scale, MIN_ZOOM, MAX_ZOOM);
+  }
+
+  /**
+   * Free-fly mouse look, in radians
+   */
+  look(yawDelta, pitchDelta) {
+    this.free.yaw -= yawDelta;
+    this.free.pitch = THREE.MathUtils.clamp(this.free.pitch - pitchDelta, -MAX_FREE_PITCH, MAX_FREE_PITCH);
+  }
+
+  /**
+   * Free-fly movement as a stick input (see utils/driveInput)
+   */
+  setFreeMove(input) {
+    this.free.move = input;
+  }
+
+  /**
+   * Replace the path the flythrough mode plays
+   *
+   * @param {object} flythrough - From `createFlythroughPath`
+   * @param {{ restart?: boolean }} [options] - Keep the playback time with `restart: false`
+   */
+  setFlythrough(flythrough, { restart = true } = {}) {
+    this.flythrough = flythrough;
+    if (restart) this.playback.time = 0;
+    else this.seek(this.playback.time);
+  }
+
+  play() {
+    // A finished one-shot tour starts over
+    if (!this.flythrough.loop && this.playback.time >= this.flythrough.duration) this.playback.time = 0;
+    this.playback.paused = false;
+  }
+
+  pause() {
+    this.playback.paused = true;
+  }
+
+  /**
+   * Jump to a time in the flythrough, in seconds
+   */
+  seek(time) {
+    this.playback.time = THREE.MathUtils.clamp(time, 0, this.flythrough.duration);
+  }
+
+  /**
+   * Let the flythrough steer the sphere along its path
+   */
+  setDriveSubject(enabled) {
+    this.playback.driveSubject = enabled;
+  }
+
+  /** Whether the sphere should follow the flythrough instead of its own input */
+  get drivesSubject() {
+    return this.mode === 'flythrough' && this.playback.driveSubject;
+  }
+
+  /**
+   * Where the flythrough will be `lead` seconds from now, e.g. to run the
+   * sphere out ahead of the camera
+   *
+   * @param {number} lead - Seconds
+   * @param {THREE.Vector3} target - Receives the position
+   */
+  sampleFlythrough(lead, target) {
+    this.flythrough.sample(this.playback.time + lead, target, scratchLookAt);
+    return target;
+  }
+
+  // Pick up each mode's state from wherever the camera is now
+  enter(camera) {
+    const subject = this.subject.position;
+    if (this.mode === 'chase') {
+      this.position.copy(camera.position);
+      this.setChaseDirection(camera.position.x - subject.x, camera.position.z - subject.z);
+    } else if (this.mode === 'orbit') {
+      this.position.copy(camera.position);
+      this.orbitAngle = Math.atan2(camera.position.z - subject.z, camera.position.x - subject.x);
+    } else if (this.mode === 'map') {
+      this.position.copy(camera.position);
+    } else if (this.mode === 'free') {
+      this.position.copy(camera.position);
+      camera.getWorldDirection(forward);
+      this.free.yaw = Math.atan2(-forward.x, -forward.z);
+      this.free.pitch = THREE.MathUtils.clamp(Math.asin(forward.y), -MAX_FREE_PITCH, MAX_FREE_PITCH);
+    }
+  }
+
+  // Advance the active mode's own pose
+  updateMode(delta, ground) {
+    const subject = this.subject.position;
+    const { zoom, halfLives } = this;
+
+    if (this.mode === 'chase') {
+      desired.copy(subject).addScaledVector(this.chaseDirection, CHASE_DISTANCE * zoom);
+      desired.y = subject.y + CHASE_HEIGHT * zoom;
+      dampVector(this.position, desired, halfLives.chase, delta);
+      this.lookAt.copy(subject).y += LOOK_ABOVE_SUBJECT;
+    } else if (this.mode === 'orbit') {
+      this.orbitAngle += ORBIT_SPEED * delta;
+      desired.set(
+        subject.x + Math.cos(this.orbitAngle) * ORBIT_DISTANCE * zoom,
+        subject.y + ORBIT_HEIGHT * zoom,
+        subject.z + Math.sin(this.orbitAngle) * ORBIT_DISTANCE * zoom
+      );
+      dampVector(this.position, desired, halfLives.orbit, delta);
+      this.lookAt.copy(subject);
+    } else if (this.mode === 'map') {
+      desired.set(subject.x, subject.y + MAP_HEIGHT * zoom, subject.z + MAP_HEIGHT * zoom * MAP_TILT);
+      dampVector(this.position, desired, halfLives.map, delta);
+      this.lookAt.set(this.position.x, subject.y, this.position.z - MAP_HEIGHT * zoom * MAP_TILT);
+    } else if (this.mode === 'free') {
+      const { yaw, pitch, move } = this.free;
+      forward.set(-Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), -Math.cos(yaw) * Math.cos(pitch));
+      const speed = FREE_SPEED * (move.boost ? FREE_BOOST : 1) * delta;
+      // Right of the view on the ground plane
+      this.position.x += (forward.x * move.y + Math.cos(yaw) * move.x) * speed;
+      this.position.y += forward.y * move.y * speed;
+      this.position.z += (forward.z * move.y - Math.sin(yaw) * move.x) * speed;
+      this.position.y = Math.max(this.position.y, ground.getHeightAt(this.position.x, this.position.z) + TERRAIN_CLEARANCE);
+      this.lookAt.copy(this.position).add(forward);
+    } else if (this.mode === 'flythrough') {
+      const { playback, flythrough } = this;
+      if (!playback.paused) {
+        playback.time += delta;
+        if (flythrough.loop) playback.time %= flythrough.duration;
+        else playback.time = Math.min(playback.time, flythrough.duration);
+      }
+      this.fov = flythrough.sample(playback.time, this.position, this.lookAt);
+    }
+  }
+
+  /**
+   * Place `camera` for this frame
+   *
+   * @param {THREE.Camera} camera
+   * @param {number} delta - Seconds since the last frame
+   * @param {{ getHeightAt(x, z): number }} [ground] - Defaults to the terrain height service
+   */
+  update(camera, delta, ground = terrainHeight) {
+    const { output } = this;
+
+    if (!this.initialized) {
+      // Start behind the sphere, as the chase camera would settle
+      this.position.copy(this.subject.position).addScaledVector(this.chaseDirection, CHASE_DISTANCE);
+      this.position.y += CHASE_HEIGHT;
+      camera.position.copy(this.position);
+      output.lookAt.copy(this.subject.position);
+      this.baseFov = camera.fov;
+      this.entering = this.mode !== 'chase';
+      this.initialized = true;
+    }
+
+    if (this.entering) {
+      this.blend = {
+        from: camera.position.clone(),
+        fromLookAt: output.lookAt.clone(),
+        fromFov: camera.fov,
+        elapsed: 0,
+        duration: this.blendTime ?? DEFAULT_BLEND_TIME,
+      };
+      this.enter(camera);
+      this.entering = false;
+    }
+
+    this.updateMode(delta, ground);
+
+    output.position.copy(this.position);
+    output.lookAt.copy(this.lookAt);
+    output.fov = this.mode === 'flythrough' ? this.fov : this.baseFov;
+    if (this.blend) {
+      const blend = this.blend;
+      blend.elapsed += delta;
+      const t = blend.duration > 0 ? Math.min(blend.elapsed / blend.duration, 1) : 1;
+      const eased = smoothstep(t);
+      output.position.lerpVectors(blend.from, this.position, eased);
+      output.lookAt.lerpVectors(blend.fromLookAt, this.lookAt, eased);
+      output.fov = THREE.MathUtils.lerp(blend.fromFov, output.fov, eased);
+      if (t >= 1) this.blend = null;
+    }
+
+    // Free and scripted views look at a direction rather than the sphere,
+    // so only the camera itself needs to clear the ground
+    const hasSubject = this.mode !== 'free' && this.mode !== 'flythrough';
+    keepAboveTerrain(
+      output.position,
+      output.lookAt,
+      (x, z) => ground.getHeightAt(x, z),
+      TERRAIN_CLEARANCE,
+      hasSubject ? CLEARANCE_SAMPLES : 1
+    );
+
+    camera.position.copy(output.position);
+    camera.lookAt(output.lookAt);
+    if (camera.isPerspectiveCamera && camera.fov !== output.fov) {
+      camera.fov = output.fov;
+      camera.updateProjectionMatrix();
+    }
+
+    // Bank into turns: lean by how fast the subject's heading is swinging
+    const direction = this.subject.direction;
+    const heading = Math.atan2(direction.x, direction.z);
+    const turn = Math.atan2(Math.sin(heading - this.heading), Math.cos(heading - this.heading));
+    this.heading = heading;
+    const turnRate = delta > 0 ? turn / delta : 0;
+    const targetBank = this.banking && this.mode === 'chase'
+      ? THREE.MathUtils.clamp(turnRate * BANK_PER_TURN_RATE, -MAX_BANK, MAX_BANK)
+      : 0;
+    this.bank = damp(this.bank, targetBank, this.halfLives.bank, delta);
+    camera.rotateZ(this.bank);
+  }
+}
+
+const cameraRig = new CameraRig();
+
+export default cameraRig;
@@ -0,0 +1,103 @@
+import * as THREE from 'three';
+import {
+  CameraRig,
+  getAppCameraMode,
+  keepAboveTerrain,
+  nextCameraMode,
+  TERRAIN_CLEARANCE,
+} from './cameraRig';
+
+const flat = { getHeightAt: () => 0 };
+
+test('cycles camera modes and defaults to chase', () => {
+  expect(getAppCameraMode()).toBe('chase');
+  expect(nextCameraMode('chase')).toBe('orbit');
+  expect(nextCameraMode('flythrough')).toBe('chase');
+  expect(() => new CameraRig().setMode('dolly')).toThrow('Unknown camera mode "dolly"');
+});
+
+test('raises the camera and its sight line above the ground', () => {
+  const below = keepAboveTerrain(new THREE.Vector3(0, 1, 0), new THREE.Vector3(10, 5, 0), () => 2);
+  expect(below.y).toBeCloseTo(2 + TERRAIN_CLEARANCE);
+
+  // A ridge halfway along the line of sight pushes the camera up further
+  const ridge = (x) => (Math.abs(x - 5) < 1 ? 6 : 0);
+  const position = keepAboveTerrain(new THREE.Vector3(10, 2, 0), new THREE.Vector3(0, 2, 0), ridge);
+  const midY = 2 + (position.y - 2) * 0.5;
+  expect(midY).toBeGreaterThanOrEqual(6);
+});
+
+test('starts behind the subject and blends to a new mode', () => {
+  const rig = new CameraRig();
+  const camera = new THREE.PerspectiveCamera();
+  rig.subject.position.set(10, 1, 10);
+
+  rig.update(camera, 1 / 60, flat);
+  expect(camera.position.x).toBeCloseTo(5);
+  expect(camera.position.z).toBeCloseTo(10);
+
+  rig.setMode('map', 1);
+  rig.update(camera, 0.5, flat);
+  const halfway = camera.position.y;
+  expect(halfway).toBeGreaterThan(2.2);
+  for (let i = 0; i < 200; i++) rig.update(camera, 0.05, flat);
+  expect(rig.blend).toBeNull();
+  expect(camera.position.y).toBeGreaterThan(halfway);
+  expect(camera.position.x).toBeCloseTo(10);
+});
+
+test('follows the subject the same way at any frame rate', () => {
+  const settle = (fps) => {
+    const rig = new CameraRig();
+    const camera = new THREE.PerspectiveCamera();
+    rig.update(camera, 0, flat);
+    rig.subject.position.set(20, 1, 0);
+    for (let i = 0; i < fps; i++) rig.update(camera, 1 / fps, flat);
+    return camera.position.clone();
+  };
+  const at60 = settle(60);
+  expect(settle(120).distanceTo(at60)).toBeLessThan(1e-6);
+  expect(settle(30).distanceTo(at60)).toBeLessThan(1e-6);
+
+  const rig = new CameraRig();
+  rig.setHalfLives({ chase: 0.1 });
+  expect(rig.halfLives.chase).toBe(0.1);
+  expect(rig.halfLives.orbit).toBeGreaterThan(0);
+});
+
+test('flies free along the view direction without going underground', () => {
+  const rig = new CameraRig();
+  const camera = new THREE.PerspectiveCamera();
+  rig.update(camera, 0, flat);
+  rig.setMode('free', 0);
+  rig.update(camera, 0, flat);
+  const start = camera.position.clone();
+
+  rig.look(0, 2); // Look down hard
+  rig.setFreeMove({ x: 0, y: 1, boost: false });
+  rig.update(camera, 1, flat);
+  expect(camera.position.y).toBeCloseTo(TERRAIN_CLEARANCE);
+  expect(camera.position.distanceTo(start)).toBeGreaterThan(1);
+});
+
+test('plays, pauses and seeks the flythrough with its FOV', () => {
+  const rig = new CameraRig();
+  const camera = new THREE.PerspectiveCamera(60);
+  rig.update(camera, 0, flat);
+  rig.setMode('flythrough', 0);
+  rig.update(camera, 1, flat);
+  expect(rig.playback.time).toBeCloseTo(1);
+
+  rig.pause();
+  rig.update(camera, 1, flat);
+  expect(rig.playback.time).toBeCloseTo(1);
+
+  rig.seek(20); // Keyframe with a narrower FOV in the default tour
+  rig.update(camera, 0, flat);
+  expect(camera.fov).toBeCloseTo(55);
+
+  rig.setDriveSubject(true);
+  expect(rig.drivesSubject).toBe(true);
+  const ahead = rig.sampleFlythrough(10, new THREE.Vector3());
+  expect(ahead.x).toBeCloseTo(-70);
+});
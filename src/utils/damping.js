@@ -0,0 +1,43 @@
+/**
+ * Frame-rate-independent smoothing
+ *
+ * Easing towards a target by a fixed fraction per frame covers ground twice
+ * as fast at 120 Hz as at 60 Hz. Exponential damping instead closes half of
+ * the remaining gap every `halfLife` seconds, however the time is sliced into
+ * frames, so motion is the same on every display and quality tier.
+ */
+
+/**
+ * Fraction of the remaining gap to close over `delta` seconds
+ *
+ * @param {number} halfLife - Seconds to close half the gap; 0 snaps
+ * @param {number} delta - Seconds elapsed
+ */
+export const dampFactor = (halfLife, delta) => (
+  halfLife > 0 ? 1 - Math.pow(2, -delta / halfLife) : 1
+);
+
+/**
+ * Damp a number towards `target`
+ */
+export const damp = (current, target, halfLife, delta) => (
+  current + (target - current) * dampFactor(halfLife, delta)
+);
+
+/**
+ * Damp a THREE.Vector3 (or anything with `lerp`) towards `target` in place
+ */
+export const dampVector = (vector, target, halfLife, delta) => (
+  vector.lerp(target, dampFactor(halfLife, delta))
+);
+
+/**
+ * Half-life matching an old per-frame lerp fraction at a given frame rate,
+ * for converting tuned constants without changing how they feel at 60 Hz
+ *
+ * @param {number} fraction - Share of the gap closed each frame, 0..1
+ * @param {number} [fps]
+ */
+export const halfLifeFromPerFrame = (fraction, fps = 60) => (
+  fraction >= 1 ? 0 : Math.log(0.5) / (fps * Math.log(1 - fraction))
+);
@@ -0,0 +1,33 @@
+import * as THREE from 'three';
+import { damp, dampFactor, dampVector, halfLifeFromPerFrame } from './damping';
+
+test('closes half the gap per half-life', () => {
+  expect(damp(0, 10, 0.5, 0.5)).toBeCloseTo(5);
+  expect(damp(0, 10, 0.5, 1)).toBeCloseTo(7.5);
+  expect(dampFactor(0, 0.016)).toBe(1);
+  expect(dampFactor(1, 0)).toBe(0);
+});
+
+test('gives the same result however time is split into frames', () => {
+  const run = (fps) => {
+    let value = 0;
+    for (let i = 0; i < fps; i++) value = damp(value, 1, 0.3, 1 / fps);
+    return value;
+  };
+  expect(run(30)).toBeCloseTo(run(60), 10);
+  expect(run(144)).toBeCloseTo(run(60), 10);
+});
+
+test('damps vectors in place', () => {
+  const vector = new THREE.Vector3(0, 0, 0);
+  expect(dampVector(vector, new THREE.Vector3(4, 0, -4), 1, 1)).toBe(vector);
+  expect(vector.x).toBeCloseTo(2);
+  expect(vector.z).toBeCloseTo(-2);
+});
+
+test('converts per-frame lerp fractions to matching half-lives', () => {
+  const halfLife = halfLifeFromPerFrame(0.05);
+  expect(dampFactor(halfLife, 1 / 60)).toBeCloseTo(0.05, 10);
+  expect(halfLifeFromPerFrame(0.01)).toBeCloseTo(1.15, 2);
+  expect(halfLifeFromPerFrame(1)).toBe(0);
+});
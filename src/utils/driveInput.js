@@ -0,0 +1,158 @@
+/**
+ * Keyboard and gamepad driving input
+ *
+ * Inputs are reduced to a stick-like `{ x, y, boost }`: x is right, y is
+ * forward, and the combined vector never exceeds length 1. The caller maps it
+ * onto the ground relative to the camera.
+ */
+
+export const DEFAULT_STICK_DEADZONE = 0.15;
+const TRIGGER_THRESHOLD = 0.5;
+
+// Standard gamepad layout (https://w3c.github.io/gamepad/#remapping)
+const BUTTON_A = 0;
+const BUTTON_RIGHT_TRIGGER = 7;
+
+const NO_INPUT = { x: 0, y: 0, boost: false };
+
+/**
+ * Radial deadzone: sticks resting slightly off-centre read as zero, and the
+ * remaining travel is rescaled so full deflection still reaches 1
+ */
+export const applyRadialDeadzone = (x, y, deadzone = DEFAULT_STICK_DEADZONE) => {
+  const length = Math.hypot(x, y);
+  if (length <= deadzone) return { x: 0, y: 0 };
+  const scale = Math.min((length - deadzone) / (1 - deadzone), 1) / length;
+  return { x: x * scale, y: y * scale };
+};
+
+/**
+ * Drive input from the KEYBOARD_MAP state returned by drei's `getKeys()`
+ */
+export const readKeyboardDrive = (keys) => ({
+  x: (keys.rightKeyPressed ? 1 : 0) - (keys.leftKeyPressed ? 1 : 0),
+  y: (keys.forwardKeyPressed ? 1 : 0) - (keys.backwardKeyPressed ? 1 : 0),
+  boost: Boolean(keys.shiftKeyPressed),
+});
+
+/**
+ * Drive input from the first connected gamepad: left stick steers, right
+ * trigger or A boosts
+ *
+ * @param {ArrayLike<Gamepad|null>} gamepads - `navigator.getGamepads()`
+ */
+export const readGamepadDrive = (gamepads, deadzone = DEFAULT_STICK_DEADZONE) => {
+  const pad = Array.from(gamepads || []).find((gamepad) => gamepad?.connected);
+  if (!pad || pad.axes.length < 2) return NO_INPUT;
+
+  // Stick up is negative on the Gamepad API
+  const { x, y } = applyRadialDeadzone(pad.axes[0], -pad.axes[1], deadzone);
+  const trigger = pad.buttons[BUTTON_RIGHT_TRIGGER];
+  const boost = Boolean(pad.buttons[BUTTON_A]?.pressed || (trigger && trigger.value > TRIGGER_THRESHOLD));
+  return { x, y, boost };
+};
+
+/**
+ * Sum several inputs, clamping the direction to length 1
+ */
+export const combineDriveInput = (...inputs) => {
+  let x = 0;
+  let y = 0;
+  let boost = false;
+  inputs.forEach((input) => {
+    x += input.x;
+    y += input.y;
+    boost = boost || input.boost;
+  });
+
+  const length = Math.hypot(x, y);
+  if (length > 1) {
+    x /= length;
+    y /= length;
+  }
+  return { x, y, boost };
+};
+
+/**
+ * World XZ direction for a stick input relative to where the camera faces
+ *
+ * @param {{x:number, y:number}} input
+ * @param {{x:number, z:number}} cameraForward - Camera view direction (y ignored)
+ * @param {THREE.Vector3} target - Receives the direction (y = 0), length <= 1
+ */
+export const cameraRelativeDirection = (input, cameraForward, target) => {
+  const length = Math.hypot(cameraForward.x, cameraForward.z) || 1;
+  const forwardX = cameraForward.x / length;
+  const forwardZ = cameraForward.z / length;
+  // Right of the view direction on the ground plane
+  const rightX = -forwardZ;
+  const rightZ = forwardX;
+  return target.set(forwardX * input.y + rightX * input.x, 0, forwardZ * input.y + rightZ * input.x);
+};
+
+/**
+ * How the sphere is steered: 'pointer' follows the cursor or a finger on the
+ * ground, 'drive' uses keyboard and gamepad, 'joystick' adds the on-screen
+ * stick to those for touch screens, and 'navigate' routes to a clicked point
+ * along the pistes (see utils/navigation)
+ */
+export const INPUT_MODES = ['pointer', 'drive', 'joystick', 'navigate'];
+
+/**
+ * Starting input mode: `?input=` in the URL or REACT_APP_INPUT_MODE when it
+ * names a mode, otherwise 'pointer'
+ */
+export const getAppInputMode = () => {
+  const fromUrl = typeof window !== 'undefined'
+    ? new URLSearchParams(window.location.search).get('input')
+    : null;
+  const mode = fromUrl || process.env.REACT_APP_INPUT_MODE;
+  return INPUT_MODES.includes(mode) ? mode : INPUT_MODES[0];
+};
+
+export const nextInputMode = (mode) => (
+  INPUT_MODES[(INPUT_MODES.indexOf(mode) + 1) % INPUT_MODES.length]
+);
+
+/**
+ * Stick input from dragging a joystick knob `dx`, `dy` screen pixels from its
+ * centre; `radius` is full deflection. Screen up is forward.
+ */
+export const stickFromDrag = (dx, dy, radius) => {
+  const length = Math.hypot(dx, dy);
+  const scale = length > radius ? 1 / length : 1 / radius;
+  return { x: dx * scale, y: -dy * scale };
+};
+
+/**
+ * Drive input written by an on-screen control and read each frame alongside
+ * the keyboard and gamepad
+ */
+export class VirtualStick {
+  constructor() {
+    this.x = 0;
+    this.y = 0;
+    this.boost = false;
+  }
+
+  set(x, y, boost = this.boost) {
+    const length = Math.hypot(x, y);
+    const scale = length > 1 ? 1 / length : 1;
+    this.x = x * scale;
+    this.y = y * scale;
+    this.boost = boost;
+  }
+
+  release() {
+    this.x = 0;
+    this.y = 0;
+    this.boost = false;
+  }
+
+  read() {
+    return { x: this.x, y: this.y, boost: this.boost };
+  }
+}
+
+// Shared between the TouchJoystick overlay and MovingSphere
+export const touchStick = new VirtualStick();
@@ -0,0 +1,68 @@
+import * as THREE from 'three';
+import {
+  applyRadialDeadzone,
+  cameraRelativeDirection,
+  combineDriveInput,
+  getAppInputMode,
+  nextInputMode,
+  readGamepadDrive,
+  readKeyboardDrive,
+  stickFromDrag,
+  VirtualStick,
+} from './driveInput';
+
+test('maps keys to a stick input with shift boost', () => {
+  expect(readKeyboardDrive({ forwardKeyPressed: true, leftKeyPressed: true, shiftKeyPressed: true }))
+    .toEqual({ x: -1, y: 1, boost: true });
+  expect(readKeyboardDrive({ forwardKeyPressed: true, backwardKeyPressed: true })).toEqual({ x: 0, y: 0, boost: false });
+});
+
+test('reads the first connected gamepad through a radial deadzone', () => {
+  expect(applyRadialDeadzone(0.1, 0.05)).toEqual({ x: 0, y: 0 });
+  expect(applyRadialDeadzone(1, 0).x).toBeCloseTo(1);
+
+  const pad = {
+    connected: true,
+    axes: [0, -1],
+    buttons: Array.from({ length: 8 }, (_, i) => ({ pressed: false, value: i === 7 ? 0.9 : 0 })),
+  };
+  const input = readGamepadDrive([null, pad]);
+  expect(input.x).toBeCloseTo(0);
+  expect(input.y).toBeCloseTo(1);
+  expect(input.boost).toBe(true);
+  expect(readGamepadDrive([])).toEqual({ x: 0, y: 0, boost: false });
+});
+
+test('combines inputs and steers relative to the camera', () => {
+  const combined = combineDriveInput({ x: 1, y: 1, boost: false }, { x: 0, y: 0, boost: true });
+  expect(Math.hypot(combined.x, combined.y)).toBeCloseTo(1);
+  expect(combined.boost).toBe(true);
+
+  // Camera looking down -Z: forward is -Z, right is +X
+  const direction = cameraRelativeDirection({ x: 1, y: 0 }, { x: 0, z: -1 }, new THREE.Vector3());
+  expect(direction.toArray()).toEqual([1, 0, 0]);
+  const forward = cameraRelativeDirection({ x: 0, y: 1 }, { x: 0, y: -0.5, z: -2 }, new THREE.Vector3());
+  expect(forward.x).toBeCloseTo(0);
+  expect(forward.z).toBeCloseTo(-1);
+});
+
+test('turns joystick drags into clamped stick input', () => {
+  expect(stickFromDrag(0, -20, 40)).toEqual({ x: 0, y: 0.5 });
+  const full = stickFromDrag(80, 0, 40);
+  expect(full.x).toBeCloseTo(1);
+
+  const stick = new VirtualStick();
+  stick.set(3, 4, true);
+  expect(stick.read().x).toBeCloseTo(0.6);
+  expect(stick.read().y).toBeCloseTo(0.8);
+  expect(stick.read().boost).toBe(true);
+  stick.release();
+  expect(stick.read()).toEqual({ x: 0, y: 0, boost: false });
+});
+
+test('cycles input modes and defaults to pointer', () => {
+  expect(getAppInputMode()).toBe('pointer');
+  expect(nextInputMode('pointer')).toBe('drive');
+  expect(nextInputMode('joystick')).toBe('navigate');
+  expect(nextInputMode('navigate')).toBe('pointer');
+});
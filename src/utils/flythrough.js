@@ -0,0 +1,212 @@
+import * as THREE from 'three';
+
+/**
+ * Scripted camera flythroughs
+ *
+ * A flythrough is plain JSON so tours can be captured in the app, saved and
+ * shared:
+ *
+ *   {
+ *     "name": "Resort tour",
+ *     "loop": true,
+ *     "duration": 60,           // Looping only: when it's back at the start
+ *     "keyframes": [
+ *       { "time": 0, "position": [x, y, z], "lookAt": [x, y, z], "fov": 60, "easing": "easeInOut" },
+ *       ...
+ *     ]
+ *   }
+ *
+ * Position and look target each run along a centripetal Catmull-Rom spline
+ * through the keyframes. `time` is seconds from the start, and a keyframe's
+ * `easing` shapes the segment leaving it; FOV follows the same eased timing.
+ * Saved flythroughs are kept in localStorage as `{ [name]: flythrough }`.
+ */
+
+export const FLYTHROUGH_EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t,
+  easeOut: (t) => t * (2 - t),
+  easeInOut: (t) => t * t * (3 - 2 * t),
+};
+
+export const DEFAULT_EASING = 'easeInOut';
+export const DEFAULT_FOV = 60;
+const MIN_FOV = 10;
+const MAX_FOV = 120;
+const STORAGE_KEY = 'cameraFlythroughs';
+
+// Default tour around the resort
+export const DEFAULT_FLYTHROUGH = {
+  name: 'Resort tour',
+  loop: true,
+  duration: 60,
+  keyframes: [
+    { time: 0, position: [70, 25, 0], lookAt: [0, 4, 0], fov: 60, easing: 'linear' },
+    { time: 10, position: [45, 18, 55], lookAt: [-10, 4, 10], fov: 60, easing: 'linear' },
+    { time: 20, position: [-20, 14, 70], lookAt: [-20, 3, 10], fov: 55, easing: 'linear' },
+    { time: 30, position: [-70, 22, 20], lookAt: [0, 4, 0], fov: 60, easing: 'linear' },
+    { time: 40, position: [-45, 30, -60], lookAt: [10, 5, -10], fov: 65, easing: 'linear' },
+    { time: 50, position: [25, 20, -70], lookAt: [15, 3, -15], fov: 60, easing: 'linear' },
+  ],
+};
+
+export class FlythroughError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'FlythroughError';
+  }
+}
+
+const parseVector = (value, field, index, source) => {
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+    throw new FlythroughError(`keyframe ${index} ${field} must be [x, y, z]`, source);
+  }
+  return [...value];
+};
+
+/**
+ * Validate a flythrough and fill in defaults; keyframes come back sorted by
+ * time
+ *
+ * @param {object} data - Parsed JSON
+ * @param {string} [source] - File name or URL for error messages
+ */
+export const parseFlythrough = (data, source) => {
+  if (!data || typeof data !== 'object') throw new FlythroughError('flythrough must be an object', source);
+  if (!Array.isArray(data.keyframes) || data.keyframes.length < 2) {
+    throw new FlythroughError('a flythrough needs at least two keyframes', source);
+  }
+
+  const keyframes = data.keyframes.map((keyframe, index) => {
+    if (!Number.isFinite(keyframe?.time) || keyframe.time < 0) {
+      throw new FlythroughError(`keyframe ${index} needs a time of 0 or more seconds`, source);
+    }
+    const easing = keyframe.easing ?? DEFAULT_EASING;
+    if (!FLYTHROUGH_EASINGS[easing]) throw new FlythroughError(`keyframe ${index} has unknown easing "${easing}"`, source);
+    const fov = Number.isFinite(keyframe.fov) ? keyframe.fov : DEFAULT_FOV;
+    return {
+      time: keyframe.time,
+      position: parseVector(keyframe.position, 'position', index, source),
+      lookAt: parseVector(keyframe.lookAt, 'lookAt', index, source),
+      fov: THREE.MathUtils.clamp(fov, MIN_FOV, MAX_FOV),
+      easing,
+    };
+  }).sort((a, b) => a.time - b.time);
+
+  const loop = Boolean(data.loop);
+  const first = keyframes[0].time;
+  const last = keyframes[keyframes.length - 1].time;
+  let duration = last;
+  if (loop) {
+    // Closing segment defaults to the average keyframe spacing
+    duration = data.duration ?? last + (last - first) / (keyframes.length - 1);
+    if (!Number.isFinite(duration) || duration <= last) {
+      throw new FlythroughError('a looping flythrough needs a duration after its last keyframe', source);
+    }
+  }
+
+  return { name: typeof data.name === 'string' && data.name ? data.name : 'Untitled tour', loop, duration, keyframes };
+};
+
+/**
+ * Playable path for a flythrough
+ *
+ * @returns {{ script: object, duration: number, loop: boolean,
+ *   sample: (time: number, position: THREE.Vector3, lookAt: THREE.Vector3) => number }}
+ *   `sample` writes the pose at `time` and returns the FOV
+ */
+export const createFlythroughPath = (data) => {
+  const script = parseFlythrough(data);
+  const { keyframes, loop, duration } = script;
+  const count = keyframes.length;
+  const segments = loop ? count : count - 1;
+  const positions = new THREE.CatmullRomCurve3(keyframes.map((k) => new THREE.Vector3(...k.position)), loop, 'centripetal');
+  const targets = new THREE.CatmullRomCurve3(keyframes.map((k) => new THREE.Vector3(...k.lookAt)), loop, 'centripetal');
+  const start = keyframes[0].time;
+
+  return {
+    script,
+    duration,
+    loop,
+    sample(time, position, lookAt) {
+      const t = loop
+        ? start + THREE.MathUtils.euclideanModulo(time - start, duration - start)
+        : THREE.MathUtils.clamp(time, start, duration);
+
+      let index = segments - 1;
+      while (index > 0 && t < keyframes[index].time) index--;
+      const from = keyframes[index];
+      const to = keyframes[(index + 1) % count];
+      const end = index + 1 < count ? to.time : duration;
+      const span = end - from.time;
+      const eased = FLYTHROUGH_EASINGS[from.easing](span > 0 ? THREE.MathUtils.clamp((t - from.time) / span, 0, 1) : 1);
+
+      // Control point i sits at i / segments along a uniform Catmull-Rom curve
+      const u = (index + eased) / segments;
+      positions.getPoint(u, position);
+      targets.getPoint(u, lookAt);
+      return THREE.MathUtils.lerp(from.fov, to.fov, eased);
+    },
+  };
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Keyframe from a camera pose, e.g. the camera rig's `output`
+ *
+ * @param {{ position: THREE.Vector3, lookAt: THREE.Vector3, fov?: number }} pose
+ * @param {number} time - Seconds from the start of the flythrough
+ * @param {string} [easing]
+ */
+export const captureKeyframe = (pose, time, easing = DEFAULT_EASING) => ({
+  time: round(time),
+  position: pose.position.toArray().map(round),
+  lookAt: pose.lookAt.toArray().map(round),
+  fov: round(pose.fov ?? DEFAULT_FOV),
+  easing,
+});
+
+/**
+ * Pretty JSON for saving or downloading
+ */
+export const serializeFlythrough = (data) => JSON.stringify(parseFlythrough(data), null, 2);
+
+/**
+ * Saved flythroughs by name; an empty object when storage is missing or corrupt
+ */
+export const loadFlythroughs = (storage = window.localStorage) => {
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY) || '{}');
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch (error) {
+    console.warn('Ignoring unreadable flythroughs:', error);
+    return {};
+  }
+};
+
+const writeFlythroughs = (saved, storage) => {
+  storage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  return saved;
+};
+
+/**
+ * Store a flythrough under its name, replacing any with that name
+ *
+ * @returns {object} The updated flythroughs
+ */
+export const saveFlythrough = (data, storage = window.localStorage) => {
+  const script = parseFlythrough(data);
+  const name = script.name.trim();
+  return writeFlythroughs({ ...loadFlythroughs(storage), [name]: { ...script, name } }, storage);
+};
+
+/**
+ * Remove a saved flythrough
+ *
+ * @returns {object} The updated flythroughs
+ */
+export const deleteFlythrough = (name, storage = window.localStorage) => {
+  const { [name]: removed, ...rest } = loadFlythroughs(storage);
+  return writeFlythroughs(rest, storage);
+};
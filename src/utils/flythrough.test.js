@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+import {
+  captureKeyframe,
+  createFlythroughPath,
+  deleteFlythrough,
+  FlythroughError,
+  loadFlythroughs,
+  parseFlythrough,
+  saveFlythrough,
+  serializeFlythrough,
+} from './flythrough';
+
+const memoryStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => items[key] ?? null,
+    setItem: (key, value) => { items[key] = value; },
+  };
+};
+
+const script = {
+  name: 'Test',
+  keyframes: [
+    { time: 10, position: [10, 5, 0], lookAt: [10, 0, 0], fov: 40, easing: 'linear' },
+    { time: 0, position: [0, 5, 0], lookAt: [0, 0, 0], fov: 60, easing: 'linear' },
+  ],
+};
+
+test('validates flythroughs and fills in defaults', () => {
+  const parsed = parseFlythrough(script);
+  expect(parsed.keyframes.map((k) => k.time)).toEqual([0, 10]);
+  expect(parsed.duration).toBe(10);
+  expect(parsed.loop).toBe(false);
+
+  const looped = parseFlythrough({ ...script, loop: true });
+  expect(looped.duration).toBe(20);
+
+  expect(() => parseFlythrough({ keyframes: [script.keyframes[0]] }, 'tour.json'))
+    .toThrow(new FlythroughError('a flythrough needs at least two keyframes', 'tour.json'));
+  expect(() => parseFlythrough({ keyframes: [...script.keyframes, { ...script.keyframes[0], easing: 'bounce' }] }))
+    .toThrow('unknown easing "bounce"');
+  expect(() => parseFlythrough({ ...script, loop: true, duration: 5 })).toThrow(FlythroughError);
+});
+
+test('samples position, look target and FOV along the spline by time', () => {
+  const path = createFlythroughPath(script);
+  const position = new THREE.Vector3();
+  const lookAt = new THREE.Vector3();
+
+  expect(path.sample(5, position, lookAt)).toBeCloseTo(50);
+  expect(position.x).toBeGreaterThan(0);
+  expect(position.x).toBeLessThan(10);
+  expect(position.y).toBeCloseTo(5);
+  expect(lookAt.y).toBeCloseTo(0);
+  const linearX = position.x;
+
+  expect(path.sample(30, position, lookAt)).toBeCloseTo(40);
+  expect(position.x).toBeCloseTo(10);
+
+  // Eased segments are slow to leave the keyframe
+  const eased = createFlythroughPath({ ...script, keyframes: script.keyframes.map((k) => ({ ...k, easing: 'easeIn' })) });
+  eased.sample(5, position, lookAt);
+  expect(position.x).toBeLessThan(linearX);
+});
+
+test('loops back through the first keyframe', () => {
+  const path = createFlythroughPath({ ...script, loop: true });
+  const position = new THREE.Vector3();
+  const lookAt = new THREE.Vector3();
+  path.sample(20, position, lookAt);
+  expect(position.x).toBeCloseTo(0);
+  path.sample(30, position, lookAt);
+  expect(position.x).toBeCloseTo(10);
+});
+
+test('captures keyframes and round-trips saved flythroughs', () => {
+  const keyframe = captureKeyframe(
+    { position: new THREE.Vector3(1.23456, 2, 3), lookAt: new THREE.Vector3(0, 0, 0), fov: 50 },
+    4
+  );
+  expect(keyframe).toEqual({ time: 4, position: [1.235, 2, 3], lookAt: [0, 0, 0], fov: 50, easing: 'easeInOut' });
+
+  expect(JSON.parse(serializeFlythrough(script)).keyframes[0].time).toBe(0);
+
+  const storage = memoryStorage();
+  saveFlythrough(script, storage);
+  expect(Object.keys(loadFlythroughs(storage))).toEqual(['Test']);
+  expect(deleteFlythrough('Test', storage)).toEqual({});
+
+  storage.setItem('cameraFlythroughs', '{not json');
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(loadFlythroughs(storage)).toEqual({});
+  console.warn.mockRestore();
+});
@@ -0,0 +1,509 @@
+import * as THREE from 'three';
+
+/**
+ * GPU frustum/distance culling and compaction for one grass tile (WebGL2)
+ *
+ * Per frame:
+ * 1. Visibility pass - one fragment per instance writes 1/0 into an R32UI
+ *    texture after testing its bounding sphere against the camera frustum and
+ *    the LOD distance.
+ * 2. Reduction - a histogram pyramid sums 2x2 blocks down to a single texel
+ *    holding the visible count.
+ * 3. Compaction - transform feedback runs one vertex per output slot; each
+ *    walks the pyramid to find the k-th visible instance and writes its matrix,
+ *    colour and blade index into tightly packed buffers.
+ *
+ * The packed buffers are exposed as instanced GLBufferAttributes named like the
+ * ones the grass material already reads (instanceMatrix, color, aTextureIndex),
+ * so the existing bending/trail shader draws them unchanged. The visible count
+ * is read back asynchronously and arrives a frame or two late, so callers
+ * should draw a little headroom past it.
+ *
+ * Only integer render targets and float textures from core WebGL2 are used; on
+ * WebGL1 `isSupported` is false and callers keep CPU culling.
+ */
+
+const INSTANCES_PER_ROW = 400;
+const TEXELS_PER_INSTANCE = 5; // Four matrix columns plus (r, g, b, textureIndex)
+
+const HEADER = `#version 300 es
+precision highp float;
+precision highp int;
+precision highp usampler2D;
+`;
+
+const INSTANCE_FETCH = `
+uniform highp sampler2D instanceData;
+
+vec4 fetchInstance(int instance, int texel) {
+  int x = (instance % ${INSTANCES_PER_ROW}) * ${TEXELS_PER_INSTANCE} + texel;
+  return texelFetch(instanceData, ivec2(x, instance / ${INSTANCES_PER_ROW}), 0);
+}
+`;
+
+// Fullscreen triangle generated from gl_VertexID
+const FULLSCREEN_VERTEX = `${HEADER}
+void main() {
+  vec2 p = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+  gl_Position = vec4(p * 2.0 - 1.0, 0.0, 1.0);
+}
+`;
+
+const VISIBILITY_FRAGMENT = `${HEADER}
+${INSTANCE_FETCH}
+uniform int size;
+uniform int drawCount;
+uniform mat4 modelMatrix;
+uniform vec4 planes[6];
+uniform vec3 viewPosition;
+uniform float maxDistance;
+uniform float bladeRadius;
+
+out uint visible;
+
+void main() {
+  ivec2 p = ivec2(gl_FragCoord.xy);
+  int index = p.y * size + p.x;
+  visible = 0u;
+  if (index >= drawCount) return;
+
+  vec4 c0 = fetchInstance(index, 0);
+  vec4 c1 = fetchInstance(index, 1);
+  vec4 c2 = fetchInstance(index, 2);
+  vec4 c3 = fetchInstance(index, 3);
+
+  vec3 center = (modelMatrix * vec4(c3.xyz, 1.0)).xyz;
+  float radius = bladeRadius * max(length(c0.xyz), max(length(c1.xyz), length(c2.xyz)));
+
+  for (int i = 0; i < 6; i++) {
+    if (dot(planes[i].xyz, center) + planes[i].w < -radius) return;
+  }
+  // Measured across the ground, like the tile LOD bands (see grassLod)
+  if (distance(center.xz, viewPosition.xz) - radius > maxDistance) return;
+
+  visible = 1u;
+}
+`;
+
+const REDUCE_FRAGMENT = `${HEADER}
+uniform usampler2D previous;
+out uint sum;
+
+void main() {
+  ivec2 p = ivec2(gl_FragCoord.xy) * 2;
+  sum = texelFetch(previous, p, 0).r
+    + texelFetch(previous, p + ivec2(1, 0), 0).r
+    + texelFetch(previous, p + ivec2(0, 1), 0).r
+    + texelFetch(previous, p + ivec2(1, 1), 0).r;
+}
+`;
+
+const DISCARD_FRAGMENT = `${HEADER}
+out vec4 color;
+void main() { color = vec4(0.0); }
+`;
+
+// Transform feedback outputs, one program each so every buffer is tightly packed
+const COMPACT_OUTPUTS = {
+  matrix: {
+    varyings: ['outColumn0', 'outColumn1', 'outColumn2', 'outColumn3'],
+    declarations: 'out vec4 outColumn0; out vec4 outColumn1; out vec4 outColumn2; out vec4 outColumn3;',
+    write: `
+      outColumn0 = valid ? fetchInstance(index, 0) : vec4(0.0);
+      outColumn1 = valid ? fetchInstance(index, 1) : vec4(0.0);
+      outColumn2 = valid ? fetchInstance(index, 2) : vec4(0.0);
+      outColumn3 = valid ? fetchInstance(index, 3) : vec4(0.0);`,
+    itemSize: 16,
+  },
+  color: {
+    varyings: ['outColor'],
+    declarations: 'out vec3 outColor;',
+    write: 'outColor = valid ? fetchInstance(index, 4).rgb : vec3(0.0);',
+    itemSize: 3,
+  },
+  textureIndex: {
+    varyings: ['outTextureIndex'],
+    declarations: 'out float outTextureIndex;',
+    write: 'outTextureIndex = valid ? fetchInstance(index, 4).a : 0.0;',
+    itemSize: 1,
+  },
+};
+
+/**
+ * Build the compaction vertex shader; sampler arrays can't be indexed in a
+ * loop in GLSL ES 3.00, so the pyramid walk is unrolled per level
+ */
+const createCompactVertex = (levelCount, output) => {
+  const top = levelCount - 1;
+  const samplers = Array.from({ length: levelCount }, (_, i) => `uniform usampler2D level${i};`).join('\n');
+
+  let walk = '';
+  for (let level = top - 1; level >= 0; level--) {
+    walk += `
+  p *= 2;
+  {
+    uint a = texelFetch(level${level}, p, 0).r;
+    if (k >= a) {
+      k -= a;
+      uint b = texelFetch(level${level}, p + ivec2(1, 0), 0).r;
+      if (k < b) {
+        p.x += 1;
+      } else {
+        k -= b;
+        uint c = texelFetch(level${level}, p + ivec2(0, 1), 0).r;
+        if (k < c) {
+          p.y += 1;
+        } else {
+          k -= c;
+          p += ivec2(1, 1);
+        }
+      }
+    }
+  }`;
+  }
+
+  return `${HEADER}
+${INSTANCE_FETCH}
+uniform int size;
+${samplers}
+${output.declarations}
+
+void main() {
+  uint k = uint(gl_VertexID);
+  bool valid = k < texelFetch(level${top}, ivec2(0), 0).r;
+  ivec2 p = ivec2(0);
+  if (valid) {${walk}
+  }
+  int index = p.y * size + p.x;
+  ${output.write}
+  gl_Position = vec4(0.0);
+}
+`;
+};
+
+const compileShader = (gl, type, source) => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`GpuGrassCuller: shader compile failed: ${log}`);
+  }
+  return shader;
+};
+
+const createProgram = (gl, vertexSource, fragmentSource, varyings = null) => {
+  const program = gl.createProgram();
+  const vertex = compileShader(gl, gl.VERTEX_SHADER, vertexSource);
+  const fragment = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
+  gl.attachShader(program, vertex);
+  gl.attachShader(program, fragment);
+  if (varyings) gl.transformFeedbackVaryings(program, varyings, gl.INTERLEAVED_ATTRIBS);
+  gl.linkProgram(program);
+  gl.deleteShader(vertex);
+  gl.deleteShader(fragment);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const log = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    throw new Error(`GpuGrassCuller: program link failed: ${log}`);
+  }
+  return program;
+};
+
+// Programs are compiled and linked once per GL context and shared by every
+// culler on it, since the status checks stall until the driver is done. Only
+// the compaction passes differ between tiles, by pyramid depth. A failure is
+// kept too, so a driver that can't build them isn't asked again for each tile.
+const programCache = new WeakMap();
+
+const getProgram = (gl, key, build) => {
+  let programs = programCache.get(gl);
+  if (!programs) {
+    programs = new Map();
+    programCache.set(gl, programs);
+  }
+  if (!programs.has(key)) {
+    try {
+      programs.set(key, { program: build() });
+    } catch (error) {
+      programs.set(key, { error });
+    }
+  }
+  const { program, error } = programs.get(key);
+  if (error) throw error;
+  return program;
+};
+
+const createUintTarget = (gl, size) => {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texStorage2D(gl.TEXTURE_2D, 1, gl.R32UI, size, size);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+
+  const framebuffer = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  return { texture, framebuffer, size };
+};
+
+const frustum = new THREE.Frustum();
+const projectionView = new THREE.Matrix4();
+const cameraPosition = new THREE.Vector3();
+const planeData = new Float32Array(24);
+
+export default class GpuGrassCuller {
+  /**
+   * True when the renderer has a WebGL2 context (transform feedback, integer
+   * render targets and float textures are all core there)
+   */
+  static isSupported(renderer) {
+    return typeof WebGL2RenderingContext !== 'undefined'
+      && renderer?.getContext() instanceof WebGL2RenderingContext;
+  }
+
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {object} tile - Tile data from the instancer: { count, matrices, colors, textureIndices }
+   */
+  constructor(renderer, tile) {
+    const gl = renderer.getContext();
+    this.renderer = renderer;
+    this.gl = gl;
+    this.capacity = tile.count;
+    this.visibleCount = tile.count;
+    this.pendingReadback = null;
+
+    // Pyramid base: smallest power of two square holding every instance
+    this.size = 1;
+    while (this.size * this.size < this.capacity) this.size *= 2;
+
+    // Everything GL-side starts empty so a failed build can dispose what it made
+    this.levels = [];
+    this.compactPasses = [];
+    this.instanceTexture = null;
+    this.vertexArray = null;
+    this.transformFeedback = null;
+    this.countBuffer = null;
+
+    try {
+      for (let size = this.size; size >= 1; size /= 2) {
+        this.levels.push(createUintTarget(gl, size));
+      }
+
+      this.uploadInstances(tile);
+
+      this.visibilityProgram = getProgram(gl, 'visibility', () => createProgram(gl, FULLSCREEN_VERTEX, VISIBILITY_FRAGMENT));
+      this.reduceProgram = getProgram(gl, 'reduce', () => createProgram(gl, FULLSCREEN_VERTEX, REDUCE_FRAGMENT));
+      Object.entries(COMPACT_OUTPUTS).forEach(([name, output]) => {
+        const program = getProgram(gl, `compact-${name}-${this.levels.length}`, () =>
+          createProgram(gl, createCompactVertex(this.levels.length, output), DISCARD_FRAGMENT, output.varyings));
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.capacity * output.itemSize * 4, gl.DYNAMIC_COPY);
+        this.compactPasses.push({ name, program, buffer, itemSize: output.itemSize });
+      });
+
+      this.vertexArray = gl.createVertexArray();
+      this.transformFeedback = gl.createTransformFeedback();
+      this.countBuffer = gl.createBuffer();
+      gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this.countBuffer);
+      gl.bufferData(gl.PIXEL_PACK_BUFFER, 16, gl.STREAM_READ);
+      gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+
+      this.uniformLocations = new Map();
+
+      // Instanced attributes backed directly by the compacted buffers
+      this.attributes = {};
+      const attributeNames = { matrix: 'instanceMatrix', color: 'color', textureIndex: 'aTextureIndex' };
+      this.compactPasses.forEach(({ name, buffer, itemSize }) => {
+        const attribute = new THREE.GLBufferAttribute(buffer, gl.FLOAT, itemSize, 4, this.capacity);
+        // three.js binds any attribute flagged like this with a vertex divisor
+        attribute.isInstancedBufferAttribute = true;
+        attribute.meshPerAttribute = 1;
+        this.attributes[attributeNames[name]] = attribute;
+      });
+    } catch (error) {
+      this.dispose();
+      renderer.resetState();
+      throw error;
+    }
+
+    renderer.resetState();
+  }
+
+  // Pack matrices, colours and blade indices into an RGBA32F texture
+  uploadInstances(tile) {
+    const { gl } = this;
+    const rows = Math.max(1, Math.ceil(this.capacity / INSTANCES_PER_ROW));
+    const width = INSTANCES_PER_ROW * TEXELS_PER_INSTANCE;
+    const data = new Float32Array(width * rows * 4);
+
+    for (let i = 0; i < this.capacity; i++) {
+      const base = i * TEXELS_PER_INSTANCE * 4;
+      data.set(tile.matrices.subarray(i * 16, i * 16 + 16), base);
+      data[base + 16] = tile.colors[i * 3];
+      data[base + 17] = tile.colors[i * 3 + 1];
+      data[base + 18] = tile.colors[i * 3 + 2];
+      data[base + 19] = tile.textureIndices[i];
+    }
+
+    this.instanceTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.instanceTexture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, rows, 0, gl.RGBA, gl.FLOAT, data);
+  }
+
+  uniform(program, name) {
+    let locations = this.uniformLocations.get(program);
+    if (!locations) {
+      locations = {};
+      this.uniformLocations.set(program, locations);
+    }
+    if (!(name in locations)) locations[name] = this.gl.getUniformLocation(program, name);
+    return locations[name];
+  }
+
+  bindTexture(unit, texture) {
+    const { gl } = this;
+    gl.activeTexture(gl.TEXTURE0 + unit);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+  }
+
+  /**
+   * Run the cull for this frame
+   *
+   * @param {object} params
+   * @param {THREE.Matrix4} params.modelMatrix - World matrix of the tile mesh
+   * @param {THREE.Camera} params.camera
+   * @param {number} params.maxDistance - Instances further than this from the
+   *   camera, measured horizontally, are culled
+   * @param {number} params.bladeRadius - Bounding radius of an unscaled blade
+   * @param {number} [params.drawCount] - Only consider the first N instances (LOD thinning)
+   * @returns {number} Latest known visible count
+   */
+  cull({ modelMatrix, camera, maxDistance, bladeRadius, drawCount = this.capacity }) {
+    const { gl } = this;
+
+    projectionView.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    frustum.setFromProjectionMatrix(projectionView);
+    frustum.planes.forEach((plane, i) => {
+      planeData[i * 4] = plane.normal.x;
+      planeData[i * 4 + 1] = plane.normal.y;
+      planeData[i * 4 + 2] = plane.normal.z;
+      planeData[i * 4 + 3] = plane.constant;
+    });
+    camera.getWorldPosition(cameraPosition);
+
+    gl.bindVertexArray(this.vertexArray);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.CULL_FACE);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.disable(gl.STENCIL_TEST);
+
+    // 1. Visibility
+    const base = this.levels[0];
+    gl.useProgram(this.visibilityProgram);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, base.framebuffer);
+    gl.viewport(0, 0, base.size, base.size);
+    this.bindTexture(0, this.instanceTexture);
+    gl.uniform1i(this.uniform(this.visibilityProgram, 'instanceData'), 0);
+    gl.uniform1i(this.uniform(this.visibilityProgram, 'size'), this.size);
+    gl.uniform1i(this.uniform(this.visibilityProgram, 'drawCount'), Math.min(drawCount, this.capacity));
+    gl.uniformMatrix4fv(this.uniform(this.visibilityProgram, 'modelMatrix'), false, modelMatrix.elements);
+    gl.uniform4fv(this.uniform(this.visibilityProgram, 'planes'), planeData);
+    gl.uniform3f(this.uniform(this.visibilityProgram, 'viewPosition'), cameraPosition.x, cameraPosition.y, cameraPosition.z);
+    gl.uniform1f(this.uniform(this.visibilityProgram, 'maxDistance'), maxDistance);
+    gl.uniform1f(this.uniform(this.visibilityProgram, 'bladeRadius'), bladeRadius);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+    // 2. Histogram pyramid
+    gl.useProgram(this.reduceProgram);
+    gl.uniform1i(this.uniform(this.reduceProgram, 'previous'), 0);
+    for (let level = 1; level < this.levels.length; level++) {
+      const target = this.levels[level];
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+      gl.viewport(0, 0, target.size, target.size);
+      this.bindTexture(0, this.levels[level - 1].texture);
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+    }
+
+    // Async read of the top texel (the visible total)
+    this.readVisibleCount();
+
+    // 3. Compaction through transform feedback
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.enable(gl.RASTERIZER_DISCARD);
+    gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, this.transformFeedback);
+    this.compactPasses.forEach(({ program, buffer }) => {
+      gl.useProgram(program);
+      this.bindTexture(0, this.instanceTexture);
+      gl.uniform1i(this.uniform(program, 'instanceData'), 0);
+      gl.uniform1i(this.uniform(program, 'size'), this.size);
+      this.levels.forEach((level, i) => {
+        this.bindTexture(i + 1, level.texture);
+        gl.uniform1i(this.uniform(program, `level${i}`), i + 1);
+      });
+
+      gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, buffer);
+      gl.beginTransformFeedback(gl.POINTS);
+      gl.drawArrays(gl.POINTS, 0, this.capacity);
+      gl.endTransformFeedback();
+      gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, null);
+    });
+    gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, null);
+    gl.disable(gl.RASTERIZER_DISCARD);
+    gl.bindVertexArray(null);
+
+    // Hand GL state back to three.js
+    this.renderer.resetState();
+
+    return this.visibleCount;
+  }
+
+  // Poll the previous readback and start a new one once it has landed
+  readVisibleCount() {
+    const { gl } = this;
+
+    if (this.pendingReadback) {
+      const status = gl.getSyncParameter(this.pendingReadback, gl.SYNC_STATUS);
+      if (status !== gl.SIGNALED) return;
+
+      const result = new Uint32Array(4);
+      gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this.countBuffer);
+      gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, result);
+      gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+      gl.deleteSync(this.pendingReadback);
+      this.pendingReadback = null;
+      this.visibleCount = result[0];
+    }
+
+    const top = this.levels[this.levels.length - 1];
+    gl.bindFramebuffer(gl.FRAMEBUFFER, top.framebuffer);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this.countBuffer);
+    gl.readPixels(0, 0, 1, 1, gl.RGBA_INTEGER, gl.UNSIGNED_INT, 0);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+    this.pendingReadback = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+    gl.flush();
+  }
+
+  dispose() {
+    const { gl } = this;
+    if (this.pendingReadback) gl.deleteSync(this.pendingReadback);
+    this.levels.forEach(({ texture, framebuffer }) => {
+      gl.deleteTexture(texture);
+      gl.deleteFramebuffer(framebuffer);
+    });
+    // Programs are shared (see getProgram) and live as long as the context
+    this.compactPasses.forEach(({ buffer }) => gl.deleteBuffer(buffer));
+    gl.deleteTexture(this.instanceTexture);
+    gl.deleteVertexArray(this.vertexArray);
+    gl.deleteTransformFeedback(this.transformFeedback);
+    gl.deleteBuffer(this.countBuffer);
+    this.disposed = true;
+  }
+}
@@ -0,0 +1,73 @@
+import GpuGrassCuller from './gpuGrassCuller';
+
+// WebGL2 stand-in that hands out a fresh handle from every create* call and
+// records what is created and deleted
+const fakeRenderer = ({ linkSucceeds = true } = {}) => {
+  const created = [];
+  const deleted = [];
+  const calls = {};
+  const methods = {
+    getShaderParameter: () => true,
+    getProgramParameter: () => linkSucceeds,
+    getProgramInfoLog: () => 'link failed',
+  };
+  const gl = new Proxy({}, {
+    get: (target, name) => {
+      if (methods[name]) return methods[name];
+      if (typeof name !== 'string' || name === 'then') return undefined;
+      // Constants (gl.TEXTURE_2D and friends) are upper case
+      if (name === name.toUpperCase()) return name;
+      return (...args) => {
+        calls[name] = (calls[name] ?? 0) + 1;
+        if (name.startsWith('create')) {
+          const handle = { kind: name.slice('create'.length) };
+          created.push(handle);
+          return handle;
+        }
+        if (name.startsWith('delete') && args[0]) deleted.push(args[0]);
+        return undefined;
+      };
+    },
+  });
+  const renderer = { getContext: () => gl, resetState: () => {} };
+  return { renderer, created, deleted, calls };
+};
+
+const tile = (count) => ({
+  count,
+  matrices: new Float32Array(count * 16),
+  colors: new Float32Array(count * 3),
+  textureIndices: new Float32Array(count),
+});
+
+test('compiles its programs once per context and shares them between tiles', () => {
+  const { renderer, calls } = fakeRenderer();
+  const first = new GpuGrassCuller(renderer, tile(10));
+  expect(calls.linkProgram).toBe(5);
+
+  // Same pyramid depth: nothing new to build
+  const second = new GpuGrassCuller(renderer, tile(12));
+  expect(calls.linkProgram).toBe(5);
+  expect(second.visibilityProgram).toBe(first.visibilityProgram);
+
+  // A deeper pyramid only needs its own compaction passes
+  new GpuGrassCuller(renderer, tile(1000));
+  expect(calls.linkProgram).toBe(8);
+
+  first.dispose();
+  expect(first.disposed).toBe(true);
+  expect(calls.deleteProgram ?? 0).toBe(0);
+});
+
+test('releases what it allocated when a program fails to build', () => {
+  const { renderer, created, deleted, calls } = fakeRenderer({ linkSucceeds: false });
+  expect(() => new GpuGrassCuller(renderer, tile(10))).toThrow(/link failed/);
+
+  const leaked = created.filter((handle) => handle.kind !== 'Program' && handle.kind !== 'Shader' && !deleted.includes(handle));
+  expect(leaked).toEqual([]);
+
+  // The failure is remembered rather than rebuilt for every tile
+  const links = calls.linkProgram;
+  expect(() => new GpuGrassCuller(renderer, tile(10))).toThrow(/link failed/);
+  expect(calls.linkProgram).toBe(links);
+});
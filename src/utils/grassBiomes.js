@@ -0,0 +1,161 @@
+import { loadImagePixels } from './pointCloudImage';
+
+/**
+ * Grass biomes: region rules that decide blade set, tint, height and density
+ *
+ * Config (public/grass-biomes.json):
+ *
+ *   {
+ *     "bounds": { "minX": -100, "minY": -100, "maxX": 100, "maxY": 100 },
+ *     "mask": "grass-biome-mask.png",   // optional, relative to the config
+ *     "maskTolerance": 32,              // per-channel match tolerance, 0-255
+ *     "regions": [
+ *       { "name": "piste", "mask": [255, 255, 255], "density": 0 },
+ *       { "name": "snow", "elevation": [7, 100], "density": 0.35, "shapes": [2],
+ *         "tint": [0.92, 0.95, 1], "tintStrength": 0.6, "height": [0.4, 0.7] },
+ *       { "name": "meadow" }
+ *     ]
+ *   }
+ *
+ * Regions are tested in order and the first match wins. A region matches when
+ * every criterion it lists holds: `mask` is the region's colour in the mask
+ * image, `elevation` a [min, max] range of terrain height (local z). A region
+ * with no criteria matches everything, so put the fallback last. Blades that
+ * match no region are kept unchanged.
+ *
+ * The mask covers `bounds` with image rows running top (maxY) to bottom,
+ * the same layout the bake script reads its maps in.
+ *
+ * Region fields, all optional:
+ *   density       0-1 chance each blade is kept (0 clears pistes, lift lines)
+ *   shapes        blade shape layers to pick from; omit to keep baked shapes
+ *   tint          RGB 0-1 the blade colour is blended towards
+ *   tintStrength  0-1 blend amount, default 1 when a tint is given
+ *   height        [min, max] random blade height multiplier
+ */
+
+const DEFAULT_MASK_TOLERANCE = 32;
+
+const NEUTRAL_REGION = {
+  name: null,
+  density: 1,
+  shapes: null,
+  tint: null,
+  tintStrength: 0,
+  height: [1, 1],
+};
+
+/**
+ * Error for malformed biome configs
+ */
+export class GrassBiomeError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'GrassBiomeError';
+  }
+}
+
+const isNumberList = (value, length) =>
+  Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+
+// Validate one region and fill in defaults
+const normalizeRegion = (region, index, fail) => {
+  const label = region.name ? `region "${region.name}"` : `region ${index}`;
+
+  if (region.mask !== undefined && !isNumberList(region.mask, 3)) fail(`${label} mask must be an [r, g, b] colour`);
+  if (region.elevation !== undefined && !isNumberList(region.elevation, 2)) fail(`${label} elevation must be [min, max]`);
+  if (region.tint !== undefined && !isNumberList(region.tint, 3)) fail(`${label} tint must be an [r, g, b] colour`);
+  if (region.height !== undefined && !isNumberList(region.height, 2)) fail(`${label} height must be [min, max]`);
+
+  const density = region.density ?? 1;
+  if (!(density >= 0 && density <= 1)) fail(`${label} density must be between 0 and 1`);
+
+  const shapes = region.shapes ?? null;
+  if (shapes && (!Array.isArray(shapes) || shapes.length === 0 || !shapes.every(Number.isInteger))) {
+    fail(`${label} shapes must be a non-empty list of layer indices`);
+  }
+
+  return {
+    name: region.name ?? null,
+    mask: region.mask ?? null,
+    elevation: region.elevation ?? null,
+    density,
+    shapes,
+    tint: region.tint ?? null,
+    tintStrength: region.tint ? (region.tintStrength ?? 1) : 0,
+    height: region.height ?? [1, 1],
+  };
+};
+
+/**
+ * Build a classifier from a parsed config and an optional decoded mask
+ *
+ * @param {object} config - Parsed biome config
+ * @param {{width:number, height:number, data:Uint8ClampedArray}|null} mask - RGBA8 mask pixels
+ * @param {string} [source] - Used to prefix error messages
+ * @returns {{ regions: object[], classify: (x:number, y:number, z:number) => object }}
+ */
+export const createGrassBiomes = (config, mask = null, source) => {
+  const fail = (message) => {
+    throw new GrassBiomeError(message, source);
+  };
+
+  if (!Array.isArray(config?.regions)) fail('config needs a "regions" array');
+  const regions = config.regions.map((region, i) => normalizeRegion(region, i, fail));
+
+  const usesMask = regions.some((region) => region.mask);
+  const bounds = config.bounds;
+  if (usesMask && mask) {
+    if (!bounds || ![bounds.minX, bounds.minY, bounds.maxX, bounds.maxY].every(Number.isFinite)) {
+      fail('bounds are required to place the mask');
+    }
+  }
+
+  const tolerance = config.maskTolerance ?? DEFAULT_MASK_TOLERANCE;
+
+  // Nearest-pixel lookup; blended edge colours would match no region
+  const sampleMask = (x, y) => {
+    const u = (x - bounds.minX) / (bounds.maxX - bounds.minX);
+    const v = (bounds.maxY - y) / (bounds.maxY - bounds.minY);
+    if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+    const px = Math.min(mask.width - 1, Math.floor(u * mask.width));
+    const py = Math.min(mask.height - 1, Math.floor(v * mask.height));
+    return (py * mask.width + px) * 4;
+  };
+
+  const matchesMask = (offset, colour) => offset !== null
+    && Math.abs(mask.data[offset] - colour[0]) <= tolerance
+    && Math.abs(mask.data[offset + 1] - colour[1]) <= tolerance
+    && Math.abs(mask.data[offset + 2] - colour[2]) <= tolerance;
+
+  const classify = (x, y, z) => {
+    const offset = usesMask && mask ? sampleMask(x, y) : null;
+
+    for (const region of regions) {
+      // Without a mask image, mask-based regions simply never match
+      if (region.mask && !matchesMask(offset, region.mask)) continue;
+      if (region.elevation && (z < region.elevation[0] || z > region.elevation[1])) continue;
+      return region;
+    }
+    return NEUTRAL_REGION;
+  };
+
+  return { regions, classify };
+};
+
+/**
+ * Fetch a biome config and its mask image (if any) and build the classifier
+ *
+ * @param {string} configUrl - URL of the config JSON; the mask path is relative to it
+ */
+export const loadGrassBiomes = async (configUrl) => {
+  const response = await fetch(configUrl);
+  if (!response.ok) throw new GrassBiomeError(`HTTP ${response.status}`, configUrl);
+  const config = await response.json();
+
+  const mask = config.mask
+    ? await loadImagePixels(new URL(config.mask, new URL(configUrl, window.location.href)).toString())
+    : null;
+
+  return createGrassBiomes(config, mask, configUrl);
+};
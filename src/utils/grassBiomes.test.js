@@ -0,0 +1,76 @@
+import { createGrassBiomes, GrassBiomeError } from './grassBiomes';
+
+const config = {
+  bounds: { minX: 0, minY: 0, maxX: 2, maxY: 2 },
+  regions: [
+    { name: 'piste', mask: [255, 255, 255], density: 0 },
+    { name: 'snow', elevation: [7, 100], shapes: [2], tint: [1, 1, 1] },
+    { name: 'meadow' },
+  ],
+};
+
+// 2x2 mask, top row first: white piste in the top-left corner
+const mask = {
+  width: 2,
+  height: 2,
+  data: new Uint8ClampedArray([
+    250, 255, 252, 255, 0, 120, 0, 255,
+    0, 120, 0, 255, 0, 120, 0, 255,
+  ]),
+};
+
+test('first matching region wins, mask and elevation alike', () => {
+  const biomes = createGrassBiomes(config, mask);
+
+  expect(biomes.classify(0.5, 1.5, 8).name).toBe('piste');
+  expect(biomes.classify(1.5, 1.5, 8).name).toBe('snow');
+  expect(biomes.classify(1.5, 0.5, 2).name).toBe('meadow');
+});
+
+test('fills region defaults', () => {
+  const [, snow, meadow] = createGrassBiomes(config, mask).regions;
+
+  expect(snow.tintStrength).toBe(1);
+  expect(meadow).toMatchObject({ density: 1, shapes: null, tint: null, height: [1, 1] });
+});
+
+test('mask regions never match without a mask image', () => {
+  expect(createGrassBiomes(config, null).classify(0.5, 1.5, 2).name).toBe('meadow');
+});
+
+test('rejects malformed regions', () => {
+  expect(() => createGrassBiomes({ regions: [{ name: 'bad', density: 2 }] }, null, 'biomes.json'))
+    .toThrow(/biomes\.json: region "bad" density must be between 0 and 1/);
+  expect(() => createGrassBiomes({ regions: [{ tint: [1, 1] }] })).toThrow(GrassBiomeError);
+});
+
+test('the shipped mask clears grass from lift lines and marks no pistes yet', () => {
+  const fs = require('fs');
+  const path = require('path');
+  const { PNG } = require('pngjs');
+  const publicDir = path.join(__dirname, '../../public');
+  const shipped = JSON.parse(fs.readFileSync(path.join(publicDir, 'grass-biomes.json'), 'utf8'));
+  const image = PNG.sync.read(fs.readFileSync(path.join(publicDir, shipped.mask)));
+  const biomes = createGrassBiomes(shipped, image, 'grass-biomes.json');
+
+  // Centre of the first pixel of a colour, in grass-local coordinates
+  const { minX, minY, maxX, maxY } = shipped.bounds;
+  const pointOf = ([r, g, b]) => {
+    for (let i = 0; i < image.data.length; i += 4) {
+      if (image.data[i] === r && image.data[i + 1] === g && image.data[i + 2] === b) {
+        const column = (i / 4) % image.width;
+        const row = Math.floor(i / 4 / image.width);
+        return [
+          minX + ((column + 0.5) / image.width) * (maxX - minX),
+          maxY - ((row + 0.5) / image.height) * (maxY - minY),
+        ];
+      }
+    }
+    throw new Error(`no ${[r, g, b]} pixel in the mask`);
+  };
+
+  // No painted piste layer has been baked in, so nothing is piste
+  expect(() => pointOf([255, 255, 255])).toThrow(/no 255,255,255 pixel/);
+  expect(biomes.classify(...pointOf([255, 0, 0]), 3)).toMatchObject({ name: 'liftLine', density: 0 });
+  expect(biomes.classify(...pointOf([0, 0, 0]), 3)).toMatchObject({ name: 'meadow', density: 1 });
+});
@@ -0,0 +1,88 @@
+/**
+ * Ground tint for distant grass
+ *
+ * Past the last LOD band no blades are drawn. Instead each tile gets a grid
+ * draped on the terrain (see GrassGroundTint), coloured with the average
+ * colour of the blades around each vertex and as opaque as the grass there is
+ * dense. Pistes and other cleared ground have no blades, so they stay bare.
+ *
+ * Everything here is plain data; the component builds the mesh.
+ */
+
+export const DEFAULT_GROUND_TINT_RESOLUTION = 12; // Grid cells along a tile edge
+
+const clampIndex = (value, resolution) => Math.min(Math.max(Math.floor(value), 0), resolution - 1);
+
+/**
+ * Per-vertex tint colour and coverage over one tile
+ *
+ * @param {{ count: number, matrices: Float32Array, colors: Float32Array }} tile -
+ *   Built tile instances; each matrix's translation is the blade's local XY
+ * @param {{ minX: number, minY: number, maxX: number, maxY: number }} bounds -
+ *   The tile's local rectangle (see grassTiles `tileBounds`)
+ * @param {number} [resolution] - Grid cells along each edge
+ * @returns {{ resolution: number, colors: Float32Array }} RGBA per vertex,
+ *   (resolution + 1)^2 of them row by row from minY; alpha is the coverage
+ */
+export const createGroundTint = (tile, bounds, resolution = DEFAULT_GROUND_TINT_RESOLUTION) => {
+  const { count, matrices, colors } = tile;
+  const scaleX = resolution / (bounds.maxX - bounds.minX);
+  const scaleY = resolution / (bounds.maxY - bounds.minY);
+
+  // Bin blades into cells: summed colour and count
+  const sums = new Float32Array(resolution * resolution * 4);
+  for (let i = 0; i < count; i++) {
+    const col = clampIndex((matrices[i * 16 + 12] - bounds.minX) * scaleX, resolution);
+    const row = clampIndex((matrices[i * 16 + 13] - bounds.minY) * scaleY, resolution);
+    const c4 = (row * resolution + col) * 4;
+    sums[c4] += colors[i * 3];
+    sums[c4 + 1] += colors[i * 3 + 1];
+    sums[c4 + 2] += colors[i * 3 + 2];
+    sums[c4 + 3]++;
+  }
+
+  // Coverage is relative to a typical grassy cell, so only thinning shows,
+  // not how many blades the tile happens to hold
+  let filledCells = 0;
+  let filledCount = 0;
+  for (let c4 = 3; c4 < sums.length; c4 += 4) {
+    if (sums[c4] > 0) {
+      filledCells++;
+      filledCount += sums[c4];
+    }
+  }
+  const typicalCount = filledCells > 0 ? filledCount / filledCells : 1;
+
+  // Each vertex averages the (up to four) cells that share it
+  const side = resolution + 1;
+  const tint = new Float32Array(side * side * 4);
+  for (let row = 0; row < side; row++) {
+    for (let col = 0; col < side; col++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let blades = 0;
+      let cells = 0;
+      for (let cellRow = row - 1; cellRow <= row; cellRow++) {
+        for (let cellCol = col - 1; cellCol <= col; cellCol++) {
+          if (cellRow < 0 || cellCol < 0 || cellRow >= resolution || cellCol >= resolution) continue;
+          const c4 = (cellRow * resolution + cellCol) * 4;
+          r += sums[c4];
+          g += sums[c4 + 1];
+          b += sums[c4 + 2];
+          blades += sums[c4 + 3];
+          cells++;
+        }
+      }
+      const v4 = (row * side + col) * 4;
+      if (blades > 0) {
+        tint[v4] = r / blades;
+        tint[v4 + 1] = g / blades;
+        tint[v4 + 2] = b / blades;
+      }
+      tint[v4 + 3] = Math.min(1, blades / cells / typicalCount);
+    }
+  }
+
+  return { resolution, colors: tint };
+};
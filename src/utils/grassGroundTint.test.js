@@ -0,0 +1,40 @@
+import { createGroundTint } from './grassGroundTint';
+
+// Tile instances at the given local XY points, all one colour
+const tileAt = (points, color = [0.2, 0.6, 0.1]) => {
+  const matrices = new Float32Array(points.length * 16);
+  const colors = new Float32Array(points.length * 3);
+  points.forEach(([x, y], i) => {
+    matrices[i * 16 + 12] = x;
+    matrices[i * 16 + 13] = y;
+    colors.set(color, i * 3);
+  });
+  return { count: points.length, matrices, colors };
+};
+
+const bounds = { minX: 0, minY: 0, maxX: 4, maxY: 4 };
+
+test('colours the ground where blades grow and leaves cleared ground bare', () => {
+  // Blades fill the left half of the tile only, two per cell
+  const points = [];
+  for (let y = 0.25; y < 4; y += 1) {
+    for (let x = 0.25; x < 2; x += 1) points.push([x, y], [x + 0.5, y + 0.5]);
+  }
+  const { resolution, colors } = createGroundTint(tileAt(points), bounds, 4);
+  const vertex = (col, row) => Array.from(colors.subarray((row * (resolution + 1) + col) * 4, (row * (resolution + 1) + col) * 4 + 4));
+
+  expect(vertex(0, 2)).toEqual([expect.closeTo(0.2), expect.closeTo(0.6), expect.closeTo(0.1), 1]);
+  expect(vertex(2, 2)[3]).toBeCloseTo(0.5); // Edge of the grass
+  expect(vertex(4, 2)[3]).toBe(0);
+});
+
+test('coverage follows thinning, not the tile total', () => {
+  const dense = [];
+  for (let i = 0; i < 8; i++) dense.push([0.5, 0.5], [3.5, 3.5]);
+  const sparse = [[0.5, 0.5], [3.5, 3.5]];
+  const vertexAlpha = ({ colors }) => colors[3];
+
+  expect(vertexAlpha(createGroundTint(tileAt(dense), bounds, 4))).toBe(1);
+  expect(vertexAlpha(createGroundTint(tileAt(sparse), bounds, 4))).toBe(1);
+  expect(createGroundTint(tileAt([]), bounds, 4).colors.every((value) => value === 0)).toBe(true);
+});
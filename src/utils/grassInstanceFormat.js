@@ -0,0 +1,365 @@
+/**
+ * Packed grass instance file format (".grass.bin")
+ *
+ * One little-endian file per map (or per tile) replacing the old headerless
+ * positions/rotations/scales/colors .bin quartet.
+ *
+ * Header (48 bytes):
+ *   0   u32      magic "GRSI"
+ *   4   u16      version
+ *   6   u16      attribute count
+ *   8   u32      instance count
+ *   12  f32[3]   bbox min (x, y, z)
+ *   24  f32[3]   bbox max (x, y, z)
+ *   36  u32      total file length in bytes
+ *   40  u32[2]   reserved (0)
+ *
+ * Attribute table (44 bytes per entry, immediately after the header):
+ *   0   u8       attribute id (ATTRIBUTE)
+ *   1   u8       component type (COMPONENT_TYPE)
+ *   2   u8       components per instance
+ *   3   u8       reserved (0)
+ *   4   u32      byte offset of the data block from the start of the file
+ *   8   u32      byte length of the data block
+ *   12  f32[4]   per-component dequantisation scale
+ *   28  f32[4]   per-component dequantisation offset
+ *
+ * Decoded value = offset[c] + stored * scale[c]. Float attributes use scale 1
+ * and offset 0; quantised ones carry whatever maps them back to real units.
+ * Data blocks are 4-byte aligned.
+ *
+ * This module has no imports so the offline bake script can share it.
+ */
+
+export const GRASS_INSTANCE_MAGIC = 0x49535247; // "GRSI" read as little-endian u32
+export const GRASS_INSTANCE_FORMAT_VERSION = 1;
+
+const HEADER_BYTES = 48;
+const ATTRIBUTE_ENTRY_BYTES = 44;
+const MAX_COMPONENTS = 4;
+
+export const ATTRIBUTE = {
+  POSITION: 1,
+  ROTATION: 2,
+  SCALE: 3,
+  COLOR: 4,
+  TEXTURE_INDEX: 5,
+};
+
+export const COMPONENT_TYPE = {
+  FLOAT32: 0,
+  INT16: 1,
+  UINT16: 2,
+  UINT8: 3,
+};
+
+// Expected component count per attribute
+const ATTRIBUTE_COMPONENTS = {
+  [ATTRIBUTE.POSITION]: 3,
+  [ATTRIBUTE.ROTATION]: 3,
+  [ATTRIBUTE.SCALE]: 3,
+  [ATTRIBUTE.COLOR]: 3,
+  [ATTRIBUTE.TEXTURE_INDEX]: 1,
+};
+
+const ATTRIBUTE_NAMES = {
+  [ATTRIBUTE.POSITION]: 'positions',
+  [ATTRIBUTE.ROTATION]: 'rotations',
+  [ATTRIBUTE.SCALE]: 'scales',
+  [ATTRIBUTE.COLOR]: 'colors',
+  [ATTRIBUTE.TEXTURE_INDEX]: 'textureIndices',
+};
+
+const COMPONENT_ARRAYS = {
+  [COMPONENT_TYPE.FLOAT32]: Float32Array,
+  [COMPONENT_TYPE.INT16]: Int16Array,
+  [COMPONENT_TYPE.UINT16]: Uint16Array,
+  [COMPONENT_TYPE.UINT8]: Uint8Array,
+};
+
+// Encoder type names -> component types
+const TYPE_NAMES = {
+  float32: COMPONENT_TYPE.FLOAT32,
+  int16: COMPONENT_TYPE.INT16,
+  uint16: COMPONENT_TYPE.UINT16,
+  uint8: COMPONENT_TYPE.UINT8,
+};
+
+const INTEGER_RANGES = {
+  [COMPONENT_TYPE.INT16]: [-32767, 32767],
+  [COMPONENT_TYPE.UINT16]: [0, 65535],
+  [COMPONENT_TYPE.UINT8]: [0, 255],
+};
+
+/**
+ * Thrown for any file that can't be trusted: truncated, wrong magic,
+ * unsupported version or inconsistent attribute table
+ */
+export class GrassInstanceFormatError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'GrassInstanceFormatError';
+  }
+}
+
+const align4 = (n) => (n + 3) & ~3;
+
+/**
+ * Work out a per-component scale/offset that maps [min, max] onto the full
+ * range of an integer type
+ */
+const quantisationFor = (type, min, max) => {
+  const [lo, hi] = INTEGER_RANGES[type];
+  const scale = [];
+  const offset = [];
+  for (let c = 0; c < min.length; c++) {
+    const span = max[c] - min[c];
+    scale.push(span > 0 ? span / (hi - lo) : 1);
+    offset.push(span > 0 ? min[c] - lo * (span / (hi - lo)) : min[c]);
+  }
+  return { scale, offset };
+};
+
+// Per-component min/max of a flat array
+const componentRange = (values, components) => {
+  const min = new Array(components).fill(Infinity);
+  const max = new Array(components).fill(-Infinity);
+  for (let i = 0; i < values.length; i++) {
+    const c = i % components;
+    if (values[i] < min[c]) min[c] = values[i];
+    if (values[i] > max[c]) max[c] = values[i];
+  }
+  for (let c = 0; c < components; c++) {
+    if (!Number.isFinite(min[c])) {
+      min[c] = 0;
+      max[c] = 0;
+    }
+  }
+  return { min, max };
+};
+
+// Default dequantisation ranges for attributes with a natural domain
+const naturalRange = (id, components) => {
+  if (id === ATTRIBUTE.ROTATION) {
+    return { min: new Array(components).fill(-Math.PI), max: new Array(components).fill(Math.PI) };
+  }
+  if (id === ATTRIBUTE.COLOR) {
+    return { min: new Array(components).fill(0), max: new Array(components).fill(1) };
+  }
+  return null;
+};
+
+/**
+ * Encode instances into a packed grass instance file
+ *
+ * @param {object} data
+ * @param {Float32Array} data.positions - xyz per instance (required)
+ * @param {Float32Array} [data.rotations] - Euler xyz in radians
+ * @param {Float32Array} [data.scales] - xyz scale
+ * @param {Float32Array} [data.colors] - rgb in 0-1
+ * @param {Uint8Array|Float32Array} [data.textureIndices] - blade shape per instance
+ * @param {object} [types] - Storage type per attribute, e.g.
+ *   { positions: 'uint16', rotations: 'int16', scales: 'uint16', colors: 'uint8' }.
+ *   Anything not listed is stored as float32 (texture indices as uint8).
+ * @returns {ArrayBuffer}
+ */
+export const encodeGrassInstances = (data, types = {}) => {
+  const { positions } = data;
+  if (!positions || positions.length % 3 !== 0) {
+    throw new GrassInstanceFormatError('positions must be a flat xyz array');
+  }
+  const count = positions.length / 3;
+  const bounds = componentRange(positions, 3);
+
+  const attributes = [];
+  Object.entries(ATTRIBUTE_NAMES).forEach(([idKey, name]) => {
+    const values = data[name];
+    if (!values) return;
+
+    const id = Number(idKey);
+    const components = ATTRIBUTE_COMPONENTS[id];
+    if (values.length !== count * components) {
+      throw new GrassInstanceFormatError(
+        `${name} has ${values.length} values, expected ${count * components} for ${count} instances`
+      );
+    }
+
+    const defaultType = id === ATTRIBUTE.TEXTURE_INDEX ? 'uint8' : 'float32';
+    const typeName = types[name] || defaultType;
+    const type = TYPE_NAMES[typeName];
+    if (type === undefined) {
+      throw new GrassInstanceFormatError(`unknown storage type "${typeName}" for ${name}`);
+    }
+
+    let scale = new Array(components).fill(1);
+    let offset = new Array(components).fill(0);
+    if (type !== COMPONENT_TYPE.FLOAT32 && id !== ATTRIBUTE.TEXTURE_INDEX) {
+      const range = id === ATTRIBUTE.POSITION ? bounds : (naturalRange(id, components) || componentRange(values, components));
+      ({ scale, offset } = quantisationFor(type, range.min, range.max));
+    }
+
+    const ArrayType = COMPONENT_ARRAYS[type];
+    const stored = new ArrayType(values.length);
+    if (type === COMPONENT_TYPE.FLOAT32) {
+      stored.set(values);
+    } else {
+      const [lo, hi] = INTEGER_RANGES[type];
+      for (let i = 0; i < values.length; i++) {
+        const c = i % components;
+        const q = Math.round((values[i] - offset[c]) / scale[c]);
+        stored[i] = Math.min(hi, Math.max(lo, q));
+      }
+    }
+
+    attributes.push({ id, type, components, scale, offset, stored });
+  });
+
+  // Lay out header, table and 4-byte aligned data blocks
+  let cursor = align4(HEADER_BYTES + attributes.length * ATTRIBUTE_ENTRY_BYTES);
+  attributes.forEach((attribute) => {
+    attribute.byteOffset = cursor;
+    attribute.byteLength = attribute.stored.byteLength;
+    cursor = align4(cursor + attribute.byteLength);
+  });
+
+  const buffer = new ArrayBuffer(cursor);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  view.setUint32(0, GRASS_INSTANCE_MAGIC, true);
+  view.setUint16(4, GRASS_INSTANCE_FORMAT_VERSION, true);
+  view.setUint16(6, attributes.length, true);
+  view.setUint32(8, count, true);
+  for (let c = 0; c < 3; c++) {
+    view.setFloat32(12 + c * 4, bounds.min[c], true);
+    view.setFloat32(24 + c * 4, bounds.max[c], true);
+  }
+  view.setUint32(36, buffer.byteLength, true);
+
+  attributes.forEach((attribute, index) => {
+    const entry = HEADER_BYTES + index * ATTRIBUTE_ENTRY_BYTES;
+    view.setUint8(entry, attribute.id);
+    view.setUint8(entry + 1, attribute.type);
+    view.setUint8(entry + 2, attribute.components);
+    view.setUint32(entry + 4, attribute.byteOffset, true);
+    view.setUint32(entry + 8, attribute.byteLength, true);
+    for (let c = 0; c < MAX_COMPONENTS; c++) {
+      view.setFloat32(entry + 12 + c * 4, attribute.scale[c] ?? 1, true);
+      view.setFloat32(entry + 28 + c * 4, attribute.offset[c] ?? 0, true);
+    }
+    bytes.set(new Uint8Array(attribute.stored.buffer, attribute.stored.byteOffset, attribute.byteLength), attribute.byteOffset);
+  });
+
+  return buffer;
+};
+
+/**
+ * Decode and validate a packed grass instance file
+ *
+ * Missing optional attributes are filled with neutral defaults (no rotation,
+ * unit scale, white). `textureIndices` stays null when absent so callers can
+ * pick blade shapes themselves.
+ *
+ * @param {ArrayBuffer} buffer
+ * @param {string} [source] - File name/URL used to prefix error messages
+ * @throws {GrassInstanceFormatError}
+ */
+export const decodeGrassInstances = (buffer, source) => {
+  const fail = (message) => {
+    throw new GrassInstanceFormatError(message, source);
+  };
+
+  if (!(buffer instanceof ArrayBuffer)) fail('expected an ArrayBuffer');
+  if (buffer.byteLength < HEADER_BYTES) {
+    fail(`file is ${buffer.byteLength} bytes, smaller than the ${HEADER_BYTES}-byte header`);
+  }
+
+  const view = new DataView(buffer);
+  if (view.getUint32(0, true) !== GRASS_INSTANCE_MAGIC) {
+    fail('not a grass instance file (bad magic number)');
+  }
+
+  const version = view.getUint16(4, true);
+  if (version !== GRASS_INSTANCE_FORMAT_VERSION) {
+    fail(`unsupported format version ${version} (this build reads version ${GRASS_INSTANCE_FORMAT_VERSION})`);
+  }
+
+  const attributeCount = view.getUint16(6, true);
+  const count = view.getUint32(8, true);
+  const declaredLength = view.getUint32(36, true);
+  if (declaredLength !== buffer.byteLength) {
+    fail(`file is ${buffer.byteLength} bytes but the header declares ${declaredLength} (truncated or padded)`);
+  }
+
+  const min = [0, 1, 2].map((c) => view.getFloat32(12 + c * 4, true));
+  const max = [0, 1, 2].map((c) => view.getFloat32(24 + c * 4, true));
+  for (let c = 0; c < 3; c++) {
+    if (!Number.isFinite(min[c]) || !Number.isFinite(max[c]) || min[c] > max[c]) {
+      fail(`invalid bounding box [${min.join(', ')}] - [${max.join(', ')}]`);
+    }
+  }
+
+  const tableEnd = HEADER_BYTES + attributeCount * ATTRIBUTE_ENTRY_BYTES;
+  if (tableEnd > buffer.byteLength) {
+    fail(`attribute table for ${attributeCount} attributes runs past the end of the file`);
+  }
+
+  const decoded = {};
+  for (let index = 0; index < attributeCount; index++) {
+    const entry = HEADER_BYTES + index * ATTRIBUTE_ENTRY_BYTES;
+    const id = view.getUint8(entry);
+    const type = view.getUint8(entry + 1);
+    const components = view.getUint8(entry + 2);
+    const byteOffset = view.getUint32(entry + 4, true);
+    const byteLength = view.getUint32(entry + 8, true);
+
+    const name = ATTRIBUTE_NAMES[id];
+    if (!name) fail(`unknown attribute id ${id}`);
+    if (decoded[name]) fail(`duplicate ${name} attribute`);
+
+    const ArrayType = COMPONENT_ARRAYS[type];
+    if (!ArrayType) fail(`${name} uses unknown component type ${type}`);
+    if (components !== ATTRIBUTE_COMPONENTS[id]) {
+      fail(`${name} has ${components} components, expected ${ATTRIBUTE_COMPONENTS[id]}`);
+    }
+
+    const expectedLength = count * components * ArrayType.BYTES_PER_ELEMENT;
+    if (byteLength !== expectedLength) {
+      fail(`${name} block is ${byteLength} bytes, expected ${expectedLength} for ${count} instances`);
+    }
+    if (byteOffset < tableEnd || byteOffset + byteLength > buffer.byteLength) {
+      fail(`${name} block [${byteOffset}, ${byteOffset + byteLength}) lies outside the data section`);
+    }
+    if (byteOffset % ArrayType.BYTES_PER_ELEMENT !== 0) {
+      fail(`${name} block is misaligned at byte ${byteOffset}`);
+    }
+
+    const scale = [];
+    const offset = [];
+    for (let c = 0; c < components; c++) {
+      scale.push(view.getFloat32(entry + 12 + c * 4, true));
+      offset.push(view.getFloat32(entry + 28 + c * 4, true));
+    }
+
+    const stored = new ArrayType(buffer, byteOffset, count * components);
+    const values = new Float32Array(stored.length);
+    for (let i = 0; i < stored.length; i++) {
+      const c = i % components;
+      values[i] = offset[c] + stored[i] * scale[c];
+    }
+    decoded[name] = values;
+  }
+
+  if (!decoded.positions) fail('file has no positions attribute');
+
+  return {
+    version,
+    count,
+    bounds: { min, max },
+    positions: decoded.positions,
+    rotations: decoded.rotations || new Float32Array(count * 3),
+    scales: decoded.scales || new Float32Array(count * 3).fill(1),
+    colors: decoded.colors || new Float32Array(count * 3).fill(1),
+    textureIndices: decoded.textureIndices || null,
+  };
+};
@@ -0,0 +1,78 @@
+import {
+  encodeGrassInstances,
+  decodeGrassInstances,
+  GrassInstanceFormatError,
+} from './grassInstanceFormat';
+
+const sample = {
+  positions: new Float32Array([-100, -100, 0, 100, 50, 9.2, 12.5, -3, 4]),
+  rotations: new Float32Array([0, 0, 1.5, 0.2, -0.4, 3, -3, 0, 0]),
+  scales: new Float32Array([1, 1, 1, 0.5, 2, 1, 1.5, 1.5, 1.5]),
+  colors: new Float32Array([0.2, 0.6, 0.1, 1, 1, 1, 0, 0.5, 0.25]),
+  textureIndices: new Uint8Array([0, 3, 1]),
+};
+
+const expectClose = (actual, expected, tolerance) => {
+  expect(actual.length).toBe(expected.length);
+  expected.forEach((value, i) => {
+    expect(Math.abs(actual[i] - value)).toBeLessThanOrEqual(tolerance);
+  });
+};
+
+test('round-trips float32 attributes exactly', () => {
+  const decoded = decodeGrassInstances(encodeGrassInstances(sample));
+
+  expect(decoded.count).toBe(3);
+  expect(decoded.bounds.min).toEqual([-100, -100, 0]);
+  expect(Array.from(decoded.positions)).toEqual(Array.from(sample.positions));
+  expect(Array.from(decoded.textureIndices)).toEqual([0, 3, 1]);
+});
+
+test('round-trips quantised attributes within one step', () => {
+  const buffer = encodeGrassInstances(sample, {
+    positions: 'uint16',
+    rotations: 'int16',
+    scales: 'uint8',
+    colors: 'uint8',
+  });
+  const decoded = decodeGrassInstances(buffer);
+
+  expectClose(decoded.positions, sample.positions, 200 / 65535);
+  expectClose(decoded.rotations, sample.rotations, Math.PI / 32767);
+  expectClose(decoded.scales, sample.scales, 1.5 / 255);
+  expectClose(decoded.colors, sample.colors, 1 / 255);
+  expect(buffer.byteLength).toBeLessThan(encodeGrassInstances(sample).byteLength);
+});
+
+test('fills neutral defaults for missing optional attributes', () => {
+  const decoded = decodeGrassInstances(encodeGrassInstances({ positions: sample.positions }));
+  expect(Array.from(decoded.scales)).toEqual(new Array(9).fill(1));
+  expect(decoded.textureIndices).toBeNull();
+});
+
+test('rejects mismatched attribute lengths when encoding', () => {
+  expect(() => encodeGrassInstances({ ...sample, colors: new Float32Array(6) }))
+    .toThrow(/colors has 6 values, expected 9/);
+});
+
+test('rejects corrupt files with clear errors', () => {
+  const buffer = encodeGrassInstances(sample);
+
+  expect(() => decodeGrassInstances(new ArrayBuffer(8), 'tiny.bin'))
+    .toThrow(/tiny\.bin: file is 8 bytes/);
+
+  const badMagic = buffer.slice(0);
+  new DataView(badMagic).setUint32(0, 0xdeadbeef, true);
+  expect(() => decodeGrassInstances(badMagic)).toThrow(/bad magic/);
+
+  const badVersion = buffer.slice(0);
+  new DataView(badVersion).setUint16(4, 99, true);
+  expect(() => decodeGrassInstances(badVersion)).toThrow(/unsupported format version 99/);
+
+  expect(() => decodeGrassInstances(buffer.slice(0, buffer.byteLength - 4)))
+    .toThrow(GrassInstanceFormatError);
+
+  const wrongCount = buffer.slice(0);
+  new DataView(wrongCount).setUint32(8, 4, true);
+  expect(() => decodeGrassInstances(wrongCount)).toThrow(/expected .* for 4 instances/);
+});
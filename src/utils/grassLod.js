@@ -0,0 +1,132 @@
+/**
+ * Distance-based level of detail for grass tiles
+ *
+ * Each preset is a list of LOD levels ordered near to far. A level covers
+ * distances up to `maxDistance` (measured across the ground from the camera
+ * to the tile, the same distance the GPU culler drops blades at) and draws
+ * blades `widthScale`/`heightScale` times the base blade size.
+ *
+ * Density is continuous: it starts at the first level's density and eases
+ * towards each following level's density across the band, reaching zero at the
+ * last level's `maxDistance`. `falloffExponent` shapes that easing (1 = linear,
+ * >1 keeps blades dense for longer before thinning).
+ *
+ * Past the blades, `groundTint` takes over: a flat layer draped on the terrain
+ * with the grass colour and coverage (see grassGroundTint). It fades in from
+ * `startDistance` to full `opacity` at the last level's `maxDistance`, while
+ * the sparse cards thin out. It is drawn per loaded tile, and tiles stream in
+ * to a tile diagonal past the last band (see resolveStreamRadii), so the tint
+ * ends in a band of full opacity at the streaming edge, not at the horizon.
+ */
+export const GRASS_LOD_PRESETS = {
+  high: {
+    falloffExponent: 1.5,
+    levels: [
+      { maxDistance: 25, density: 1.0, widthScale: 1.0, heightScale: 1.0 }, // Full blades
+      { maxDistance: 50, density: 0.5, widthScale: 1.6, heightScale: 1.1 }, // Thinned, wider cards
+      { maxDistance: 80, density: 0.12, widthScale: 3.0, heightScale: 1.2 }, // Sparse impostor cards
+    ],
+    groundTint: { startDistance: 55, opacity: 0.85 }, // Grass-coloured ground beyond the cards
+  },
+  balanced: {
+    falloffExponent: 1.2,
+    levels: [
+      { maxDistance: 20, density: 1.0, widthScale: 1.0, heightScale: 1.0 },
+      { maxDistance: 40, density: 0.4, widthScale: 1.7, heightScale: 1.1 },
+      { maxDistance: 65, density: 0.08, widthScale: 3.2, heightScale: 1.2 },
+    ],
+    groundTint: { startDistance: 42, opacity: 0.85 },
+  },
+  low: {
+    falloffExponent: 1.0,
+    levels: [
+      { maxDistance: 12, density: 0.8, widthScale: 1.0, heightScale: 1.0 },
+      { maxDistance: 30, density: 0.25, widthScale: 1.8, heightScale: 1.1 },
+      { maxDistance: 50, density: 0.05, widthScale: 3.5, heightScale: 1.2 },
+    ],
+    groundTint: { startDistance: 30, opacity: 0.85 },
+  },
+};
+
+export const DEFAULT_GRASS_LOD_PRESET = 'balanced';
+
+// Density is rounded to this step so tiles only re-render on visible changes
+const DENSITY_STEP = 0.05;
+
+/**
+ * Resolve a preset name or object to a preset object
+ */
+export const getGrassLodPreset = (preset) => {
+  if (preset && typeof preset === 'object') return preset;
+  return GRASS_LOD_PRESETS[preset] || GRASS_LOD_PRESETS[DEFAULT_GRASS_LOD_PRESET];
+};
+
+const roundToStep = (value) => Math.round(value / DENSITY_STEP) * DENSITY_STEP;
+
+/**
+ * How strongly the ground tint shows at `distance`, 0-1 before the preset's
+ * `groundTint.opacity`; always 0 for presets without one
+ */
+export const resolveGroundTint = (preset, distance) => {
+  const { levels, groundTint } = preset;
+  if (!groundTint) return 0;
+  const end = levels[levels.length - 1].maxDistance;
+  const start = Math.min(groundTint.startDistance ?? end, end);
+  if (distance >= end) return 1;
+  if (distance <= start) return 0;
+  const t = (distance - start) / (end - start);
+  return roundToStep(t * t * (3 - 2 * t));
+};
+
+/**
+ * Pick the LOD level, blade density and ground tint for a tile at `distance`
+ *
+ * @returns {{ level: number, density: number, tint: number }} density 0 means
+ *   "don't draw blades", tint 0 "don't draw the ground tint"
+ */
+export const resolveTileLod = (preset, distance) => {
+  const { levels, falloffExponent = 1 } = preset;
+  const tint = resolveGroundTint(preset, distance);
+
+  let bandStart = 0;
+  for (let level = 0; level < levels.length; level++) {
+    const { maxDistance, density } = levels[level];
+    if (distance <= maxDistance) {
+      const nextDensity = level + 1 < levels.length ? levels[level + 1].density : 0;
+      const t = Math.pow((distance - bandStart) / (maxDistance - bandStart), falloffExponent);
+      const blended = density + (nextDensity - density) * t;
+      return { level, density: roundToStep(blended), tint };
+    }
+    bandStart = maxDistance;
+  }
+
+  return { level: levels.length - 1, density: 0, tint };
+};
+
+/**
+ * Tile streaming radii for a preset
+ *
+ * Tiles load out to the last band plus a tile diagonal, so every tile with
+ * cards is resident and the tint is fully faded in before the edge, and are
+ * released one tile further out so the boundary doesn't thrash.
+ *
+ * @returns {{ loadRadius: number, unloadRadius: number }}
+ */
+export const resolveStreamRadii = (preset, tileSize) => {
+  const { levels } = preset;
+  const loadRadius = levels[levels.length - 1].maxDistance + tileSize * Math.SQRT2;
+  return { loadRadius, unloadRadius: loadRadius + tileSize };
+};
+
+/**
+ * Map the PerformanceMonitor tiers onto LOD presets
+ */
+export const getGrassLodPresetForPerformance = (performanceLevel = 'GOOD') => {
+  const presets = {
+    EXCELLENT: 'high',
+    GOOD: 'balanced',
+    POOR: 'low',
+    CRITICAL: 'low',
+  };
+  return presets[performanceLevel] || DEFAULT_GRASS_LOD_PRESET;
+};
@@ -0,0 +1,43 @@
+import { GRASS_LOD_PRESETS, resolveGroundTint, resolveStreamRadii, resolveTileLod } from './grassLod';
+
+const preset = {
+  falloffExponent: 1,
+  levels: [
+    { maxDistance: 10, density: 1 },
+    { maxDistance: 20, density: 0.5 },
+  ],
+  groundTint: { startDistance: 15, opacity: 0.8 },
+};
+
+test('thins blades out to nothing at the last band', () => {
+  expect(resolveTileLod(preset, 0)).toMatchObject({ level: 0, density: 1 });
+  expect(resolveTileLod(preset, 15)).toMatchObject({ level: 1, density: 0.25 });
+  expect(resolveTileLod(preset, 25)).toMatchObject({ level: 1, density: 0 });
+});
+
+test('fades the ground tint in as the blades thin out', () => {
+  expect(resolveGroundTint(preset, 12)).toBe(0);
+  expect(resolveGroundTint(preset, 17.5)).toBeCloseTo(0.5);
+  expect(resolveTileLod(preset, 20).tint).toBe(1);
+  expect(resolveTileLod(preset, 40)).toMatchObject({ density: 0, tint: 1 });
+  expect(resolveGroundTint({ levels: preset.levels }, 40)).toBe(0);
+});
+
+test('every preset hands over to a ground tint', () => {
+  Object.values(GRASS_LOD_PRESETS).forEach((lod) => {
+    const last = lod.levels[lod.levels.length - 1].maxDistance;
+    expect(lod.groundTint.startDistance).toBeLessThan(last);
+    expect(resolveTileLod(lod, last).tint).toBe(1);
+  });
+});
+
+test('streams every tile the preset draws, with room for the tint', () => {
+  const { loadRadius, unloadRadius } = resolveStreamRadii(preset, 10);
+  expect(loadRadius).toBeCloseTo(20 + 10 * Math.SQRT2);
+  expect(unloadRadius).toBeCloseTo(loadRadius + 10);
+
+  Object.values(GRASS_LOD_PRESETS).forEach((lod) => {
+    const radii = resolveStreamRadii(lod, 25);
+    expect(resolveTileLod(lod, radii.loadRadius)).toMatchObject({ density: 0, tint: 1 });
+  });
+});
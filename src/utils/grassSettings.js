@@ -0,0 +1,86 @@
+/**
+ * Live grass tunables and named presets
+ *
+ * Everything here feeds shader uniforms (or the trample map) every frame, so
+ * edits show up immediately without recompiling the grass material. Presets
+ * are kept in localStorage as `{ [name]: settings }`.
+ */
+
+export const DEFAULT_GRASS_SETTINGS = {
+  waveStrength: 0.03, // Colour wave amplitude
+  waveSpeed: 1.2,
+  waveScale: 1.8,
+  bendRadius: 4.0, // World units around the sphere that bend and get trampled
+  bendStrength: 0.6,
+  trailRecoveryTime: 3.0, // Seconds for trampled grass to stand back up
+  bendingSpeed: 0.9, // Trampled grass leans into the trail over 1 / bendingSpeed seconds
+  planeSize: 2.2, // Blade card size in world units
+};
+
+/**
+ * Slider ranges, in panel order
+ */
+export const GRASS_SETTING_FIELDS = [
+  { key: 'waveStrength', label: 'Wave Strength', min: 0, max: 0.2, step: 0.005 },
+  { key: 'waveSpeed', label: 'Wave Speed', min: 0, max: 5, step: 0.1 },
+  { key: 'waveScale', label: 'Wave Scale', min: 0.1, max: 6, step: 0.1 },
+  { key: 'bendRadius', label: 'Bend Radius', min: 0.5, max: 10, step: 0.1 },
+  { key: 'bendStrength', label: 'Bend Strength', min: 0, max: 2, step: 0.05 },
+  { key: 'trailRecoveryTime', label: 'Trail Recovery (s)', min: 0.2, max: 20, step: 0.1 },
+  { key: 'bendingSpeed', label: 'Bending Speed', min: 0.05, max: 3, step: 0.05 },
+  { key: 'planeSize', label: 'Blade Size', min: 0.5, max: 5, step: 0.1 },
+];
+
+const PRESET_STORAGE_KEY = 'grassSettingsPresets';
+
+/**
+ * Fill in missing settings and clamp everything to the slider ranges, so old
+ * or hand-edited presets can't push the shader out of bounds
+ */
+export const sanitizeGrassSettings = (settings = {}) => {
+  const result = { ...DEFAULT_GRASS_SETTINGS };
+  GRASS_SETTING_FIELDS.forEach(({ key, min, max }) => {
+    const value = Number(settings[key]);
+    if (Number.isFinite(value)) result[key] = Math.min(max, Math.max(min, value));
+  });
+  return result;
+};
+
+/**
+ * Saved presets by name; an empty object when storage is missing or corrupt
+ */
+export const loadGrassPresets = (storage = window.localStorage) => {
+  try {
+    const presets = JSON.parse(storage.getItem(PRESET_STORAGE_KEY) || '{}');
+    return presets && typeof presets === 'object' && !Array.isArray(presets) ? presets : {};
+  } catch (error) {
+    console.warn('Ignoring unreadable grass presets:', error);
+    return {};
+  }
+};
+
+const writeGrassPresets = (presets, storage) => {
+  storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+  return presets;
+};
+
+/**
+ * Store settings under a name, replacing any preset with that name
+ *
+ * @returns {object} The updated presets
+ */
+export const saveGrassPreset = (name, settings, storage = window.localStorage) => {
+  const trimmed = name.trim();
+  if (!trimmed) throw new Error('Preset name must not be empty');
+  return writeGrassPresets({ ...loadGrassPresets(storage), [trimmed]: sanitizeGrassSettings(settings) }, storage);
+};
+
+/**
+ * Remove a named preset
+ *
+ * @returns {object} The updated presets
+ */
+export const deleteGrassPreset = (name, storage = window.localStorage) => {
+  const { [name]: removed, ...rest } = loadGrassPresets(storage);
+  return writeGrassPresets(rest, storage);
+};
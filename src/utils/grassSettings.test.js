@@ -0,0 +1,42 @@
+import {
+  DEFAULT_GRASS_SETTINGS,
+  deleteGrassPreset,
+  loadGrassPresets,
+  sanitizeGrassSettings,
+  saveGrassPreset,
+} from './grassSettings';
+
+const createStorage = (initial = {}) => {
+  const items = { ...initial };
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+  };
+};
+
+test('fills in defaults and clamps settings to their ranges', () => {
+  expect(sanitizeGrassSettings()).toEqual(DEFAULT_GRASS_SETTINGS);
+  expect(sanitizeGrassSettings({ bendRadius: 100, waveSpeed: 'fast', planeSize: 3 })).toEqual({
+    ...DEFAULT_GRASS_SETTINGS,
+    bendRadius: 10,
+    planeSize: 3,
+  });
+});
+
+test('saves, lists and deletes named presets', () => {
+  const storage = createStorage();
+  saveGrassPreset(' windy ', { waveSpeed: 3 }, storage);
+  saveGrassPreset('short', { planeSize: 1 }, storage);
+
+  expect(Object.keys(loadGrassPresets(storage))).toEqual(['windy', 'short']);
+  expect(loadGrassPresets(storage).windy.waveSpeed).toBe(3);
+
+  expect(deleteGrassPreset('windy', storage)).toEqual({ short: { ...DEFAULT_GRASS_SETTINGS, planeSize: 1 } });
+  expect(() => saveGrassPreset('  ', {}, storage)).toThrow('must not be empty');
+});
+
+test('treats corrupt storage as no presets', () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(loadGrassPresets(createStorage({ grassSettingsPresets: '{oops' }))).toEqual({});
+  warn.mockRestore();
+});
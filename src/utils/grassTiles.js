@@ -0,0 +1,153 @@
+/**
+ * Spatial tiling helpers for the grass instancer
+ *
+ * Grass instances live in the terrain's local XY plane (the instancer group is
+ * rotated -90° about X), so tiles are laid out as a regular grid over that
+ * plane. Everything here is plain data so it can run on the main thread or in
+ * an offline bake without touching three.js.
+ */
+
+// Keys are stable strings so tiles can be used as React keys and Map entries
+export const tileKey = (col, row) => `${col}_${row}`;
+
+/**
+ * Compute the XY bounds of a flat xyz position array
+ */
+export const computePositionBounds = (positions) => {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (let i = 0; i < positions.length; i += 3) {
+    const x = positions[i];
+    const y = positions[i + 1];
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  }
+
+  return { minX, minY, maxX, maxY };
+};
+
+/**
+ * Create a tile grid covering the given XY bounds
+ *
+ * @param {{minX:number, minY:number, maxX:number, maxY:number}} bounds
+ * @param {number} tileSize - Edge length of one square tile in local units
+ */
+export const createTileGrid = (bounds, tileSize) => {
+  const width = Math.max(bounds.maxX - bounds.minX, tileSize);
+  const height = Math.max(bounds.maxY - bounds.minY, tileSize);
+
+  return {
+    minX: bounds.minX,
+    minY: bounds.minY,
+    tileSize,
+    cols: Math.ceil(width / tileSize),
+    rows: Math.ceil(height / tileSize),
+  };
+};
+
+/**
+ * Column/row of the tile containing a local XY point (clamped to the grid)
+ */
+export const tileCoordsAt = (grid, x, y) => {
+  const col = Math.floor((x - grid.minX) / grid.tileSize);
+  const row = Math.floor((y - grid.minY) / grid.tileSize);
+  return [
+    Math.min(Math.max(col, 0), grid.cols - 1),
+    Math.min(Math.max(row, 0), grid.rows - 1),
+  ];
+};
+
+/**
+ * Local XY rectangle covered by a tile
+ */
+export const tileBounds = (grid, col, row) => {
+  const minX = grid.minX + col * grid.tileSize;
+  const minY = grid.minY + row * grid.tileSize;
+  return {
+    minX,
+    minY,
+    maxX: minX + grid.tileSize,
+    maxY: minY + grid.tileSize,
+  };
+};
+
+/**
+ * Shortest distance from a local XY point to a tile's rectangle (0 when inside)
+ */
+export const distanceToTile = (grid, col, row, x, y) => {
+  const b = tileBounds(grid, col, row);
+  const dx = Math.max(b.minX - x, 0, x - b.maxX);
+  const dy = Math.max(b.minY - y, 0, y - b.maxY);
+  return Math.sqrt(dx * dx + dy * dy);
+};
+
+/**
+ * Keys of every tile whose rectangle comes within `radius` of a local XY point
+ */
+export const tilesWithinRadius = (grid, x, y, radius) => {
+  const keys = [];
+  const [minCol, minRow] = tileCoordsAt(grid, x - radius, y - radius);
+  const [maxCol, maxRow] = tileCoordsAt(grid, x + radius, y + radius);
+
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      if (distanceToTile(grid, col, row, x, y) <= radius) {
+        keys.push(tileKey(col, row));
+      }
+    }
+  }
+
+  return keys;
+};
+
+/**
+ * Bucket instance indices by tile
+ *
+ * @returns {Map<string, Uint32Array>} tile key -> indices into the source arrays
+ */
+export const partitionByTile = (positions, grid) => {
+  const count = Math.floor(positions.length / 3);
+  const tileCount = grid.cols * grid.rows;
+  const tileOfInstance = new Uint32Array(count);
+  const tileSizes = new Uint32Array(tileCount);
+
+  // First pass: count instances per tile so buckets can be pre-allocated
+  for (let i = 0; i < count; i++) {
+    const [col, row] = tileCoordsAt(grid, positions[i * 3], positions[i * 3 + 1]);
+    const tileIndex = row * grid.cols + col;
+    tileOfInstance[i] = tileIndex;
+    tileSizes[tileIndex]++;
+  }
+
+  const buckets = new Array(tileCount);
+  const fill = new Uint32Array(tileCount);
+  for (let t = 0; t < tileCount; t++) {
+    buckets[t] = tileSizes[t] > 0 ? new Uint32Array(tileSizes[t]) : null;
+  }
+
+  // Second pass: scatter indices into their buckets
+  for (let i = 0; i < count; i++) {
+    const t = tileOfInstance[i];
+    buckets[t][fill[t]++] = i;
+  }
+
+  const tiles = new Map();
+  for (let t = 0; t < tileCount; t++) {
+    if (!buckets[t]) continue;
+    tiles.set(tileKey(t % grid.cols, Math.floor(t / grid.cols)), buckets[t]);
+  }
+  return tiles;
+};
+
+/**
+ * Convert a world-space position into the grass group's local XY plane
+ *
+ * The grass group is rotated -PI/2 about X, which maps local (x, y) onto
+ * world (x, -z).
+ */
+export const worldToGrassLocal = (worldPosition) => [worldPosition.x, -worldPosition.z];
@@ -0,0 +1,39 @@
+import {
+  createTileGrid,
+  partitionByTile,
+  tilesWithinRadius,
+  distanceToTile,
+  computePositionBounds,
+} from './grassTiles';
+
+const bounds = { minX: -100, minY: -100, maxX: 100, maxY: 100 };
+
+test('covers the bounds with whole tiles', () => {
+  const grid = createTileGrid(bounds, 25);
+  expect(grid.cols).toBe(8);
+  expect(grid.rows).toBe(8);
+});
+
+test('buckets every instance into exactly one tile', () => {
+  const positions = new Float32Array([
+    -99, -99, 0,
+    99, 99, 0,
+    -80, -99, 1,
+    100, 100, 0, // on the max edge, clamped into the last tile
+  ]);
+  const grid = createTileGrid(computePositionBounds(positions), 25);
+  const tiles = partitionByTile(positions, grid);
+
+  expect(Array.from(tiles.get('0_0'))).toEqual([0, 2]);
+  expect(Array.from(tiles.get(`${grid.cols - 1}_${grid.rows - 1}`))).toEqual([1, 3]);
+
+  const total = Array.from(tiles.values()).reduce((sum, indices) => sum + indices.length, 0);
+  expect(total).toBe(4);
+});
+
+test('selects tiles by distance to their rectangle', () => {
+  const grid = createTileGrid(bounds, 25);
+  expect(distanceToTile(grid, 4, 4, 10, 10)).toBe(0);
+  expect(tilesWithinRadius(grid, 12.5, 12.5, 1)).toEqual(['4_4']);
+  expect(tilesWithinRadius(grid, 0, 0, 1).sort()).toEqual(['3_3', '3_4', '4_3', '4_4']);
+});
@@ -0,0 +1,413 @@
+import * as THREE from 'three';
+import { loadImagePixels } from './pointCloudImage';
+
+/**
+ * Runtime height-field terrain
+ *
+ * A terrain is described by a small JSON file next to its images
+ * (public/terrain/terrain.json):
+ *
+ *   {
+ *     "heightmap": "heightmap.png",   // luminance 0-1 -> minHeight..maxHeight
+ *     "colorMap": "color.png",        // optional, stretched over the bounds
+ *     "bounds": { "minX": -100, "maxX": 100, "minZ": -100, "maxZ": 100,
+ *                 "minHeight": 0, "maxHeight": 9.2 },
+ *     "chunkSize": 25                 // world units per mesh chunk
+ *   }
+ *
+ * Bounds are in world space (Y up). The top row of both images is at minZ,
+ * which is the same layout bake-grass reads them in (its local +Y is world -Z),
+ * so baked grass sits on the runtime terrain without any extra offset.
+ *
+ * Heights are read through a canvas, so 16-bit heightmaps are reduced to
+ * 8 bits here.
+ */
+
+export const DEFAULT_TERRAIN_BOUNDS = {
+  minX: -100,
+  maxX: 100,
+  minZ: -100,
+  maxZ: 100,
+  minHeight: 0,
+  maxHeight: 9.2,
+};
+
+const DEFAULT_CHUNK_SIZE = 25;
+const DEFAULT_BAKE_RESOLUTION = 512; // Samples per side when baking a mesh into a height grid
+const DEFAULT_COLLIDER_SAMPLES = 512; // Samples per side for physics heightfield colliders
+
+export const TERRAIN_MODES = ['glb', 'heightfield'];
+
+/**
+ * Which terrain to render: `?terrain=` or REACT_APP_TERRAIN when it names a
+ * mode, otherwise the exported GLB
+ */
+export const getAppTerrain = () => {
+  const fromUrl = typeof window !== 'undefined'
+    ? new URLSearchParams(window.location.search).get('terrain')
+    : null;
+  const mode = fromUrl || process.env.REACT_APP_TERRAIN;
+  return TERRAIN_MODES.includes(mode) ? mode : 'glb';
+};
+
+/**
+ * Chunk mesh resolution by distance from the camera, near to far. A level
+ * covers distances up to `maxDistance` with `resolution` quads per chunk side.
+ */
+export const TERRAIN_LOD_LEVELS = [
+  { maxDistance: 40, resolution: 64 },
+  { maxDistance: 90, resolution: 32 },
+  { maxDistance: 160, resolution: 16 },
+  { maxDistance: Infinity, resolution: 8 },
+];
+
+/**
+ * Error for malformed terrain descriptors
+ */
+export class TerrainError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'TerrainError';
+  }
+}
+
+/**
+ * Validate a parsed terrain descriptor and fill in defaults
+ *
+ * @returns {{ heightmap: string, colorMap: string|null, bounds: object, chunkSize: number }}
+ */
+export const parseTerrainDescriptor = (descriptor, source) => {
+  const fail = (message) => {
+    throw new TerrainError(message, source);
+  };
+
+  if (typeof descriptor?.heightmap !== 'string' || !descriptor.heightmap) fail('descriptor needs a "heightmap" image path');
+  if (descriptor.colorMap !== undefined && (typeof descriptor.colorMap !== 'string' || !descriptor.colorMap)) {
+    fail('"colorMap" must be an image path');
+  }
+
+  const bounds = { ...DEFAULT_TERRAIN_BOUNDS, ...descriptor.bounds };
+  if (!Object.values(bounds).every(Number.isFinite)) fail('bounds must all be numbers');
+  if (bounds.maxX <= bounds.minX || bounds.maxZ <= bounds.minZ || bounds.maxHeight < bounds.minHeight) {
+    fail('bounds must have max greater than min');
+  }
+
+  const chunkSize = descriptor.chunkSize ?? DEFAULT_CHUNK_SIZE;
+  if (!(chunkSize > 0)) fail(`chunkSize must be positive, got ${descriptor.chunkSize}`);
+
+  return {
+    heightmap: descriptor.heightmap,
+    colorMap: descriptor.colorMap ?? null,
+    bounds,
+    chunkSize,
+  };
+};
+
+/**
+ * Wrap a grid of heights in O(1) height and normal queries
+ *
+ * Samples sit on a regular grid from (minX, minZ) to (maxX, maxZ) inclusive,
+ * row by row from minZ.
+ *
+ * @param {Float32Array} heights - width * depth world heights
+ * @param {number} width - Samples along X
+ * @param {number} depth - Samples along Z
+ * @param {object} bounds - World bounds, see DEFAULT_TERRAIN_BOUNDS
+ * @returns {{ width: number, depth: number, heights: Float32Array, bounds: object,
+ *   getHeightAt: (x:number, z:number) => number,
+ *   getNormalAt: (x:number, z:number, target?:THREE.Vector3) => THREE.Vector3 }}
+ */
+export const createHeightGrid = (heights, width, depth, bounds) => {
+  const { minX, maxX, minZ, maxZ } = bounds;
+  const scaleX = (width - 1) / (maxX - minX);
+  const scaleZ = (depth - 1) / (maxZ - minZ);
+  const stepX = 1 / scaleX;
+  const stepZ = 1 / scaleZ;
+
+  // Bilinear lookup; points outside the bounds get the nearest edge height
+  const getHeightAt = (x, z) => {
+    const fx = Math.min(Math.max((x - minX) * scaleX, 0), width - 1);
+    const fz = Math.min(Math.max((z - minZ) * scaleZ, 0), depth - 1);
+    const x0 = Math.floor(fx);
+    const z0 = Math.floor(fz);
+    const x1 = Math.min(x0 + 1, width - 1);
+    const z1 = Math.min(z0 + 1, depth - 1);
+    const tx = fx - x0;
+    const tz = fz - z0;
+    const top = heights[z0 * width + x0] + (heights[z0 * width + x1] - heights[z0 * width + x0]) * tx;
+    const bottom = heights[z1 * width + x0] + (heights[z1 * width + x1] - heights[z1 * width + x0]) * tx;
+    return top + (bottom - top) * tz;
+  };
+
+  // Surface normal from central differences one grid step either side
+  const getNormalAt = (x, z, target = new THREE.Vector3()) => target.set(
+    (getHeightAt(x - stepX, z) - getHeightAt(x + stepX, z)) / (2 * stepX),
+    1,
+    (getHeightAt(x, z - stepZ) - getHeightAt(x, z + stepZ)) / (2 * stepZ)
+  ).normalize();
+
+  return { width, depth, heights, bounds, getHeightAt, getNormalAt };
+};
+
+/**
+ * Build a height field from decoded heightmap pixels
+ *
+ * @param {{width:number, height:number, data:Uint8ClampedArray}} pixels - RGBA8, top row first
+ * @param {object} [bounds] - World bounds, see DEFAULT_TERRAIN_BOUNDS
+ * @returns {object} See createHeightGrid
+ */
+export const createHeightfield = ({ width, height, data }, bounds = DEFAULT_TERRAIN_BOUNDS) => {
+  const { minHeight, maxHeight } = bounds;
+  const heightRange = maxHeight - minHeight;
+
+  const heights = new Float32Array(width * height);
+  for (let i = 0; i < heights.length; i++) {
+    const luminance = (0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255;
+    heights[i] = minHeight + luminance * heightRange;
+  }
+
+  return createHeightGrid(heights, width, height, bounds);
+};
+
+/**
+ * Bake a mesh's top surface into a height grid, so ground queries become
+ * lookups instead of raycasts
+ *
+ * Every triangle is rasterised onto the grid from above and the highest
+ * surface at each sample wins. Samples no triangle covers get the lowest
+ * height in the mesh.
+ *
+ * @param {THREE.BufferGeometry} geometry - Ground geometry
+ * @param {object} [options]
+ * @param {number} [options.resolution] - Samples per side
+ * @param {THREE.Matrix4} [options.matrix] - Geometry to world transform, identity if omitted
+ * @returns {object} See createHeightGrid
+ */
+export const bakeHeightGrid = (geometry, { resolution = DEFAULT_BAKE_RESOLUTION, matrix = null } = {}) => {
+  const position = geometry.getAttribute('position');
+  const index = geometry.index;
+
+  // World-space vertex copies, so the raster loop is plain array math
+  const vertices = new Float32Array(position.count * 3);
+  const vertex = new THREE.Vector3();
+  const box = new THREE.Box3();
+  for (let i = 0; i < position.count; i++) {
+    vertex.fromBufferAttribute(position, i);
+    if (matrix) vertex.applyMatrix4(matrix);
+    vertices[i * 3] = vertex.x;
+    vertices[i * 3 + 1] = vertex.y;
+    vertices[i * 3 + 2] = vertex.z;
+    box.expandByPoint(vertex);
+  }
+
+  const bounds = {
+    minX: box.min.x,
+    maxX: box.max.x,
+    minZ: box.min.z,
+    maxZ: box.max.z,
+    minHeight: box.min.y,
+    maxHeight: box.max.y,
+  };
+  const size = resolution;
+  const scaleX = (size - 1) / (bounds.maxX - bounds.minX);
+  const scaleZ = (size - 1) / (bounds.maxZ - bounds.minZ);
+  const heights = new Float32Array(size * size).fill(-Infinity);
+
+  const triangleCount = (index ? index.count : position.count) / 3;
+  for (let t = 0; t < triangleCount; t++) {
+    const a = (index ? index.getX(t * 3) : t * 3) * 3;
+    const b = (index ? index.getX(t * 3 + 1) : t * 3 + 1) * 3;
+    const c = (index ? index.getX(t * 3 + 2) : t * 3 + 2) * 3;
+
+    // Triangle in grid coordinates
+    const ax = (vertices[a] - bounds.minX) * scaleX;
+    const az = (vertices[a + 2] - bounds.minZ) * scaleZ;
+    const bx = (vertices[b] - bounds.minX) * scaleX;
+    const bz = (vertices[b + 2] - bounds.minZ) * scaleZ;
+    const cx = (vertices[c] - bounds.minX) * scaleX;
+    const cz = (vertices[c + 2] - bounds.minZ) * scaleZ;
+
+    const area = (bx - ax) * (cz - az) - (cx - ax) * (bz - az);
+    if (Math.abs(area) < 1e-12) continue; // Vertical or degenerate
+
+    const i0 = Math.max(0, Math.ceil(Math.min(ax, bx, cx) - 1e-6));
+    const i1 = Math.min(size - 1, Math.floor(Math.max(ax, bx, cx) + 1e-6));
+    const j0 = Math.max(0, Math.ceil(Math.min(az, bz, cz) - 1e-6));
+    const j1 = Math.min(size - 1, Math.floor(Math.max(az, bz, cz) + 1e-6));
+
+    for (let j = j0; j <= j1; j++) {
+      for (let i = i0; i <= i1; i++) {
+        // Barycentric weights of b and c; a gets the rest
+        const wb = ((i - ax) * (cz - az) - (cx - ax) * (j - az)) / area;
+        const wc = ((bx - ax) * (j - az) - (i - ax) * (bz - az)) / area;
+        const wa = 1 - wb - wc;
+        if (wa < -1e-6 || wb < -1e-6 || wc < -1e-6) continue;
+
+        const y = vertices[a + 1] * wa + vertices[b + 1] * wb + vertices[c + 1] * wc;
+        const cell = j * size + i;
+        if (y > heights[cell]) heights[cell] = y;
+      }
+    }
+  }
+
+  for (let i = 0; i < heights.length; i++) {
+    if (heights[i] === -Infinity) heights[i] = bounds.minHeight;
+  }
+
+  return createHeightGrid(heights, size, size, bounds);
+};
+
+/**
+ * Arguments for a Rapier heightfield collider covering a height grid
+ *
+ * Rapier wants heights column-major with rows along Z, centred on the
+ * collider, so the grid is resampled (down to `maxSamples` per side, which
+ * keeps big heightmaps cheap to collide with) and reordered.
+ *
+ * @param {object} grid - From createHeightGrid / createHeightfield / bakeHeightGrid
+ * @param {number} [maxSamples] - Cap on samples per side
+ * @returns {{ args: [number, number, Float32Array, {x:number, y:number, z:number}], position: number[] }}
+ */
+export const heightfieldColliderArgs = (grid, maxSamples = DEFAULT_COLLIDER_SAMPLES) => {
+  const { minX, maxX, minZ, maxZ } = grid.bounds;
+  const columns = Math.max(2, Math.min(grid.width, maxSamples));
+  const rows = Math.max(2, Math.min(grid.depth, maxSamples));
+
+  const heights = new Float32Array(columns * rows);
+  for (let column = 0; column < columns; column++) {
+    const x = minX + (column / (columns - 1)) * (maxX - minX);
+    for (let row = 0; row < rows; row++) {
+      const z = minZ + (row / (rows - 1)) * (maxZ - minZ);
+      heights[column * rows + row] = grid.getHeightAt(x, z);
+    }
+  }
+
+  return {
+    args: [rows - 1, columns - 1, heights, { x: maxX - minX, y: 1, z: maxZ - minZ }],
+    position: [(minX + maxX) / 2, 0, (minZ + maxZ) / 2],
+  };
+};
+
+/**
+ * Pick the mesh resolution for a chunk `distance` away from the camera
+ */
+export const resolveTerrainLod = (distance, levels = TERRAIN_LOD_LEVELS) => {
+  const index = levels.findIndex((level) => distance <= level.maxDistance);
+  return index === -1 ? levels.length - 1 : index;
+};
+
+/**
+ * Mesh one square chunk of a height field
+ *
+ * The grid gets an extra ring of vertices dropped by `skirtDepth` around its
+ * edge, so cracks between neighbouring chunks at different resolutions are
+ * hidden behind a skirt instead of showing the sky.
+ *
+ * @param {object} heightfield - From createHeightfield
+ * @param {{minX:number, minZ:number, size:number}} chunk - World square to cover
+ * @param {number} resolution - Quads per side
+ * @param {number} [skirtDepth] - How far the skirt hangs below the edge
+ * @returns {THREE.BufferGeometry} Positions, normals and UVs over the whole terrain
+ */
+export const buildTerrainChunkGeometry = (heightfield, chunk, resolution, skirtDepth = 1) => {
+  const { bounds, getHeightAt } = heightfield;
+  const spanX = bounds.maxX - bounds.minX;
+  const spanZ = bounds.maxZ - bounds.minZ;
+  const step = chunk.size / resolution;
+  const side = resolution + 3; // Grid plus the skirt ring on each edge
+  const vertexCount = side * side;
+
+  const positions = new Float32Array(vertexCount * 3);
+  const normals = new Float32Array(vertexCount * 3);
+  const uvs = new Float32Array(vertexCount * 2);
+  const normal = new THREE.Vector3();
+
+  for (let j = 0; j < side; j++) {
+    for (let i = 0; i < side; i++) {
+      const gi = Math.min(Math.max(i - 1, 0), resolution);
+      const gj = Math.min(Math.max(j - 1, 0), resolution);
+      const isSkirt = gi !== i - 1 || gj !== j - 1;
+
+      const x = chunk.minX + gi * step;
+      const z = chunk.minZ + gj * step;
+      const y = getHeightAt(x, z) - (isSkirt ? skirtDepth : 0);
+
+      // Central differences at the mesh spacing, so normals match what's drawn
+      normal.set(
+        getHeightAt(x - step, z) - getHeightAt(x + step, z),
+        2 * step,
+        getHeightAt(x, z - step) - getHeightAt(x, z + step)
+      ).normalize();
+
+      const v = j * side + i;
+      positions[v * 3] = x;
+      positions[v * 3 + 1] = y;
+      positions[v * 3 + 2] = z;
+      normals[v * 3] = normal.x;
+      normals[v * 3 + 1] = normal.y;
+      normals[v * 3 + 2] = normal.z;
+      uvs[v * 2] = (x - bounds.minX) / spanX;
+      uvs[v * 2 + 1] = 1 - (z - bounds.minZ) / spanZ; // Textures are flipped, so v = 1 is the image's top row
+    }
+  }
+
+  const indices = new (vertexCount > 65535 ? Uint32Array : Uint16Array)((side - 1) * (side - 1) * 6);
+  let k = 0;
+  for (let j = 0; j < side - 1; j++) {
+    for (let i = 0; i < side - 1; i++) {
+      const a = j * side + i;
+      const b = a + side;
+      const c = a + 1;
+      const d = b + 1;
+      indices[k++] = a;
+      indices[k++] = b;
+      indices[k++] = c;
+      indices[k++] = b;
+      indices[k++] = d;
+      indices[k++] = c;
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+  return geometry;
+};
+
+/**
+ * Fetch a terrain descriptor and its heightmap
+ *
+ * @param {string} descriptorUrl - Image paths are relative to this URL
+ * @returns {Promise<{ heightfield: object, colorMap: THREE.Texture|null, chunkSize: number }>}
+ */
+export const loadTerrain = async (descriptorUrl) => {
+  const response = await fetch(descriptorUrl);
+  if (!response.ok) throw new TerrainError(`HTTP ${response.status}`, descriptorUrl);
+  const { heightmap, colorMap, bounds, chunkSize } = parseTerrainDescriptor(await response.json(), descriptorUrl);
+
+  const base = new URL(descriptorUrl, window.location.href);
+  const [pixels, colorTexture] = await Promise.all([
+    loadImagePixels(new URL(heightmap, base).toString()),
+    colorMap ? new THREE.TextureLoader().loadAsync(new URL(colorMap, base).toString()) : null,
+  ]);
+  if (colorTexture) colorTexture.colorSpace = THREE.SRGBColorSpace;
+
+  return {
+    heightfield: createHeightfield(pixels, bounds),
+    colorMap: colorTexture,
+    chunkSize,
+  };
+};
+
+/**
+ * three.js loader wrapper so terrains can go through r3f's `useLoader`
+ */
+export class TerrainLoader extends THREE.Loader {
+  load(url, onLoad, onProgress, onError) {
+    loadTerrain(this.manager.resolveURL(url)).then(onLoad, onError);
+  }
+}
@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+import {
+  TerrainError,
+  bakeHeightGrid,
+  buildTerrainChunkGeometry,
+  heightfieldColliderArgs,
+  createHeightfield,
+  parseTerrainDescriptor,
+  resolveTerrainLod,
+} from './heightfield';
+
+// 2x2 heightmap: black, white / white, black (grey levels straight into RGB)
+const createPixels = (values, width, height) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  values.forEach((value, i) => data.set([value, value, value, 255], i * 4));
+  return { width, height, data };
+};
+
+const BOUNDS = { minX: -10, maxX: 10, minZ: -10, maxZ: 10, minHeight: 0, maxHeight: 4 };
+
+test('parses descriptors, filling in defaults and rejecting bad bounds', () => {
+  const parsed = parseTerrainDescriptor({ heightmap: 'h.png', bounds: { maxHeight: 12 } });
+  expect(parsed.colorMap).toBeNull();
+  expect(parsed.chunkSize).toBe(25);
+  expect(parsed.bounds.maxHeight).toBe(12);
+  expect(parsed.bounds.minX).toBe(-100);
+
+  expect(() => parseTerrainDescriptor({}, 'terrain.json')).toThrow(TerrainError);
+  expect(() => parseTerrainDescriptor({ heightmap: 'h.png', bounds: { minX: 5, maxX: 5 } })).toThrow('max greater than min');
+});
+
+test('samples heights bilinearly with the top image row at minZ', () => {
+  const heightfield = createHeightfield(createPixels([0, 255, 255, 0], 2, 2), BOUNDS);
+
+  expect(heightfield.getHeightAt(-10, -10)).toBeCloseTo(0);
+  expect(heightfield.getHeightAt(10, -10)).toBeCloseTo(4);
+  expect(heightfield.getHeightAt(-10, 10)).toBeCloseTo(4);
+  expect(heightfield.getHeightAt(0, 0)).toBeCloseTo(2);
+  expect(heightfield.getHeightAt(0, -10)).toBeCloseTo(2);
+  expect(heightfield.getHeightAt(-50, -50)).toBeCloseTo(0); // Clamped to the edge
+});
+
+test('meshes a chunk with a lowered skirt ring and picks LODs by distance', () => {
+  const heightfield = createHeightfield(createPixels([255, 255, 255, 255], 2, 2), BOUNDS);
+  const geometry = buildTerrainChunkGeometry(heightfield, { minX: 0, minZ: 0, size: 10 }, 4, 1);
+  const position = geometry.getAttribute('position');
+
+  expect(position.count).toBe(7 * 7);
+  expect(geometry.index.count).toBe(6 * 6 * 6);
+  expect(position.getY(0)).toBeCloseTo(3); // Skirt corner
+  expect(position.getY(8)).toBeCloseTo(4); // First grid vertex
+  expect([position.getX(8), position.getZ(8)]).toEqual([0, 0]);
+  expect(geometry.getAttribute('normal').getY(8)).toBeCloseTo(1);
+
+  expect(resolveTerrainLod(0)).toBe(0);
+  expect(resolveTerrainLod(60)).toBe(1);
+  expect(resolveTerrainLod(10000)).toBe(3);
+});
+
+test('bakes a mesh surface into a height grid with matching normals', () => {
+  // Ramp rising along +X from y=0 at x=-5 to y=5 at x=5, as a 1x1 quad plane
+  const geometry = new THREE.PlaneGeometry(10, 10).rotateX(-Math.PI / 2);
+  const position = geometry.getAttribute('position');
+  for (let i = 0; i < position.count; i++) position.setY(i, position.getX(i) + 5);
+
+  const grid = bakeHeightGrid(geometry, { resolution: 33 });
+  expect(grid.getHeightAt(-5, 0)).toBeCloseTo(0);
+  expect(grid.getHeightAt(0, 2)).toBeCloseTo(5);
+  expect(grid.getHeightAt(2.5, -4)).toBeCloseTo(7.5);
+
+  const normal = grid.getNormalAt(0, 0);
+  expect(normal.x).toBeCloseTo(-Math.SQRT1_2);
+  expect(normal.y).toBeCloseTo(Math.SQRT1_2);
+  expect(normal.z).toBeCloseTo(0);
+});
+
+test('lays collider heights out column-major with rows along Z', () => {
+  // Height rises along +Z only: top image row (minZ) black, bottom white
+  const heightfield = createHeightfield(createPixels([0, 0, 255, 255], 2, 2), BOUNDS);
+  const { args, position } = heightfieldColliderArgs(heightfield, 3);
+  const [nrows, ncols, heights, scale] = args;
+
+  expect([nrows, ncols]).toEqual([1, 1]);
+  expect(Array.from(heights)).toEqual([0, 4, 0, 4]);
+  expect(scale).toEqual({ x: 20, y: 1, z: 20 });
+  expect(position).toEqual([0, 0, 0]);
+});
@@ -0,0 +1,341 @@
+import * as THREE from 'three';
+import { DEFAULT_TERRAIN_BOUNDS } from './heightfield';
+import { DEFAULT_MAX_CLIMB_GRADIENT } from './slopeMotion';
+import { worldToGrassLocal } from './grassTiles';
+
+/**
+ * Piste navigation for click-to-go routing
+ *
+ * The terrain is divided into square cells over the ground's bounds. A cell
+ * whose slope is steeper than the sphere can climb is blocked (cliffs);
+ * everything else is walkable, with pistes cheap and open ground
+ * `offPisteCost` times dearer, so routes keep to the pistes where they can
+ * and cut across elsewhere only when it's much shorter.
+ *
+ * `findPath` runs A* over the cells (8-way, never cutting a blocked corner)
+ * and then straightens the result wherever a direct line stays on cells at
+ * least as cheap as its ends. `createRoute` turns the points into something
+ * to follow by distance travelled.
+ *
+ * Positions are world XZ as `{ x, z }`.
+ */
+
+export const DEFAULT_NAV_CELL_SIZE = 1;
+export const OFF_PISTE_COST = 4; // Cost per unit off the pistes, pistes cost 1
+// Grass biome regions that count as piste; lift lines are not walkable runs
+export const PISTE_REGIONS = ['piste'];
+const SNAP_RADIUS = 12; // Cells searched for walkable ground around a blocked end
+const SQRT2 = Math.SQRT2;
+
+// Neighbour offsets and step lengths, orthogonal first
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2],
+];
+
+/**
+ * Piste test from a grass biome classifier (see grassBiomes): ground is piste
+ * where the biome there is one of `regions`
+ *
+ * @param {{ classify: Function }} biomes
+ * @param {(x:number, z:number) => number} getHeightAt
+ */
+export const pisteTestFromBiomes = (biomes, getHeightAt, regions = PISTE_REGIONS) => (x, z) => {
+  const [localX, localY] = worldToGrassLocal({ x, z });
+  return regions.includes(biomes.classify(localX, localY, getHeightAt(x, z)).name);
+};
+
+/**
+ * Build a navigation grid over a ground
+ *
+ * @param {{ getHeightAt(x, z): number, bounds?: object }} ground - e.g. a
+ *   height grid from utils/heightfield; bounds default to the terrain's
+ * @param {object} [options]
+ * @param {number} [options.cellSize] - World units per cell
+ * @param {number} [options.maxGradient] - Steepest walkable slope, rise over run
+ * @param {(x:number, z:number) => boolean} [options.isPiste] - Without one
+ *   all walkable ground costs the same
+ * @param {number} [options.offPisteCost]
+ * @returns {{ cols: number, rows: number, cellSize: number, minX: number, minZ: number,
+ *   cost: Float32Array }} `cost` is 0 for blocked cells
+ */
+export const createNavGrid = (ground, {
+  cellSize = DEFAULT_NAV_CELL_SIZE,
+  maxGradient = DEFAULT_MAX_CLIMB_GRADIENT,
+  isPiste = null,
+  offPisteCost = OFF_PISTE_COST,
+} = {}) => {
+  const { minX, maxX, minZ, maxZ } = ground.bounds ?? DEFAULT_TERRAIN_BOUNDS;
+  const cols = Math.max(1, Math.floor((maxX - minX) / cellSize));
+  const rows = Math.max(1, Math.floor((maxZ - minZ) / cellSize));
+  const cost = new Float32Array(cols * rows);
+  const half = cellSize / 2;
+
+  for (let row = 0; row < rows; row++) {
+    const z = minZ + (row + 0.5) * cellSize;
+    for (let col = 0; col < cols; col++) {
+      const x = minX + (col + 0.5) * cellSize;
+      // Slope across the cell, edge to edge
+      const slopeX = (ground.getHeightAt(x + half, z) - ground.getHeightAt(x - half, z)) / cellSize;
+      const slopeZ = (ground.getHeightAt(x, z + half) - ground.getHeightAt(x, z - half)) / cellSize;
+      if (Math.hypot(slopeX, slopeZ) > maxGradient) continue;
+      cost[row * cols + col] = isPiste && isPiste(x, z) ? 1 : offPisteCost;
+    }
+  }
+
+  return { cols, rows, cellSize, minX, minZ, cost };
+};
+
+const cellOf = (grid, x, z) => {
+  const col = THREE.MathUtils.clamp(Math.floor((x - grid.minX) / grid.cellSize), 0, grid.cols - 1);
+  const row = THREE.MathUtils.clamp(Math.floor((z - grid.minZ) / grid.cellSize), 0, grid.rows - 1);
+  return row * grid.cols + col;
+};
+
+const cellCentre = (grid, index) => ({
+  x: grid.minX + ((index % grid.cols) + 0.5) * grid.cellSize,
+  z: grid.minZ + (Math.floor(index / grid.cols) + 0.5) * grid.cellSize,
+});
+
+/** Whether (x, z) is on walkable ground */
+export const isWalkable = (grid, x, z) => grid.cost[cellOf(grid, x, z)] > 0;
+
+// Closest walkable cell to `index` within SNAP_RADIUS rings, or -1
+const nearestWalkable = (grid, index) => {
+  if (grid.cost[index] > 0) return index;
+  const col = index % grid.cols;
+  const row = Math.floor(index / grid.cols);
+  let best = -1;
+  let bestDistance = Infinity;
+  for (let ring = 1; ring <= SNAP_RADIUS && best === -1; ring++) {
+    for (let dr = -ring; dr <= ring; dr++) {
+      for (let dc = -ring; dc <= ring; dc++) {
+        if (Math.max(Math.abs(dr), Math.abs(dc)) !== ring) continue;
+        const c = col + dc;
+        const r = row + dr;
+        if (c < 0 || r < 0 || c >= grid.cols || r >= grid.rows) continue;
+        const candidate = r * grid.cols + c;
+        const distance = dc * dc + dr * dr;
+        if (grid.cost[candidate] > 0 && distance < bestDistance) {
+          best = candidate;
+          bestDistance = distance;
+        }
+      }
+    }
+  }
+  return best;
+};
+
+// Binary min-heap of cell indices keyed by a score array
+class CellHeap {
+  constructor(scores) {
+    this.scores = scores;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(index) {
+    const { items, scores } = this;
+    items.push(index);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (scores[items[parent]] <= scores[items[i]]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const { items, scores } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && scores[items[left]] < scores[items[smallest]]) smallest = left;
+        if (right < items.length && scores[items[right]] < scores[items[smallest]]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// Whether a straight line between two points stays on walkable cells no
+// dearer than `maxCost`
+const hasClearLine = (grid, from, to, maxCost) => {
+  const distance = Math.hypot(to.x - from.x, to.z - from.z);
+  const samples = Math.ceil(distance / (grid.cellSize * 0.25));
+  for (let i = 1; i < samples; i++) {
+    const t = i / samples;
+    const cost = grid.cost[cellOf(grid, from.x + (to.x - from.x) * t, from.z + (to.z - from.z) * t)];
+    if (cost === 0 || cost > maxCost) return false;
+  }
+  return true;
+};
+
+/**
+ * Drop points a straight line can skip
+ */
+export const smoothPath = (grid, points) => {
+  if (points.length <= 2) return points;
+  const costAt = (point) => grid.cost[cellOf(grid, point.x, point.z)];
+  const smoothed = [points[0]];
+  let anchor = 0;
+  while (anchor < points.length - 1) {
+    // Walk ahead while the anchor can still see the next point
+    let next = anchor + 1;
+    while (next + 1 < points.length
+      && hasClearLine(grid, points[anchor], points[next + 1], Math.max(costAt(points[anchor]), costAt(points[next + 1])))) {
+      next++;
+    }
+    smoothed.push(points[next]);
+    anchor = next;
+  }
+  return smoothed;
+};
+
+/**
+ * Cheapest route between two points
+ *
+ * Ends on blocked ground are moved to the nearest walkable cell.
+ *
+ * @param {object} grid - From createNavGrid
+ * @param {{ x: number, z: number }} from
+ * @param {{ x: number, z: number }} to
+ * @returns {{ x: number, z: number }[]|null} Waypoints from `from` to the
+ *   goal, or null when the goal can't be reached
+ */
+export const findPath = (grid, from, to) => {
+  const start = nearestWalkable(grid, cellOf(grid, from.x, from.z));
+  const goal = nearestWalkable(grid, cellOf(grid, to.x, to.z));
+  if (start === -1 || goal === -1) return null;
+
+  const { cols, rows, cost } = grid;
+  const goalCol = goal % cols;
+  const goalRow = Math.floor(goal / cols);
+  // Octile distance at piste cost never overestimates
+  const heuristic = (index) => {
+    const dc = Math.abs((index % cols) - goalCol);
+    const dr = Math.abs(Math.floor(index / cols) - goalRow);
+    return Math.max(dc, dr) + (SQRT2 - 1) * Math.min(dc, dr);
+  };
+
+  const travelled = new Float64Array(cols * rows).fill(Infinity);
+  const scores = new Float64Array(cols * rows);
+  const cameFrom = new Int32Array(cols * rows).fill(-1);
+  const closed = new Uint8Array(cols * rows);
+  const open = new CellHeap(scores);
+  travelled[start] = 0;
+  scores[start] = heuristic(start);
+  open.push(start);
+
+  while (open.size > 0) {
+    const current = open.pop();
+    if (current === goal) break;
+    if (closed[current]) continue;
+    closed[current] = 1;
+
+    const col = current % cols;
+    const row = Math.floor(current / cols);
+    for (const [dc, dr, length] of NEIGHBOURS) {
+      const c = col + dc;
+      const r = row + dr;
+      if (c < 0 || r < 0 || c >= cols || r >= rows) continue;
+      const next = r * cols + c;
+      if (cost[next] === 0 || closed[next]) continue;
+      // Diagonals may not squeeze between two blocked cells' corners
+      if (dc !== 0 && dr !== 0 && (cost[row * cols + c] === 0 || cost[r * cols + col] === 0)) continue;
+
+      const candidate = travelled[current] + length * (cost[current] + cost[next]) / 2;
+      if (candidate < travelled[next]) {
+        travelled[next] = candidate;
+        cameFrom[next] = current;
+        scores[next] = candidate + heuristic(next);
+        open.push(next);
+      }
+    }
+  }
+
+  if (start !== goal && cameFrom[goal] === -1) return null;
+
+  const cells = [];
+  for (let index = goal; index !== -1; index = cameFrom[index]) cells.push(index);
+  cells.reverse();
+
+  // Real start and (when walkable) real goal instead of their cell centres
+  const points = cells.map((index) => cellCentre(grid, index));
+  points[0] = { x: from.x, z: from.z };
+  if (goal === cellOf(grid, to.x, to.z)) points.push({ x: to.x, z: to.z });
+  else if (points.length === 1) points.push(cellCentre(grid, goal));
+  return smoothPath(grid, points);
+};
+
+/**
+ * Followable route through waypoints
+ *
+ * @param {{ x: number, z: number }[]} points
+ * @returns {{ points: object[], length: number,
+ *   pointAt: (distance: number, target: THREE.Vector3) => THREE.Vector3,
+ *   project: (x: number, z: number, from?: number) => number,
+ *   segmentAt: (distance: number) => number }}
+ *   `pointAt` writes XZ only; `project` gives the distance along the route
+ *   closest to (x, z), searching from segment `from` (see `segmentAt`) onwards
+ */
+export const createRoute = (points) => {
+  const distances = [0];
+  for (let i = 1; i < points.length; i++) {
+    distances.push(distances[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z));
+  }
+  const length = distances[distances.length - 1];
+
+  const segmentAt = (distance) => {
+    let i = 1;
+    while (i < points.length - 1 && distances[i] < distance) i++;
+    return i;
+  };
+
+  return {
+    points,
+    length,
+    pointAt(distance, target) {
+      if (points.length === 1) return target.setX(points[0].x).setZ(points[0].z);
+      const d = THREE.MathUtils.clamp(distance, 0, length);
+      const i = segmentAt(d);
+      const span = distances[i] - distances[i - 1];
+      const t = span > 0 ? (d - distances[i - 1]) / span : 1;
+      target.x = points[i - 1].x + (points[i].x - points[i - 1].x) * t;
+      target.z = points[i - 1].z + (points[i].z - points[i - 1].z) * t;
+      return target;
+    },
+    project(x, z, from = 0) {
+      let best = distances[Math.min(from, points.length - 1)];
+      let bestDistance = Infinity;
+      for (let i = Math.max(from, 1); i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const span = dx * dx + dz * dz;
+        const t = span > 0 ? THREE.MathUtils.clamp(((x - a.x) * dx + (z - a.z) * dz) / span, 0, 1) : 0;
+        const offset = Math.hypot(a.x + dx * t - x, a.z + dz * t - z);
+        if (offset < bestDistance) {
+          bestDistance = offset;
+          best = distances[i - 1] + (distances[i] - distances[i - 1]) * t;
+        }
+      }
+      return best;
+    },
+    segmentAt,
+  };
+};
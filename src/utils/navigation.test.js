@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+import { createGrassBiomes } from './grassBiomes';
+import { createNavGrid, createRoute, findPath, isWalkable, pisteTestFromBiomes } from './navigation';
+
+const bounds = { minX: 0, maxX: 20, minZ: 0, maxZ: 20 };
+const flat = { bounds, getHeightAt: () => 0 };
+
+// A sheer wall along x = 10 with a gap from z = 16
+const cliff = {
+  bounds,
+  getHeightAt: (x, z) => (z < 16 && Math.abs(x - 10) < 1 ? 10 : 0),
+};
+
+test('blocks cells steeper than the max gradient', () => {
+  const grid = createNavGrid(cliff);
+  expect(grid.cols).toBe(20);
+  expect(isWalkable(grid, 10.4, 5)).toBe(false);
+  expect(isWalkable(grid, 5, 5)).toBe(true);
+  expect(isWalkable(grid, 15, 5)).toBe(true);
+});
+
+test('routes in a straight line over open ground', () => {
+  const path = findPath(createNavGrid(flat), { x: 1.2, z: 1.5 }, { x: 18.3, z: 17.9 });
+  expect(path).toEqual([{ x: 1.2, z: 1.5 }, { x: 18.3, z: 17.9 }]);
+});
+
+test('goes round cliffs instead of over them', () => {
+  const grid = createNavGrid(cliff);
+  const path = findPath(grid, { x: 5, z: 5 }, { x: 5, z: 5 });
+  expect(path.length).toBe(2);
+
+  // To the far side by way of the gap
+  const around = findPath(grid, { x: 5, z: 5 }, { x: 15, z: 5 });
+  expect(around[around.length - 1]).toEqual({ x: 15, z: 5 });
+  expect(around.some((p) => p.z > 16)).toBe(true);
+
+  // A start on the cliff face snaps onto walkable ground beside it
+  const snapped = findPath(grid, { x: 10.5, z: 2 }, { x: 10.5, z: 19 });
+  expect(isWalkable(grid, snapped[1].x, snapped[1].z)).toBe(true);
+
+  // A cliff with no way round leaves the far side unreachable
+  const walled = { bounds, getHeightAt: (x) => (x > 10 ? 10 : 0) };
+  expect(findPath(createNavGrid(walled), { x: 2, z: 2 }, { x: 18, z: 2 })).toBeNull();
+});
+
+test('prefers pistes over shorter off-piste lines', () => {
+  // Piste runs up the left edge and along the top
+  const isPiste = (x, z) => x < 2 || z > 18;
+  const grid = createNavGrid(flat, { isPiste, offPisteCost: 4 });
+  const path = findPath(grid, { x: 1, z: 1 }, { x: 19, z: 19 });
+  const route = createRoute(path);
+  expect(route.length).toBeGreaterThan(30);
+  expect(path.every((p) => p.x < 2 || p.z > 18)).toBe(true);
+});
+
+test('reads pistes from grass biomes in grass-local coordinates', () => {
+  const biomes = { classify: (x, y) => ({ name: y > 0 ? 'piste' : y < -10 ? 'liftLine' : 'meadow' }) };
+  const isPiste = pisteTestFromBiomes(biomes, () => 0);
+  expect(isPiste(0, -5)).toBe(true); // World -Z is grass-local +Y
+  expect(isPiste(0, 5)).toBe(false);
+  expect(isPiste(0, 15)).toBe(false); // Chairlift lines aren't runs
+});
+
+test('routes along the pistes painted in a biome mask', () => {
+  // 10x10 mask over the test bounds (grass-local Y is world -Z, top row
+  // first): white piste down the first column and along the bottom row,
+  // i.e. world x < 2 and z > 18
+  const size = 10;
+  const data = new Uint8ClampedArray(size * size * 4);
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const value = col === 0 || row === size - 1 ? 255 : 0;
+      data.set([value, value, value, 255], (row * size + col) * 4);
+    }
+  }
+  const biomes = createGrassBiomes({
+    bounds: { minX: 0, minY: -20, maxX: 20, maxY: 0 },
+    regions: [{ name: 'piste', mask: [255, 255, 255], density: 0 }, { name: 'meadow' }],
+  }, { width: size, height: size, data });
+  const isPiste = pisteTestFromBiomes(biomes, flat.getHeightAt);
+  expect(isPiste(1, 10)).toBe(true);
+  expect(isPiste(10, 10)).toBe(false);
+
+  const grid = createNavGrid(flat, { isPiste });
+  const path = findPath(grid, { x: 1, z: 1 }, { x: 19, z: 19 });
+  expect(createRoute(path).length).toBeGreaterThan(30);
+  expect(path.every((p) => p.x < 2 || p.z > 18)).toBe(true);
+});
+
+test('follows a route by distance', () => {
+  const route = createRoute([{ x: 0, z: 0 }, { x: 10, z: 0 }, { x: 10, z: 5 }]);
+  expect(route.length).toBeCloseTo(15);
+  const point = route.pointAt(12, new THREE.Vector3(0, 3, 0));
+  expect(point.toArray()).toEqual([10, 3, 2]);
+  expect(route.pointAt(99, new THREE.Vector3()).z).toBe(5);
+  expect(route.project(4, 1)).toBeCloseTo(4);
+  expect(route.project(11, 3, route.segmentAt(11))).toBeCloseTo(13);
+});
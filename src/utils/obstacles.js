@@ -0,0 +1,53 @@
+/**
+ * Physics obstacles: lift towers and anything else the sphere should bounce off
+ *
+ * File format (JSON), positions in world X/Z; each obstacle stands on the
+ * ground as an upright cylinder (see SpherePhysics):
+ *
+ *   {
+ *     "obstacles": [
+ *       { "position": [12.5, -40.2], "radius": 0.4, "height": 6 },
+ *       ...
+ *     ]
+ *   }
+ *
+ * public/lift-towers.json is baked from the map artwork by
+ * scripts/bake-lift-towers.mjs.
+ */
+
+const DEFAULT_RADIUS = 0.5;
+const DEFAULT_HEIGHT = 8;
+
+export class ObstacleError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'ObstacleError';
+  }
+}
+
+/**
+ * Validate an obstacle file and fill in defaults
+ *
+ * @param {object} data - Parsed JSON
+ * @param {string} [source] - Used to prefix error messages
+ * @returns {{ position: [number, number], radius: number, height: number }[]}
+ */
+export const parseObstacles = (data, source) => {
+  if (!data || !Array.isArray(data.obstacles)) throw new ObstacleError('expected an "obstacles" list', source);
+  return data.obstacles.map(({ position, radius = DEFAULT_RADIUS, height = DEFAULT_HEIGHT } = {}, index) => {
+    if (!Array.isArray(position) || position.length !== 2 || !position.every(Number.isFinite)) {
+      throw new ObstacleError(`obstacle ${index} position must be [x, z]`, source);
+    }
+    if (!(radius > 0) || !(height > 0)) throw new ObstacleError(`obstacle ${index} radius and height must be positive`, source);
+    return { position, radius, height };
+  });
+};
+
+/**
+ * Fetch and validate an obstacle file
+ */
+export const loadObstacles = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new ObstacleError(`HTTP ${response.status}`, url);
+  return parseObstacles(await response.json(), url);
+};
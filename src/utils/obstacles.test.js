@@ -0,0 +1,27 @@
+import { ObstacleError, parseObstacles } from './obstacles';
+
+test('fills obstacle defaults', () => {
+  expect(parseObstacles({ obstacles: [{ position: [1, -2] }, { position: [3, 4], radius: 0.4, height: 6 }] })).toEqual([
+    { position: [1, -2], radius: 0.5, height: 8 },
+    { position: [3, 4], radius: 0.4, height: 6 },
+  ]);
+});
+
+test('rejects malformed obstacle files', () => {
+  expect(() => parseObstacles({}, 'towers.json')).toThrow(/towers\.json: expected an "obstacles" list/);
+  expect(() => parseObstacles({ obstacles: [{ position: [1] }] })).toThrow(ObstacleError);
+  expect(() => parseObstacles({ obstacles: [{ position: [1, 2], radius: 0 }] })).toThrow(/radius and height/);
+});
+
+test('the shipped lift towers stand inside the terrain', () => {
+  const fs = require('fs');
+  const path = require('path');
+  const file = path.join(__dirname, '../../public/lift-towers.json');
+  const towers = parseObstacles(JSON.parse(fs.readFileSync(file, 'utf8')), 'lift-towers.json');
+
+  expect(towers.length).toBeGreaterThan(0);
+  towers.forEach(({ position: [x, z] }) => {
+    expect(Math.abs(x)).toBeLessThanOrEqual(100);
+    expect(Math.abs(z)).toBeLessThanOrEqual(100);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * PNG-encoded point clouds
+ *
+ * Instances are stored one per pixel (row-major) across one or more images,
+ * described by a sidecar JSON file:
+ *
+ *   {
+ *     "width": 639, "height": 639,          // optional, checked against the images
+ *     "count": 408321,                      // optional, defaults to every pixel
+ *     "bbox": { "min": [x, y, z], "max": [x, y, z] },
+ *     "position": { "image": "positions.png", "encoding": "rgb8" },
+ *     "rotation": { "image": "rot.png", "encoding": "rgb8", "range": [-3.1416, 3.1416] },
+ *     "scale":    { "image": "scale.png", "encoding": "rg16", "range": [0, 2] },
+ *     "color":    { "image": "color.png", "encoding": "rgb8" }
+ *   }
+ *
+ * Encodings (values are normalised to 0-1, then mapped onto the bbox for
+ * positions or `range` for everything else):
+ *   r8     one component from R
+ *   rg16   one component, 16 bits split across R (high byte) and G (low byte)
+ *   rgb8   three components from R, G, B
+ *   rgb16  three components, high bytes in `image` and low bytes in `lowImage`
+ *
+ * Any attribute may instead be `{ "constant": [a, b, c] }`. Single-component
+ * rotations/scales are applied to all three axes. Pixels whose position alpha
+ * is zero are treated as empty and skipped.
+ *
+ * The decoded result has the same shape as a decoded grass instance file, so
+ * PlaneInstancerWithColor can tile it directly.
+ */
+
+const ENCODINGS = {
+  r8: { components: 1, bits: 8 },
+  rg16: { components: 1, bits: 16 },
+  rgb8: { components: 3, bits: 8 },
+  rgb16: { components: 3, bits: 16 },
+};
+
+const DEFAULT_RANGES = {
+  rotation: [-Math.PI, Math.PI],
+  scale: [0, 2],
+  color: [0, 1],
+};
+
+/**
+ * Error for malformed sidecar metadata or images that don't match it
+ */
+export class PointCloudImageError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'PointCloudImageError';
+  }
+}
+
+/**
+ * Every image URL referenced by the metadata (relative paths as written)
+ */
+export const pointCloudImagePaths = (metadata) => {
+  const paths = new Set();
+  ['position', 'rotation', 'scale', 'color'].forEach((name) => {
+    const spec = metadata[name];
+    if (!spec || spec.constant) return;
+    if (spec.image) paths.add(spec.image);
+    if (spec.lowImage) paths.add(spec.lowImage);
+  });
+  return Array.from(paths);
+};
+
+/**
+ * Decode a point cloud from already-loaded pixels
+ *
+ * @param {object} metadata - Parsed sidecar JSON
+ * @param {Map<string, {width:number, height:number, data:Uint8ClampedArray}>} images -
+ *   RGBA8 pixels keyed by the image path used in the metadata
+ * @param {string} [source] - Used to prefix error messages
+ */
+export const decodePointCloud = (metadata, images, source) => {
+  const fail = (message) => {
+    throw new PointCloudImageError(message, source);
+  };
+
+  if (!metadata?.position) fail('metadata has no position entry');
+  const bbox = metadata.bbox;
+  if (!bbox || !Array.isArray(bbox.min) || !Array.isArray(bbox.max) || bbox.min.length !== 3 || bbox.max.length !== 3) {
+    fail('metadata bbox must have three-component min and max');
+  }
+
+  // All images must share one size, which must match the metadata if given
+  let width = metadata.width;
+  let height = metadata.height;
+  pointCloudImagePaths(metadata).forEach((path) => {
+    const image = images.get(path);
+    if (!image) fail(`image "${path}" was not loaded`);
+    if (width === undefined) width = image.width;
+    if (height === undefined) height = image.height;
+    if (image.width !== width || image.height !== height) {
+      fail(`image "${path}" is ${image.width}x${image.height}, expected ${width}x${height}`);
+    }
+  });
+
+  const pixelCount = width * height;
+  const count = metadata.count ?? pixelCount;
+  if (!Number.isInteger(count) || count < 0 || count > pixelCount) {
+    fail(`count ${metadata.count} doesn't fit a ${width}x${height} image`);
+  }
+
+  // Build a reader returning one normalised component for a pixel
+  const createReader = (name, spec) => {
+    const encoding = ENCODINGS[spec.encoding || 'rgb8'];
+    if (!encoding) fail(`${name} uses unknown encoding "${spec.encoding}"`);
+    if (spec.encoding === 'rgb16' && !spec.lowImage) fail(`${name} uses rgb16 but has no lowImage`);
+
+    const high = images.get(spec.image).data;
+    const low = spec.lowImage ? images.get(spec.lowImage).data : null;
+
+    let read;
+    if (spec.encoding === 'rg16') {
+      read = (pixel) => ((high[pixel * 4] << 8) | high[pixel * 4 + 1]) / 65535;
+    } else if (spec.encoding === 'rgb16') {
+      read = (pixel, c) => ((high[pixel * 4 + c] << 8) | low[pixel * 4 + c]) / 65535;
+    } else {
+      read = (pixel, c) => high[pixel * 4 + c] / 255;
+    }
+    return { read, components: encoding.components };
+  };
+
+  const position = createReader('position', metadata.position);
+  if (position.components !== 3) fail('position needs a three-component encoding');
+  const positionAlpha = images.get(metadata.position.image).data;
+
+  // Resolve the remaining attributes to a per-instance writer
+  const attributeWriters = ['rotation', 'scale', 'color'].map((name) => {
+    const spec = metadata[name];
+    if (!spec) return null;
+    if (spec.constant) {
+      if (spec.constant.length !== 3) fail(`${name} constant must have three values`);
+      return { name, constant: spec.constant };
+    }
+    const [min, max] = spec.range || DEFAULT_RANGES[name];
+    return { name, min, max, ...createReader(name, spec) };
+  }).filter(Boolean);
+
+  const positions = new Float32Array(count * 3);
+  const rotations = new Float32Array(count * 3);
+  const scales = new Float32Array(count * 3).fill(1);
+  const colors = new Float32Array(count * 3).fill(1);
+  const targets = { rotation: rotations, scale: scales, color: colors };
+
+  const { min, max } = bbox;
+  let written = 0;
+
+  for (let pixel = 0; pixel < count; pixel++) {
+    if (positionAlpha[pixel * 4 + 3] === 0) continue;
+    const i3 = written * 3;
+
+    for (let c = 0; c < 3; c++) {
+      positions[i3 + c] = min[c] + position.read(pixel, c) * (max[c] - min[c]);
+    }
+
+    attributeWriters.forEach((writer) => {
+      const target = targets[writer.name];
+      for (let c = 0; c < 3; c++) {
+        if (writer.constant) {
+          target[i3 + c] = writer.constant[c];
+        } else {
+          const value = writer.read(pixel, writer.components === 1 ? 0 : c);
+          target[i3 + c] = writer.min + value * (writer.max - writer.min);
+        }
+      }
+    });
+
+    written++;
+  }
+
+  return {
+    count: written,
+    bounds: { min: [...min], max: [...max] },
+    positions: positions.subarray(0, written * 3),
+    rotations: rotations.subarray(0, written * 3),
+    scales: scales.subarray(0, written * 3),
+    colors: colors.subarray(0, written * 3),
+    textureIndices: null,
+  };
+};
+
+/**
+ * Read an image's raw RGBA8 pixels without colour management or premultiplication
+ */
+export const loadImagePixels = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new PointCloudImageError(`HTTP ${response.status}`, url);
+
+  const bitmap = await createImageBitmap(await response.blob(), {
+    premultiplyAlpha: 'none',
+    colorSpaceConversion: 'none',
+  });
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  return { width: canvas.width, height: canvas.height, data };
+};
+
+/**
+ * Fetch a sidecar metadata file and every image it references, then decode
+ *
+ * @param {string} metadataUrl - URL of the sidecar JSON; image paths are relative to it
+ */
+export const loadPointCloudImage = async (metadataUrl) => {
+  const response = await fetch(metadataUrl);
+  if (!response.ok) throw new PointCloudImageError(`HTTP ${response.status}`, metadataUrl);
+  const metadata = await response.json();
+
+  const base = new URL(metadataUrl, window.location.href);
+  const paths = pointCloudImagePaths(metadata);
+  const pixels = await Promise.all(paths.map((path) => loadImagePixels(new URL(path, base).toString())));
+
+  const images = new Map(paths.map((path, i) => [path, pixels[i]]));
+  return decodePointCloud(metadata, images, metadataUrl);
+};
@@ -0,0 +1,52 @@
+import { decodePointCloud } from './pointCloudImage';
+
+// 2x1 RGBA image from a flat list of pixels
+const image = (...pixels) => ({ width: 2, height: 1, data: new Uint8ClampedArray(pixels.flat()) });
+
+const bbox = { min: [-100, -100, 0], max: [100, 100, 10] };
+
+test('decodes 8-bit positions onto the bbox and skips empty pixels', () => {
+  const images = new Map([['pos.png', image([255, 0, 0, 255], [0, 0, 0, 0])]]);
+  const decoded = decodePointCloud({ bbox, position: { image: 'pos.png' } }, images);
+
+  expect(decoded.count).toBe(1);
+  expect(Array.from(decoded.positions)).toEqual([100, -100, 0]);
+});
+
+test('combines high and low images for 16-bit positions', () => {
+  const images = new Map([
+    ['hi.png', image([128, 0, 255, 255], [0, 0, 0, 255])],
+    ['lo.png', image([0, 255, 255, 255], [0, 0, 1, 255])],
+  ]);
+  const decoded = decodePointCloud({
+    bbox,
+    position: { image: 'hi.png', lowImage: 'lo.png', encoding: 'rgb16' },
+  }, images);
+
+  expect(decoded.positions[0]).toBeCloseTo(-100 + (0x8000 / 65535) * 200, 4);
+  expect(decoded.positions[1]).toBeCloseTo(-100 + (0x00ff / 65535) * 200, 4);
+  expect(decoded.positions[2]).toBeCloseTo(10, 4);
+  expect(decoded.positions[5]).toBeCloseTo(10 / 65535, 6);
+});
+
+test('reads a single 16-bit scale split across R and G', () => {
+  const images = new Map([
+    ['pos.png', image([0, 0, 0, 255], [0, 0, 0, 255])],
+    ['scale.png', image([255, 255, 0, 255], [0, 0, 0, 255])],
+  ]);
+  const decoded = decodePointCloud({
+    bbox,
+    position: { image: 'pos.png' },
+    scale: { image: 'scale.png', encoding: 'rg16', range: [0, 4] },
+    rotation: { constant: [Math.PI / 2, 0, 0] },
+  }, images);
+
+  expect(Array.from(decoded.scales.subarray(0, 3))).toEqual([4, 4, 4]);
+  expect(decoded.rotations[0]).toBeCloseTo(Math.PI / 2);
+});
+
+test('rejects images that disagree with the metadata size', () => {
+  const images = new Map([['pos.png', image([0, 0, 0, 255], [0, 0, 0, 255])]]);
+  expect(() => decodePointCloud({ width: 639, height: 639, bbox, position: { image: 'pos.png' } }, images, 'meta.json'))
+    .toThrow(/meta\.json: image "pos.png" is 2x1, expected 639x639/);
+});
@@ -0,0 +1,50 @@
+/**
+ * Small seedable PRNG (mulberry32)
+ *
+ * Fast, 32-bit state, good enough for scattering and jitter. Same seed, same
+ * sequence on every machine, so bakes and renders are reproducible.
+ */
+
+/**
+ * Hash any string or number into a 32-bit seed
+ */
+export const hashSeed = (seed) => {
+  const text = String(seed);
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+};
+
+/**
+ * Create a random generator returning floats in [0, 1)
+ *
+ * @param {string|number} seed
+ * @returns {() => number}
+ */
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const DEFAULT_SEED = 'crystal-ridge';
+
+/**
+ * Resolve the scene seed: `?seed=` in the URL wins, then REACT_APP_SEED from
+ * the app config, then a fixed default so plain reloads look identical
+ */
+export const getAppSeed = () => {
+  if (typeof window !== 'undefined') {
+    const fromUrl = new URLSearchParams(window.location.search).get('seed');
+    if (fromUrl) return fromUrl;
+  }
+  return process.env.REACT_APP_SEED || DEFAULT_SEED;
+};
@@ -0,0 +1,18 @@
+import { createRandom } from './random';
+
+const take = (random, n) => Array.from({ length: n }, () => random());
+
+test('same seed gives the same sequence', () => {
+  expect(take(createRandom('crystal-ridge'), 5)).toEqual(take(createRandom('crystal-ridge'), 5));
+});
+
+test('different seeds diverge', () => {
+  expect(take(createRandom(1), 5)).not.toEqual(take(createRandom(2), 5));
+});
+
+test('values stay in [0, 1)', () => {
+  take(createRandom('range'), 1000).forEach((value) => {
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * Deterministic session recording and replay
+ *
+ * The sphere simulates in fixed steps (`FixedStepper`), so a run is fully
+ * described by its starting pose and the target it was steered towards at
+ * each step. Pointer, keyboard, gamepad, joystick and flythrough steering all
+ * end up as that target, so it's what gets recorded; raw keys and sticks are
+ * relative to a camera that isn't part of the replay. App changes that affect
+ * the scene (swarm and ribbon modes) are recorded as named events.
+ *
+ * Targets are snapped to millimetres while recording, so the live run uses
+ * exactly the values the file stores and a replay reproduces it step for
+ * step on any machine. Physics mode is the exception: Rapier runs on its own
+ * clock, so replays there are close but not exact. Only the sphere runs on
+ * the step clock: the swarm particles and ribbons animate on the frame clock,
+ * so they react to the replayed sphere and modes without matching frame for
+ * frame.
+ *
+ * File format (JSON):
+ *
+ *   {
+ *     "format": "sphere-session", "version": 1,
+ *     "timestep": 0.016666, "seed": 1, "steps": 1800,
+ *     "start": { "position": [x, y, z], "rotation": [x, y, z, w] },  // mm, unit quaternion
+ *     "targets": [dStep, dx, dy, dz, ...],   // deltas from the previous target, mm
+ *     "app": [[step, name, value], ...]
+ *   }
+ */
+
+export const FIXED_TIMESTEP = 1 / 60;
+const MAX_STEPS_PER_FRAME = 5; // Beyond this a slow frame drops time instead of spiralling
+export const SESSION_FORMAT = 'sphere-session';
+export const SESSION_VERSION = 1;
+const UNITS_PER_METRE = 1000;
+
+const quantize = (value) => Math.round(value * UNITS_PER_METRE);
+
+export class SessionError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'SessionError';
+  }
+}
+
+/**
+ * Turns variable frame deltas into whole fixed steps
+ */
+export class FixedStepper {
+  constructor(timestep = FIXED_TIMESTEP, maxSteps = MAX_STEPS_PER_FRAME) {
+    this.timestep = timestep;
+    this.maxSteps = maxSteps;
+    this.accumulator = 0;
+    this.alpha = 0; // How far between the last two steps the frame falls, for interpolation
+  }
+
+  /**
+   * @param {number} delta - Seconds since the last frame
+   * @param {(timestep: number) => void} onStep - Called once per whole step
+   * @returns {number} Steps run
+   */
+  advance(delta, onStep) {
+    this.accumulator += delta;
+    let steps = 0;
+    while (this.accumulator >= this.timestep && steps < this.maxSteps) {
+      onStep(this.timestep);
+      this.accumulator -= this.timestep;
+      steps++;
+    }
+    if (this.accumulator >= this.timestep) this.accumulator %= this.timestep;
+    this.alpha = this.accumulator / this.timestep;
+    return steps;
+  }
+}
+
+/**
+ * Compact file form of a recording
+ */
+export const encodeSession = ({ seed, steps, start, targets, app }) => {
+  const flat = [];
+  let previous = { step: 0, x: 0, y: 0, z: 0 };
+  targets.forEach((target) => {
+    flat.push(target.step - previous.step, target.x - previous.x, target.y - previous.y, target.z - previous.z);
+    previous = target;
+  });
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    timestep: FIXED_TIMESTEP,
+    seed,
+    steps,
+    start,
+    targets: flat,
+    app: app.map(({ step, name, value }) => [step, name, value]),
+  };
+};
+
+/**
+ * Validate and expand a session file
+ *
+ * @param {object} data - Parsed JSON
+ * @param {string} [source] - File name for error messages
+ */
+export const decodeSession = (data, source) => {
+  if (!data || data.format !== SESSION_FORMAT) throw new SessionError('not a sphere session recording', source);
+  if (data.version !== SESSION_VERSION) throw new SessionError(`unsupported session version ${data.version}`, source);
+  if (Math.abs(data.timestep - FIXED_TIMESTEP) > 1e-9) {
+    throw new SessionError(`recorded at a ${data.timestep}s timestep, expected ${FIXED_TIMESTEP}s`, source);
+  }
+  if (!Number.isInteger(data.steps) || data.steps < 0) throw new SessionError('missing step count', source);
+  const { position, rotation } = data.start || {};
+  if (!Array.isArray(position) || position.length !== 3 || !Array.isArray(rotation) || rotation.length !== 4) {
+    throw new SessionError('missing start pose', source);
+  }
+  if (!Array.isArray(data.targets) || data.targets.length % 4 !== 0 || !data.targets.every(Number.isInteger)) {
+    throw new SessionError('targets must be groups of four integers', source);
+  }
+
+  const targets = new Map();
+  let step = 0;
+  let x = 0;
+  let y = 0;
+  let z = 0;
+  for (let i = 0; i < data.targets.length; i += 4) {
+    step += data.targets[i];
+    x += data.targets[i + 1];
+    y += data.targets[i + 2];
+    z += data.targets[i + 3];
+    targets.set(step, [x, y, z]);
+  }
+
+  const app = (data.app || []).map(([eventStep, name, value]) => ({ step: eventStep, name, value }))
+    .sort((a, b) => a.step - b.step);
+
+  return { seed: data.seed, steps: data.steps, start: { position, rotation }, targets, app };
+};
+
+export class SessionRecorder {
+  constructor() {
+    this.state = 'idle'; // 'idle', 'recording', 'replaying'
+    this.stepIndex = 0;
+    this.recording = null;
+    this.replay = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Hear about state changes (`{ type: 'state', state }`) and replayed app
+   * events (`{ type: 'app', name, value, step }`)
+   *
+   * @returns {() => void} Unsubscribes
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+
+  setState(state) {
+    this.state = state;
+    this.emit({ type: 'state', state });
+  }
+
+  get isRecording() {
+    return this.state === 'recording';
+  }
+
+  get isReplaying() {
+    return this.state === 'replaying';
+  }
+
+  /**
+   * Start recording from the next step
+   *
+   * @param {{ seed?: number, appState?: object }} [options] - Scene seed, and
+   *   app settings to record as the starting point (e.g. `{ ribbonMode }`)
+   */
+  startRecording({ seed = 0, appState = {} } = {}) {
+    this.stepIndex = 0;
+    this.replay = null;
+    this.recording = { seed, start: null, targets: [], app: [], lastTarget: null };
+    this.setState('recording');
+    Object.entries(appState).forEach(([name, value]) => this.recordAppEvent(name, value));
+  }
+
+  /**
+   * Note an app change at the current step; ignored unless recording
+   */
+  recordAppEvent(name, value) {
+    if (!this.isRecording) return;
+    this.recording.app.push({ step: this.stepIndex, name, value });
+  }
+
+  /**
+   * Finish recording
+   *
+   * @returns {object|null} The session in file form
+   */
+  stopRecording() {
+    if (!this.isRecording) return null;
+    const { seed, start, targets, app } = this.recording;
+    this.recording = null;
+    this.setState('idle');
+    if (!start) return null; // Stopped before a single step ran
+    return encodeSession({ seed, steps: this.stepIndex, start, targets, app });
+  }
+
+  /**
+   * Replay a session file from its first step
+   */
+  startReplay(data, source) {
+    if (this.isRecording) this.stopRecording();
+    this.replay = { ...decodeSession(data, source), nextApp: 0 };
+    this.stepIndex = 0;
+    this.setState('replaying');
+  }
+
+  stopReplay() {
+    if (!this.isReplaying) return;
+    this.replay = null;
+    this.setState('idle');
+  }
+
+  /** Replay progress, 0..1 */
+  get progress() {
+    return this.replay && this.replay.steps > 0 ? Math.min(this.stepIndex / this.replay.steps, 1) : 0;
+  }
+
+  /**
+   * Call once per fixed step, before simulating it. Recording stores the
+   * target (and the starting pose on the first step); replaying overwrites
+   * them from the file and fires that step's app events.
+   *
+   * @param {THREE.Vector3} target - The sphere's steering target
+   * @param {THREE.Vector3} position - The sphere's simulated position
+   * @param {THREE.Quaternion} rotation - The sphere's rotation
+   */
+  step(target, position, rotation) {
+    if (this.isRecording) {
+      const recording = this.recording;
+      if (!recording.start) {
+        position.set(quantize(position.x), quantize(position.y), quantize(position.z)).divideScalar(UNITS_PER_METRE);
+        recording.start = {
+          position: [quantize(position.x), quantize(position.y), quantize(position.z)],
+          rotation: rotation.toArray(),
+        };
+      }
+
+      const snapped = { step: this.stepIndex, x: quantize(target.x), y: quantize(target.y), z: quantize(target.z) };
+      target.set(snapped.x, snapped.y, snapped.z).divideScalar(UNITS_PER_METRE);
+      const last = recording.lastTarget;
+      if (!last || last.x !== snapped.x || last.y !== snapped.y || last.z !== snapped.z) {
+        recording.targets.push(snapped);
+        recording.lastTarget = snapped;
+      }
+    } else if (this.isReplaying) {
+      const replay = this.replay;
+      while (replay.nextApp < replay.app.length && replay.app[replay.nextApp].step <= this.stepIndex) {
+        this.emit({ type: 'app', ...replay.app[replay.nextApp] });
+        replay.nextApp++;
+      }
+      if (this.stepIndex >= replay.steps) {
+        this.stopReplay();
+        return;
+      }
+      if (this.stepIndex === 0) {
+        position.fromArray(replay.start.position).divideScalar(UNITS_PER_METRE);
+        rotation.fromArray(replay.start.rotation).normalize();
+      }
+
+      const recorded = replay.targets.get(this.stepIndex);
+      if (recorded) target.fromArray(recorded).divideScalar(UNITS_PER_METRE);
+    } else {
+      return;
+    }
+    this.stepIndex++;
+  }
+}
+
+const sessionRecorder = new SessionRecorder();
+
+export default sessionRecorder;
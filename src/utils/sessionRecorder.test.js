@@ -0,0 +1,82 @@
+import * as THREE from 'three';
+import {
+  decodeSession,
+  encodeSession,
+  FIXED_TIMESTEP,
+  FixedStepper,
+  SessionError,
+  SessionRecorder,
+} from './sessionRecorder';
+
+// Minimal stand-in for the sphere's fixed-step movement
+const simulate = (recorder, frames, steer) => {
+  const stepper = new FixedStepper();
+  const target = new THREE.Vector3();
+  const position = new THREE.Vector3(1.23456, 0, 0);
+  const rotation = new THREE.Quaternion();
+  const path = [];
+  frames.forEach((delta, frame) => {
+    steer(target, frame);
+    stepper.advance(delta, () => {
+      recorder.step(target, position, rotation);
+      position.lerp(target, 0.1);
+      path.push(position.clone());
+    });
+  });
+  return path;
+};
+
+test('runs whole fixed steps and keeps the remainder', () => {
+  const stepper = new FixedStepper();
+  let steps = 0;
+  expect(stepper.advance(FIXED_TIMESTEP * 2.5, () => steps++)).toBe(2);
+  expect(stepper.alpha).toBeCloseTo(0.5);
+  stepper.advance(FIXED_TIMESTEP * 0.6, () => steps++);
+  expect(steps).toBe(3);
+
+  // A long stall runs at most the cap and drops the rest
+  expect(stepper.advance(10, () => {})).toBe(5);
+  expect(stepper.accumulator).toBeLessThan(FIXED_TIMESTEP);
+});
+
+test('replays a recording step for step despite different frame rates', () => {
+  const recorder = new SessionRecorder();
+  const events = [];
+  recorder.subscribe((event) => events.push(event));
+
+  recorder.startRecording({ seed: 7, appState: { ribbonMode: 'both' } });
+  const steer = (target, frame) => target.set(Math.sin(frame * 0.3) * 10.00001, 0, frame * 0.05);
+  const recordedPath = simulate(recorder, Array(90).fill(1 / 45), steer);
+  recorder.recordAppEvent('swarmMode', 'swarm');
+  const file = JSON.parse(JSON.stringify(recorder.stopRecording()));
+
+  expect(file.seed).toBe(7);
+  expect(file.steps).toBe(recordedPath.length);
+  expect(file.targets.every(Number.isInteger)).toBe(true);
+
+  recorder.startReplay(file);
+  const replayedPath = simulate(recorder, Array(300).fill(1 / 144), () => {});
+  expect(replayedPath.length).toBeGreaterThanOrEqual(recordedPath.length);
+  recordedPath.forEach((point, i) => expect(replayedPath[i].equals(point)).toBe(true));
+
+  expect(recorder.state).toBe('idle');
+  const appEvents = events.filter((event) => event.type === 'app');
+  expect(appEvents.map(({ name, value, step }) => [name, value, step]))
+    .toEqual([['ribbonMode', 'both', 0], ['swarmMode', 'swarm', recordedPath.length]]);
+});
+
+test('encodes targets as integer deltas and rejects foreign files', () => {
+  const encoded = encodeSession({
+    seed: 1,
+    steps: 10,
+    start: { position: [0, 0, 0], rotation: [0, 0, 0, 1] },
+    targets: [{ step: 0, x: 1000, y: 0, z: 0 }, { step: 4, x: 1500, y: 0, z: -200 }],
+    app: [],
+  });
+  expect(encoded.targets).toEqual([0, 1000, 0, 0, 4, 500, 0, -200]);
+  expect(decodeSession(encoded).targets.get(4)).toEqual([1500, 0, -200]);
+
+  expect(() => decodeSession({ format: 'other' }, 'take.json'))
+    .toThrow(new SessionError('not a sphere session recording', 'take.json'));
+  expect(() => decodeSession({ ...encoded, targets: [1, 2, 3] })).toThrow(SessionError);
+});
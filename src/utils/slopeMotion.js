@@ -0,0 +1,37 @@
+/**
+ * Slope-aware movement helpers
+ *
+ * Gradients are rise over run along the direction of travel: 0 is flat,
+ * 1 is a 45° climb, negative values are downhill.
+ */
+
+export const DEFAULT_MAX_CLIMB_GRADIENT = 0.7; // ~35°; anything steeper can't be climbed
+const UPHILL_DRAG = 0.8; // Speed lost approaching the max gradient (1 = stop dead at the limit)
+const DOWNHILL_BOOST = 0.6; // Extra speed per unit of downhill gradient
+const MAX_DOWNHILL_FACTOR = 1.6;
+
+/**
+ * Gradient of a height function at (x, z) along a horizontal unit direction
+ *
+ * @param {(x:number, z:number) => number} getHeightAt
+ * @param {number} probe - Half the distance sampled either side of the point
+ */
+export const gradientAlong = (getHeightAt, x, z, dirX, dirZ, probe) => {
+  const ahead = getHeightAt(x + dirX * probe, z + dirZ * probe);
+  const behind = getHeightAt(x - dirX * probe, z - dirZ * probe);
+  return (ahead - behind) / (2 * probe);
+};
+
+/**
+ * Speed multiplier for moving along `gradient`
+ *
+ * Uphill slows down smoothly towards the max climbable gradient and returns 0
+ * beyond it; downhill speeds up, capped so long descents don't run away.
+ */
+export const slopeSpeedFactor = (gradient, maxClimbGradient = DEFAULT_MAX_CLIMB_GRADIENT) => {
+  if (gradient >= 0) {
+    if (gradient > maxClimbGradient) return 0;
+    return 1 - UPHILL_DRAG * (gradient / maxClimbGradient);
+  }
+  return Math.min(1 - gradient * DOWNHILL_BOOST, MAX_DOWNHILL_FACTOR);
+};
@@ -0,0 +1,17 @@
+import { gradientAlong, slopeSpeedFactor } from './slopeMotion';
+
+test('measures rise over run along the direction of travel', () => {
+  const ramp = (x) => x * 0.5;
+  expect(gradientAlong(ramp, 3, 0, 1, 0, 0.5)).toBeCloseTo(0.5);
+  expect(gradientAlong(ramp, 3, 0, -1, 0, 0.5)).toBeCloseTo(-0.5);
+  expect(gradientAlong(ramp, 3, 0, 0, 1, 0.5)).toBeCloseTo(0);
+});
+
+test('slows uphill, blocks past the max gradient and speeds up downhill', () => {
+  expect(slopeSpeedFactor(0, 0.7)).toBe(1);
+  expect(slopeSpeedFactor(0.35, 0.7)).toBeCloseTo(0.6);
+  expect(slopeSpeedFactor(0.7, 0.7)).toBeCloseTo(0.2);
+  expect(slopeSpeedFactor(0.71, 0.7)).toBe(0);
+  expect(slopeSpeedFactor(-0.5, 0.7)).toBeCloseTo(1.3);
+  expect(slopeSpeedFactor(-5, 0.7)).toBe(1.6);
+});
@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+
+/**
+ * Shared terrain height service
+ *
+ * The active ground registers a height source here (any object with
+ * `getHeightAt(x, z)` and `getNormalAt(x, z, target)`, e.g. a height grid from
+ * utils/heightfield), and everything that needs to stand on the terrain
+ * queries it instead of raycasting or searching the scene for a ground mesh.
+ *
+ * Registrations stack: the newest ground answers, and unregistering it hands
+ * back to the previous one, so swapping terrains never leaves a gap.
+ */
+export class TerrainHeightService {
+  constructor() {
+    this.sources = [];
+    this.listeners = new Set();
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this.active));
+  }
+
+  /**
+   * Be told whenever the active ground changes (e.g. to rebuild a collider)
+   *
+   * @param {(ground: object|null) => void} listener
+   * @returns {() => void} Unsubscribes
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Make `source` the active ground
+   *
+   * @returns {() => void} Unregisters the source
+   */
+  register(source) {
+    this.sources.push(source);
+    this.notify();
+    return () => {
+      const index = this.sources.lastIndexOf(source);
+      if (index === -1) return;
+      this.sources.splice(index, 1);
+      this.notify();
+    };
+  }
+
+  /** Whether any ground is registered */
+  get hasGround() {
+    return this.sources.length > 0;
+  }
+
+  get active() {
+    return this.sources[this.sources.length - 1] ?? null;
+  }
+
+  /**
+   * World height of the ground at (x, z)
+   *
+   * @param {number} x
+   * @param {number} z
+   * @param {number} [fallback] - Returned while no ground is registered
+   */
+  getHeightAt(x, z, fallback = 0) {
+    const source = this.active;
+    return source ? source.getHeightAt(x, z) : fallback;
+  }
+
+  /**
+   * Unit ground normal at (x, z); straight up while no ground is registered
+   */
+  getNormalAt(x, z, target = new THREE.Vector3()) {
+    const source = this.active;
+    return source ? source.getNormalAt(x, z, target) : target.set(0, 1, 0);
+  }
+}
+
+const terrainHeight = new TerrainHeightService();
+
+export default terrainHeight;
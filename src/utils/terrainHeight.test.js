@@ -0,0 +1,36 @@
+import { TerrainHeightService } from './terrainHeight';
+
+const flatGround = (height) => ({
+  getHeightAt: () => height,
+  getNormalAt: (x, z, target) => target.set(0, 1, 0),
+});
+
+test('answers from the newest registered ground and falls back without one', () => {
+  const service = new TerrainHeightService();
+  expect(service.hasGround).toBe(false);
+  expect(service.getHeightAt(1, 2, -1)).toBe(-1);
+  expect(service.getNormalAt(1, 2).toArray()).toEqual([0, 1, 0]);
+
+  const unregisterGlb = service.register(flatGround(3));
+  const unregisterHeightfield = service.register(flatGround(7));
+  expect(service.getHeightAt(0, 0)).toBe(7);
+
+  unregisterHeightfield();
+  expect(service.getHeightAt(0, 0)).toBe(3);
+  unregisterGlb();
+  expect(service.hasGround).toBe(false);
+});
+
+test('notifies subscribers when the active ground changes', () => {
+  const service = new TerrainHeightService();
+  const seen = [];
+  const unsubscribe = service.subscribe((ground) => seen.push(ground));
+
+  const ground = flatGround(2);
+  const unregister = service.register(ground);
+  unregister();
+  unsubscribe();
+  service.register(flatGround(4));
+
+  expect(seen).toEqual([ground, null]);
+});
@@ -0,0 +1,63 @@
+/**
+ * Two-finger gesture maths for the follow camera
+ *
+ * Touches are `{ x, y }` in screen pixels. A gesture step compares the same
+ * two fingers before and after a move: the midpoint's travel drives orbiting
+ * and the change in finger spread drives pinch zoom.
+ */
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+export const touchDistance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+/**
+ * @param {Array<{x:number, y:number}>} previous - Two touches before the move
+ * @param {Array<{x:number, y:number}>} next - The same two touches after it
+ * @returns {{ panX: number, panY: number, scale: number }} Midpoint travel in
+ *   pixels and spread ratio (> 1 when the fingers move apart)
+ */
+export const twoFingerGesture = (previous, next) => {
+  const before = midpoint(previous[0], previous[1]);
+  const after = midpoint(next[0], next[1]);
+  const spreadBefore = touchDistance(previous[0], previous[1]);
+  const spreadAfter = touchDistance(next[0], next[1]);
+  return {
+    panX: after.x - before.x,
+    panY: after.y - before.y,
+    scale: spreadBefore > 0 ? spreadAfter / spreadBefore : 1,
+  };
+};
+
+/**
+ * Tracks active touch pointers by id from pointer events
+ */
+export class TouchTracker {
+  constructor() {
+    this.touches = new Map();
+  }
+
+  get count() {
+    return this.touches.size;
+  }
+
+  down(event) {
+    this.touches.set(event.pointerId, { x: event.clientX, y: event.clientY });
+  }
+
+  /**
+   * Record a move; returns the gesture step when exactly two fingers are down
+   */
+  move(event) {
+    const touch = this.touches.get(event.pointerId);
+    if (!touch) return null;
+
+    const previous = this.count === 2 ? Array.from(this.touches.values(), ({ x, y }) => ({ x, y })) : null;
+    touch.x = event.clientX;
+    touch.y = event.clientY;
+    return previous ? twoFingerGesture(previous, Array.from(this.touches.values())) : null;
+  }
+
+  up(event) {
+    this.touches.delete(event.pointerId);
+  }
+}
@@ -0,0 +1,27 @@
+import { TouchTracker, touchDistance, twoFingerGesture } from './touchGestures';
+
+test('measures pinch and midpoint travel between two touches', () => {
+  expect(touchDistance({ x: 0, y: 0 }, { x: 3, y: 4 })).toBe(5);
+
+  const step = twoFingerGesture(
+    [{ x: 0, y: 0 }, { x: 100, y: 0 }],
+    [{ x: -40, y: 10 }, { x: 160, y: 10 }]
+  );
+  expect(step).toEqual({ panX: 10, panY: 10, scale: 2 });
+});
+
+test('only reports gestures while exactly two fingers are down', () => {
+  const tracker = new TouchTracker();
+  tracker.down({ pointerId: 1, clientX: 0, clientY: 0 });
+  expect(tracker.move({ pointerId: 1, clientX: 5, clientY: 0 })).toBeNull();
+
+  tracker.down({ pointerId: 2, clientX: 105, clientY: 0 });
+  expect(tracker.count).toBe(2);
+  const step = tracker.move({ pointerId: 2, clientX: 205, clientY: 0 });
+  expect(step.scale).toBeCloseTo(2);
+  expect(step.panX).toBeCloseTo(50);
+
+  tracker.up({ pointerId: 1 });
+  expect(tracker.move({ pointerId: 2, clientX: 0, clientY: 0 })).toBeNull();
+  expect(tracker.move({ pointerId: 9, clientX: 0, clientY: 0 })).toBeNull();
+});
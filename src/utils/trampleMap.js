@@ -0,0 +1,223 @@
+import * as THREE from 'three';
+
+/**
+ * Trample map: a GPU texture of flattened grass in world XZ
+ *
+ * Actors paint capsule-shaped stamps (the segment they moved along this
+ * frame) into a square window that follows a focus point, usually the player.
+ * Every frame the map decays towards zero, so paths recover over
+ * `recoveryTime` seconds however long they are. Grass samples it once per
+ * vertex at the blade root, so the cost no longer grows with trail length.
+ *
+ * Texel layout (RGBA half float):
+ *   rg  unit direction blades are pushed in (away from the stamp's spine)
+ *   b   trample strength 0-1, decaying linearly
+ *
+ * The window scrolls in whole texels as the focus moves; anything scrolled out
+ * of the window is forgotten.
+ */
+
+export const MAX_TRAMPLE_STAMPS = 16; // Stamps applied per frame; extras wait for the next
+
+const DEFAULT_RESOLUTION = 512;
+const DEFAULT_WORLD_SIZE = 96; // World units covered by the window
+const DEFAULT_RECOVERY_TIME = 3.0; // Seconds for fully trampled grass to stand back up
+
+/**
+ * Snap a window centred on `focus` to the texel grid
+ *
+ * @param {number} focusX - World X the window should be centred on
+ * @param {number} focusZ - World Z the window should be centred on
+ * @param {number} worldSize - Window width in world units
+ * @param {number} resolution - Window width in texels
+ * @returns {{ minX: number, minZ: number }} World position of the window's corner
+ */
+export const snapTrampleWindow = (focusX, focusZ, worldSize, resolution) => {
+  const texel = worldSize / resolution;
+  return {
+    minX: Math.round((focusX - worldSize / 2) / texel) * texel,
+    minZ: Math.round((focusZ - worldSize / 2) / texel) * texel,
+  };
+};
+
+const UPDATE_VERTEX = `
+varying vec2 vUv;
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+const UPDATE_FRAGMENT = `
+uniform sampler2D previous;
+uniform vec2 scroll;       // UV shift from the previous window to this one
+uniform vec2 windowMin;    // World XZ of the window corner
+uniform float worldSize;
+uniform float decay;       // Strength lost this frame
+uniform vec4 stampSegments[${MAX_TRAMPLE_STAMPS}]; // from.xz, to.xz
+uniform vec2 stampParams[${MAX_TRAMPLE_STAMPS}];   // radius, strength
+uniform int stampCount;
+
+varying vec2 vUv;
+
+void main() {
+  // Carry the previous frame over, scrolled and decayed
+  vec2 previousUv = vUv + scroll;
+  vec4 state = vec4(0.0);
+  if (all(greaterThanEqual(previousUv, vec2(0.0))) && all(lessThanEqual(previousUv, vec2(1.0)))) {
+    state = texture2D(previous, previousUv);
+  }
+  state.b = max(state.b - decay, 0.0);
+
+  // Stamp capsules; the strongest influence owns the direction
+  vec2 world = windowMin + vUv * worldSize;
+  for (int i = 0; i < ${MAX_TRAMPLE_STAMPS}; i++) {
+    if (i >= stampCount) break;
+
+    vec2 from = stampSegments[i].xy;
+    vec2 to = stampSegments[i].zw;
+    vec2 spine = to - from;
+    float t = clamp(dot(world - from, spine) / max(dot(spine, spine), 1e-6), 0.0, 1.0);
+    vec2 away = world - (from + spine * t);
+    float distanceToSpine = length(away);
+
+    float radius = stampParams[i].x;
+    if (distanceToSpine >= radius) continue;
+
+    float influence = 1.0 - distanceToSpine / radius;
+    influence = influence * influence * (3.0 - 2.0 * influence) * stampParams[i].y;
+
+    if (influence > state.b) {
+      // Right on the spine there's no "away"; push along the motion instead
+      vec2 direction = distanceToSpine > 1e-4 ? away / distanceToSpine : normalize(spine + vec2(1e-6));
+      state = vec4(direction, influence, 1.0);
+    }
+  }
+
+  gl_FragColor = state;
+}
+`;
+
+export default class TrampleMap {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.resolution] - Texels across the window
+   * @param {number} [options.worldSize] - World units across the window
+   * @param {number} [options.recoveryTime] - Seconds for trampled grass to recover
+   */
+  constructor({
+    resolution = DEFAULT_RESOLUTION,
+    worldSize = DEFAULT_WORLD_SIZE,
+    recoveryTime = DEFAULT_RECOVERY_TIME,
+  } = {}) {
+    this.resolution = resolution;
+    this.worldSize = worldSize;
+    this.recoveryTime = recoveryTime;
+    this.window = { minX: -worldSize / 2, minZ: -worldSize / 2 };
+    this.pendingStamps = [];
+
+    const targetOptions = {
+      type: THREE.HalfFloatType,
+      format: THREE.RGBAFormat,
+      minFilter: THREE.LinearFilter,
+      magFilter: THREE.LinearFilter,
+      depthBuffer: false,
+      stencilBuffer: false,
+    };
+    this.targets = [
+      new THREE.WebGLRenderTarget(resolution, resolution, targetOptions),
+      new THREE.WebGLRenderTarget(resolution, resolution, targetOptions),
+    ];
+    this.current = 0;
+
+    this.material = new THREE.ShaderMaterial({
+      vertexShader: UPDATE_VERTEX,
+      fragmentShader: UPDATE_FRAGMENT,
+      uniforms: {
+        previous: { value: null },
+        scroll: { value: new THREE.Vector2() },
+        windowMin: { value: new THREE.Vector2() },
+        worldSize: { value: worldSize },
+        decay: { value: 0 },
+        stampSegments: { value: Array.from({ length: MAX_TRAMPLE_STAMPS }, () => new THREE.Vector4()) },
+        stampParams: { value: Array.from({ length: MAX_TRAMPLE_STAMPS }, () => new THREE.Vector2()) },
+        stampCount: { value: 0 },
+      },
+      depthTest: false,
+      depthWrite: false,
+    });
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+    this.quad.frustumCulled = false;
+    this.scene = new THREE.Scene();
+    this.scene.add(this.quad);
+    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+    // Shader-facing window description: minX, minZ, 1 / worldSize
+    this.bounds = new THREE.Vector3();
+    this.updateBounds();
+  }
+
+  /** Texture holding the latest trample state */
+  get texture() {
+    return this.targets[this.current].texture;
+  }
+
+  updateBounds() {
+    this.bounds.set(this.window.minX, this.window.minZ, 1 / this.worldSize);
+  }
+
+  /**
+   * Queue a capsule stamp along the segment an actor moved this frame
+   *
+   * @param {THREE.Vector3} from - World position at the start of the move
+   * @param {THREE.Vector3} to - World position now
+   * @param {number} radius - Stamp radius in world units
+   * @param {number} [strength] - Peak trample strength 0-1
+   */
+  stamp(from, to, radius, strength = 1) {
+    this.pendingStamps.push({ fromX: from.x, fromZ: from.z, toX: to.x, toZ: to.z, radius, strength });
+  }
+
+  /**
+   * Scroll, decay and apply queued stamps
+   *
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {number} delta - Seconds since the last update
+   * @param {THREE.Vector3} focus - World position the window should follow
+   */
+  update(renderer, delta, focus) {
+    const uniforms = this.material.uniforms;
+    const previousWindow = this.window;
+    this.window = snapTrampleWindow(focus.x, focus.z, this.worldSize, this.resolution);
+
+    uniforms.previous.value = this.targets[this.current].texture;
+    uniforms.scroll.value.set(
+      (this.window.minX - previousWindow.minX) / this.worldSize,
+      (this.window.minZ - previousWindow.minZ) / this.worldSize
+    );
+    uniforms.windowMin.value.set(this.window.minX, this.window.minZ);
+    uniforms.decay.value = delta / this.recoveryTime;
+
+    const stamps = this.pendingStamps.splice(0, MAX_TRAMPLE_STAMPS);
+    stamps.forEach((stamp, i) => {
+      uniforms.stampSegments.value[i].set(stamp.fromX, stamp.fromZ, stamp.toX, stamp.toZ);
+      uniforms.stampParams.value[i].set(stamp.radius, stamp.strength);
+    });
+    uniforms.stampCount.value = stamps.length;
+
+    const next = 1 - this.current;
+    const previousTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(this.targets[next]);
+    renderer.render(this.scene, this.camera);
+    renderer.setRenderTarget(previousTarget);
+    this.current = next;
+
+    this.updateBounds();
+  }
+
+  dispose() {
+    this.targets.forEach((target) => target.dispose());
+    this.material.dispose();
+    this.quad.geometry.dispose();
+  }
+}
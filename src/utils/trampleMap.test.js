@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+import TrampleMap, { MAX_TRAMPLE_STAMPS, snapTrampleWindow } from './trampleMap';
+
+// WebGLRenderer stand-in: records the target each update renders into
+const fakeGl = () => {
+  let target = null;
+  const rendered = [];
+  return {
+    rendered,
+    getRenderTarget: () => target,
+    setRenderTarget: (next) => { target = next; },
+    render: () => rendered.push(target),
+  };
+};
+
+test('centres the window on the focus, snapped to whole texels', () => {
+  expect(snapTrampleWindow(0, 0, 96, 512)).toEqual({ minX: -48, minZ: -48 });
+
+  const texel = 96 / 512;
+  const { minX, minZ } = snapTrampleWindow(10.05, -3.3, 96, 512);
+  expect(Math.abs(minX / texel - Math.round(minX / texel))).toBeLessThan(1e-9);
+  expect(Math.abs(minZ / texel - Math.round(minZ / texel))).toBeLessThan(1e-9);
+  expect(Math.abs(minX - (10.05 - 48))).toBeLessThanOrEqual(texel / 2);
+  expect(Math.abs(minZ - (-3.3 - 48))).toBeLessThanOrEqual(texel / 2);
+});
+
+test('applies at most MAX_TRAMPLE_STAMPS a frame and carries the rest over', () => {
+  const trample = new TrampleMap({ resolution: 8 });
+  const gl = fakeGl();
+  const { uniforms } = trample.material;
+  const extra = 4;
+  for (let i = 0; i < MAX_TRAMPLE_STAMPS + extra; i++) {
+    trample.stamp(new THREE.Vector3(i, 0, 0), new THREE.Vector3(i + 1, 0, 1), 0.5, 0.8);
+  }
+
+  trample.update(gl, 0.016, new THREE.Vector3());
+  expect(uniforms.stampCount.value).toBe(MAX_TRAMPLE_STAMPS);
+  expect(uniforms.stampSegments.value[0].toArray()).toEqual([0, 0, 1, 1]);
+  expect(uniforms.stampParams.value[0].toArray()).toEqual([0.5, 0.8]);
+
+  trample.update(gl, 0.016, new THREE.Vector3());
+  expect(uniforms.stampCount.value).toBe(extra);
+  expect(uniforms.stampSegments.value[0].x).toBe(MAX_TRAMPLE_STAMPS);
+
+  trample.update(gl, 0.016, new THREE.Vector3());
+  expect(uniforms.stampCount.value).toBe(0);
+  trample.dispose();
+});
+
+test('decays by the share of the recovery time that passed', () => {
+  const trample = new TrampleMap({ resolution: 8, recoveryTime: 4 });
+  trample.update(fakeGl(), 0.5, new THREE.Vector3());
+  expect(trample.material.uniforms.decay.value).toBeCloseTo(0.125);
+
+  // Live edits (grassSettings trailRecoveryTime) apply on the next update
+  trample.recoveryTime = 2;
+  trample.update(fakeGl(), 0.5, new THREE.Vector3());
+  expect(trample.material.uniforms.decay.value).toBeCloseTo(0.25);
+  trample.dispose();
+});
+
+test('scrolls with the focus and ping-pongs between its targets', () => {
+  const resolution = 64;
+  const worldSize = 32;
+  const texel = worldSize / resolution;
+  const trample = new TrampleMap({ resolution, worldSize });
+  const gl = fakeGl();
+  const { uniforms } = trample.material;
+
+  trample.update(gl, 0.016, new THREE.Vector3());
+  expect(uniforms.scroll.value.toArray()).toEqual([0, 0]);
+  const first = trample.texture;
+
+  trample.update(gl, 0.016, new THREE.Vector3(10 * texel, 0, -5 * texel));
+  expect(uniforms.scroll.value.x).toBeCloseTo(10 / resolution);
+  expect(uniforms.scroll.value.y).toBeCloseTo(-5 / resolution);
+  expect(uniforms.previous.value).toBe(first);
+  expect(trample.texture).not.toBe(first);
+  expect(gl.rendered).toHaveLength(2);
+  expect(gl.getRenderTarget()).toBeNull();
+  trample.dispose();
+});
+
+test('keeps the shader bounds in step with the window', () => {
+  const trample = new TrampleMap({ resolution: 64, worldSize: 32 });
+  expect(trample.bounds.toArray()).toEqual([-16, -16, 1 / 32]);
+
+  trample.update(fakeGl(), 0.016, new THREE.Vector3(4, 0, -2));
+  expect(trample.bounds.x).toBeCloseTo(4 - 16);
+  expect(trample.bounds.y).toBeCloseTo(-2 - 16);
+  expect(trample.bounds.z).toBeCloseTo(1 / 32);
+  expect(trample.material.uniforms.windowMin.value.toArray()).toEqual([trample.bounds.x, trample.bounds.y]);
+  trample.dispose();
+});
@@ -0,0 +1,277 @@
+import * as THREE from 'three';
+
+/**
+ * Global wind field shared by grass, particles and ribbons
+ *
+ * One model evaluated the same way on the CPU (`sample`) and in shaders
+ * (`WIND_SHADER`'s `windAt`):
+ *
+ *   wind(p, t) = direction * (strength + gust) * (1 + turbulence * n1)
+ *              + side * strength * turbulence * n2 * 0.5
+ *
+ * - direction: unit XZ vector the wind blows towards
+ * - gust: bursts travelling downwind at `travelSpeed`, `gustFrequency` per second
+ * - n1, n2: value noise in -1..1 scrolling downwind, scaled by `noiseScale`
+ *
+ * The result is a horizontal velocity-like vector; consumers scale it to
+ * blade lean, particle drift or ribbon bend as suits them.
+ *
+ * Weather presets bundle these parameters; switching preset or calling `set`
+ * blends to the new values over a transition so the scene never snaps.
+ */
+
+export const WEATHER_PRESETS = {
+  calm: {
+    direction: 30, // Degrees from +X towards +Z the wind blows to
+    strength: 0.15,
+    gustStrength: 0.05,
+    gustFrequency: 0.1,
+    turbulence: 0.2,
+    noiseScale: 0.06,
+    travelSpeed: 3,
+  },
+  breeze: {
+    direction: 35,
+    strength: 0.45,
+    gustStrength: 0.3,
+    gustFrequency: 0.2,
+    turbulence: 0.35,
+    noiseScale: 0.08,
+    travelSpeed: 6,
+  },
+  gusty: {
+    direction: 50,
+    strength: 0.7,
+    gustStrength: 0.9,
+    gustFrequency: 0.35,
+    turbulence: 0.5,
+    noiseScale: 0.1,
+    travelSpeed: 9,
+  },
+  storm: {
+    direction: 70,
+    strength: 1.4,
+    gustStrength: 1.2,
+    gustFrequency: 0.5,
+    turbulence: 0.7,
+    noiseScale: 0.12,
+    travelSpeed: 14,
+  },
+};
+
+export const DEFAULT_WEATHER = 'breeze';
+
+/**
+ * Starting weather: `?weather=` in the URL when it names a preset, otherwise
+ * the default
+ */
+export const getAppWeather = () => {
+  if (typeof window !== 'undefined') {
+    const fromUrl = new URLSearchParams(window.location.search).get('weather');
+    if (fromUrl && WEATHER_PRESETS[fromUrl]) return fromUrl;
+  }
+  return DEFAULT_WEATHER;
+};
+
+const DEFAULT_TRANSITION = 4; // Seconds to blend between weather settings
+const PARAMETER_NAMES = Object.keys(WEATHER_PRESETS[DEFAULT_WEATHER]);
+const TWO_PI = Math.PI * 2;
+
+/**
+ * GLSL mirror of WindField.sample; needs the uniforms from `wind.uniforms`
+ */
+export const WIND_SHADER = `
+  uniform vec2 windDirection;
+  uniform float windStrength;
+  uniform float windGustStrength;
+  uniform float windGustFrequency;
+  uniform float windTurbulence;
+  uniform float windNoiseScale;
+  uniform float windTravelSpeed;
+  uniform float windTime;
+
+  float windHash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+  }
+
+  float windNoise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    vec2 u = f * f * (3.0 - 2.0 * f);
+    return mix(
+      mix(windHash(i), windHash(i + vec2(1.0, 0.0)), u.x),
+      mix(windHash(i + vec2(0.0, 1.0)), windHash(i + vec2(1.0, 1.0)), u.x),
+      u.y
+    );
+  }
+
+  float windGust(float phase) {
+    return max(0.0, sin(phase) * 0.6 + sin(phase * 2.3 + 1.7) * 0.4);
+  }
+
+  vec2 windAt(vec2 p) {
+    float along = dot(p, windDirection);
+    float gust = windGustStrength * windGust((windTime - along / windTravelSpeed) * windGustFrequency * 6.2831853);
+
+    vec2 drifted = (p - windDirection * windTime * windTravelSpeed) * windNoiseScale;
+    float n1 = windNoise(drifted) * 2.0 - 1.0;
+    float n2 = windNoise(drifted + 17.0) * 2.0 - 1.0;
+
+    vec2 side = vec2(-windDirection.y, windDirection.x);
+    float speed = (windStrength + gust) * (1.0 + windTurbulence * n1);
+    return windDirection * speed + side * windStrength * windTurbulence * n2 * 0.5;
+  }
+`;
+
+// CPU versions of the shader helpers above
+const fract = (x) => x - Math.floor(x);
+const hash = (x, y) => fract(Math.sin(x * 127.1 + y * 311.7) * 43758.5453);
+
+const valueNoise = (x, y) => {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  const ux = fx * fx * (3 - 2 * fx);
+  const uy = fy * fy * (3 - 2 * fy);
+  const bottom = hash(ix, iy) + (hash(ix + 1, iy) - hash(ix, iy)) * ux;
+  const top = hash(ix, iy + 1) + (hash(ix + 1, iy + 1) - hash(ix, iy + 1)) * ux;
+  return bottom + (top - bottom) * uy;
+};
+
+const gustWave = (phase) => Math.max(0, Math.sin(phase) * 0.6 + Math.sin(phase * 2.3 + 1.7) * 0.4);
+
+/**
+ * Resolve a preset name or partial parameter object against a base
+ */
+export const resolveWeather = (weather, base = WEATHER_PRESETS[DEFAULT_WEATHER]) => {
+  const preset = typeof weather === 'string' ? WEATHER_PRESETS[weather] : weather;
+  if (!preset) throw new Error(`Unknown weather preset "${weather}"`);
+  return { ...base, ...preset };
+};
+
+// Blend two parameter sets, taking the short way round for direction
+const blendWeather = (from, to, t) => {
+  const result = {};
+  PARAMETER_NAMES.forEach((name) => {
+    if (name === 'direction') {
+      const delta = ((to.direction - from.direction + 540) % 360) - 180;
+      result.direction = from.direction + delta * t;
+    } else {
+      result[name] = from[name] + (to[name] - from[name]) * t;
+    }
+  });
+  return result;
+};
+
+export default class WindField {
+  constructor(weather = DEFAULT_WEATHER) {
+    this.params = resolveWeather(weather);
+    this.transition = null;
+    this.time = 0;
+    this.lastUpdate = null;
+
+    this.direction = new THREE.Vector2();
+    this.uniforms = {
+      windDirection: { value: this.direction },
+      windStrength: { value: 0 },
+      windGustStrength: { value: 0 },
+      windGustFrequency: { value: 0 },
+      windTurbulence: { value: 0 },
+      windNoiseScale: { value: 0 },
+      windTravelSpeed: { value: 1 },
+      windTime: { value: 0 },
+    };
+    this.applyParams();
+  }
+
+  /**
+   * Blend to a weather preset
+   *
+   * @param {string} name - Key of WEATHER_PRESETS
+   * @param {number} [duration] - Blend time in seconds; 0 switches instantly
+   */
+  setPreset(name, duration = DEFAULT_TRANSITION) {
+    this.set(resolveWeather(name), duration);
+  }
+
+  /**
+   * Blend some or all parameters to new values
+   *
+   * @param {object} params - Any of the WEATHER_PRESETS parameters
+   * @param {number} [duration] - Blend time in seconds; 0 switches instantly
+   */
+  set(params, duration = 0) {
+    const target = resolveWeather(params, this.transition ? this.transition.to : this.params);
+    if (duration <= 0) {
+      this.params = target;
+      this.transition = null;
+      this.applyParams();
+      return;
+    }
+    this.transition = { from: { ...this.params }, to: target, elapsed: 0, duration };
+  }
+
+  /**
+   * Advance to an absolute time (e.g. the r3f clock). Safe to call from every
+   * consumer each frame: repeated calls with the same time do nothing.
+   */
+  advanceTo(time) {
+    const delta = this.lastUpdate === null ? 0 : Math.max(0, time - this.lastUpdate);
+    if (delta === 0 && this.lastUpdate !== null) return;
+    this.lastUpdate = time;
+    this.time = time;
+
+    if (this.transition) {
+      const transition = this.transition;
+      transition.elapsed += delta;
+      const t = Math.min(transition.elapsed / transition.duration, 1);
+      const eased = t * t * (3 - 2 * t);
+      this.params = blendWeather(transition.from, transition.to, eased);
+      if (t >= 1) this.transition = null;
+    }
+
+    this.applyParams();
+  }
+
+  applyParams() {
+    const { params, uniforms } = this;
+    const radians = THREE.MathUtils.degToRad(params.direction);
+    this.direction.set(Math.cos(radians), Math.sin(radians));
+
+    uniforms.windStrength.value = params.strength;
+    uniforms.windGustStrength.value = params.gustStrength;
+    uniforms.windGustFrequency.value = params.gustFrequency;
+    uniforms.windTurbulence.value = params.turbulence;
+    uniforms.windNoiseScale.value = params.noiseScale;
+    uniforms.windTravelSpeed.value = Math.max(params.travelSpeed, 0.001);
+    uniforms.windTime.value = this.time;
+  }
+
+  /**
+   * Wind at a world XZ position
+   *
+   * @param {number} x
+   * @param {number} z
+   * @param {THREE.Vector2} [target] - Receives (x, z) of the wind vector
+   * @returns {THREE.Vector2}
+   */
+  sample(x, z, target = new THREE.Vector2()) {
+    const { params, time } = this;
+    const dx = this.direction.x;
+    const dz = this.direction.y;
+    const travelSpeed = Math.max(params.travelSpeed, 0.001);
+
+    const along = x * dx + z * dz;
+    const gust = params.gustStrength * gustWave((time - along / travelSpeed) * params.gustFrequency * TWO_PI);
+
+    const nx = (x - dx * time * travelSpeed) * params.noiseScale;
+    const nz = (z - dz * time * travelSpeed) * params.noiseScale;
+    const n1 = valueNoise(nx, nz) * 2 - 1;
+    const n2 = valueNoise(nx + 17, nz + 17) * 2 - 1;
+
+    const speed = (params.strength + gust) * (1 + params.turbulence * n1);
+    const sideAmount = params.strength * params.turbulence * n2 * 0.5;
+    return target.set(dx * speed - dz * sideAmount, dz * speed + dx * sideAmount);
+  }
+}
@@ -0,0 +1,33 @@
+import WindField, { WEATHER_PRESETS, resolveWeather } from './windField';
+
+test('resolves presets and partial overrides, rejecting unknown names', () => {
+  expect(resolveWeather('storm')).toEqual(WEATHER_PRESETS.storm);
+  expect(resolveWeather({ strength: 2 }, WEATHER_PRESETS.calm)).toEqual({ ...WEATHER_PRESETS.calm, strength: 2 });
+  expect(() => resolveWeather('hurricane')).toThrow('Unknown weather preset');
+});
+
+test('blends to a new preset over the transition, taking the short way round', () => {
+  const wind = new WindField({ ...WEATHER_PRESETS.calm, direction: 350 });
+  wind.advanceTo(0);
+  wind.set({ direction: 10, strength: 1 }, 2);
+
+  wind.advanceTo(1);
+  expect(wind.params.direction).toBeCloseTo(360);
+  expect(wind.params.strength).toBeGreaterThan(WEATHER_PRESETS.calm.strength);
+  expect(wind.params.strength).toBeLessThan(1);
+
+  wind.advanceTo(1); // Same frame from another consumer
+  expect(wind.params.direction).toBeCloseTo(360);
+
+  wind.advanceTo(3);
+  expect(wind.params.direction).toBeCloseTo(370);
+  expect(wind.params.strength).toBe(1);
+  expect(wind.transition).toBeNull();
+});
+
+test('samples blow mostly downwind', () => {
+  const wind = new WindField({ direction: 90, turbulence: 0, gustStrength: 0, strength: 0.8 });
+  const sample = wind.sample(12, -4);
+  expect(sample.x).toBeCloseTo(0);
+  expect(sample.y).toBeCloseTo(0.8);
+});